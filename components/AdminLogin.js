@@ -0,0 +1,65 @@
+// components/AdminLogin.js
+import React, { useState } from 'react';
+
+/**
+ * Login form for the researcher dashboard. Exchanges the admin token for an
+ * HttpOnly session cookie via `/api/admin/login`.
+ *
+ * @param {object} props - The component props.
+ * @param {function(): void} props.onLogin - Callback executed after a successful login.
+ */
+function AdminLogin({ onLogin }) {
+    const [token, setToken] = useState('');
+    const [error, setError] = useState(null);
+    const [submitting, setSubmitting] = useState(false);
+
+    /**
+     * Submits the token to the login API.
+     * @param {React.FormEvent<HTMLFormElement>} e - The form submission event object.
+     */
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSubmitting(true);
+        setError(null);
+        try {
+            const response = await fetch('/api/admin/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ token }),
+            });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || `Login failed (status ${response.status})`);
+            }
+            setToken('');
+            onLogin();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="max-w-sm mx-auto mt-16 bg-white p-6 rounded shadow space-y-4">
+            <h1 className="text-xl">Researcher Login</h1>
+            <input
+                type="password"
+                value={token}
+                onChange={(e) => setToken(e.target.value)}
+                placeholder="Admin token"
+                className="w-full p-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            {error && <p className="text-red-600 text-sm">{error}</p>}
+            <button
+                type="submit"
+                disabled={submitting || !token}
+                className="w-full p-2 text-white bg-blue-600 hover:bg-blue-700 rounded disabled:opacity-50"
+            >
+                {submitting ? 'Logging in...' : 'Log in'}
+            </button>
+        </form>
+    );
+}
+
+export default AdminLogin;
@@ -0,0 +1,130 @@
+// components/BrowserFrame.js
+import React, { useEffect, useRef } from 'react';
+import PageFallback from './PageFallback'; // Shown instead of pages that fail to load
+import { AGENT_MESSAGE_SOURCE, AGENT_MESSAGE_TYPES, LOAD_ERROR_REASONS } from '../lib/proxyAgent'; // Messages from proxied pages
+import { currentEntry } from '../lib/browserTabs'; // Tab and history model
+
+// Time allowed for a page to fire its load event before it is treated as failed, in milliseconds.
+const LOAD_TIMEOUT_MS = 15000;
+
+// Proxied pages already run in an opaque origin (see pages/api/proxy.js), so they never get `allow-same-origin`.
+// Neither kind gets `allow-top-navigation`, which stops frame-busting scripts from replacing the study page.
+const DIRECT_SANDBOX = 'allow-scripts allow-same-origin allow-forms allow-popups allow-popups-to-escape-sandbox';
+const PROXIED_SANDBOX = 'allow-scripts allow-forms allow-popups allow-popups-to-escape-sandbox';
+
+/**
+ * One embedded browser tab's iframe. It is keyed by the tab's `loadKey`, so it mounts once per load
+ * the tab starts, and detects loads that fail:
+ * - any page that doesn't fire its load event within `LOAD_TIMEOUT_MS`;
+ * - proxied pages whose tracking agent reports a `load_error` (the proxy couldn't fetch the page,
+ *   or it stayed blank);
+ * - direct pages that, once loaded, the server finds refuse framing (`/api/embed-check`). Cross-origin
+ *   iframes fire their load event even when the browser refuses to show them, so this is re-checked.
+ * Failed pages are replaced by `PageFallback`.
+ *
+ * @param {object} props - The component props.
+ * @param {import('../lib/browserTabs').BrowserTab} props.tab - The tab.
+ * @param {string} props.title - Accessibility title for the iframe.
+ * @param {boolean} props.active - Whether the tab is shown.
+ * @param {{ url: string, reason: string } | null} props.failure - The failure detected for this load, if any.
+ * @param {function(string, string): void} props.onFailure - Called with the failed URL and a `LOAD_ERROR_REASONS` value.
+ * @param {function(object): void} props.onPageEvent - Called with `page_view`, `scroll`, `selection` and `activity` messages from the tracking agent.
+ * @param {function(): void} props.onRetry - Reloads the tab.
+ * @param {function(string): void} props.onOpenExternal - Called with the URL when the participant opens the page in a new browser tab.
+ * @param {function(string): void} props.onReadableView - Called with the URL when the participant opens its readable version.
+ * @param {function(string): Promise<{ blocked: boolean, reason: string | null }>} props.checkEmbedding - Re-checks a page's framing headers on the server.
+ * @param {function(string): Promise<object>} props.fetchReadable - Fetches a page's readable version (see `PageFallback`).
+ */
+function BrowserFrame({
+    tab, title, active, failure, onFailure, onPageEvent, onRetry, onOpenExternal, onReadableView, checkEmbedding, fetchReadable,
+}) {
+    const iframeRef = useRef(null);
+    // Whether the iframe has fired its load event at least once.
+    const loadedRef = useRef(false);
+    // Keep the latest callbacks in a ref so the listener and timers aren't reset on every render.
+    const callbacksRef = useRef({ onFailure, onPageEvent });
+    callbacksRef.current = { onFailure, onPageEvent };
+    // The URL this frame was created to load.
+    const loadUrl = currentEntry(tab).url;
+
+    // Effect to fail loads that never finish.
+    useEffect(() => {
+        const timeoutId = setTimeout(() => {
+            if (!loadedRef.current) {
+                console.log("Embedded page timed out:", loadUrl);
+                callbacksRef.current.onFailure(loadUrl, 'timeout');
+            }
+        }, LOAD_TIMEOUT_MS);
+        return () => clearTimeout(timeoutId);
+    }, [loadUrl]);
+
+    // Effect to relay tracking agent messages, accepting only those posted by this iframe.
+    useEffect(() => {
+        const handleMessage = (event) => {
+            const message = event.data;
+            if (message?.source !== AGENT_MESSAGE_SOURCE || event.source !== iframeRef.current?.contentWindow) {
+                return;
+            }
+            if (!AGENT_MESSAGE_TYPES.includes(message.type) || typeof message.url !== 'string') {
+                return;
+            }
+            if (message.type === 'load_error') {
+                const reason = LOAD_ERROR_REASONS.includes(message.reason) ? message.reason : 'network_error';
+                console.log("Embedded page failed to load:", message.url, reason);
+                callbacksRef.current.onFailure(message.url, reason);
+            } else {
+                callbacksRef.current.onPageEvent(message);
+            }
+        };
+        window.addEventListener('message', handleMessage);
+        return () => window.removeEventListener('message', handleMessage);
+    }, []);
+
+    /**
+     * Handles the iframe's load event. The first load of a direct page is re-checked on the server.
+     */
+    const handleLoad = async () => {
+        if (loadedRef.current) {
+            return;
+        }
+        loadedRef.current = true;
+        if (tab.proxied) {
+            return;
+        }
+        try {
+            const { blocked } = await checkEmbedding(loadUrl);
+            if (blocked && iframeRef.current) {
+                console.log("Embedded page refuses framing:", loadUrl);
+                callbacksRef.current.onFailure(loadUrl, 'blocked');
+            }
+        } catch (error) {
+            // The check is best-effort; the page may well have loaded.
+            console.warn("Embed check failed:", error);
+        }
+    };
+
+    return (
+        <>
+            <iframe
+                ref={iframeRef}
+                src={tab.frameSrc} // The URL to load.
+                title={title} // Accessibility title for the iframe.
+                sandbox={tab.proxied ? PROXIED_SANDBOX : DIRECT_SANDBOX}
+                onLoad={handleLoad}
+                className={active && !failure ? "flex-grow w-full border-0" : "hidden"} // Styling to make it fill the remaining space.
+            />
+            {active && failure && (
+                <PageFallback
+                    url={failure.url}
+                    reason={failure.reason}
+                    onRetry={onRetry}
+                    onOpenExternal={onOpenExternal}
+                    onReadableView={onReadableView}
+                    fetchReadable={fetchReadable}
+                />
+            )}
+        </>
+    );
+}
+
+export default BrowserFrame;
@@ -1,26 +1,113 @@
 // components/EmbeddedBrowser.js
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import SearchBar from './SearchBar'; // Import the reusable SearchBar
+import BrowserFrame from './BrowserFrame'; // One tab's iframe, with load failure detection
+import { currentEntry } from '../lib/browserTabs'; // Tab and history model
 
 /**
- * A component that displays a website within an iframe, simulating an embedded browser view.
- * It includes a header with a back button and a search bar.
+ * Returns a short label for a tab: the page title if known, otherwise the host name.
+ * @param {import('../lib/browserTabs').BrowserTab} tab - The tab.
+ * @returns {string}
+ */
+const tabLabel = (tab) => {
+    const { url, title } = currentEntry(tab);
+    if (title) return title;
+    try {
+        return new URL(url).hostname;
+    } catch (e) {
+        return url;
+    }
+};
+
+/**
+ * A component that displays websites in iframes with browser chrome: tabs, back/forward,
+ * reload and an editable address bar, plus the study's search bar.
+ * Every tab keeps its iframe mounted, so switching tabs doesn't reload pages.
+ * Pages that fail to load (or that the participant reports as broken) are replaced by a fallback
+ * view (see `BrowserFrame` and `PageFallback`).
+ * Tab and history state is owned by the page (see `lib/browserTabs.js`); this component
+ * renders it and reports the participant's actions through the callbacks.
  *
  * @param {object} props - The component props.
- * @param {string} props.url - The URL of the website to display in the iframe.
- * @param {function(): void} props.onClose - Callback function executed when the 'Back' button is clicked.
+ * @param {Array<import('../lib/browserTabs').BrowserTab>} props.tabs - The open tabs, in display order.
+ * @param {string} props.activeTabId - The ID of the tab being shown.
+ * @param {function(): void} props.onClose - Callback for the 'Results' button, which returns to the results page (tabs stay open).
  * @param {function(string): void} props.onSearch - Callback function passed to the internal SearchBar for initiating a new search from within the browser view.
  * @param {string} props.value - The current search query value to display in the internal SearchBar.
+ * @param {function(string, AbortSignal): Promise<object>} [props.fetchSuggestions] - Optional query suggestion source for the internal SearchBar.
+ * @param {function(string, object): void} [props.onSuggestionEvent] - Optional callback for the internal SearchBar's suggestion events.
+ * @param {function(string): void} props.onSelectTab - Called with a tab ID when the participant switches to it.
+ * @param {function(string): void} props.onCloseTab - Called with a tab ID when the participant closes it.
+ * @param {function(string): void} props.onBack - Called with the active tab ID for the Back button.
+ * @param {function(string): void} props.onForward - Called with the active tab ID for the Forward button.
+ * @param {function(string): void} props.onReload - Called with the active tab ID for the Reload button.
+ * @param {function(string, string): void} props.onNavigate - Called with the active tab ID and the address bar text when it is submitted.
+ * @param {function(string, object): void} [props.onPageEvent] - Optional callback for messages from the tracking agent in proxied pages
+ *   (see `lib/proxyAgent.js`), with the ID of the tab that sent it: `{ type, url, title?, maxDepth?, text? }`.
+ *   Pages loaded without the proxy can't report.
+ * @param {function(string, string, string): void} [props.onLoadFailure] - Optional callback with the tab ID, URL and reason
+ *   (see `LOAD_ERROR_REASONS` in `lib/proxyAgent.js`) when a page fails to load or is reported by the participant.
+ * @param {function(string, string): void} [props.onOpenExternal] - Optional callback with the tab ID and URL when a failed page is opened in a new browser tab.
+ * @param {function(string, string): void} [props.onReadableView] - Optional callback with the tab ID and URL when a failed page's readable version is opened.
+ * @param {function(string): Promise<{ blocked: boolean, reason: string | null }>} props.checkEmbedding - Re-checks a loaded direct page's
+ *   framing headers on the server (see `/api/embed-check`).
+ * @param {function(string): Promise<object>} props.fetchReadable - Fetches a failed page's readable version (see `/api/readable`).
+ * @param {React.ReactNode} [props.banner] - Optional content shown below the header, e.g. the task prompt (see `TaskPrompt`).
  */
-function EmbeddedBrowser({ url, onClose, onSearch, value }) {
+function EmbeddedBrowser({
+    tabs, activeTabId, onClose, onSearch, value, fetchSuggestions, onSuggestionEvent,
+    onSelectTab, onCloseTab, onBack, onForward, onReload, onNavigate, onPageEvent,
+    onLoadFailure, onOpenExternal, onReadableView, checkEmbedding, fetchReadable, banner,
+}) {
+    // Load failures by frame key (`tabId:loadKey`), so a reload starts without one.
+    const [failures, setFailures] = useState({});
+
+    const activeTab = tabs.find(tab => tab.id === activeTabId) || tabs[0];
+    const activeUrl = activeTab ? currentEntry(activeTab).url : '';
+    // The address bar is editable; it resets whenever the active tab's page changes.
+    const [address, setAddress] = useState(activeUrl);
+    useEffect(() => {
+        setAddress(activeUrl);
+    }, [activeUrl, activeTabId]);
+
+    if (!activeTab) {
+        return null;
+    }
+
+    /**
+     * Records the first failure of a tab's current load and reports it.
+     * @param {import('../lib/browserTabs').BrowserTab} tab - The tab.
+     * @param {string} url - The page that failed.
+     * @param {string} reason - Why it failed.
+     */
+    const handleFailure = (tab, url, reason) => {
+        const frameKey = `${tab.id}:${tab.loadKey}`;
+        if (failures[frameKey]) {
+            return;
+        }
+        setFailures(prev => ({ ...prev, [frameKey]: { url, reason } }));
+        onLoadFailure?.(tab.id, url, reason);
+    };
+
+    /**
+     * Submits the address bar.
+     * @param {React.FormEvent} e - The form submit event.
+     */
+    const handleAddressSubmit = (e) => {
+        e.preventDefault();
+        onNavigate(activeTab.id, address);
+    };
+
+    const toolbarButtonClass = "px-2 py-1 rounded hover:bg-gray-300 disabled:opacity-40 disabled:hover:bg-transparent";
+
     return (
         // Fixed position container to overlay the entire screen.
         <div className="fixed inset-0 bg-gray-200 z-50 flex flex-col">
             {/* Header section */}
             <div className="bg-blue-600 text-white py-3 px-4 flex items-center justify-between">
-                {/* Back button */}
+                {/* Returns to the results page; tabs stay open */}
                 <button onClick={onClose} className="mr-4 text-xl font-bold bg-red-500 hover:bg-red-600 px-3 py-1 rounded">
-                    ← Back
+                    ← Results
                 </button>
                 {/* Title */}
                 <span className="font-bold">Web Browser</span>
@@ -32,21 +119,85 @@ function EmbeddedBrowser({ url, onClose, onSearch, value }) {
                         inputClass="bg-white text-gray-900 rounded-l-md text-sm sm:text-base"
                         buttonClass="bg-green-500 hover:bg-green-600 rounded-r-md text-sm sm:text-base"
                         value={value} // Pass the current query value
+                        fetchSuggestions={fetchSuggestions}
+                        onSuggestionEvent={onSuggestionEvent}
                     />
                 </div>
                 {/* Empty div to help balance the flex layout if needed */}
                 <div></div>
             </div>
-            {/* Iframe to display the external website */}
-            <iframe
-                src={url} // The URL to load.
-                title="Embedded Browser" // Accessibility title for the iframe.
-                className="flex-grow w-full border-0" // Styling to make it fill the remaining space.
-                // Consider adding sandbox attributes for security if needed:
-                // sandbox="allow-scripts allow-same-origin allow-popups allow-forms"
-            />
+            {banner}
+
+            {/* Tab strip */}
+            <div className="flex items-end gap-1 px-2 pt-2 bg-gray-300 overflow-x-auto" role="tablist">
+                {tabs.map(tab => (
+                    <div
+                        key={tab.id}
+                        role="tab"
+                        aria-selected={tab.id === activeTab.id}
+                        className={`flex items-center max-w-xs min-w-0 rounded-t px-3 py-1 text-sm ${tab.id === activeTab.id ? 'bg-gray-100' : 'bg-gray-200 hover:bg-gray-100'}`}
+                    >
+                        <button onClick={() => onSelectTab(tab.id)} className="truncate text-left" title={currentEntry(tab).url}>
+                            {tabLabel(tab)}
+                        </button>
+                        <button onClick={() => onCloseTab(tab.id)} className="ml-2 text-gray-500 hover:text-gray-900" aria-label="Close tab">
+                            ×
+                        </button>
+                    </div>
+                ))}
+            </div>
+
+            {/* Navigation toolbar */}
+            <div className="flex items-center gap-1 px-2 py-1 bg-gray-100 border-b border-gray-300">
+                <button onClick={() => onBack(activeTab.id)} disabled={activeTab.index === 0} className={toolbarButtonClass} aria-label="Back">
+                    ◀
+                </button>
+                <button onClick={() => onForward(activeTab.id)} disabled={activeTab.index >= activeTab.entries.length - 1} className={toolbarButtonClass} aria-label="Forward">
+                    ▶
+                </button>
+                <button onClick={() => onReload(activeTab.id)} className={toolbarButtonClass} aria-label="Reload">
+                    ⟳
+                </button>
+                <form onSubmit={handleAddressSubmit} className="flex-grow">
+                    <input
+                        type="text"
+                        value={address}
+                        onChange={(e) => setAddress(e.target.value)}
+                        onFocus={(e) => e.target.select()}
+                        className="w-full px-3 py-1 rounded border border-gray-300 text-sm text-gray-900"
+                        aria-label="Address"
+                        spellCheck={false}
+                    />
+                </form>
+                <button
+                    onClick={() => handleFailure(activeTab, activeUrl, 'reported')}
+                    disabled={Boolean(failures[`${activeTab.id}:${activeTab.loadKey}`])}
+                    className={`${toolbarButtonClass} text-sm whitespace-nowrap`}
+                >
+                    Problems with this page?
+                </button>
+            </div>
+
+            {/* One iframe per tab; only the active one is visible */}
+            {tabs.map(tab => (
+                <BrowserFrame
+                    // A new key per load makes the iframe start fresh, even when the src is unchanged.
+                    key={`${tab.id}:${tab.loadKey}`}
+                    tab={tab}
+                    title={`Embedded Browser - ${tabLabel(tab)}`}
+                    active={tab.id === activeTab.id}
+                    failure={failures[`${tab.id}:${tab.loadKey}`] || null}
+                    onFailure={(url, reason) => handleFailure(tab, url, reason)}
+                    onPageEvent={(message) => onPageEvent?.(tab.id, message)}
+                    onRetry={() => onReload(tab.id)}
+                    onOpenExternal={(url) => onOpenExternal?.(tab.id, url)}
+                    onReadableView={(url) => onReadableView?.(tab.id, url)}
+                    checkEmbedding={checkEmbedding}
+                    fetchReadable={fetchReadable}
+                />
+            ))}
         </div>
     );
 }
 
-export default EmbeddedBrowser;
\ No newline at end of file
+export default EmbeddedBrowser;
@@ -0,0 +1,112 @@
+// components/FlowStep.js
+import React from 'react';
+import Questionnaire from './Questionnaire'; // Questionnaire steps
+
+const buttonClass = "px-6 py-2 rounded disabled:opacity-50";
+
+/**
+ * Renders a step's text, with paragraphs separated by blank lines.
+ * @param {object} props - The component props.
+ * @param {string} [props.text] - The text.
+ */
+function StepText({ text }) {
+    if (!text) {
+        return null;
+    }
+    return text.split(/\n\s*\n/).map((paragraph, index) => (
+        <p key={index} className="mb-4 leading-relaxed whitespace-pre-line">{paragraph}</p>
+    ));
+}
+
+/**
+ * Shown instead of the search page for the task flow's non-search screens (see lib/taskFlow.js):
+ * the consent text, questionnaires, the completion page with the participant's completion code,
+ * and the end page of participants who declined.
+ *
+ * @param {object} props - The component props.
+ * @param {object} props.flow - The participant's flow, as described by the participant and flow APIs.
+ * @param {function(string=, object=): Promise<void>} props.onAdvance - Completes the current step, with its outcome and answers.
+ * @param {boolean} props.submitting - Whether a step is being submitted.
+ * @param {string | null} props.error - Why the last submission failed, if it did.
+ */
+function FlowStep({ flow, onAdvance, submitting, error }) {
+    const step = flow.steps[flow.stepIndex];
+
+    let content;
+    if (flow.status === 'declined') {
+        content = (
+            <>
+                <h1 className="text-2xl font-semibold mb-4">Thank you</h1>
+                <p>You have chosen not to take part in this study. You can close this page now.</p>
+            </>
+        );
+    } else if (flow.status === 'completed') {
+        const completion = step?.type === 'completion' ? step : {};
+        const redirectUrl = completion.redirectUrl && flow.completionCode
+            ? completion.redirectUrl.replace(/\{code\}/g, encodeURIComponent(flow.completionCode))
+            : completion.redirectUrl;
+        content = (
+            <>
+                <h1 className="text-2xl font-semibold mb-4">{completion.title || 'Study complete'}</h1>
+                <StepText text={completion.text || 'Thank you for taking part in this study.'} />
+                {flow.completionCode && (
+                    <p className="mb-4">
+                        Your completion code: <span className="font-mono text-lg font-semibold select-all">{flow.completionCode}</span>
+                    </p>
+                )}
+                {redirectUrl && (
+                    <a href={redirectUrl} className={`${buttonClass} inline-block bg-blue-600 hover:bg-blue-700 text-white`}>
+                        Return to the study website
+                    </a>
+                )}
+            </>
+        );
+    } else if (step.type === 'consent') {
+        content = (
+            <>
+                <h1 className="text-2xl font-semibold mb-4">{step.title || 'Information and consent'}</h1>
+                <StepText text={step.text} />
+                <div className="flex flex-wrap gap-3 mt-6">
+                    <button
+                        onClick={() => onAdvance('agreed')}
+                        disabled={submitting}
+                        className={`${buttonClass} bg-blue-600 hover:bg-blue-700 text-white`}
+                    >
+                        {step.agreeLabel || 'I agree to take part'}
+                    </button>
+                    <button
+                        onClick={() => onAdvance('declined')}
+                        disabled={submitting}
+                        className={`${buttonClass} bg-gray-200 hover:bg-gray-300 text-gray-800`}
+                    >
+                        {step.declineLabel || 'I do not agree'}
+                    </button>
+                </div>
+            </>
+        );
+    } else if (step.type === 'questionnaire') {
+        content = (
+            <>
+                {step.title && <h1 className="text-2xl font-semibold mb-4">{step.title}</h1>}
+                {/* Keyed by step, so consecutive questionnaires start empty */}
+                <Questionnaire
+                    key={step.stepId}
+                    step={step}
+                    onSubmit={(answers) => onAdvance(undefined, answers)}
+                    submitting={submitting}
+                />
+            </>
+        );
+    } else {
+        content = <p>Loading the next step...</p>;
+    }
+
+    return (
+        <main className="container max-w-2xl py-10">
+            {content}
+            {error && <p className="text-red-600 mt-4" role="alert">{error}</p>}
+        </main>
+    );
+}
+
+export default FlowStep;
@@ -0,0 +1,97 @@
+// components/PageFallback.js
+import React, { useState } from 'react';
+
+// What the participant is told for each failure reason (see LOAD_ERROR_REASONS in lib/proxyAgent.js).
+const REASON_MESSAGES = {
+    timeout: "This page is taking too long to load.",
+    network_error: "This page couldn't be reached.",
+    rejected: "This page can't be shown here.",
+    blocked: "This website doesn't allow itself to be shown inside another page.",
+    no_content: "This page appears blank here. The website may be preventing it from being shown inside another page.",
+    reported: "Having trouble with this page? Try one of these alternatives.",
+};
+
+// Elements used to render each readable block type (see lib/readable.js).
+const BLOCK_ELEMENTS = {
+    heading: ({ text }) => <h2 className="text-xl font-semibold mt-6 mb-2">{text}</h2>,
+    paragraph: ({ text }) => <p className="mb-4 leading-relaxed">{text}</p>,
+    item: ({ text }) => <p className="mb-2 pl-4 leading-relaxed">• {text}</p>,
+    quote: ({ text }) => <blockquote className="mb-4 pl-4 border-l-4 border-gray-300 italic">{text}</blockquote>,
+};
+
+/**
+ * Shown in the embedded browser instead of a page that failed to load. Offers to try again,
+ * to show a readable version of the page extracted on the server (`/api/readable`), or to
+ * open the page in a new browser tab.
+ *
+ * @param {object} props - The component props.
+ * @param {string} props.url - The page that failed to load.
+ * @param {string} props.reason - Why it failed, one of `LOAD_ERROR_REASONS`.
+ * @param {function(): void} props.onRetry - Reloads the page.
+ * @param {function(string): void} props.onOpenExternal - Called with the URL after it is opened in a new tab.
+ * @param {function(string): void} props.onReadableView - Called with the URL when the readable version is requested.
+ * @param {function(string): Promise<object>} props.fetchReadable - Fetches the readable version of a URL.
+ */
+function PageFallback({ url, reason, onRetry, onOpenExternal, onReadableView, fetchReadable }) {
+    // The readable version: null until requested, then { loading }, { data } or { error }.
+    const [readable, setReadable] = useState(null);
+
+    /**
+     * Fetches and shows the readable version of the page.
+     */
+    const showReadable = async () => {
+        onReadableView(url);
+        setReadable({ loading: true });
+        try {
+            setReadable({ data: await fetchReadable(url) });
+        } catch (error) {
+            console.error("Failed to load readable version:", error);
+            setReadable({ error: error.message });
+        }
+    };
+
+    /**
+     * Opens the page in a new browser tab, outside the study page.
+     */
+    const openExternal = () => {
+        window.open(url, '_blank', 'noopener,noreferrer');
+        onOpenExternal(url);
+    };
+
+    const buttonClass = "px-4 py-2 rounded border border-gray-300 bg-white hover:bg-gray-100 disabled:opacity-50";
+
+    return (
+        <div className="flex-grow w-full overflow-y-auto bg-white">
+            <div className="max-w-3xl mx-auto p-6 text-gray-800">
+                <p className="text-lg mb-1">{REASON_MESSAGES[reason] || REASON_MESSAGES.network_error}</p>
+                <p className="text-sm text-gray-500 mb-4 break-all">{url}</p>
+                <div className="flex flex-wrap gap-2 mb-6">
+                    <button onClick={onRetry} className={buttonClass}>Try again</button>
+                    <button onClick={showReadable} disabled={readable?.loading} className={buttonClass}>
+                        Show readable version
+                    </button>
+                    <button onClick={openExternal} className={buttonClass}>Open in new tab</button>
+                </div>
+
+                {readable?.loading && <p className="text-gray-500">Loading readable version...</p>}
+                {readable?.error && (
+                    <p className="text-red-600">The readable version couldn't be loaded: {readable.error}</p>
+                )}
+                {readable?.data && (
+                    <article className="border-t border-gray-200 pt-4">
+                        {readable.data.title && <h1 className="text-2xl font-bold mb-4">{readable.data.title}</h1>}
+                        {readable.data.blocks.length === 0 && (
+                            <p className="text-gray-500">No readable text was found on this page.</p>
+                        )}
+                        {readable.data.blocks.map((block, index) => {
+                            const Block = BLOCK_ELEMENTS[block.type] || BLOCK_ELEMENTS.paragraph;
+                            return <Block key={index} text={block.text} />;
+                        })}
+                    </article>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default PageFallback;
@@ -0,0 +1,50 @@
+// components/Pagination.js
+import React from 'react';
+
+// Most page numbers shown at once; the window follows the current page.
+const MAX_PAGE_LINKS = 10;
+
+/**
+ * Numbered page links with "Previous" and "Next", shown below the search results.
+ *
+ * @param {object} props - The component props.
+ * @param {import('../lib/resultPages').Pagination} props.pagination - The page shown and the size of the ranking.
+ * @param {function(number): void} props.onPageChange - Called with the 1-based number of the page to show.
+ */
+function Pagination({ pagination, onPageChange }) {
+    const { page, pageCount } = pagination;
+    if (pageCount <= 1) {
+        return null;
+    }
+
+    // Keep the current page roughly centred in the window of page numbers.
+    const first = Math.max(1, Math.min(page - Math.floor(MAX_PAGE_LINKS / 2), pageCount - MAX_PAGE_LINKS + 1));
+    const last = Math.min(pageCount, first + MAX_PAGE_LINKS - 1);
+    const pages = Array.from({ length: last - first + 1 }, (_, index) => first + index);
+
+    const linkClass = "px-3 py-1 rounded text-blue-700 hover:bg-blue-50 disabled:text-gray-400 disabled:hover:bg-transparent";
+
+    return (
+        <nav className="flex flex-wrap justify-center items-center gap-1 mt-6 mb-2" aria-label="Result pages">
+            <button onClick={() => onPageChange(page - 1)} disabled={page <= 1} className={linkClass}>
+                Previous
+            </button>
+            {pages.map(number => (
+                <button
+                    key={number}
+                    onClick={() => onPageChange(number)}
+                    disabled={number === page}
+                    aria-current={number === page ? 'page' : undefined}
+                    className={number === page ? "px-3 py-1 rounded bg-blue-600 text-white" : linkClass}
+                >
+                    {number}
+                </button>
+            ))}
+            <button onClick={() => onPageChange(page + 1)} disabled={page >= pageCount} className={linkClass}>
+                Next
+            </button>
+        </nav>
+    );
+}
+
+export default Pagination;
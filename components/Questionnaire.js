@@ -0,0 +1,128 @@
+// components/Questionnaire.js
+import React, { useState, useId } from 'react';
+import { MAX_ANSWER_LENGTH, scalePoints, validateAnswers } from '../lib/taskFlow'; // Questionnaire definitions
+
+/**
+ * One question's input, by question type (see `QUESTION_TYPES` in lib/taskFlow.js).
+ *
+ * @param {object} props - The component props.
+ * @param {import('../lib/taskFlow').Question} props.question - The question.
+ * @param {any} props.value - The current answer.
+ * @param {function(any): void} props.onChange - Called with the new answer.
+ * @param {string} props.inputId - ID for the question's input, referenced by its label.
+ */
+function QuestionInput({ question, value, onChange, inputId }) {
+    const inputClass = "w-full p-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+    switch (question.type) {
+        case 'textarea':
+            return (
+                <textarea id={inputId} rows={4} maxLength={MAX_ANSWER_LENGTH} value={value ?? ''}
+                    onChange={(e) => onChange(e.target.value)} className={inputClass} />
+            );
+        case 'number':
+            return (
+                <input id={inputId} type="number" min={question.min} max={question.max} value={value ?? ''}
+                    onChange={(e) => onChange(e.target.value)} className={`${inputClass} max-w-xs`} />
+            );
+        case 'single':
+        case 'multiple': {
+            const selected = question.type === 'multiple' ? (value || []) : value;
+            return (
+                <div id={inputId} role={question.type === 'single' ? 'radiogroup' : 'group'} className="space-y-1">
+                    {question.options.map(option => (
+                        <label key={option} className="flex items-center gap-2 cursor-pointer">
+                            <input
+                                type={question.type === 'single' ? 'radio' : 'checkbox'}
+                                name={inputId}
+                                checked={question.type === 'single' ? selected === option : selected.includes(option)}
+                                onChange={(e) => onChange(question.type === 'single'
+                                    ? option
+                                    : (e.target.checked ? [...selected, option] : selected.filter(item => item !== option)))}
+                            />
+                            <span>{option}</span>
+                        </label>
+                    ))}
+                </div>
+            );
+        }
+        case 'likert': {
+            const points = Array.from({ length: scalePoints(question) }, (_, index) => index + 1);
+            return (
+                <div id={inputId} role="radiogroup" className="flex flex-wrap items-center gap-3">
+                    {question.scale?.minLabel && <span className="text-sm text-gray-600">{question.scale.minLabel}</span>}
+                    {points.map(point => (
+                        <label key={point} className="flex flex-col items-center text-sm cursor-pointer">
+                            <input type="radio" name={inputId} checked={Number(value) === point} onChange={() => onChange(point)} />
+                            <span>{point}</span>
+                        </label>
+                    ))}
+                    {question.scale?.maxLabel && <span className="text-sm text-gray-600">{question.scale.maxLabel}</span>}
+                </div>
+            );
+        }
+        default:
+            return (
+                <input id={inputId} type="text" maxLength={MAX_ANSWER_LENGTH} value={value ?? ''}
+                    onChange={(e) => onChange(e.target.value)} className={inputClass} />
+            );
+    }
+}
+
+/**
+ * A questionnaire step of the task flow: its questions as a form. Answers are checked with the same
+ * rules the server applies (`validateAnswers`) before they are submitted.
+ *
+ * @param {object} props - The component props.
+ * @param {import('../lib/taskFlow').FlowStep} props.step - The questionnaire step.
+ * @param {function(object): Promise<void>} props.onSubmit - Called with the answers, by questionId.
+ * @param {boolean} props.submitting - Whether a submission is in progress.
+ */
+function Questionnaire({ step, onSubmit, submitting }) {
+    // Answers by questionId, as entered.
+    const [answers, setAnswers] = useState({});
+    // Message about the first missing or invalid answer.
+    const [error, setError] = useState(null);
+    const formId = useId();
+
+    /**
+     * Checks the answers and submits them.
+     * @param {React.FormEvent<HTMLFormElement>} e - The form submission event.
+     */
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const result = validateAnswers(step, answers);
+        setError(result.error);
+        if (!result.error) {
+            onSubmit(result.answers);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-6">
+            {step.questions.map(question => {
+                const inputId = `${formId}-${question.questionId}`;
+                return (
+                    <div key={question.questionId}>
+                        <label htmlFor={inputId} className="block font-medium mb-2">
+                            {question.label}
+                            {question.required && <span className="text-red-600" aria-hidden="true"> *</span>}
+                        </label>
+                        <QuestionInput
+                            question={question}
+                            value={answers[question.questionId]}
+                            onChange={(value) => setAnswers(prev => ({ ...prev, [question.questionId]: value }))}
+                            inputId={inputId}
+                        />
+                    </div>
+                );
+            })}
+            {error && <p className="text-red-600" role="alert">{error}</p>}
+            <button type="submit" disabled={submitting} className="px-6 py-2 rounded bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50">
+                {submitting ? 'Saving...' : 'Continue'}
+            </button>
+        </form>
+    );
+}
+
+export default Questionnaire;
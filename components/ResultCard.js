@@ -0,0 +1,148 @@
+// components/ResultCard.js
+import React, { useState } from 'react';
+import { SERP_FEATURES } from '../lib/serpFeatures'; // Default result card elements
+
+/**
+ * Returns the embeddability badge for a result: shown while its check is pending, and for
+ * results that will likely not open in the embedded browser.
+ * @param {object} result - The result item.
+ * @returns {{ label: string, className: string } | null}
+ */
+const embedBadge = (result) => {
+    if (result.embeddable === null) {
+        return { label: "Checking…", className: "text-gray-400 animate-pulse" };
+    }
+    if (result.embeddable === false && !result.proxyUrl) {
+        return { label: "May not open here", className: "text-amber-700" };
+    }
+    return null;
+};
+
+/**
+ * Formats a `YYYY-MM-DD` date for display, e.g. "5 Mar 2024" (in the participant's locale).
+ * @param {string} date - The date.
+ * @returns {string}
+ */
+const formatDate = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, {
+    year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC',
+});
+
+/**
+ * One search result: its title and snippet, plus the elements the participant's condition switches on
+ * (see lib/serpFeatures.js) — display URL and favicon above the title, the publication date and the
+ * highlighted query terms in the snippet, a thumbnail, and the embeddability badge. The card details
+ * come from `result.card` (see lib/resultCards.js); elements without data are left out.
+ * The badge has a fixed width so it can appear or change without reflowing the title.
+ * Image search results (with `result.image`) are shown as an image tile with the title and site below.
+ *
+ * @param {object} props - The component props.
+ * @param {object} props.result - The result item.
+ * @param {Object<string, boolean>} [props.features] - Which card elements to show (defaults to `SERP_FEATURES`).
+ * @param {function({ background: boolean }): void} props.onOpen - Called when the title is clicked, with whether
+ *   the result should open in a background tab (Ctrl/Cmd or middle click).
+ */
+function ResultCard({ result, features = SERP_FEATURES, onOpen }) {
+    // Images that failed to load are hidden rather than shown broken.
+    const [faviconFailed, setFaviconFailed] = useState(false);
+    const [thumbnailFailed, setThumbnailFailed] = useState(false);
+    const card = result.card || {};
+    const badge = features.embedBadge ? embedBadge(result) : null;
+    const showFavicon = features.favicon && card.faviconUrl && !faviconFailed;
+    const showDisplayUrl = features.displayUrl && card.displayUrl;
+    const showDate = features.date && card.date;
+    const showThumbnail = features.thumbnail && card.thumbnailUrl && !thumbnailFailed;
+    // A leading date is removed from the card's snippet; keep the provider's snippet when dates are off.
+    const dateRemoved = card.snippet !== undefined && card.snippet !== (result.snippet || '');
+    const snippet = showDate ? card.snippet : result.snippet;
+    const highlighted = features.highlightedSnippet && card.snippetParts && (showDate || !dateRemoved);
+
+    // Clicks open the result in the embedded browser instead of following the link.
+    const linkHandlers = {
+        onClick: (e) => { e.preventDefault(); onOpen({ background: e.ctrlKey || e.metaKey }); },
+        // Middle click opens the result in a background tab, as in a regular browser.
+        onAuxClick: (e) => {
+            if (e.button === 1) { e.preventDefault(); onOpen({ background: true }); }
+        },
+    };
+
+    if (result.image) {
+        return (
+            <div className="min-w-0">
+                <a href={result.link} {...linkHandlers} className="block">
+                    <img
+                        src={result.image.thumbnail || result.image.src}
+                        alt={result.title}
+                        loading="lazy"
+                        referrerPolicy="no-referrer"
+                        className="w-full h-32 object-cover rounded bg-gray-100"
+                    />
+                    <span className="block mt-1 text-sm text-blue-700 hover:underline truncate">{result.title}</span>
+                </a>
+                <div className="flex items-center gap-1 text-xs text-gray-600">
+                    {showFavicon && (
+                        <img src={card.faviconUrl} alt="" width={12} height={12} loading="lazy" referrerPolicy="no-referrer"
+                            onError={() => setFaviconFailed(true)} className="w-3 h-3 shrink-0" />
+                    )}
+                    <span className="flex-1 truncate">{result.displayLink || card.displayUrl}</span>
+                    {badge && <span className={`shrink-0 ${badge.className}`}>{badge.label}</span>}
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="flex items-start gap-4">
+            <div className="flex-1 min-w-0">
+                {(showFavicon || showDisplayUrl) && (
+                    <div className="flex items-center gap-2 mb-1 text-sm text-gray-600">
+                        {showFavicon && (
+                            <img
+                                src={card.faviconUrl}
+                                alt=""
+                                width={16}
+                                height={16}
+                                loading="lazy"
+                                referrerPolicy="no-referrer"
+                                onError={() => setFaviconFailed(true)}
+                                className="w-4 h-4 shrink-0"
+                            />
+                        )}
+                        {showDisplayUrl && <span className="truncate">{card.displayUrl}</span>}
+                    </div>
+                )}
+                <div className="flex items-start gap-2">
+                    {/* Result Title - Link */}
+                    <a
+                        href={result.link} // The actual URL of the result.
+                        {...linkHandlers}
+                        className="flex-1 text-lg font-semibold text-blue-700 hover:underline cursor-pointer"
+                    >
+                        {result.title}
+                    </a>
+                    {features.embedBadge && (
+                        <span className={`w-32 shrink-0 pt-1 text-right text-xs ${badge?.className || ''}`}>{badge?.label}</span>
+                    )}
+                </div>
+                {/* Result Snippet */}
+                <p className="text-gray-700 text-sm mt-1">
+                    {showDate && <span className="text-gray-500">{formatDate(card.date)} — </span>}
+                    {highlighted
+                        ? card.snippetParts.map((part, index) => (part.highlight ? <b key={index}>{part.text}</b> : part.text))
+                        : snippet}
+                </p>
+            </div>
+            {showThumbnail && (
+                <img
+                    src={card.thumbnailUrl}
+                    alt=""
+                    loading="lazy"
+                    referrerPolicy="no-referrer"
+                    onError={() => setThumbnailFailed(true)}
+                    className="w-24 h-24 shrink-0 object-cover rounded"
+                />
+            )}
+        </div>
+    );
+}
+
+export default ResultCard;
@@ -1,8 +1,14 @@
 // components/SearchBar.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useId } from 'react';
+
+// How long typing must pause before suggestions are requested, in milliseconds.
+const SUGGEST_DELAY_MS = 150;
 
 /**
  * A reusable search bar component.
+ * When `fetchSuggestions` is given, query suggestions for what the participant typed appear in a dropdown
+ * below the input. Arrow keys move through them, Enter or a click picks one (and searches for it), and
+ * Escape closes the list.
  *
  * @param {object} props - The component props.
  * @param {function(string): void} props.onSearch - Callback function executed when a search is submitted. Passes the query string.
@@ -10,10 +16,21 @@ import React, { useState, useEffect } from 'react';
  * @param {string} [props.inputClass=""] - Optional CSS classes for the input element.
  * @param {string} [props.buttonClass=""] - Optional CSS classes for the button element.
  * @param {string} props.value - The current value of the search input (controlled component).
+ * @param {function(string, AbortSignal): Promise<{ suggestions: Array<string>, source: string }>} [props.fetchSuggestions] - Optional
+ *   function returning the suggestions for a prefix (see `/api/suggest`). Without it there is no dropdown.
+ * @param {function(string, object): void} [props.onSuggestionEvent] - Optional callback with `suggestion_shown` or
+ *   `suggestion_accept` and the event's fields (`suggestion`, `position`, `prefix`, `source`, `method`), see lib/events.js.
  */
-function SearchBar({ onSearch, containerClass = "", inputClass = "", buttonClass = "", value }) {
+function SearchBar({ onSearch, containerClass = "", inputClass = "", buttonClass = "", value, fetchSuggestions, onSuggestionEvent }) {
     // Local state to manage the input field's value. Initialized with the `value` prop.
     const [query, setQuery] = useState(value || '');
+    // The suggestions shown, with the prefix and source they came from. Empty when the dropdown is closed.
+    const [suggestions, setSuggestions] = useState({ items: [], prefix: '', source: null });
+    // Index of the suggestion highlighted with the arrow keys, or -1 for none.
+    const [highlighted, setHighlighted] = useState(-1);
+    // The suggestion request in flight and the pending (debounced) one, so typing further cancels them.
+    const requestRef = useRef({ controller: null, timer: null });
+    const listId = useId();
 
     // Effect to synchronize the local `query` state with the `value` prop from the parent.
     // This ensures the input updates if the parent component changes the query externally (e.g., clearing search).
@@ -21,28 +38,124 @@ function SearchBar({ onSearch, containerClass = "", inputClass = "", buttonClass
         setQuery(value || ''); // Update local state when the `value` prop changes.
     }, [value]); // Dependency array ensures this runs only when `value` changes.
 
+    /**
+     * Cancels any suggestion request and closes the dropdown.
+     */
+    const closeSuggestions = () => {
+        clearTimeout(requestRef.current.timer);
+        requestRef.current.controller?.abort();
+        setSuggestions({ items: [], prefix: '', source: null });
+        setHighlighted(-1);
+    };
+
+    // Cancel pending suggestion requests on unmount.
+    useEffect(() => () => {
+        clearTimeout(requestRef.current.timer);
+        requestRef.current.controller?.abort();
+    }, []);
+
+    /**
+     * Requests suggestions for a prefix once typing pauses, replacing any earlier request.
+     * Every suggestion of a new list is reported as shown.
+     * @param {string} prefix - What the participant typed.
+     */
+    const requestSuggestions = (prefix) => {
+        clearTimeout(requestRef.current.timer);
+        requestRef.current.controller?.abort();
+        if (!fetchSuggestions || !prefix.trim()) {
+            setSuggestions({ items: [], prefix: '', source: null });
+            setHighlighted(-1);
+            return;
+        }
+        requestRef.current.timer = setTimeout(async () => {
+            const controller = new AbortController();
+            requestRef.current.controller = controller;
+            try {
+                const { suggestions: items = [], source = null } = await fetchSuggestions(prefix, controller.signal);
+                if (controller.signal.aborted) return;
+                setSuggestions({ items, prefix, source });
+                setHighlighted(-1);
+                items.forEach((suggestion, index) => {
+                    onSuggestionEvent?.('suggestion_shown', { suggestion, position: index + 1, prefix, source });
+                });
+            } catch (error) {
+                // Suggestions are optional; a failed or cancelled request just shows none.
+                if (error.name !== 'AbortError') {
+                    console.warn("Suggestions failed:", error.message);
+                }
+            }
+        }, SUGGEST_DELAY_MS);
+    };
+
+    /**
+     * Picks a suggestion: fills it in, closes the dropdown and searches for it.
+     * @param {number} index - The suggestion's index in the list.
+     * @param {'keyboard' | 'mouse'} method - How it was picked.
+     */
+    const acceptSuggestion = (index, method) => {
+        const suggestion = suggestions.items[index];
+        onSuggestionEvent?.('suggestion_accept', {
+            suggestion, position: index + 1, prefix: suggestions.prefix, source: suggestions.source, method,
+        });
+        setQuery(suggestion);
+        closeSuggestions();
+        onSearch(suggestion);
+    };
+
     /**
      * Handles the form submission event.
      * Prevents the default form submission, trims the query,
      * and calls the `onSearch` callback if the query is not empty.
+     * A suggestion highlighted with the arrow keys is searched instead of the typed text.
      * @param {React.FormEvent<HTMLFormElement>} e - The form submission event object.
      */
     const handleSubmit = (e) => {
         e.preventDefault(); // Prevent default browser form submission (page reload).
+        if (highlighted >= 0) {
+            acceptSuggestion(highlighted, 'keyboard');
+            return;
+        }
+        closeSuggestions();
         // Check if the trimmed query is not empty before submitting.
         if (query.trim()) {
             onSearch(query); // Call the parent's search handler.
         }
     };
 
+    /**
+     * Moves through the suggestions with the arrow keys (wrapping around through the typed text) and closes them with Escape.
+     * @param {React.KeyboardEvent<HTMLInputElement>} e - The keydown event.
+     */
+    const handleKeyDown = (e) => {
+        const count = suggestions.items.length;
+        if (count === 0) return;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault(); // Keep the caret where it is.
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            // Positions run from -1 (the typed text) to count - 1.
+            setHighlighted(current => ((current + 1 + step + count + 1) % (count + 1)) - 1);
+        } else if (e.key === 'Escape') {
+            closeSuggestions();
+        }
+    };
+
+    const open = suggestions.items.length > 0;
+
     // Render the search form.
     return (
-        <form onSubmit={handleSubmit} className={`flex ${containerClass}`}>
+        <form onSubmit={handleSubmit} className={`relative flex ${containerClass}`}>
             <input
                 type="text"
                 value={query} // Bind input value to the local state.
-                onChange={(e) => setQuery(e.target.value)} // Update local state on input change.
+                onChange={(e) => { setQuery(e.target.value); requestSuggestions(e.target.value); }} // Update local state on input change.
+                onKeyDown={handleKeyDown}
+                onBlur={closeSuggestions}
                 placeholder="Enter search query..." // Placeholder text.
+                role="combobox"
+                aria-autocomplete="list"
+                aria-expanded={open}
+                aria-controls={listId}
+                aria-activedescendant={highlighted >= 0 ? `${listId}-${highlighted}` : undefined}
                 // Apply base classes and any custom classes passed via props.
                 className={`flex-grow p-2 border border-gray-300 focus:outline-none focus:ring-2 focus:ring-blue-500 ${inputClass}`}
             />
@@ -53,8 +166,30 @@ function SearchBar({ onSearch, containerClass = "", inputClass = "", buttonClass
             >
                 Search
             </button>
+            {open && (
+                <ul
+                    id={listId}
+                    role="listbox"
+                    className="absolute left-0 right-0 top-full z-50 mt-1 py-1 bg-white text-gray-900 text-left text-sm border border-gray-200 rounded-md shadow-lg"
+                >
+                    {suggestions.items.map((suggestion, index) => (
+                        <li
+                            key={suggestion}
+                            id={`${listId}-${index}`}
+                            role="option"
+                            aria-selected={index === highlighted}
+                            // mousedown fires before the input's blur, which would close the list first.
+                            onMouseDown={(e) => { e.preventDefault(); acceptSuggestion(index, 'mouse'); }}
+                            onMouseEnter={() => setHighlighted(index)}
+                            className={`px-3 py-1.5 cursor-pointer ${index === highlighted ? 'bg-blue-50' : ''}`}
+                        >
+                            {suggestion}
+                        </li>
+                    ))}
+                </ul>
+            )}
         </form>
     );
 }
 
-export default SearchBar;
\ No newline at end of file
+export default SearchBar;
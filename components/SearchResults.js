@@ -1,14 +1,125 @@
 // components/SearchResults.js
-import React from 'react';
+import React, { useEffect, useLayoutEffect, useRef } from 'react';
+import Pagination from './Pagination'; // Page links below the results
+import ResultCard from './ResultCard'; // One result's title, snippet and optional card elements
+
+// Minimum time the pointer must rest on a result before a hover is recorded, in milliseconds.
+const MIN_HOVER_MS = 200;
+// Fraction of a result that must be visible for it to count as an impression.
+const IMPRESSION_THRESHOLD = 0.5;
+// Duration of the animation that moves results to their new position when the ranking changes, in milliseconds.
+const MOVE_ANIMATION_MS = 300;
 
 /**
- * A component to display a list of search results.
+ * Returns a stable key for a result, so it keeps its DOM node (and hover/impression state) when the list is reordered.
+ * @param {object} result - The result item.
+ * @param {number} index - Its position, used only if it has no ID or link.
+ * @returns {string | number}
+ */
+const resultKey = (result, index) => result.resultId || result.cacheId || result.link || index;
+
+/**
+ * A component to display a list of search results, each as a `ResultCard`.
+ * Results may be streamed in: while a result's embeddability is being checked (`embeddable: null`)
+ * its card can show a "Checking…" badge, and when the final ranking reorders the list, results slide to
+ * their new positions instead of jumping.
  *
  * @param {object} props - The component props.
  * @param {Array<object> | null} props.results - An array of search result items from the API, or null/empty if no results. Each item should have `link`, `title`, `snippet`, and optionally `cacheId`.
- * @param {function(string): void} props.onResultClick - Callback function executed when a result link is clicked. Passes the result's URL.
+ * @param {function(object, number, { background: boolean }): void} props.onResultClick - Callback function executed when a result link is clicked.
+ *   Passes the result item, its 1-based rank, and whether it should open in a background tab (Ctrl/Cmd or middle click).
+ * @param {function(string, object): void} [props.onEvent] - Optional callback for interaction events: `result_impression` and `result_hover`, each with the result's 1-based `rank` and `url`.
+ * @param {import('../lib/resultPages').Pagination | null} [props.pagination] - The page shown, if the results are paged.
+ *   Ranks count from the start of the full ranking, so the first result on page 2 has rank 11.
+ * @param {function(number): void} [props.onPageChange] - Called with the 1-based number of the page to show.
+ * @param {Object<string, boolean>} [props.features] - The result card elements the participant's condition shows (see lib/serpFeatures.js).
+ * @param {string} [props.vertical] - The vertical searched (see lib/searchFilters.js); image results are laid out in a grid.
  */
-function SearchResults({ results, onResultClick }) {
+function SearchResults({ results, onResultClick, onEvent, pagination = null, onPageChange, features, vertical = 'web' }) {
+    // Rank of the result before the first one shown.
+    const rankOffset = pagination?.offset || 0;
+    // DOM nodes of the rendered results, indexed by position, for the impression observer.
+    const itemRefs = useRef([]);
+    // Start times of in-progress hovers, keyed by result index.
+    const hoverStarts = useRef({});
+    // Keep the latest callback in a ref so the observer isn't rebuilt on every render.
+    const onEventRef = useRef(onEvent);
+    onEventRef.current = onEvent;
+    // Results already counted as impressions, by key. The component is remounted for each page of results
+    // shown, so this counts impressions per page view even as streamed updates replace the result list.
+    const seenRef = useRef(new Set());
+    // Offsets of the rendered results by key, from the previous render, for the move animation.
+    const positionsRef = useRef(new Map());
+
+    // Effect to animate results to their new positions when the list is reordered (FLIP):
+    // each moved result starts at its old offset and transitions to the new one.
+    useLayoutEffect(() => {
+        if (!results) {
+            return;
+        }
+        const reduceMotion = typeof window !== 'undefined' && window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+        const positions = new Map();
+        results.forEach((result, index) => {
+            const node = itemRefs.current[index];
+            if (!node) return;
+            const key = resultKey(result, index);
+            const position = { left: node.offsetLeft, top: node.offsetTop };
+            positions.set(key, position);
+            const previous = positionsRef.current.get(key);
+            if (reduceMotion || positionsRef.current.size === 0) return;
+            if (previous === undefined) {
+                // Results new to the list fade in where they land.
+                node.animate?.([{ opacity: 0 }, { opacity: 1 }], { duration: MOVE_ANIMATION_MS, easing: 'ease-out' });
+            } else if (previous.left !== position.left || previous.top !== position.top) {
+                node.animate?.(
+                    [
+                        { transform: `translate(${previous.left - position.left}px, ${previous.top - position.top}px)` },
+                        { transform: 'translate(0, 0)' },
+                    ],
+                    { duration: MOVE_ANIMATION_MS, easing: 'ease-in-out' }
+                );
+            }
+        });
+        positionsRef.current = positions;
+    }, [results]);
+
+    // Effect to record one impression per result when it first becomes (mostly) visible.
+    // Re-runs whenever the list changes, so results that move into view are observed too.
+    useEffect(() => {
+        if (!results || results.length === 0 || typeof IntersectionObserver === 'undefined') {
+            return;
+        }
+
+        const seen = seenRef.current;
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                const index = Number(entry.target.dataset.index);
+                const key = resultKey(results[index], index);
+                if (entry.isIntersecting && !seen.has(key)) {
+                    seen.add(key);
+                    observer.unobserve(entry.target);
+                    onEventRef.current?.('result_impression', { rank: rankOffset + index + 1, url: results[index].link, resultId: results[index].resultId });
+                }
+            });
+        }, { threshold: IMPRESSION_THRESHOLD });
+
+        itemRefs.current.slice(0, results.length).forEach(node => node && observer.observe(node));
+        return () => observer.disconnect();
+    }, [results, rankOffset]);
+
+    /**
+     * Records the end of a hover over a result, if it lasted long enough to be deliberate.
+     * @param {number} index - The result's 0-based index.
+     */
+    const endHover = (index) => {
+        const start = hoverStarts.current[index];
+        delete hoverStarts.current[index];
+        const durationMs = start ? Date.now() - start : 0;
+        if (durationMs >= MIN_HOVER_MS) {
+            onEvent?.('result_hover', { rank: rankOffset + index + 1, url: results[index].link, resultId: results[index].resultId, durationMs });
+        }
+    };
+
     // Handle the case where there are no results or results haven't loaded yet.
     if (!results || results.length === 0) {
         return <div className="text-center mt-4 text-gray-600">No results found.</div>;
@@ -16,28 +127,32 @@ function SearchResults({ results, onResultClick }) {
 
     // Render the list of results.
     return (
-        <div className="space-y-4"> {/* Add vertical spacing between result items */}
+        <div>
+            {/* Results are listed with vertical spacing, or in a grid for image search */}
+            <div className={vertical === 'images' ? "grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-4" : "space-y-4"}>
             {/* Map over the results array to render each result item */}
             {results.map((result, index) => (
-                // Use result.cacheId if available, otherwise fallback to index as key.
+                // Key by result, so reordered results keep their DOM nodes.
                 // Add styling for each result block.
-                <div key={result.cacheId || index} className="bg-white p-4 rounded shadow hover:shadow-md transition-shadow">
-                    {/* Result Title - Link */}
-                    <a
-                        href={result.link} // The actual URL of the result.
-                        // Prevent default link navigation and call the onResultClick handler instead.
-                        onClick={(e) => { e.preventDefault(); onResultClick(result.link); }}
-                        // Styling for the link.
-                        className="text-lg font-semibold text-blue-700 hover:underline cursor-pointer"
-                    >
-                        {result.title} {/* Display the result title */}
-                    </a>
-                    {/* Result Snippet */}
-                    <p className="text-gray-700 text-sm mt-1">{result.snippet}</p> {/* Display the result snippet */}
+                <div
+                    key={resultKey(result, index)}
+                    ref={(node) => { itemRefs.current[index] = node; }}
+                    data-index={index}
+                    onMouseEnter={() => { hoverStarts.current[index] = Date.now(); }}
+                    onMouseLeave={() => endHover(index)}
+                    className="bg-white p-4 rounded shadow hover:shadow-md transition-shadow"
+                >
+                    <ResultCard
+                        result={result}
+                        features={features}
+                        onOpen={(options) => onResultClick(result, rankOffset + index + 1, options)}
+                    />
                 </div>
             ))}
+            </div>
+            {pagination && onPageChange && <Pagination pagination={pagination} onPageChange={onPageChange} />}
         </div>
     );
 }
 
-export default SearchResults;
\ No newline at end of file
+export default SearchResults;
@@ -0,0 +1,115 @@
+// components/SearchToolbar.js
+import React, { useState, useEffect } from 'react';
+import {
+    DATE_RANGES, DEFAULT_FILTERS, SAFE_SEARCH_LEVELS, SEARCH_LANGUAGES, SEARCH_VERTICALS,
+} from '../lib/searchFilters'; // Verticals and filters
+
+/**
+ * The toolbar below the search bar: vertical tabs (All, Images, News) and search tools (date range,
+ * language, SafeSearch and a site restriction). Only the verticals and filters the search provider
+ * supports are offered. Every change is reported at once, so the current query can be searched again.
+ *
+ * @param {object} props - The component props.
+ * @param {import('../lib/searchFilters').SearchFilters} props.filters - The current filters.
+ * @param {import('../lib/searchProviders').ProviderCapabilities} [props.capabilities] - What the provider supports.
+ * @param {function(import('../lib/searchFilters').SearchFilters): void} props.onChange - Called with the new filters.
+ */
+function SearchToolbar({ filters, capabilities = { verticals: ['web'], filters: [] }, onChange }) {
+    // Whether the participant opened the search tools row. It is always shown while a tool is in use.
+    const [toolsOpen, setToolsOpen] = useState(false);
+    // The site restriction being typed; applied on submit.
+    const [site, setSite] = useState(filters.site || '');
+
+    // Keep the site field in sync when the filters are changed from elsewhere (e.g. cleared).
+    useEffect(() => {
+        setSite(filters.site || '');
+    }, [filters.site]);
+
+    const supports = (name) => capabilities.filters.includes(name);
+    const toolsInUse = ['dateRange', 'site', 'language', 'safeSearch'].some(name => filters[name] !== DEFAULT_FILTERS[name]);
+
+    /**
+     * Reports a change to one filter.
+     * @param {string} name - The filter.
+     * @param {any} value - Its new value.
+     */
+    const update = (name, value) => onChange({ ...filters, [name]: value });
+
+    const selectClass = "border border-gray-300 rounded px-2 py-1 text-sm bg-white";
+
+    return (
+        <div className="mb-4 border-b border-gray-200">
+            <div className="flex items-center gap-4 text-sm">
+                {capabilities.verticals.length > 1 && capabilities.verticals.map(vertical => (
+                    <button
+                        key={vertical}
+                        onClick={() => update('vertical', vertical)}
+                        aria-pressed={filters.vertical === vertical}
+                        className={filters.vertical === vertical
+                            ? "pb-2 border-b-2 border-blue-600 text-blue-700 font-medium"
+                            : "pb-2 border-b-2 border-transparent text-gray-600 hover:text-gray-900"}
+                    >
+                        {SEARCH_VERTICALS[vertical]}
+                    </button>
+                ))}
+                {capabilities.filters.length > 0 && (
+                    <button
+                        onClick={() => setToolsOpen(open => !open)}
+                        aria-expanded={toolsOpen || toolsInUse}
+                        className="pb-2 ml-auto text-gray-600 hover:text-gray-900"
+                    >
+                        Tools
+                    </button>
+                )}
+            </div>
+
+            {(toolsOpen || toolsInUse) && (
+                <div className="flex flex-wrap items-center gap-2 py-2">
+                    {supports('dateRange') && (
+                        <select value={filters.dateRange} onChange={(e) => update('dateRange', e.target.value)} className={selectClass} aria-label="Date range">
+                            {Object.entries(DATE_RANGES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                        </select>
+                    )}
+                    {supports('language') && (
+                        <select value={filters.language || ''} onChange={(e) => update('language', e.target.value || null)} className={selectClass} aria-label="Language">
+                            <option value="">Any language</option>
+                            {Object.entries(SEARCH_LANGUAGES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                        </select>
+                    )}
+                    {supports('safeSearch') && (
+                        <select value={filters.safeSearch || ''} onChange={(e) => update('safeSearch', e.target.value || null)} className={selectClass} aria-label="SafeSearch">
+                            <option value="">SafeSearch: default</option>
+                            {Object.entries(SAFE_SEARCH_LEVELS).map(([value, label]) => <option key={value} value={value}>SafeSearch: {label}</option>)}
+                        </select>
+                    )}
+                    {supports('site') && (
+                        <form
+                            onSubmit={(e) => { e.preventDefault(); update('site', site.trim() || null); }}
+                            className="flex items-center gap-1"
+                        >
+                            <input
+                                type="text"
+                                value={site}
+                                onChange={(e) => setSite(e.target.value)}
+                                placeholder="Site, e.g. example.com"
+                                aria-label="Restrict to site"
+                                className="border border-gray-300 rounded px-2 py-1 text-sm"
+                            />
+                            <button type="submit" className="px-2 py-1 text-sm text-blue-700 hover:underline">Apply</button>
+                        </form>
+                    )}
+                    {toolsInUse && (
+                        <button
+                            onClick={() => onChange({ ...DEFAULT_FILTERS, vertical: filters.vertical })}
+                            className="px-2 py-1 text-sm text-gray-600 hover:underline"
+                        >
+                            Clear
+                        </button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default SearchToolbar;
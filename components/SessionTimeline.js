@@ -0,0 +1,93 @@
+// components/SessionTimeline.js
+import React from 'react';
+
+/**
+ * Formats a duration in seconds for display, e.g. `75.2` -> `1m 15s`.
+ * @param {number} seconds - The duration in seconds.
+ * @returns {string} - The formatted duration.
+ */
+const formatDuration = (seconds) => {
+    if (!seconds) return '0s';
+    const minutes = Math.floor(seconds / 60);
+    const rest = Math.round(seconds % 60);
+    return minutes > 0 ? `${minutes}m ${rest}s` : `${rest}s`;
+};
+
+/**
+ * Renders a session as a vertical timeline interleaving searches and clicks.
+ * Each click shows a dwell-time bar scaled against the longest click in the session,
+ * the query that led to it, and the pages visited within it.
+ *
+ * @param {object} props - The component props.
+ * @param {Array<object>} props.timeline - Timeline entries from `/api/admin/sessions/[sessionId]`, oldest first.
+ */
+function SessionTimeline({ timeline }) {
+    if (!timeline || timeline.length === 0) {
+        return <div className="text-center mt-4 text-gray-600">No searches or clicks recorded.</div>;
+    }
+
+    // Scale dwell bars relative to the longest click so short and long visits are comparable at a glance.
+    const maxDuration = Math.max(1, ...timeline.filter(entry => entry.type === 'click').map(entry => entry.duration));
+    const sessionStart = new Date(timeline[0].time);
+
+    return (
+        <ol className="relative border-l-2 border-gray-300 ml-3 space-y-4">
+            {timeline.map((entry, index) => {
+                // Offset from the first event, shown alongside the wall-clock time.
+                const offsetSeconds = (new Date(entry.time) - sessionStart) / 1000;
+                return (
+                    <li key={index} className="ml-4">
+                        {/* Dot marking the event on the timeline line */}
+                        <span className={`absolute -left-2 mt-1.5 w-3.5 h-3.5 rounded-full ${entry.type === 'search' ? 'bg-blue-600' : 'bg-green-500'}`} />
+                        <div className="text-xs text-gray-500">
+                            {new Date(entry.time).toLocaleTimeString()} (+{formatDuration(offsetSeconds)})
+                        </div>
+                        {entry.type === 'search' ? (
+                            <div className="bg-white p-3 rounded shadow">
+                                <span className="font-semibold text-blue-700">Search:</span> {entry.query}
+                                {entry.appliedRules?.length > 0 && (
+                                    <div className="text-xs text-purple-700 mt-1">
+                                        Manipulated: {entry.appliedRules.map(rule => rule.id || rule.type).join(', ')}
+                                    </div>
+                                )}
+                            </div>
+                        ) : (
+                            <div className="bg-white p-3 rounded shadow">
+                                <div className="truncate">
+                                    <span className="font-semibold text-green-700">Click{entry.rank ? ` #${entry.rank}` : ''}:</span>{' '}
+                                    <a href={entry.url} target="_blank" rel="noopener noreferrer">{entry.title || entry.url}</a>
+                                </div>
+                                {entry.searchQuery && (
+                                    <div className="text-xs text-gray-600">from query "{entry.searchQuery}"</div>
+                                )}
+                                {/* Browsing path within the click (proxied pages only) */}
+                                {entry.navigations?.length > 0 && (
+                                    <ol className="mt-2 ml-4 list-decimal text-xs text-gray-700">
+                                        {entry.navigations.map((navigation, navigationIndex) => (
+                                            <li key={navigationIndex} className="truncate">
+                                                <a href={navigation.url} target="_blank" rel="noopener noreferrer">{navigation.title || navigation.url}</a>
+                                                {' '}({formatDuration(navigation.duration)})
+                                            </li>
+                                        ))}
+                                    </ol>
+                                )}
+                                {/* Dwell-time bar */}
+                                <div className="flex items-center gap-2 mt-2">
+                                    <div className="flex-grow bg-gray-200 rounded h-2">
+                                        <div
+                                            className="bg-green-500 h-2 rounded"
+                                            style={{ width: `${(entry.duration / maxDuration) * 100}%` }}
+                                        />
+                                    </div>
+                                    <span className="text-xs text-gray-700 w-16 text-right">{formatDuration(entry.duration)}</span>
+                                </div>
+                            </div>
+                        )}
+                    </li>
+                );
+            })}
+        </ol>
+    );
+}
+
+export default SessionTimeline;
@@ -0,0 +1,64 @@
+// components/TaskPrompt.js
+import React, { useState, useEffect } from 'react';
+
+/**
+ * Formats a number of seconds as m:ss.
+ * @param {number} seconds - The seconds.
+ * @returns {string}
+ */
+const formatTime = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+/**
+ * Banner kept on screen during a task step of the task flow (see lib/taskFlow.js): the task prompt,
+ * the time left if the task has a time limit, and the button that finishes the task. The button
+ * stays disabled until the task's minimum time has passed.
+ *
+ * @param {object} props - The component props.
+ * @param {import('../lib/taskFlow').FlowStep} props.step - The task step.
+ * @param {number} props.startedAt - When the participant started the task (ms since the epoch, page clock).
+ * @param {number | null} props.deadline - When the task's time is up (ms since the epoch, page clock), or null without a limit.
+ * @param {function(): void} props.onFinish - Called when the participant finishes the task.
+ * @param {boolean} props.submitting - Whether the task is being finished.
+ * @param {string | null} [props.error] - Why finishing the task failed, if it did.
+ */
+function TaskPrompt({ step, startedAt, deadline, onFinish, submitting, error }) {
+    // The current time, ticking every second for the countdown.
+    const [now, setNow] = useState(() => Date.now());
+
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, []);
+
+    const remaining = deadline !== null ? Math.max(0, Math.ceil((deadline - now) / 1000)) : null;
+    const untilFinish = step.minTimeSeconds ? Math.max(0, Math.ceil((startedAt + step.minTimeSeconds * 1000 - now) / 1000)) : 0;
+
+    return (
+        <div className="bg-yellow-50 border-b border-yellow-200 px-4 py-2">
+            <div className="container flex flex-wrap items-center gap-4">
+                <p className="flex-grow min-w-0 text-sm sm:text-base text-gray-800 whitespace-pre-line">
+                    {step.prompt ? <><span className="font-semibold">Your task:</span> {step.prompt}</> : 'Search for as long as you need.'}
+                </p>
+                {remaining !== null && (
+                    <span
+                        className={`font-mono text-sm ${remaining <= 60 ? 'text-red-600 font-semibold' : 'text-gray-700'}`}
+                        aria-label="Time left"
+                    >
+                        {formatTime(remaining)}
+                    </span>
+                )}
+                <button
+                    onClick={onFinish}
+                    disabled={submitting || untilFinish > 0}
+                    title={untilFinish > 0 ? `Available in ${formatTime(untilFinish)}` : undefined}
+                    className="px-4 py-1 rounded bg-blue-600 hover:bg-blue-700 text-white text-sm disabled:opacity-50"
+                >
+                    {untilFinish > 0 ? `Finish task (${formatTime(untilFinish)})` : 'Finish task'}
+                </button>
+            </div>
+            {error && <p className="container text-sm text-red-600 mt-1" role="alert">{error}</p>}
+        </div>
+    );
+}
+
+export default TaskPrompt;
@@ -0,0 +1,91 @@
+// lib/adminAuth.js
+import crypto from 'crypto';
+
+// Name of the HttpOnly cookie that keeps a researcher logged in to the dashboard.
+export const ADMIN_COOKIE = 'admin_session';
+// How long a dashboard login lasts (12 hours).
+const ADMIN_SESSION_MAX_AGE_SECONDS = 12 * 60 * 60;
+
+/**
+ * Compares two strings in constant time to avoid leaking the token through timing.
+ *
+ * @param {string} a - First string.
+ * @param {string} b - Second string.
+ * @returns {boolean} - `true` if both strings are equal.
+ */
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+/**
+ * Derives the dashboard cookie value from the admin token, so the raw token
+ * never sits in the browser's cookie jar. Rotating `ADMIN_API_TOKEN` logs everyone out.
+ *
+ * @param {string} token - The configured `ADMIN_API_TOKEN`.
+ * @returns {string} - The expected cookie value.
+ */
+const sessionValue = (token) =>
+  crypto.createHmac('sha256', token).update('admin-session').digest('hex');
+
+/**
+ * Checks a candidate admin token against `ADMIN_API_TOKEN`.
+ *
+ * @function isValidAdminToken
+ * @param {string} token - The token supplied by the researcher.
+ * @returns {boolean} - `true` if the token is correct.
+ */
+export function isValidAdminToken(token) {
+  const expected = process.env.ADMIN_API_TOKEN;
+  return Boolean(expected && token && safeEqual(token, expected));
+}
+
+/**
+ * Sets (or, with `null`, clears) the dashboard login cookie on a response.
+ *
+ * @function setAdminCookie
+ * @param {import('next').NextApiResponse} res - The outgoing API response object.
+ * @param {string | null} token - The validated admin token, or `null` to log out.
+ */
+export function setAdminCookie(res, token) {
+  const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+  const value = token ? sessionValue(token) : '';
+  const maxAge = token ? ADMIN_SESSION_MAX_AGE_SECONDS : 0;
+  res.setHeader('Set-Cookie', `${ADMIN_COOKIE}=${value}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}${secure}`);
+}
+
+/**
+ * Guards researcher-only API routes. Requests must carry the `ADMIN_API_TOKEN`
+ * as a bearer token (`Authorization: Bearer <token>`), or the dashboard login cookie
+ * set by `/api/admin/login`.
+ * Sends a 401/500 response itself when the check fails.
+ *
+ * @function requireAdmin
+ * @param {import('next').NextApiRequest} req - The incoming API request object.
+ * @param {import('next').NextApiResponse} res - The outgoing API response object.
+ * @returns {boolean} - `true` if the request is authorized and the handler may continue.
+ */
+export function requireAdmin(req, res) {
+  const expected = process.env.ADMIN_API_TOKEN;
+  if (!expected) {
+    console.error('Admin Auth Error: ADMIN_API_TOKEN is not configured.');
+    res.status(500).json({ error: "Server configuration error: admin access is not configured." });
+    return false;
+  }
+
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+  if (token && isValidAdminToken(token)) {
+    return true;
+  }
+
+  // Next.js parses cookies onto `req.cookies` for API routes.
+  const cookie = req.cookies?.[ADMIN_COOKIE];
+  if (cookie && safeEqual(cookie, sessionValue(expected))) {
+    return true;
+  }
+
+  res.status(401).json({ error: "Unauthorized" });
+  return false;
+}
@@ -0,0 +1,163 @@
+// lib/browserTabs.js
+// Client-side tab and history model for the embedded browser. All functions are pure:
+// they return updated tab objects and never mutate their input.
+import { buildProxyUrl } from './proxyAgent';
+
+/**
+ * @typedef {object} HistoryEntry
+ * @property {string} url - The page's original URL, as shown in the address bar.
+ * @property {string} src - What the iframe loads for it: the URL itself, or its proxy URL.
+ * @property {string | null} title - The page title, if reported by the proxy's tracking agent.
+ */
+
+/**
+ * @typedef {object} BrowserTab
+ * @property {string} id - The tab ID (the eventId of the click that opened it).
+ * @property {Array<HistoryEntry>} entries - The tab's history, oldest first.
+ * @property {number} index - Position of the current entry in `entries`.
+ * @property {string} frameSrc - The iframe's `src`. Only changes when the tab itself loads a page,
+ *   not when the page navigates on its own, so in-page navigations don't trigger a reload.
+ * @property {number} loadKey - Incremented on every load the tab starts; used as the iframe's key.
+ * @property {boolean} pendingLoad - Whether the next reported page view is the result of that load.
+ * @property {boolean} proxied - Whether the tab loads pages through the reverse proxy.
+ * @property {import('./proxyAgent').ProxyAccess | null} proxyAccess - The participant its proxy URLs are built for.
+ */
+
+/**
+ * Returns the iframe source for a URL in a tab.
+ *
+ * @param {string} url - The page URL.
+ * @param {BrowserTab} tab - The tab.
+ * @returns {string}
+ */
+const toSrc = (url, tab) => (tab.proxied ? buildProxyUrl(url, tab.proxyAccess) : url);
+
+/**
+ * Starts loading a tab's entry at `index`.
+ *
+ * @param {BrowserTab} tab - The tab.
+ * @param {number} index - The entry to load.
+ * @returns {BrowserTab}
+ */
+const loadEntry = (tab, index) => ({
+  ...tab,
+  index,
+  frameSrc: tab.entries[index].src,
+  loadKey: tab.loadKey + 1,
+  pendingLoad: true,
+});
+
+/**
+ * Creates a tab showing one page.
+ *
+ * @function createTab
+ * @param {{ id: string, url: string, src?: string, title?: string | null, proxied?: boolean,
+ *   proxyAccess?: import('./proxyAgent').ProxyAccess | null }} options - The tab ID and first page, and for proxied
+ *   tabs the participant their proxy URLs are built for.
+ * @returns {BrowserTab}
+ */
+export function createTab({ id, url, src, title = null, proxied = false, proxyAccess = null }) {
+  const entry = { url, src: src || toSrc(url, { proxied, proxyAccess }), title };
+  return { id, entries: [entry], index: 0, frameSrc: entry.src, loadKey: 0, pendingLoad: true, proxied, proxyAccess };
+}
+
+/**
+ * Returns a tab's current history entry.
+ *
+ * @function currentEntry
+ * @param {BrowserTab} tab - The tab.
+ * @returns {HistoryEntry}
+ */
+export function currentEntry(tab) {
+  return tab.entries[tab.index];
+}
+
+/**
+ * Opens a URL in a tab (e.g. from the address bar), dropping any forward history.
+ *
+ * @function navigateTab
+ * @param {BrowserTab} tab - The tab.
+ * @param {string} url - The URL to open.
+ * @returns {BrowserTab}
+ */
+export function navigateTab(tab, url) {
+  const entries = [...tab.entries.slice(0, tab.index + 1), { url, src: toSrc(url, tab), title: null }];
+  return loadEntry({ ...tab, entries }, entries.length - 1);
+}
+
+/**
+ * Moves back (`-1`) or forward (`1`) in a tab's history. Returns the tab unchanged at either end.
+ *
+ * @function stepTab
+ * @param {BrowserTab} tab - The tab.
+ * @param {number} delta - `-1` for back, `1` for forward.
+ * @returns {BrowserTab}
+ */
+export function stepTab(tab, delta) {
+  const index = tab.index + delta;
+  if (index < 0 || index >= tab.entries.length) {
+    return tab;
+  }
+  return loadEntry(tab, index);
+}
+
+/**
+ * Reloads a tab's current page.
+ *
+ * @function reloadTab
+ * @param {BrowserTab} tab - The tab.
+ * @returns {BrowserTab}
+ */
+export function reloadTab(tab) {
+  return loadEntry(tab, tab.index);
+}
+
+/**
+ * Updates a tab's history from a page view reported by the proxy's tracking agent.
+ * A page view answering the tab's own load updates the current entry (its URL may differ
+ * after redirects); any other page view is a link followed inside the page and becomes
+ * a new entry, dropping forward history.
+ *
+ * @function recordPageView
+ * @param {BrowserTab} tab - The tab.
+ * @param {string} url - The reported page URL.
+ * @param {string | null} title - The reported page title.
+ * @returns {BrowserTab}
+ */
+export function recordPageView(tab, url, title) {
+  const entry = { url, src: toSrc(url, tab), title };
+  if (tab.pendingLoad || currentEntry(tab).url === url) {
+    const entries = tab.entries.map((existing, index) => (index === tab.index ? entry : existing));
+    return { ...tab, entries, pendingLoad: false };
+  }
+  const entries = [...tab.entries.slice(0, tab.index + 1), entry];
+  return { ...tab, entries, index: entries.length - 1 };
+}
+
+/**
+ * Interprets address bar input: full http(s) URLs are used as-is, host-like input
+ * ("example.com/page") gets `https://`, and anything else is treated as a search query.
+ *
+ * @function parseAddress
+ * @param {string} input - The address bar text.
+ * @returns {{ url?: string, query?: string }} - The URL to open, or the query to search for.
+ */
+export function parseAddress(input) {
+  const text = input.trim();
+  if (!text) {
+    return {};
+  }
+  const hasScheme = /^[a-z][a-z0-9+.-]*:/i.test(text);
+  const candidate = hasScheme ? text : (/^[^\s/]+\.[^\s/]{2,}(\/\S*)?$/.test(text) ? `https://${text}` : null);
+  if (candidate) {
+    try {
+      const url = new URL(candidate);
+      if (url.protocol === 'http:' || url.protocol === 'https:') {
+        return { url: url.href };
+      }
+    } catch (e) {
+      // Not a URL after all; search for it.
+    }
+  }
+  return { query: text };
+}
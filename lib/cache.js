@@ -0,0 +1,134 @@
+// lib/cache.js
+import { connectToDatabase } from './mongodb';
+
+// Name of the MongoDB collection holding cache entries.
+const CACHE_COLLECTION = 'SearchCache';
+// After a failed MongoDB operation, skip MongoDB for this long and use memory only.
+// Prevents every request from waiting on the server selection timeout while the database is down.
+const MONGO_RETRY_AFTER_MS = 60 * 1000;
+// Upper bound on in-memory entries; the oldest entries are evicted first.
+const MAX_MEMORY_ENTRIES = 5000;
+
+/**
+ * Global in-memory fallback store and MongoDB status flags, cached on `global`
+ * (like the connection in lib/mongodb.js) so they survive development hot-reloads.
+ * @type {{ entries: Map<string, { value: any, expiresAt: number }>, indexEnsured: boolean, mongoDownUntil: number }}
+ */
+let memory = global.appCache;
+
+if (!memory) {
+  memory = global.appCache = { entries: new Map(), indexEnsured: false, mongoDownUntil: 0 };
+}
+
+/**
+ * Returns the cache collection, creating its TTL index on first use.
+ * Returns `null` if MongoDB is unavailable (not configured, or recently failed).
+ *
+ * @async
+ * @returns {Promise<import('mongodb').Collection | null>}
+ */
+async function getCollection() {
+  if (Date.now() < memory.mongoDownUntil) {
+    return null;
+  }
+  try {
+    const { db } = await connectToDatabase();
+    const collection = db.collection(CACHE_COLLECTION);
+    if (!memory.indexEnsured) {
+      // Let MongoDB remove expired entries on its own.
+      await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+      await collection.createIndex({ namespace: 1, key: 1 }, { unique: true });
+      memory.indexEnsured = true;
+    }
+    return collection;
+  } catch (e) {
+    console.warn('Cache: MongoDB unavailable, falling back to in-memory cache:', e.message);
+    memory.mongoDownUntil = Date.now() + MONGO_RETRY_AFTER_MS;
+    return null;
+  }
+}
+
+/**
+ * Reads a value from the cache.
+ * MongoDB is consulted first; the in-memory store is used when MongoDB is unavailable.
+ *
+ * @async
+ * @function getCached
+ * @param {string} namespace - Logical cache name (e.g. 'search', 'embeddability').
+ * @param {string} key - The entry key within the namespace.
+ * @returns {Promise<any | undefined>} - The cached value, or `undefined` on a miss or expired entry.
+ */
+export async function getCached(namespace, key) {
+  const collection = await getCollection();
+  if (collection) {
+    try {
+      // The TTL monitor only runs periodically, so check expiry explicitly as well.
+      const doc = await collection.findOne({ namespace, key, expiresAt: { $gt: new Date() } });
+      return doc ? doc.value : undefined;
+    } catch (e) {
+      console.warn(`Cache: MongoDB read failed for ${namespace}:${key}:`, e.message);
+      memory.mongoDownUntil = Date.now() + MONGO_RETRY_AFTER_MS;
+    }
+  }
+
+  const entry = memory.entries.get(`${namespace}:${key}`);
+  if (!entry) {
+    return undefined;
+  }
+  if (entry.expiresAt <= Date.now()) {
+    memory.entries.delete(`${namespace}:${key}`);
+    return undefined;
+  }
+  return entry.value;
+}
+
+/**
+ * Writes a value to the cache with a time-to-live.
+ * The value is written to MongoDB when available, otherwise to the in-memory store.
+ * Failures are logged and swallowed: caching must never break the request that triggered it.
+ *
+ * @async
+ * @function setCached
+ * @param {string} namespace - Logical cache name (e.g. 'search', 'embeddability').
+ * @param {string} key - The entry key within the namespace.
+ * @param {any} value - The value to store. Must be BSON/JSON serializable.
+ * @param {number} ttlSeconds - How long the entry stays valid, in seconds.
+ * @returns {Promise<void>}
+ */
+export async function setCached(namespace, key, value, ttlSeconds) {
+  const expiresAt = Date.now() + ttlSeconds * 1000;
+
+  const collection = await getCollection();
+  if (collection) {
+    try {
+      await collection.updateOne(
+        { namespace, key },
+        { $set: { value, expiresAt: new Date(expiresAt), cachedAt: new Date() } },
+        { upsert: true }
+      );
+      return;
+    } catch (e) {
+      console.warn(`Cache: MongoDB write failed for ${namespace}:${key}:`, e.message);
+      memory.mongoDownUntil = Date.now() + MONGO_RETRY_AFTER_MS;
+    }
+  }
+
+  memory.entries.delete(`${namespace}:${key}`); // Re-insert so the entry counts as newest.
+  memory.entries.set(`${namespace}:${key}`, { value, expiresAt });
+  // Maps iterate in insertion order, so the first key is the oldest entry.
+  while (memory.entries.size > MAX_MEMORY_ENTRIES) {
+    memory.entries.delete(memory.entries.keys().next().value);
+  }
+}
+
+/**
+ * Normalizes a search query for use as a cache key, so that trivially different
+ * spellings ("Climate  Change " vs "climate change") share one entry.
+ *
+ * @function normalizeQuery
+ * @param {string} query - The raw search query.
+ * @returns {string} - The normalized query.
+ */
+export function normalizeQuery(query) {
+  return query.trim().toLowerCase().replace(/\s+/g, ' ');
+}
@@ -0,0 +1,249 @@
+// lib/domainLists.js
+import { connectToDatabase } from './mongodb';
+
+// Name of the MongoDB collection holding per-study and per-condition domain lists.
+const DOMAIN_LISTS_COLLECTION = 'DomainLists';
+
+/**
+ * Domain lists configured for a study, or for one of its conditions:
+ * - `allow`: pages treated as embeddable without probing (reason `allowlist`), e.g. sites whose
+ *   servers reject the probe but frame fine, or sites on the built-in blacklist that do embed.
+ * - `block`: pages treated as not embeddable without probing (reason `blocklist`).
+ * - `hide`: results removed from the participant's results entirely.
+ *
+ * Entries are patterns (see `parseDomainPattern`):
+ * - `*.example.com`: any subdomain of example.com, but not example.com itself.
+ * - `example.com` or `bbc.co.uk`, a registrable domain: the domain and all of its subdomains.
+ * - `news.example.com`, a longer host name: that exact host.
+ * - `=example.com`: exactly that host, even when it is a registrable domain.
+ *
+ * @typedef {object} DomainLists
+ * @property {Array<string>} allow - Patterns of pages treated as embeddable.
+ * @property {Array<string>} block - Patterns of pages treated as not embeddable.
+ * @property {Array<string>} hide - Patterns of results hidden from participants.
+ */
+
+// The list names a `DomainLists` document can have.
+export const LIST_NAMES = ['allow', 'block', 'hide'];
+
+// Public suffixes with more than one label that are common in search results. Without a full
+// Public Suffix List, registrable domains under other multi-label suffixes are approximated as
+// the last two labels; use `*.` or `=` patterns for those.
+const MULTI_LABEL_SUFFIXES = new Set([
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'ltd.uk', 'plc.uk', 'me.uk', 'nhs.uk', 'police.uk',
+  'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au', 'co.nz', 'org.nz', 'govt.nz', 'ac.nz',
+  'co.jp', 'ne.jp', 'or.jp', 'ac.jp', 'go.jp', 'co.kr', 'or.kr', 'ac.kr', 'go.kr',
+  'com.br', 'gov.br', 'org.br', 'com.mx', 'gob.mx', 'com.ar', 'gob.ar', 'com.co', 'gov.co',
+  'co.in', 'gov.in', 'ac.in', 'nic.in', 'com.cn', 'gov.cn', 'edu.cn', 'org.cn', 'com.hk', 'gov.hk',
+  'com.sg', 'gov.sg', 'edu.sg', 'com.tw', 'gov.tw', 'com.tr', 'gov.tr', 'co.za', 'gov.za', 'ac.za',
+  'co.il', 'gov.il', 'ac.il', 'com.ua', 'gov.ua', 'com.pl', 'gov.pl', 'co.at', 'gv.at', 'ac.at',
+]);
+
+/**
+ * Returns the registrable domain (eTLD+1) of a host name, e.g. `bbc.co.uk` for `www.bbc.co.uk`.
+ * IP addresses and single-label hosts are returned unchanged.
+ *
+ * @function getRegistrableDomain
+ * @param {string} host - The host name.
+ * @returns {string}
+ */
+export function getRegistrableDomain(host) {
+  const labels = host.toLowerCase().replace(/\.$/, '').split('.');
+  if (labels.length <= 2 || /^[\d.]+$/.test(host) || host.includes(':')) {
+    return labels.join('.');
+  }
+  const suffixLength = MULTI_LABEL_SUFFIXES.has(labels.slice(-2).join('.')) ? 2 : 1;
+  return labels.slice(-(suffixLength + 1)).join('.');
+}
+
+/**
+ * Parses a list entry into a matcher description.
+ *
+ * @function parseDomainPattern
+ * @param {string} pattern - The list entry.
+ * @returns {{ type: 'exact' | 'domain' | 'wildcard', host: string } | null} - The matcher, or null if the entry is malformed.
+ */
+export function parseDomainPattern(pattern) {
+  if (typeof pattern !== 'string') {
+    return null;
+  }
+  const value = pattern.trim().toLowerCase().replace(/\.$/, '');
+  const [, prefix = '', host] = /^(=|\*\.)?(.*)$/.exec(value);
+  // Host names only: no schemes, paths, ports or further wildcards.
+  if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(host)) {
+    return null;
+  }
+  if (prefix === '*.') return { type: 'wildcard', host };
+  if (prefix === '=') return { type: 'exact', host };
+  return { type: getRegistrableDomain(host) === host ? 'domain' : 'exact', host };
+}
+
+/**
+ * Checks whether a host matches a list entry.
+ *
+ * @function matchesDomainPattern
+ * @param {string} host - The host name to check.
+ * @param {string} pattern - The list entry.
+ * @returns {boolean}
+ */
+export function matchesDomainPattern(host, pattern) {
+  const matcher = parseDomainPattern(pattern);
+  if (!matcher) {
+    return false;
+  }
+  const hostname = host.toLowerCase().replace(/\.$/, '');
+  switch (matcher.type) {
+    case 'wildcard':
+      return hostname.endsWith(`.${matcher.host}`);
+    case 'domain':
+      return hostname === matcher.host || hostname.endsWith(`.${matcher.host}`);
+    default:
+      return hostname === matcher.host;
+  }
+}
+
+/**
+ * Finds the list a URL falls under. `hide` takes precedence over `block`, and `block` over `allow`.
+ *
+ * @function classifyUrl
+ * @param {string} url - The result URL.
+ * @param {DomainLists} lists - The effective domain lists.
+ * @returns {'hide' | 'block' | 'allow' | null} - The matching list, or null if none matches (or the URL is invalid).
+ */
+export function classifyUrl(url, lists) {
+  let host;
+  try {
+    host = new URL(url).hostname;
+  } catch (e) {
+    return null;
+  }
+  return ['hide', 'block', 'allow'].find(name => (lists[name] || []).some(pattern => matchesDomainPattern(host, pattern))) || null;
+}
+
+/**
+ * Applies domain lists to a ranked result list: hidden results are removed, and results on the
+ * allow or block list get the corresponding embeddability verdict. The input list is not modified.
+ *
+ * @function applyDomainLists
+ * @param {Array<object>} items - The ranked result items.
+ * @param {DomainLists} lists - The effective domain lists.
+ * @returns {{ items: Array<object>, hiddenLinks: Array<string> }} - The remaining items and the links that were hidden.
+ */
+export function applyDomainLists(items, lists) {
+  const hiddenLinks = [];
+  const kept = [];
+  for (const item of items) {
+    const list = classifyUrl(item.link, lists);
+    if (list === 'hide') {
+      hiddenLinks.push(item.link);
+    } else if (list) {
+      const verdict = listVerdict(list);
+      kept.push({ ...item, embeddable: verdict.displayable, embedVerdict: verdict });
+    } else {
+      kept.push(item);
+    }
+  }
+  return { items: kept, hiddenLinks };
+}
+
+/**
+ * The embeddability verdict (see `lib/embeddability.js`) given to pages on the allow or block list.
+ *
+ * @function listVerdict
+ * @param {'allow' | 'block'} list - The list.
+ * @returns {import('./embeddability').EmbedVerdict}
+ */
+export function listVerdict(list) {
+  return list === 'allow'
+    ? { displayable: true, reason: 'allowlist', method: null, status: null }
+    : { displayable: false, reason: 'blocklist', method: null, status: null };
+}
+
+/**
+ * Validates domain lists, returning a description of the first problem found.
+ *
+ * @function validateDomainLists
+ * @param {any} lists - The candidate lists.
+ * @returns {string | null} - An error message, or `null` if the lists are valid.
+ */
+export function validateDomainLists(lists) {
+  if (!lists || typeof lists !== 'object') {
+    return 'Domain lists must be an object.';
+  }
+  for (const name of LIST_NAMES) {
+    const list = lists[name];
+    if (list === undefined) continue;
+    if (!Array.isArray(list)) {
+      return `${name} must be an array of domain patterns.`;
+    }
+    const invalid = list.find(pattern => !parseDomainPattern(pattern));
+    if (invalid !== undefined) {
+      return `${name}: "${invalid}" is not a valid domain pattern (use example.com, *.example.com, =example.com or sub.example.com).`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Loads the domain lists that apply to a study condition: the study-wide lists merged with
+ * the condition's own.
+ *
+ * @async
+ * @function getDomainLists
+ * @param {string} studyId - The study ID.
+ * @param {string | null} [conditionId] - The condition ID, or null for the study-wide lists only.
+ * @returns {Promise<DomainLists>} - The effective lists (empty if none are configured).
+ */
+export async function getDomainLists(studyId, conditionId = null) {
+  const { db } = await connectToDatabase();
+  const docs = await db.collection(DOMAIN_LISTS_COLLECTION)
+    .find({ studyId, conditionId: { $in: conditionId ? [null, conditionId] : [null] } })
+    .toArray();
+  const lists = { allow: [], block: [], hide: [] };
+  for (const doc of docs) {
+    for (const name of LIST_NAMES) {
+      lists[name].push(...(doc[name] || []).filter(pattern => !lists[name].includes(pattern)));
+    }
+  }
+  return lists;
+}
+
+/**
+ * Loads the domain lists stored for exactly one scope (a study, or one of its conditions), without merging.
+ *
+ * @async
+ * @function getStoredDomainLists
+ * @param {string} studyId - The study ID.
+ * @param {string | null} conditionId - The condition ID, or null for the study-wide lists.
+ * @returns {Promise<DomainLists>}
+ */
+export async function getStoredDomainLists(studyId, conditionId) {
+  const { db } = await connectToDatabase();
+  const doc = await db.collection(DOMAIN_LISTS_COLLECTION).findOne({ studyId, conditionId });
+  return { allow: doc?.allow || [], block: doc?.block || [], hide: doc?.hide || [] };
+}
+
+/**
+ * Replaces the domain lists for a study (with `conditionId` null) or one of its conditions.
+ * Lists left out are emptied.
+ *
+ * @async
+ * @function setDomainLists
+ * @param {string} studyId - The study ID.
+ * @param {string | null} conditionId - The condition ID, or null for the study-wide lists.
+ * @param {Partial<DomainLists>} lists - The new lists (validate with `validateDomainLists` first).
+ * @returns {Promise<DomainLists>} - The stored lists, with patterns trimmed and lowercased.
+ */
+export async function setDomainLists(studyId, conditionId, lists) {
+  const stored = Object.fromEntries(LIST_NAMES.map(name => [
+    name,
+    [...new Set((lists[name] || []).map(pattern => pattern.trim().toLowerCase()))],
+  ]));
+  const { db } = await connectToDatabase();
+  await db.collection(DOMAIN_LISTS_COLLECTION).updateOne(
+    { studyId, conditionId },
+    { $set: { ...stored, updatedAt: new Date() }, $setOnInsert: { studyId, conditionId } },
+    { upsert: true }
+  );
+  return stored;
+}
@@ -0,0 +1,219 @@
+// lib/dwellTracker.js
+// Client-only: splits the time each embedded browser tab (click) is open into active, idle and hidden
+// intervals, from which tab is on screen, window focus and the participant's activity.
+
+/**
+ * The states a click's time is split into:
+ * - `active`: its tab is on screen, the window has focus, and the participant was active recently.
+ * - `idle`: its tab is on screen, but the window lost focus, or there was no pointer, keyboard or scroll
+ *   activity for the idle threshold.
+ * - `hidden`: its tab isn't on screen (another tab or the results page is shown, or the page is hidden).
+ */
+export const DWELL_STATES = ['active', 'idle', 'hidden'];
+
+// Idle threshold used when the study doesn't configure one, in seconds.
+export const DEFAULT_IDLE_THRESHOLD_SECONDS = 30;
+// Most intervals recorded per click; later ones still count towards the totals.
+export const MAX_INTERVALS_PER_CLICK = 500;
+
+/**
+ * One stretch of a click's time in a single state.
+ * @typedef {object} DwellInterval
+ * @property {'active' | 'idle' | 'hidden'} state - The state.
+ * @property {string} startTime - When it began (ISO string).
+ * @property {string} endTime - When it ended (ISO string).
+ */
+
+/**
+ * A closed click's dwell split, as stored on the click (durations in seconds).
+ * @typedef {object} DwellSummary
+ * @property {number} dwellActive - Time active.
+ * @property {number} dwellIdle - Time on screen but idle.
+ * @property {number} dwellHidden - Time not on screen.
+ * @property {Array<DwellInterval>} dwellIntervals - The intervals, in order (at most `MAX_INTERVALS_PER_CLICK`).
+ * @property {boolean} activityTracked - Whether activity inside the page could be observed; if not, on-screen
+ *   time with the window focused counts as active.
+ * @property {number} idleThreshold - The idle threshold in effect, in seconds.
+ */
+
+/**
+ * Creates a tracker for the clicks open in the embedded browser.
+ *
+ * The page reports which tab is on screen (`setOnScreen`), window focus (`setFocused`) and activity
+ * heartbeats (`activity`): pointer, keyboard and scroll events on the page itself, and heartbeats from
+ * the tracking agent in proxied pages for their tab. Pages loaded without the proxy are cross-origin and
+ * can't report activity, so their tabs are never idle for inactivity, only for lost focus.
+ *
+ * @function createDwellTracker
+ * @param {{ idleThresholdSeconds?: number }} [options] - Seconds without activity after which a tab is idle.
+ * @returns {{
+ *   open: function(string, { activityTracked: boolean }): void,
+ *   close: function(string, Date): DwellSummary | null,
+ *   setOnScreen: function(string | null): void,
+ *   setFocused: function(boolean): void,
+ *   activity: function(string=): void,
+ *   setIdleThreshold: function(number): void,
+ *   dispose: function(): void,
+ * }}
+ */
+export function createDwellTracker({ idleThresholdSeconds = DEFAULT_IDLE_THRESHOLD_SECONDS } = {}) {
+  let idleThresholdMs = idleThresholdSeconds * 1000;
+  // Open clicks by ID: { activityTracked, state, since, lastActivity, totals, intervals }.
+  const clicks = new Map();
+  let onScreen = null;
+  let focused = true;
+  // Last activity on the page itself (ms timestamp); agent heartbeats are kept per click.
+  let lastActivity = Date.now();
+  let idleTimer = null;
+
+  /**
+   * Returns the state a click is in at `now`, and when an idle period began (the end of the idle threshold).
+   * @param {string} id - The click ID.
+   * @param {object} click - The click.
+   * @param {number} now - The current time (ms).
+   * @returns {{ state: string, since: number }}
+   */
+  const stateOf = (id, click, now) => {
+    if (id !== onScreen) return { state: 'hidden', since: now };
+    if (!focused) return { state: 'idle', since: now };
+    const idleSince = Math.max(lastActivity, click.lastActivity) + idleThresholdMs;
+    if (click.activityTracked && now >= idleSince) return { state: 'idle', since: Math.max(idleSince, click.since) };
+    return { state: 'active', since: now };
+  };
+
+  /**
+   * Ends a click's current interval at `end`, adding it to the totals.
+   * @param {object} click - The click.
+   * @param {number} end - The end time (ms).
+   */
+  const closeInterval = (click, end) => {
+    if (end <= click.since) return;
+    click.totals[click.state] += end - click.since;
+    if (click.intervals.length < MAX_INTERVALS_PER_CLICK) {
+      click.intervals.push({ state: click.state, startTime: new Date(click.since).toISOString(), endTime: new Date(end).toISOString() });
+    }
+  };
+
+  /**
+   * Moves every click into its current state, and schedules the next check for the on-screen click
+   * going idle.
+   */
+  const update = () => {
+    const now = Date.now();
+    for (const [id, click] of clicks) {
+      const { state, since } = stateOf(id, click, now);
+      if (state !== click.state) {
+        closeInterval(click, since);
+        click.state = state;
+        click.since = since;
+      }
+    }
+
+    clearTimeout(idleTimer);
+    idleTimer = null;
+    const current = clicks.get(onScreen);
+    if (current && current.state === 'active' && current.activityTracked && focused) {
+      const idleAt = Math.max(lastActivity, current.lastActivity) + idleThresholdMs;
+      idleTimer = setTimeout(update, Math.max(0, idleAt - now));
+    }
+  };
+
+  return {
+    /**
+     * Starts tracking a click. Its tab isn't on screen until `setOnScreen` says so.
+     * @param {string} id - The click (tab) ID.
+     * @param {{ activityTracked: boolean }} options - Whether its pages report activity heartbeats.
+     */
+    open(id, { activityTracked }) {
+      const now = Date.now();
+      clicks.set(id, {
+        activityTracked,
+        state: 'hidden',
+        since: now,
+        lastActivity: now,
+        totals: { active: 0, idle: 0, hidden: 0 },
+        intervals: [],
+      });
+      update();
+    },
+
+    /**
+     * Stops tracking a click and returns its dwell split up to `endTime`.
+     * @param {string} id - The click ID.
+     * @param {Date} endTime - When the click ended.
+     * @returns {DwellSummary | null} - Null if the click isn't tracked.
+     */
+    close(id, endTime) {
+      const click = clicks.get(id);
+      if (!click) return null;
+      update();
+      closeInterval(click, Math.max(click.since, endTime.getTime()));
+      clicks.delete(id);
+      if (onScreen === id) onScreen = null;
+      const seconds = (ms) => Number((ms / 1000).toFixed(2));
+      return {
+        dwellActive: seconds(click.totals.active),
+        dwellIdle: seconds(click.totals.idle),
+        dwellHidden: seconds(click.totals.hidden),
+        dwellIntervals: click.intervals,
+        activityTracked: click.activityTracked,
+        idleThreshold: idleThresholdMs / 1000,
+      };
+    },
+
+    /**
+     * Sets the click whose tab is on screen (selected, with the embedded browser open and the page visible).
+     * @param {string | null} id - The click ID, or null if none is on screen.
+     */
+    setOnScreen(id) {
+      if (id === onScreen) return;
+      onScreen = id;
+      // Switching tabs is activity in itself.
+      lastActivity = Date.now();
+      update();
+    },
+
+    /**
+     * Reports whether the window (or an embedded page in it) has focus.
+     * @param {boolean} hasFocus - Whether it has focus.
+     */
+    setFocused(hasFocus) {
+      if (hasFocus === focused) return;
+      focused = hasFocus;
+      if (hasFocus) lastActivity = Date.now();
+      update();
+    },
+
+    /**
+     * Records an activity heartbeat: from the page itself, or from the tracking agent of a click's page.
+     * Cheap enough to call on every pointer move.
+     * @param {string} [id] - The click whose page reported the activity.
+     */
+    activity(id) {
+      const now = Date.now();
+      const click = id ? clicks.get(id) : null;
+      if (id && !click) return;
+      if (click) click.lastActivity = now;
+      else lastActivity = now;
+      // Only an idle click has to change state now; an active one's idle check is rescheduled when it fires.
+      if (clicks.get(onScreen)?.state === 'idle' && focused) update();
+    },
+
+    /**
+     * Changes the idle threshold, e.g. once the study's setting is known.
+     * @param {number} seconds - The new threshold.
+     */
+    setIdleThreshold(seconds) {
+      idleThresholdMs = seconds * 1000;
+      update();
+    },
+
+    /**
+     * Cancels the pending idle check.
+     */
+    dispose() {
+      clearTimeout(idleTimer);
+      idleTimer = null;
+    },
+  };
+}
@@ -0,0 +1,350 @@
+// lib/embeddability.js
+// Decides whether a page can be shown in the embedded browser's iframe, by probing its
+// framing headers and evaluating them the way browsers do against this app's origin.
+import { resolveProxyTarget, requestPinned } from './proxy'; // Public-host validation for server-side fetches
+
+// Time allowed for each probe request, redirects included, in milliseconds.
+const PROBE_TIMEOUT_MS = 3500;
+// Redirects followed before a probe gives up.
+const MAX_PROBE_REDIRECTS = 5;
+
+/**
+ * Reason codes on embeddability verdicts:
+ * - `allowed`: no header blocks framing by this app's origin.
+ * - `blacklist`: the host is on the list of sites known to block framing; not probed.
+ * - `allowlist` / `blocklist`: the host is on the study's allow or block list (see `lib/domainLists.js`); not probed.
+ * - `xfo-deny` / `xfo-sameorigin`: `X-Frame-Options: DENY` or `SAMEORIGIN` (from another origin).
+ * - `xfo-conflict`: several conflicting `X-Frame-Options` values, which browsers treat as `DENY`.
+ * - `csp-none`: a `frame-ancestors 'none'` (or empty) policy.
+ * - `csp-self`: a `frame-ancestors 'self'` policy, and this app isn't the page's origin.
+ * - `csp-host-mismatch`: a `frame-ancestors` source list that doesn't include this app's origin.
+ * - `http-error`: the page responded with an error status to both HEAD and GET.
+ * - `timeout` / `network-error`: the page couldn't be probed.
+ * - `forbidden-target`: the page, or a page it redirects to, is on a non-public host (see `resolveProxyTarget`); not probed.
+ * - `invalid-url`: the URL couldn't be parsed.
+ * - `not-checked`: the result wasn't probed (beyond the number of results checked per search).
+ */
+export const EMBED_REASONS = [
+  'allowed', 'blacklist', 'allowlist', 'blocklist', 'xfo-deny', 'xfo-sameorigin', 'xfo-conflict', 'csp-none', 'csp-self',
+  'csp-host-mismatch', 'http-error', 'timeout', 'network-error', 'forbidden-target', 'invalid-url', 'not-checked',
+];
+
+/**
+ * @typedef {object} EmbedVerdict
+ * @property {boolean} displayable - Whether the page is expected to show in the iframe.
+ * @property {string} reason - One of `EMBED_REASONS`.
+ * @property {'HEAD' | 'GET' | null} method - The request whose headers decided the verdict, if the page was probed.
+ * @property {number | null} status - That response's HTTP status.
+ */
+
+// Domains (or parts of domains) known to block iframe embedding regardless of what a probe says.
+const BLACKLISTED_DOMAINS = [
+  'facebook.com', 'twitter.com', 'instagram.com',
+  'linkedin.com', 'youtube.com', 'netflix.com',
+  'amazon.com', 'ebay.com', 'reddit.com',
+];
+
+/**
+ * Returns the origin pages are framed by: `APP_ORIGIN` if set, otherwise the origin the
+ * request was made to (honouring `X-Forwarded-Proto`/`X-Forwarded-Host` from a reverse proxy).
+ *
+ * @function getAppOrigin
+ * @param {import('next').NextApiRequest} req - The incoming request.
+ * @returns {string} - An origin such as `https://study.example.org`.
+ */
+export function getAppOrigin(req) {
+  if (process.env.APP_ORIGIN) {
+    return new URL(process.env.APP_ORIGIN).origin;
+  }
+  const proto = String(req.headers['x-forwarded-proto'] || 'http').split(',')[0].trim();
+  const host = String(req.headers['x-forwarded-host'] || req.headers.host || 'localhost').split(',')[0].trim();
+  return new URL(`${proto}://${host}`).origin;
+}
+
+/**
+ * Checks a URL against the list of sites known to block framing.
+ *
+ * @function isBlacklisted
+ * @param {string} url - The URL to check.
+ * @returns {boolean}
+ */
+export function isBlacklisted(url) {
+  const domain = new URL(url).hostname.toLowerCase();
+  return BLACKLISTED_DOMAINS.some(site => domain === site || domain.endsWith(`.${site}`));
+}
+
+/**
+ * Parses a `Content-Security-Policy` header into its policies. Several CSP headers arrive
+ * joined by commas, and each comma-separated policy is enforced on its own.
+ * Within a policy, directive names are case-insensitive and only the first occurrence of a directive counts.
+ *
+ * @function parseCsp
+ * @param {string | null} header - The header value.
+ * @returns {Array<Map<string, Array<string>>>} - One map of directive name to values per policy.
+ */
+export function parseCsp(header) {
+  if (!header) {
+    return [];
+  }
+  return header.split(',').map(policy => {
+    const directives = new Map();
+    for (const directive of policy.split(';')) {
+      const [name, ...values] = directive.trim().split(/\s+/);
+      if (name && !directives.has(name.toLowerCase())) {
+        directives.set(name.toLowerCase(), values);
+      }
+    }
+    return directives;
+  });
+}
+
+/**
+ * Whether a URL uses the default port for its scheme.
+ *
+ * @param {URL} url - The URL.
+ * @returns {boolean}
+ */
+const hasDefaultPort = (url) => url.port === '';
+
+/**
+ * Whether a scheme in a source expression matches the framing origin's scheme.
+ * `http` also matches `https`, as browsers allow upgrades.
+ *
+ * @param {string} scheme - The expression's scheme, without the colon.
+ * @param {URL} origin - The framing origin.
+ * @returns {boolean}
+ */
+const schemeMatches = (scheme, origin) => origin.protocol === `${scheme}:` || (scheme === 'http' && origin.protocol === 'https:');
+
+// [scheme://]host[:port][/path]; the host may start with a "*." wildcard.
+const HOST_SOURCE = /^(?:([a-z][a-z0-9+.-]*):\/\/)?(\*|\*\.[^:/]+|[^:/*]+)(?::(\*|\d+))?(\/.*)?$/i;
+
+/**
+ * Matches one `frame-ancestors` source expression against the framing origin (CSP Level 3).
+ * Paths are ignored, since ancestors are compared by origin.
+ *
+ * @param {string} expression - The source expression.
+ * @param {URL} origin - The framing origin.
+ * @param {URL} pageUrl - The framed page, which `'self'` and scheme-less expressions refer to.
+ * @returns {boolean}
+ */
+function sourceMatches(expression, origin, pageUrl) {
+  const source = expression.toLowerCase();
+  if (source === '*') {
+    return origin.protocol === 'http:' || origin.protocol === 'https:';
+  }
+  if (source === "'self'") {
+    return origin.origin === pageUrl.origin
+      || (pageUrl.protocol === 'http:' && origin.protocol === 'https:' && origin.hostname === pageUrl.hostname
+        && hasDefaultPort(origin) && hasDefaultPort(pageUrl));
+  }
+  if (source.startsWith("'")) {
+    return false; // Other keywords, nonces and hashes don't apply to frame-ancestors.
+  }
+  if (/^[a-z][a-z0-9+.-]*:$/.test(source)) {
+    return schemeMatches(source.slice(0, -1), origin);
+  }
+
+  const match = HOST_SOURCE.exec(source);
+  if (!match) {
+    return false;
+  }
+  const [, scheme, host, port] = match;
+  if (!schemeMatches(scheme || pageUrl.protocol.slice(0, -1), origin)) {
+    return false;
+  }
+  const hostname = origin.hostname.toLowerCase();
+  if (host !== '*' && (host.startsWith('*.') ? !hostname.endsWith(host.slice(1)) : hostname !== host)) {
+    return false;
+  }
+  if (port === '*') {
+    return true;
+  }
+  return port ? origin.port === port || (hasDefaultPort(origin) && port === (origin.protocol === 'https:' ? '443' : '80')) : hasDefaultPort(origin);
+}
+
+/**
+ * Evaluates `frame-ancestors` across all policies: every policy that has the directive must allow the origin.
+ *
+ * @function evaluateFrameAncestors
+ * @param {Array<Map<string, Array<string>>>} policies - Parsed policies (see `parseCsp`).
+ * @param {URL} origin - The framing origin.
+ * @param {URL} pageUrl - The framed page.
+ * @returns {{ present: boolean, reason: string | null }} - Whether any policy restricts framing, and the blocking reason if one does.
+ */
+export function evaluateFrameAncestors(policies, origin, pageUrl) {
+  let present = false;
+  for (const policy of policies) {
+    const sources = policy.get('frame-ancestors');
+    if (!sources) continue;
+    present = true;
+    if (sources.length === 0 || (sources.length === 1 && sources[0].toLowerCase() === "'none'")) {
+      return { present, reason: 'csp-none' };
+    }
+    if (!sources.some(source => sourceMatches(source, origin, pageUrl))) {
+      const onlySelf = sources.every(source => source.toLowerCase() === "'self'");
+      return { present, reason: onlySelf ? 'csp-self' : 'csp-host-mismatch' };
+    }
+  }
+  return { present, reason: null };
+}
+
+/**
+ * Evaluates `X-Frame-Options` as browsers do: duplicate values collapse, conflicting values
+ * block, and unknown values (including the obsolete `ALLOW-FROM`) are ignored.
+ *
+ * @function evaluateXFrameOptions
+ * @param {string | null} header - The header value (several headers arrive joined by commas).
+ * @param {URL} origin - The framing origin.
+ * @param {URL} pageUrl - The framed page.
+ * @returns {string | null} - The blocking reason, or null if framing is allowed.
+ */
+export function evaluateXFrameOptions(header, origin, pageUrl) {
+  if (!header) {
+    return null;
+  }
+  const values = new Set(header.split(',').map(value => value.trim().toLowerCase()).filter(Boolean));
+  if (values.size > 1 && ['deny', 'sameorigin', 'allowall'].some(value => values.has(value))) {
+    return 'xfo-conflict';
+  }
+  if (values.has('deny')) {
+    return 'xfo-deny';
+  }
+  if (values.has('sameorigin') && origin.origin !== pageUrl.origin) {
+    return 'xfo-sameorigin';
+  }
+  return null;
+}
+
+/**
+ * Evaluates a response's framing headers for the given origin. A CSP `frame-ancestors`
+ * directive takes precedence over `X-Frame-Options`, as in current browsers.
+ * Policies delivered with `<meta http-equiv>` are not considered: browsers ignore
+ * `frame-ancestors` and `X-Frame-Options` there.
+ *
+ * @function evaluateHeaders
+ * @param {Headers} headers - The response headers.
+ * @param {URL} origin - The framing origin.
+ * @param {URL} pageUrl - The framed page (after redirects).
+ * @returns {string} - A reason code: `allowed` or the blocking reason.
+ */
+export function evaluateHeaders(headers, origin, pageUrl) {
+  const ancestors = evaluateFrameAncestors(parseCsp(headers.get('content-security-policy')), origin, pageUrl);
+  if (ancestors.present) {
+    return ancestors.reason || 'allowed';
+  }
+  return evaluateXFrameOptions(headers.get('x-frame-options'), origin, pageUrl) || 'allowed';
+}
+
+/**
+ * Sends one probe request, following redirects by hand: every hop is validated and requested at the
+ * address that was checked (`resolveProxyTarget`, `requestPinned`), so a public page can't redirect the
+ * probe into the server's own network. Response bodies are discarded as soon as the headers arrive.
+ *
+ * @param {string} url - The page URL.
+ * @param {'HEAD' | 'GET'} method - The request method.
+ * @param {function(string): Promise<{ url?: URL, address?: object, error?: string, status?: number }>} resolveTarget -
+ *   Validates each hop, like `resolveProxyTarget`.
+ * @returns {Promise<{ status: number, headers: Headers, url: string } | { forbidden: string }>} - The final response's status
+ *   and headers, and its URL; or, if a hop is on a host that may not be requested, why.
+ */
+async function probe(url, method, resolveTarget) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), PROBE_TIMEOUT_MS);
+  try {
+    let current = url;
+    for (let redirects = 0; ; redirects++) {
+      const target = await resolveTarget(current);
+      if (target.error) {
+        if (target.status === 403) {
+          return { forbidden: `${current}: ${target.error}` };
+        }
+        throw new Error(target.error);
+      }
+      const response = await requestPinned(target.url, target.address, {
+        method,
+        signal: controller.signal,
+        // Some servers block default fetch/Node.js user agents.
+        headers: { 'User-Agent': 'ResearchSearchBot/1.0' },
+      });
+      response.body.on('error', () => {}); // Aborting the discarded body below is not an error.
+      response.body.destroy();
+
+      const location = response.headers.location;
+      if (response.status >= 300 && response.status < 400 && location) {
+        if (redirects >= MAX_PROBE_REDIRECTS) {
+          throw new Error(`More than ${MAX_PROBE_REDIRECTS} redirects`);
+        }
+        // Framing is decided by the final page's headers.
+        current = new URL(location, target.url).href;
+        continue;
+      }
+
+      const headers = new Headers();
+      for (const [name, value] of Object.entries(response.headers)) {
+        (Array.isArray(value) ? value : [value]).forEach(item => headers.append(name, item));
+      }
+      return { status: response.status, headers, url: target.url.href };
+    }
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Probes a page's framing headers and returns a structured verdict for the given origin.
+ * Pages are probed with HEAD first; if that fails (a network error or an error status, which
+ * some servers return for HEAD only), they are probed again with GET. Pages on non-public hosts,
+ * or redirecting to one, are not probed.
+ *
+ * @async
+ * @function probeEmbeddability
+ * @param {string} url - The page URL.
+ * @param {{ origin: string, method?: 'HEAD' | 'GET', resolveTarget?: function(string): Promise<object> }} options - The framing
+ *   origin, the method to start with (default: HEAD), and the validation of each requested URL (default: `resolveProxyTarget`;
+ *   the tests substitute one that lets them probe local servers).
+ * @returns {Promise<EmbedVerdict>}
+ */
+export async function probeEmbeddability(url, { origin, method = 'HEAD', resolveTarget = resolveProxyTarget }) {
+  let pageUrl;
+  try {
+    pageUrl = new URL(url);
+  } catch (e) {
+    return { displayable: false, reason: 'invalid-url', method: null, status: null };
+  }
+  if (isBlacklisted(url)) {
+    return { displayable: false, reason: 'blacklist', method: null, status: null };
+  }
+
+  const framingOrigin = new URL(origin);
+  const methods = method === 'HEAD' ? ['HEAD', 'GET'] : ['GET'];
+  let failure = null;
+  for (const current of methods) {
+    try {
+      const response = await probe(pageUrl.href, current, resolveTarget);
+      if (response.forbidden) {
+        console.log(`Embeddability check refused for ${url}: ${response.forbidden}`);
+        return { displayable: false, reason: 'forbidden-target', method: null, status: null };
+      }
+      if (response.status >= 400) {
+        failure = { reason: 'http-error', method: current, status: response.status };
+        continue;
+      }
+      const reason = evaluateHeaders(response.headers, framingOrigin, new URL(response.url));
+      if (reason !== 'allowed') {
+        console.log(`Embeddability check failed for ${url}: ${reason} (${current})`);
+      }
+      return { displayable: reason === 'allowed', reason, method: current, status: response.status };
+    } catch (e) {
+      if (e.name === 'AbortError') {
+        // A server that doesn't answer HEAD in time is unlikely to answer GET.
+        console.log(`Embeddability check timed out for ${url} (${current})`);
+        return { displayable: false, reason: 'timeout', method: current, status: null };
+      }
+      console.error(`Embeddability check error for ${url} (${current}):`, e.name, e.message);
+      failure = { reason: 'network-error', method: current, status: null };
+    }
+  }
+  console.log(`Embeddability check failed for ${url}: ${failure.reason}${failure.status ? ` ${failure.status}` : ''}`);
+  return { displayable: false, ...failure };
+}
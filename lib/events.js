@@ -0,0 +1,143 @@
+// lib/events.js
+// Shared by the client (which emits events) and /api/track-data/[userID] (which validates them),
+// so this module must stay free of server-only imports.
+
+/**
+ * Current version of the interaction event schema. Bump it whenever an event type's
+ * fields change meaning, and keep accepting older versions in `EVENT_SCHEMAS`.
+ */
+export const EVENT_SCHEMA_VERSION = 1;
+
+/**
+ * Field specifications per event type. Each field maps to `[type, required]`, where type is
+ * 'string', 'number' or 'boolean'. Fields not listed here are dropped on the server.
+ *
+ * - `result_impression`: a result was at least half visible on screen (once per result each time its results page is shown).
+ * - `result_hover`: the pointer rested on a result; `durationMs` is how long.
+ * - `serp_scroll`: the deepest scroll position reached on the results page so far (0-1).
+ * - `serp_page_view`: a page of results was shown, including the first page of each search. `page` is 1-based,
+ *   `offset` is the rank before its first result, `resultCount` the results on the page and `total` those in the
+ *   whole ranking. `previousPage` is set when the participant moved from another page of the same search.
+ * - `serp_results_expired`: the participant asked for another page (`page`) after the search's stored ranking had
+ *   expired, so none was shown; searching again records a new search.
+ * - `query_reformulation`: a new query was submitted after a previous one.
+ * - `suggestion_shown` / `suggestion_accept`: a query suggestion was shown below the search bar, or the participant
+ *   picked it (`method` is `keyboard` or `mouse`). `position` is 1-based, `prefix` is what had been typed, and
+ *   `source` where the suggestion came from (see lib/suggestions.js). Each suggestion is reported once per list shown.
+ * - `back_navigation`: the participant went back, via the embedded browser or browser history.
+ * - `visibility_change`: the tab became hidden or visible.
+ * - `browser_open` / `browser_close`: a result was opened in a new embedded browser tab (`background` if the
+ *   results page stayed on screen), or that tab was closed. `clickId` is the eventId of the tab's click.
+ * - `browser_navigation`: back, forward, reload or an address bar entry in an embedded browser tab.
+ * - `tab_switch`: the participant switched to another embedded browser tab, or returned to the open tabs.
+ * - `embed_failure`: a page failed to load in an embedded browser tab, or the participant reported a problem
+ *   with it; `reason` is one of `LOAD_ERROR_REASONS` (see lib/proxyAgent.js).
+ * - `external_open` / `readable_view`: from the fallback view of a failed page, the participant opened it in a
+ *   new browser tab, or opened its readable version.
+ */
+export const EVENT_SCHEMAS = {
+  result_impression: {
+    rank: ['number', true], url: ['string', true], resultId: ['string', false], query: ['string', false], searchId: ['string', false],
+  },
+  result_hover: {
+    rank: ['number', true], url: ['string', true], resultId: ['string', false], durationMs: ['number', true],
+    query: ['string', false], searchId: ['string', false],
+  },
+  serp_scroll: { maxDepth: ['number', true], query: ['string', false] },
+  serp_page_view: {
+    page: ['number', true], offset: ['number', true], resultCount: ['number', true], total: ['number', false],
+    previousPage: ['number', false], query: ['string', false], searchId: ['string', false],
+  },
+  serp_results_expired: {
+    page: ['number', true], previousPage: ['number', false], query: ['string', false], searchId: ['string', false],
+  },
+  query_reformulation: { previousQuery: ['string', true], query: ['string', true] },
+  suggestion_shown: {
+    suggestion: ['string', true], position: ['number', true], prefix: ['string', true], source: ['string', false],
+  },
+  suggestion_accept: {
+    suggestion: ['string', true], position: ['number', true], prefix: ['string', true], source: ['string', false],
+    method: ['string', false],
+  },
+  back_navigation: { source: ['string', true], url: ['string', false] },
+  visibility_change: { state: ['string', true] },
+  browser_open: { url: ['string', true], rank: ['number', false], clickId: ['string', false], background: ['boolean', false] },
+  browser_close: { url: ['string', true], reason: ['string', false], clickId: ['string', false] },
+  browser_navigation: { action: ['string', true], url: ['string', true], clickId: ['string', false] },
+  tab_switch: { url: ['string', true], clickId: ['string', false], openTabs: ['number', false] },
+  embed_failure: { url: ['string', true], reason: ['string', true], clickId: ['string', false], proxied: ['boolean', false] },
+  external_open: { url: ['string', true], clickId: ['string', false] },
+  readable_view: { url: ['string', true], clickId: ['string', false] },
+};
+
+// Maximum length of string fields, to keep documents bounded.
+const MAX_STRING_LENGTH = 2048;
+
+/**
+ * Validates one incoming event against its schema.
+ *
+ * @function validateEvent
+ * @param {any} event - The raw event from the request body.
+ * @returns {{ event?: object, error?: string }} - The sanitized event (with `clientTimestamp` as a Date), or an error.
+ */
+export function validateEvent(event) {
+  if (!event || typeof event !== 'object') {
+    return { error: 'Event must be an object.' };
+  }
+
+  const schema = EVENT_SCHEMAS[event.type];
+  if (!schema) {
+    return { error: `Unknown event type "${event.type}".` };
+  }
+  if (event.schemaVersion !== EVENT_SCHEMA_VERSION) {
+    return { error: `Unsupported schemaVersion ${event.schemaVersion}.` };
+  }
+  if (!Number.isInteger(event.seq) || event.seq < 0) {
+    return { error: 'seq must be a non-negative integer.' };
+  }
+  const clientTimestamp = new Date(event.clientTimestamp);
+  if (!event.clientTimestamp || isNaN(clientTimestamp.getTime())) {
+    return { error: 'clientTimestamp must be a valid date.' };
+  }
+
+  const data = {};
+  for (const [field, [type, required]] of Object.entries(schema)) {
+    const value = event.data?.[field];
+    if (value === undefined || value === null) {
+      if (required) return { error: `${event.type}: ${field} is required.` };
+      continue;
+    }
+    if (typeof value !== type || (type === 'number' && !Number.isFinite(value))) {
+      return { error: `${event.type}: ${field} must be a ${type}.` };
+    }
+    data[field] = type === 'string' ? value.slice(0, MAX_STRING_LENGTH) : value;
+  }
+
+  return {
+    event: {
+      schemaVersion: event.schemaVersion,
+      type: event.type,
+      seq: event.seq,
+      clientTimestamp,
+      data,
+    },
+  };
+}
+
+/**
+ * Builds an event in the wire format expected by `validateEvent`.
+ * Its `eventId` and `seq` are assigned when it is queued (see lib/trackingQueue.js).
+ *
+ * @function createEvent
+ * @param {string} type - One of the keys of `EVENT_SCHEMAS`.
+ * @param {object} data - The event's fields.
+ * @returns {object} - The event.
+ */
+export function createEvent(type, data) {
+  return {
+    schemaVersion: EVENT_SCHEMA_VERSION,
+    type,
+    clientTimestamp: new Date().toISOString(),
+    data,
+  };
+}
@@ -0,0 +1,333 @@
+// lib/export.js
+import { connectToDatabase } from './mongodb';
+import { buildSessionFilter } from './sessions';
+import { analyzeSession } from './queryAnalytics';
+
+/**
+ * Column definitions for every exportable table. Column names and order are part of
+ * the export contract that analysis pipelines rely on: only ever append new columns.
+ * Search and click rows are keyed by `sessionId` plus the row's index within the session,
+ * which stays stable because tracking data is only ever appended. In the `events` table,
+ * `eventIndex` is the chronological position; interaction events are keyed by `seq`.
+ * Records sent by current clients also carry a unique `eventId`. Navigation rows (pages visited within
+ * a proxied click) are keyed by `sessionId`, `clickIndex` and `navigationIndex`.
+ * The `queries` and `chains` tables are derived by `lib/queryAnalytics.js`: per-query metrics keyed like
+ * searches (`searchIndex`), and reformulation chains keyed by `sessionId` and `chainIndex`.
+ * The `steps` and `responses` tables come from the session's task flow progress (see lib/flowProgress.js):
+ * one row per flow step reached, keyed by `sessionId` and `stepIndex`, and one per questionnaire answer,
+ * keyed by `sessionId`, `stepId` and `questionId`. Searches and clicks carry the `taskId` of the task step
+ * they were made in.
+ */
+export const EXPORT_TABLES = {
+  sessions: [
+    'sessionId', 'studyId', 'conditionId', 'firstSeen', 'lastUpdated',
+    'searchCount', 'clickCount', 'totalDwell', 'flowStatus', 'completionCode',
+  ],
+  searches: [
+    'sessionId', 'studyId', 'conditionId', 'searchIndex', 'timestamp', 'query',
+    'snapshotId', 'appliedRules', 'searchId', 'eventId', 'seq',
+    'firstResultsMs', 'finalResultsMs', 'superseded', 'totalResults', 'serpFeatures',
+    'vertical', 'dateRange', 'site', 'language', 'safeSearch', 'taskId',
+  ],
+  clicks: [
+    'sessionId', 'studyId', 'conditionId', 'clickIndex', 'url', 'startTime', 'endTime',
+    'duration', 'searchQuery', 'searchId', 'rank', 'resultId', 'title', 'snippet', 'displayLink',
+    'embeddable', 'injected', 'eventId', 'seq', 'proxied', 'navigationCount', 'activeDuration', 'background',
+    'loadFailure', 'embedReason', 'provisional', 'page',
+    'dwellActive', 'dwellIdle', 'dwellHidden', 'dwellIntervals', 'activityTracked', 'idleThreshold', 'taskId',
+  ],
+  events: [
+    'sessionId', 'studyId', 'conditionId', 'eventIndex', 'eventType', 'time',
+    'query', 'url', 'duration', 'searchQuery', 'seq', 'rank', 'data', 'eventId',
+  ],
+  navigations: [
+    'sessionId', 'studyId', 'conditionId', 'clickIndex', 'clickEventId', 'navigationIndex',
+    'url', 'title', 'startTime', 'endTime', 'duration', 'maxScrollDepth', 'selectionCount', 'selections',
+  ],
+  queries: [
+    'sessionId', 'studyId', 'conditionId', 'searchIndex', 'searchId', 'timestamp', 'query',
+    'chainIndex', 'chainPosition', 'reformulationType', 'previousQuery', 'addedTerms', 'removedTerms',
+    'termOverlap', 'secondsSincePrevious', 'clickCount', 'timeToFirstClick', 'abandoned', 'totalDwell',
+  ],
+  chains: [
+    'sessionId', 'studyId', 'conditionId', 'chainIndex', 'firstSearchIndex', 'queryCount', 'queries',
+    'startTime', 'endTime', 'clickCount', 'abandonedCount', 'totalDwell',
+    'specializations', 'generalizations', 'parallels', 'repeats',
+  ],
+  steps: [
+    'sessionId', 'studyId', 'conditionId', 'stepIndex', 'stepId', 'stepType',
+    'startedAt', 'completedAt', 'duration', 'outcome',
+  ],
+  responses: [
+    'sessionId', 'studyId', 'conditionId', 'stepId', 'questionId', 'answer', 'submittedAt',
+  ],
+};
+
+// Supported output formats and their MIME types.
+export const EXPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  jsonl: 'application/x-ndjson; charset=utf-8',
+};
+
+/**
+ * Flattens one stored session document into rows for every export table.
+ *
+ * @function flattenSession
+ * @param {object} session - A `UserBrowsingData` document.
+ * @returns {{ sessions: Array<object>, searches: Array<object>, clicks: Array<object>, events: Array<object>, navigations: Array<object>, queries: Array<object>, chains: Array<object>, steps: Array<object>, responses: Array<object> }}
+ */
+export function flattenSession(session) {
+  const base = {
+    sessionId: session.sessionId,
+    studyId: session.studyId || null,
+    conditionId: session.conditionId || null,
+  };
+  const searches = session.searches || [];
+  const clicks = session.clicks || [];
+
+  const searchRows = searches.map((search, searchIndex) => ({
+    ...base,
+    searchIndex,
+    timestamp: search.timestamp,
+    query: search.query,
+    snapshotId: search.snapshotId || null,
+    // Nested values are serialized so every cell stays a scalar.
+    appliedRules: search.appliedRules?.length ? JSON.stringify(search.appliedRules) : null,
+    searchId: search.searchId || null,
+    eventId: search.eventId || null,
+    seq: search.seq ?? null,
+    firstResultsMs: search.firstResultsMs ?? null,
+    finalResultsMs: search.finalResultsMs ?? null,
+    superseded: search.superseded ?? null,
+    totalResults: search.totalResults ?? null,
+    serpFeatures: search.serpFeatures ? JSON.stringify(search.serpFeatures) : null,
+    vertical: search.filters?.vertical ?? null,
+    dateRange: search.filters?.dateRange ?? null,
+    site: search.filters?.site ?? null,
+    language: search.filters?.language ?? null,
+    safeSearch: search.filters?.safeSearch ?? null,
+    taskId: search.taskId ?? null,
+  }));
+
+  const clickRows = clicks.map((click, clickIndex) => ({
+    ...base,
+    clickIndex,
+    url: click.url,
+    startTime: click.startTime,
+    endTime: click.endTime,
+    duration: click.duration ?? null,
+    searchQuery: click.searchQuery || null,
+    // SERP context of the clicked result (absent on clicks recorded before it was tracked).
+    searchId: click.searchId || null,
+    rank: click.rank ?? null,
+    resultId: click.resultId || null,
+    title: click.title || null,
+    snippet: click.snippet || null,
+    displayLink: click.displayLink || null,
+    embeddable: click.embeddable ?? null,
+    injected: click.injected ?? null,
+    eventId: click.eventId || null,
+    seq: click.seq ?? null,
+    proxied: click.proxied ?? null,
+    navigationCount: click.navigations?.length ?? 0,
+    activeDuration: click.activeDuration ?? null,
+    background: click.background ?? null,
+    loadFailure: click.loadFailure || null,
+    embedReason: click.embedReason || null,
+    provisional: click.provisional ?? null,
+    page: click.page ?? null,
+    // Active, idle and hidden time (absent on clicks recorded before dwell was split).
+    dwellActive: click.dwellActive ?? null,
+    dwellIdle: click.dwellIdle ?? null,
+    dwellHidden: click.dwellHidden ?? null,
+    dwellIntervals: click.dwellIntervals ? JSON.stringify(click.dwellIntervals) : null,
+    activityTracked: click.activityTracked ?? null,
+    idleThreshold: click.idleThreshold ?? null,
+    taskId: click.taskId ?? null,
+  }));
+
+  const navigationRows = clicks.flatMap((click, clickIndex) => (click.navigations || []).map((navigation, navigationIndex) => ({
+    ...base,
+    clickIndex,
+    clickEventId: click.eventId || null,
+    navigationIndex,
+    url: navigation.url,
+    title: navigation.title || null,
+    startTime: navigation.startTime,
+    endTime: navigation.endTime,
+    duration: navigation.duration ?? null,
+    maxScrollDepth: navigation.maxScrollDepth ?? null,
+    selectionCount: navigation.selections?.length ?? 0,
+    selections: navigation.selections?.length ? JSON.stringify(navigation.selections.map(selection => selection.text)) : null,
+  })));
+
+  // Typed interaction events (see lib/events.js) keep their own fields in `data`.
+  const interactionRows = (session.events || []).map(event => ({
+    ...base,
+    eventType: event.type,
+    time: event.clientTimestamp,
+    query: event.data?.query ?? null,
+    url: event.data?.url ?? null,
+    seq: event.seq,
+    rank: event.data?.rank ?? null,
+    data: JSON.stringify(event.data || {}),
+    eventId: event.eventId || null,
+  }));
+
+  const eventRows = [
+    ...searchRows.map(row => ({
+      ...base, eventType: 'search', time: row.timestamp, query: row.query, seq: row.seq, eventId: row.eventId,
+    })),
+    ...clickRows.map(row => ({
+      ...base, eventType: 'click', time: row.startTime, url: row.url, duration: row.duration, searchQuery: row.searchQuery,
+      rank: row.rank, seq: row.seq, eventId: row.eventId,
+    })),
+    ...interactionRows,
+  ]
+    .sort((a, b) => new Date(a.time) - new Date(b.time))
+    .map((row, eventIndex) => ({ ...row, eventIndex }));
+
+  const analysis = analyzeSession(session);
+  const queryRows = analysis.queries.map(metrics => ({
+    ...base,
+    ...metrics,
+    addedTerms: JSON.stringify(metrics.addedTerms),
+    removedTerms: JSON.stringify(metrics.removedTerms),
+  }));
+  const chainRows = analysis.chains.map(chain => ({
+    ...base,
+    ...chain,
+    queries: JSON.stringify(chain.queries),
+    specializations: chain.reformulations.specialization,
+    generalizations: chain.reformulations.generalization,
+    parallels: chain.reformulations.parallel,
+    repeats: chain.reformulations.repeat,
+  }));
+
+  // Task flow progress: the steps reached, and the answers of submitted questionnaires.
+  const flowSteps = session.flow?.steps || [];
+  const stepRows = flowSteps.map((step, stepIndex) => ({
+    ...base,
+    stepIndex,
+    stepId: step.stepId,
+    stepType: step.type,
+    startedAt: step.startedAt,
+    completedAt: step.completedAt || null,
+    duration: step.completedAt
+      ? Number(((new Date(step.completedAt) - new Date(step.startedAt)) / 1000).toFixed(2))
+      : null,
+    outcome: step.outcome || null,
+  }));
+  const responseRows = flowSteps.flatMap(step => Object.entries(step.answers || {}).map(([questionId, answer]) => ({
+    ...base,
+    stepId: step.stepId,
+    questionId,
+    // Multiple-choice answers are serialized so every cell stays a scalar.
+    answer: Array.isArray(answer) ? JSON.stringify(answer) : answer,
+    submittedAt: step.completedAt,
+  })));
+
+  const sessionRow = {
+    ...base,
+    firstSeen: session.firstSeen,
+    lastUpdated: session.lastUpdated,
+    searchCount: searches.length,
+    clickCount: clicks.length,
+    totalDwell: Number(clicks.reduce((sum, click) => sum + (click.activeDuration ?? click.duration ?? 0), 0).toFixed(2)),
+    flowStatus: session.flow?.status || null,
+    completionCode: session.flow?.completionCode || null,
+  };
+
+  return {
+    sessions: [sessionRow], searches: searchRows, clicks: clickRows, events: eventRows, navigations: navigationRows,
+    queries: queryRows, chains: chainRows, steps: stepRows, responses: responseRows,
+  };
+}
+
+/**
+ * Converts a cell value to its exported form: dates become ISO strings,
+ * missing values become `null`.
+ *
+ * @param {any} value - The raw cell value.
+ * @returns {string | number | boolean | null}
+ */
+const toCell = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+/**
+ * Escapes a value for CSV (RFC 4180): quoted when it contains a comma, quote or newline.
+ *
+ * @param {any} value - The cell value.
+ * @returns {string}
+ */
+const csvEscape = (value) => {
+  const cell = toCell(value);
+  if (cell === null) return '';
+  const text = String(cell);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes rows into lines of the given format, with a header line for CSV.
+ *
+ * @function formatRows
+ * @param {Array<object>} rows - The rows to serialize.
+ * @param {Array<string>} columns - The table's columns, in order.
+ * @param {'csv' | 'jsonl'} format - The output format.
+ * @param {boolean} [withHeader=false] - Whether to emit the CSV header line first.
+ * @returns {string} - The serialized text (newline-terminated lines).
+ */
+export function formatRows(rows, columns, format, withHeader = false) {
+  let out = '';
+  if (format === 'csv') {
+    if (withHeader) out += `${columns.join(',')}\n`;
+    for (const row of rows) {
+      out += `${columns.map(column => csvEscape(row[column])).join(',')}\n`;
+    }
+  } else {
+    for (const row of rows) {
+      out += `${JSON.stringify(Object.fromEntries(columns.map(column => [column, toCell(row[column])])))}\n`;
+    }
+  }
+  return out;
+}
+
+/**
+ * Streams one export table to a writer, session by session, so large exports
+ * don't have to fit in memory.
+ *
+ * For incremental exports (`since`), every row of each session updated after `since`
+ * is re-exported; downstream pipelines should upsert on `sessionId` plus the row index.
+ *
+ * @async
+ * @function exportTable
+ * @param {{ table: string, format: 'csv' | 'jsonl', studyId?: string, conditionId?: string, from?: string, to?: string, since?: string }} options - Table, format and filters.
+ * @param {function(string): void} write - Receives chunks of serialized output.
+ * @returns {Promise<number>} - The number of rows written.
+ */
+export async function exportTable({ table, format, since, ...filters }, write) {
+  const columns = EXPORT_TABLES[table];
+  const { db } = await connectToDatabase();
+
+  const filter = buildSessionFilter(filters);
+  const sinceDate = since ? new Date(since) : null;
+  if (sinceDate && !isNaN(sinceDate.getTime())) {
+    filter.lastUpdated = { $gt: sinceDate };
+  }
+
+  const cursor = db.collection('UserBrowsingData').find(filter).sort({ firstSeen: 1 });
+  let rowCount = 0;
+  write(formatRows([], columns, format, true));
+  for await (const session of cursor) {
+    const rows = flattenSession(session)[table];
+    if (rows.length > 0) {
+      write(formatRows(rows, columns, format));
+      rowCount += rows.length;
+    }
+  }
+  return rowCount;
+}
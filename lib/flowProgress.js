@@ -0,0 +1,272 @@
+// lib/flowProgress.js
+import crypto from 'crypto';
+import { connectToDatabase } from './mongodb';
+import { DEFAULT_FLOW, validateAnswers } from './taskFlow';
+
+// Name of the MongoDB collection holding sessions; a participant's flow progress and answers are stored on their session.
+const SESSIONS_COLLECTION = 'UserBrowsingData';
+// A task's time limit is enforced this much later on the server, so the page's own end-of-task
+// requests (and searches started just before) aren't cut off by network delays.
+const TIME_LIMIT_GRACE_SECONDS = 30;
+
+/**
+ * Errors of `advanceFlow`: HTTP status and message for each `reason`.
+ */
+export const FLOW_ERRORS = {
+  invalid_answers: { httpStatus: 400, message: "Please check your answers." },
+  missing_outcome: { httpStatus: 400, message: "Please choose whether you agree to take part." },
+  step_mismatch: { httpStatus: 409, message: "This step was already completed. Please continue with the next one." },
+  too_early: { httpStatus: 409, message: "Please keep working on the task a little longer." },
+  flow_finished: { httpStatus: 409, message: "You have already completed this study." },
+};
+
+/**
+ * A participant's progress through their study's flow, stored as `flow` on their session document.
+ *
+ * @typedef {object} FlowProgress
+ * @property {'in_progress' | 'completed' | 'declined'} status - `declined` if the participant didn't consent.
+ * @property {Array<{ stepId: string, type: string, startedAt: Date, completedAt: Date | null, outcome: string | null, answers?: object }>} steps -
+ *   The steps reached so far, in order; the last one is the current step until the flow ends. `outcome` is
+ *   `agreed` or `declined` (consent), `submitted` (questionnaire), `finished` or `time_limit` (task).
+ * @property {string | null} completionCode - The participant's completion code, once they reach the completion step.
+ */
+
+/**
+ * Returns a study's flow, or the default flow (just search) for studies without one.
+ *
+ * @function getStudyFlow
+ * @param {{ flow?: Array<import('./taskFlow').FlowStep> }} study - The study.
+ * @returns {Array<import('./taskFlow').FlowStep>}
+ */
+export function getStudyFlow(study) {
+  return study.flow || DEFAULT_FLOW;
+}
+
+/**
+ * Returns the time limit deadline of a task step started at `startedAt`, or `null` without a limit.
+ *
+ * @param {import('./taskFlow').FlowStep} step - The step.
+ * @param {Date} startedAt - When the participant started it.
+ * @returns {Date | null}
+ */
+const taskDeadline = (step, startedAt) => (step.type === 'task' && step.timeLimitSeconds
+  ? new Date(new Date(startedAt).getTime() + step.timeLimitSeconds * 1000)
+  : null);
+
+/**
+ * Builds the record of a step the participant has just reached.
+ *
+ * @param {import('./taskFlow').FlowStep} step - The step.
+ * @param {Date} now - The current time.
+ * @returns {object}
+ */
+const startStep = (step, now) => ({ stepId: step.stepId, type: step.type, startedAt: now, completedAt: null, outcome: null });
+
+/**
+ * Builds what the study page gets to see of a participant's flow: the steps (without fixed completion
+ * codes), where the participant is, the seconds left on a timed task, and their completion code once
+ * they reach the end.
+ *
+ * @function describeFlow
+ * @param {Array<import('./taskFlow').FlowStep>} flow - The study's flow.
+ * @param {FlowProgress} progress - The participant's progress.
+ * @returns {{ steps: Array<object>, stepIndex: number, status: string, stepStartedAt: Date | null, remainingSeconds: number | null, elapsedSeconds: number, completionCode: string | null }}
+ */
+export function describeFlow(flow, progress) {
+  const current = progress.steps[progress.steps.length - 1];
+  const stepIndex = Math.max(0, flow.findIndex(step => step.stepId === current?.stepId));
+  const step = flow[stepIndex];
+  const now = Date.now();
+  const deadline = current ? taskDeadline(step, current.startedAt) : null;
+  return {
+    steps: flow.map(({ completionCode, ...rest }) => rest),
+    stepIndex,
+    status: progress.status,
+    stepStartedAt: current?.startedAt || null,
+    remainingSeconds: deadline ? Math.max(0, Math.round((deadline.getTime() - now) / 1000)) : null,
+    elapsedSeconds: current ? Math.max(0, Math.round((now - new Date(current.startedAt).getTime()) / 1000)) : 0,
+    completionCode: progress.status === 'completed' ? progress.completionCode : null,
+  };
+}
+
+/**
+ * Returns a participant's flow progress, starting the flow at its first step on their first visit.
+ * The session document is created if tracking data hasn't done so yet.
+ *
+ * @async
+ * @function startFlow
+ * @param {{ participantId: string, studyId: string, conditionId: string }} participant - The checked-in participant.
+ * @param {object} study - Their study.
+ * @returns {Promise<FlowProgress>}
+ */
+export async function startFlow(participant, study) {
+  const { db } = await connectToDatabase();
+  const collection = db.collection(SESSIONS_COLLECTION);
+  const now = new Date();
+  const initial = { status: 'in_progress', steps: [startStep(getStudyFlow(study)[0], now)], completionCode: null };
+
+  // Only the first visit sets `flow`; concurrent first visits agree on one start.
+  const session = await collection.findOneAndUpdate(
+    { sessionId: participant.participantId },
+    [{
+      $set: {
+        sessionId: participant.participantId,
+        firstSeen: { $ifNull: ['$firstSeen', now] },
+        studyId: { $literal: participant.studyId },
+        conditionId: { $literal: participant.conditionId },
+        flow: { $ifNull: ['$flow', { $literal: initial }] },
+      },
+    }],
+    { upsert: true, returnDocument: 'after', projection: { flow: 1 } }
+  );
+  return session.flow;
+}
+
+/**
+ * Generates a participant's own completion code: 8 characters, without easily confused ones.
+ *
+ * @returns {string}
+ */
+const generateCompletionCode = () => {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  return Array.from({ length: 8 }, () => alphabet[crypto.randomInt(alphabet.length)]).join('');
+};
+
+/**
+ * Completes the participant's current step and moves them to the next one. The step must be the one
+ * the page shows (`stepId`), so double submissions can't skip a step.
+ * - Consent steps need an explicit `outcome: 'agreed'` or `'declined'`; declining ends the flow.
+ * - Questionnaire answers are validated and stored with the step.
+ * - Task steps end as `time_limit` once their time is up, and otherwise as `finished`, but not before
+ *   their `minTimeSeconds`.
+ * Reaching a completion step (or the end of the flow) completes it, and assigns the completion code.
+ * Works on the progress alone; `advanceFlow` loads and stores it.
+ *
+ * @function completeStep
+ * @param {Array<import('./taskFlow').FlowStep>} flow - The study's flow.
+ * @param {FlowProgress | null} progress - The participant's progress.
+ * @param {{ stepId: string, outcome?: string, answers?: object }} submission - What the page sent.
+ * @param {Date} [now] - The current time.
+ * @returns {{ progress?: FlowProgress, reason?: string, message?: string }} - The new progress, or a `FLOW_ERRORS`
+ *   reason and message.
+ */
+export function completeStep(flow, progress, { stepId, outcome, answers }, now = new Date()) {
+  const flowError = (reason, message = FLOW_ERRORS[reason].message) => ({ reason, message });
+  if (!progress || progress.status !== 'in_progress') {
+    return flowError('flow_finished');
+  }
+
+  const currentIndex = progress.steps.length - 1;
+  const current = progress.steps[currentIndex];
+  const stepIndex = flow.findIndex(step => step.stepId === current.stepId);
+  const step = flow[stepIndex];
+  if (!step || step.type === 'completion') {
+    return flowError('flow_finished');
+  }
+  if (current.stepId !== stepId) {
+    return flowError('step_mismatch');
+  }
+
+  const completed = { ...current, completedAt: now };
+  if (step.type === 'consent') {
+    if (outcome !== 'agreed' && outcome !== 'declined') {
+      return flowError('missing_outcome');
+    }
+    completed.outcome = outcome;
+  } else if (step.type === 'questionnaire') {
+    const result = validateAnswers(step, answers);
+    if (result.error) {
+      return flowError('invalid_answers', result.error);
+    }
+    completed.outcome = 'submitted';
+    completed.answers = result.answers;
+  } else if (step.type === 'task') {
+    const elapsedSeconds = (now.getTime() - new Date(current.startedAt).getTime()) / 1000;
+    const timedOut = step.timeLimitSeconds !== undefined && elapsedSeconds >= step.timeLimitSeconds - 1;
+    if (!timedOut && step.minTimeSeconds !== undefined && elapsedSeconds < step.minTimeSeconds - 1) {
+      return flowError('too_early');
+    }
+    completed.outcome = timedOut ? 'time_limit' : 'finished';
+  }
+
+  const steps = [...progress.steps.slice(0, currentIndex), completed];
+  let { status, completionCode } = progress;
+  const next = flow[stepIndex + 1];
+  if (completed.outcome === 'declined') {
+    status = 'declined';
+  } else if (next) {
+    steps.push(startStep(next, now));
+  }
+  if (status === 'in_progress' && (!next || next.type === 'completion')) {
+    status = 'completed';
+    completionCode = next?.completionCode || generateCompletionCode();
+    // The completion step is the end: there is nothing to complete on it.
+    if (next) steps[steps.length - 1].completedAt = now;
+  }
+
+  return { progress: { status, steps, completionCode } };
+}
+
+/**
+ * Completes the participant's current step (see `completeStep`) and stores their new progress.
+ *
+ * @async
+ * @function advanceFlow
+ * @param {object} study - The participant's study.
+ * @param {string} sessionId - The participant ID.
+ * @param {{ stepId: string, outcome?: string, answers?: object }} submission - What the page sent.
+ * @returns {Promise<{ progress: FlowProgress | null, reason?: string, message?: string }>} - The new progress, or on failure a
+ *   `FLOW_ERRORS` reason and message with the participant's current progress.
+ */
+export async function advanceFlow(study, sessionId, submission) {
+  const { db } = await connectToDatabase();
+  const collection = db.collection(SESSIONS_COLLECTION);
+  const session = await collection.findOne({ sessionId }, { projection: { flow: 1 } });
+  const progress = session?.flow || null;
+
+  const now = new Date();
+  const result = completeStep(getStudyFlow(study), progress, submission, now);
+  if (result.reason) {
+    return { ...result, progress };
+  }
+
+  const updated = result.progress;
+  // Only apply the step if nobody else advanced the flow in the meantime (e.g. a second tab).
+  const update = await collection.updateOne(
+    { sessionId, 'flow.steps': { $size: progress.steps.length }, 'flow.status': 'in_progress' },
+    { $set: { flow: updated, lastUpdated: now } }
+  );
+  if (update.matchedCount === 0) {
+    const latest = await collection.findOne({ sessionId }, { projection: { flow: 1 } });
+    return { reason: 'step_mismatch', message: FLOW_ERRORS.step_mismatch.message, progress: latest?.flow || null };
+  }
+  const completed = updated.steps[progress.steps.length - 1];
+  console.log(`Flow: Participant ${sessionId} completed step ${submission.stepId} (${completed.outcome || 'done'}); flow ${updated.status}.`);
+  return { progress: updated };
+}
+
+/**
+ * Checks whether a participant may search now: their current step must be a task whose time limit
+ * (plus a short grace period) hasn't passed. Studies without a flow always allow searching.
+ *
+ * @async
+ * @function checkTaskActive
+ * @param {object} study - The participant's study.
+ * @param {string} sessionId - The participant ID.
+ * @returns {Promise<{ active: boolean, taskId: string | null }>} - `taskId` is the stepId of the current task.
+ */
+export async function checkTaskActive(study, sessionId) {
+  if (!study.flow) {
+    return { active: true, taskId: null };
+  }
+  const { db } = await connectToDatabase();
+  const session = await db.collection(SESSIONS_COLLECTION).findOne({ sessionId }, { projection: { flow: 1 } });
+  const current = session?.flow?.status === 'in_progress' ? session.flow.steps[session.flow.steps.length - 1] : null;
+  const step = current && study.flow.find(candidate => candidate.stepId === current.stepId);
+  if (!step || step.type !== 'task') {
+    return { active: false, taskId: null };
+  }
+  const deadline = taskDeadline(step, current.startedAt);
+  const active = !deadline || Date.now() < deadline.getTime() + TIME_LIMIT_GRACE_SECONDS * 1000;
+  return { active, taskId: step.stepId };
+}
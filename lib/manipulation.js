@@ -0,0 +1,209 @@
+// lib/manipulation.js
+import { connectToDatabase } from './mongodb';
+
+// Name of the MongoDB collection holding per-condition manipulation rules.
+const RULES_COLLECTION = 'ManipulationRules';
+
+/**
+ * A single result manipulation rule. Positions are 1-based ranks in the list
+ * as it stands when the rule runs (rules are applied in order).
+ *
+ * - `{ type: 'reorder', swap: [1, 5] }` swaps the results at ranks 1 and 5.
+ * - `{ type: 'reorder', from: 4, to: 1 }` moves the result at rank 4 to rank 1.
+ * - `{ type: 'inject', position: 3, item: { title, link, snippet, ... } }` inserts a planted result.
+ * - `{ type: 'suppress', domain: 'reddit.com' }` removes results on a domain (and its subdomains);
+ *   `{ type: 'suppress', url: 'https://...' }` removes one exact URL.
+ * - `{ type: 'rewrite-snippet', match: { url | domain | position }, snippet: '...' }` replaces snippets.
+ *
+ * @typedef {object} ManipulationRule
+ * @property {string} [id] - Optional researcher-defined identifier, copied into the applied-rule log.
+ * @property {'reorder' | 'inject' | 'suppress' | 'rewrite-snippet'} type - The rule type.
+ */
+
+/**
+ * Record of a rule that changed the result list, stored with the search event.
+ * @typedef {object} AppliedRule
+ * @property {number} ruleIndex - Index of the rule in the condition's rule list.
+ * @property {string | null} id - The rule's `id`, if it has one.
+ * @property {string} type - The rule type.
+ * @property {Array<string>} links - Links of the results the rule touched.
+ */
+
+// The rule types `applyRules` understands.
+export const RULE_TYPES = ['reorder', 'inject', 'suppress', 'rewrite-snippet'];
+
+/**
+ * Checks whether a URL's host is `domain` or one of its subdomains.
+ *
+ * @param {string} url - The result URL.
+ * @param {string} domain - The domain to match, e.g. `reddit.com`.
+ * @returns {boolean}
+ */
+const isOnDomain = (url, domain) => {
+  try {
+    const host = new URL(url).hostname.toLowerCase();
+    const target = domain.toLowerCase();
+    return host === target || host.endsWith(`.${target}`);
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Checks whether a result matches a `rewrite-snippet` rule's `match` clause.
+ *
+ * @param {object} item - The result item.
+ * @param {number} index - The item's 0-based index in the current list.
+ * @param {{ url?: string, domain?: string, position?: number }} match - The match clause.
+ * @returns {boolean}
+ */
+const matchesItem = (item, index, match) => {
+  if (match.url) return item.link === match.url;
+  if (match.domain) return isOnDomain(item.link, match.domain);
+  if (match.position) return index === match.position - 1;
+  return false;
+};
+
+/**
+ * Validates a list of rules, returning a description of the first problem found.
+ *
+ * @function validateRules
+ * @param {any} rules - The candidate rule list.
+ * @returns {string | null} - An error message, or `null` if the rules are valid.
+ */
+export function validateRules(rules) {
+  if (!Array.isArray(rules)) {
+    return 'rules must be an array.';
+  }
+  for (const [index, rule] of rules.entries()) {
+    if (!rule || !RULE_TYPES.includes(rule.type)) {
+      return `Rule ${index}: type must be one of ${RULE_TYPES.join(', ')}.`;
+    }
+    if (rule.type === 'reorder' && !(Array.isArray(rule.swap) && rule.swap.length === 2) && !(rule.from && rule.to)) {
+      return `Rule ${index}: reorder needs swap: [a, b] or from/to.`;
+    }
+    if (rule.type === 'inject' && (!rule.position || !rule.item || !rule.item.link)) {
+      return `Rule ${index}: inject needs a position and an item with a link.`;
+    }
+    if (rule.type === 'suppress' && !rule.domain && !rule.url) {
+      return `Rule ${index}: suppress needs a domain or url.`;
+    }
+    if (rule.type === 'rewrite-snippet' && (!rule.match || typeof rule.snippet !== 'string')) {
+      return `Rule ${index}: rewrite-snippet needs a match clause and a snippet.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Applies manipulation rules to a ranked result list, in order.
+ * The input list is not modified. Rules that don't match anything (e.g. a swap
+ * beyond the end of the list) are skipped and not recorded.
+ *
+ * @function applyRules
+ * @param {Array<object>} items - The ranked result items.
+ * @param {Array<ManipulationRule>} rules - The rules to apply.
+ * @returns {{ items: Array<object>, appliedRules: Array<AppliedRule> }} - The manipulated list and a log of applied rules.
+ */
+export function applyRules(items, rules) {
+  let result = [...items];
+  const appliedRules = [];
+
+  rules.forEach((rule, ruleIndex) => {
+    let links = [];
+
+    switch (rule.type) {
+      case 'reorder': {
+        if (Array.isArray(rule.swap)) {
+          const [a, b] = rule.swap.map(position => position - 1);
+          if (result[a] && result[b] && a !== b) {
+            [result[a], result[b]] = [result[b], result[a]];
+            links = [result[b].link, result[a].link];
+          }
+        } else {
+          const from = rule.from - 1;
+          if (result[from]) {
+            const [moved] = result.splice(from, 1);
+            // Clamp the target so moving "to 20" in a 10-item list appends.
+            result.splice(Math.min(rule.to - 1, result.length), 0, moved);
+            links = [moved.link];
+          }
+        }
+        break;
+      }
+      case 'inject': {
+        const position = Math.min(rule.position - 1, result.length);
+        result.splice(position, 0, { ...rule.item, embeddable: rule.item.embeddable === true, injected: true });
+        links = [rule.item.link];
+        break;
+      }
+      case 'suppress': {
+        const kept = [];
+        for (const item of result) {
+          const suppressed = rule.url ? item.link === rule.url : isOnDomain(item.link, rule.domain);
+          if (suppressed) {
+            links.push(item.link);
+          } else {
+            kept.push(item);
+          }
+        }
+        result = kept;
+        break;
+      }
+      case 'rewrite-snippet': {
+        result = result.map((item, index) => {
+          if (!matchesItem(item, index, rule.match)) {
+            return item;
+          }
+          links.push(item.link);
+          // Drop the provider's highlighted HTML snippet so it can't contradict the rewrite.
+          const { htmlSnippet, ...rest } = item;
+          return { ...rest, snippet: rule.snippet, snippetRewritten: true };
+        });
+        break;
+      }
+      default:
+        console.warn(`Manipulation: Ignoring unknown rule type "${rule.type}".`);
+    }
+
+    if (links.length > 0) {
+      appliedRules.push({ ruleIndex, id: rule.id || null, type: rule.type, links });
+    }
+  });
+
+  return { items: result, appliedRules };
+}
+
+/**
+ * Loads the manipulation rules configured for a study condition.
+ *
+ * @async
+ * @function getConditionRules
+ * @param {string} studyId - The study ID.
+ * @param {string} conditionId - The condition ID.
+ * @returns {Promise<Array<ManipulationRule>>} - The rules, or an empty array if none are configured.
+ */
+export async function getConditionRules(studyId, conditionId) {
+  const { db } = await connectToDatabase();
+  const doc = await db.collection(RULES_COLLECTION).findOne({ studyId, conditionId });
+  return doc?.rules || [];
+}
+
+/**
+ * Replaces the manipulation rules for a study condition.
+ *
+ * @async
+ * @function setConditionRules
+ * @param {string} studyId - The study ID.
+ * @param {string} conditionId - The condition ID.
+ * @param {Array<ManipulationRule>} rules - The new rule list (validate with `validateRules` first).
+ * @returns {Promise<void>}
+ */
+export async function setConditionRules(studyId, conditionId, rules) {
+  const { db } = await connectToDatabase();
+  await db.collection(RULES_COLLECTION).updateOne(
+    { studyId, conditionId },
+    { $set: { rules, updatedAt: new Date() }, $setOnInsert: { studyId, conditionId } },
+    { upsert: true }
+  );
+}
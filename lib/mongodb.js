@@ -6,13 +6,6 @@ const MONGODB_URI = process.env.MONGO_URI;
 // Retrieve database name from environment variables, defaulting to 'CustomSearch'.
 const MONGODB_DB = process.env.MONGO_DB_NAME || 'CustomSearch';
 
-// Ensure the MongoDB URI is defined.
-if (!MONGODB_URI) {
-  throw new Error(
-    'Please define the MONGO_URI environment variable inside .env.local'
-  );
-}
-
 /**
  * Global variable to cache the MongoDB connection promise and resolved connection object.
  * This prevents creating new connections on every API call during development hot-reloads.
@@ -32,9 +25,17 @@ if (!cached) {
  * @async
  * @function connectToDatabase
  * @returns {Promise<{ client: MongoClient, db: import('mongodb').Db }>} - A promise that resolves to an object containing the MongoClient instance and the Db instance.
- * @throws {Error} - Throws an error if the connection fails.
+ * @throws {Error} - Throws an error if MONGO_URI is not set or the connection fails.
  */
 export async function connectToDatabase() {
+  // Ensure the MongoDB URI is defined. Checked here rather than at import time so that
+  // modules with an in-memory fallback (e.g. lib/cache.js) can still be loaded without it.
+  if (!MONGODB_URI) {
+    throw new Error(
+      'Please define the MONGO_URI environment variable inside .env.local'
+    );
+  }
+
   // If a connection is already cached, return it immediately.
   if (cached.conn) {
     console.log('Using cached MongoDB connection.');
@@ -0,0 +1,35 @@
+// lib/ndjson.js
+// Client-side reader for newline-delimited JSON responses, such as streamed searches from /api/search.
+
+/**
+ * Reads a newline-delimited JSON response, calling `onMessage` with each message as it arrives.
+ * Errors thrown by `onMessage` stop reading and are rethrown.
+ *
+ * @async
+ * @function readNdjson
+ * @param {Response} response - The fetch response.
+ * @param {function(object): void} onMessage - Called with each parsed message, in order.
+ * @returns {Promise<void>} - Resolves once the response has been read to the end.
+ */
+export async function readNdjson(response, onMessage) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+      const lines = buffer.split('\n');
+      // The last piece is an incomplete line until the stream ends.
+      buffer = done ? '' : lines.pop();
+      for (const line of lines) {
+        if (line.trim()) onMessage(JSON.parse(line));
+      }
+      if (done) return;
+    }
+  } catch (error) {
+    // Stop the download; the rest of the response is no longer wanted.
+    await reader.cancel().catch(() => {});
+    throw error;
+  }
+}
@@ -0,0 +1,180 @@
+// lib/participantAuth.js
+import crypto from 'crypto';
+import { getAppOrigin } from './embeddability';
+import { PROXY_PATH } from './proxyAgent';
+
+// Lifetime of a participant link without its own `expiresAt` (default: 30 days from registration).
+const LINK_TTL_SECONDS = Number(process.env.PARTICIPANT_LINK_TTL_SECONDS) || 30 * 24 * 60 * 60;
+// Shortest secret accepted without a warning; HMAC-SHA256 keys should have at least 256 bits.
+const MIN_SECRET_LENGTH = 32;
+// Request header carrying the participant token on `fetch` requests; beacons use the `token` query parameter.
+export const PARTICIPANT_TOKEN_HEADER = 'x-participant-token';
+
+let warnedAboutSecret = false;
+
+/**
+ * Returns the secret participant tokens are signed with, or `null` if `PARTICIPANT_TOKEN_SECRET`
+ * isn't set. Without it, participant links are plain IDs, as before tokens existed.
+ *
+ * @returns {string | null}
+ */
+const getSecret = () => {
+  const secret = process.env.PARTICIPANT_TOKEN_SECRET;
+  if (secret && secret.length < MIN_SECRET_LENGTH && !warnedAboutSecret) {
+    console.warn(`Participant Auth: PARTICIPANT_TOKEN_SECRET is shorter than ${MIN_SECRET_LENGTH} characters.`);
+    warnedAboutSecret = true;
+  }
+  return secret || null;
+};
+
+/**
+ * Whether participant links must carry a signed token (`PARTICIPANT_TOKEN_SECRET` is set).
+ *
+ * @function isParticipantAuthEnabled
+ * @returns {boolean}
+ */
+export function isParticipantAuthEnabled() {
+  return Boolean(getSecret());
+}
+
+/**
+ * Computes the signature of an encoded token payload.
+ *
+ * @param {string} payload - The base64url-encoded payload.
+ * @param {string} secret - The signing secret.
+ * @returns {string} - The base64url-encoded HMAC-SHA256.
+ */
+const sign = (payload, secret) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+/**
+ * Signs a participant token: `<payload>.<signature>`, where the payload is the base64url-encoded
+ * JSON `{ studyId, participantId, exp }` (expiry in Unix seconds).
+ *
+ * @function signParticipantToken
+ * @param {{ studyId: string, participantId: string, expiresAt: Date }} claims - Who the token is for, and until when.
+ * @returns {string | null} - The token, or `null` if participant auth isn't enabled.
+ */
+export function signParticipantToken({ studyId, participantId, expiresAt }) {
+  const secret = getSecret();
+  if (!secret) {
+    return null;
+  }
+  const exp = Math.floor(new Date(expiresAt).getTime() / 1000);
+  const payload = Buffer.from(JSON.stringify({ studyId, participantId, exp })).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * Verifies a participant token's signature and expiry.
+ *
+ * @function verifyParticipantToken
+ * @param {any} token - The token from the request.
+ * @returns {{ status: 'ok', claims: { studyId: string, participantId: string, exp: number } } | { status: 'invalid' | 'expired' }}
+ */
+export function verifyParticipantToken(token) {
+  const secret = getSecret();
+  if (!secret || typeof token !== 'string') {
+    return { status: 'invalid' };
+  }
+  const [payload, signature, extra] = token.split('.');
+  if (!payload || !signature || extra !== undefined) {
+    return { status: 'invalid' };
+  }
+
+  // Compare in constant time so the signature can't be guessed byte by byte.
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { status: 'invalid' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (e) {
+    return { status: 'invalid' };
+  }
+  if (typeof claims?.participantId !== 'string' || typeof claims.studyId !== 'string' || !Number.isFinite(claims.exp)) {
+    return { status: 'invalid' };
+  }
+  if (claims.exp * 1000 <= Date.now()) {
+    return { status: 'expired' };
+  }
+  return { status: 'ok', claims };
+}
+
+/**
+ * Reads the participant token of a request: the `X-Participant-Token` header, or the `token`
+ * query parameter (used where headers can't be set, such as beacons and the participant link itself).
+ *
+ * @function readParticipantToken
+ * @param {import('next').NextApiRequest} req - The incoming API request object.
+ * @returns {string | null}
+ */
+export function readParticipantToken(req) {
+  const header = req.headers[PARTICIPANT_TOKEN_HEADER];
+  if (typeof header === 'string' && header) {
+    return header;
+  }
+  return typeof req.query?.token === 'string' && req.query.token ? req.query.token : null;
+}
+
+/**
+ * Builds a participant's link: the study page URL with a token valid until the participant's
+ * `expiresAt`, or `PARTICIPANT_LINK_TTL_SECONDS` after registration if they have none. Without
+ * participant auth, the link has no token.
+ *
+ * @function buildParticipantLink
+ * @param {{ participantId: string, studyId: string, expiresAt?: Date | null, createdAt?: Date }} participant - The participant.
+ * @param {string} origin - The app's origin (see `getAppOrigin`).
+ * @returns {{ link: string, linkExpiresAt: Date | null }}
+ */
+export function buildParticipantLink(participant, origin) {
+  const link = `${origin}/${encodeURIComponent(participant.participantId)}`;
+  if (!isParticipantAuthEnabled()) {
+    return { link, linkExpiresAt: participant.expiresAt || null };
+  }
+  const linkExpiresAt = participant.expiresAt
+    ? new Date(participant.expiresAt)
+    : new Date(new Date(participant.createdAt || Date.now()).getTime() + LINK_TTL_SECONDS * 1000);
+  const token = signParticipantToken({ studyId: participant.studyId, participantId: participant.participantId, expiresAt: linkExpiresAt });
+  return { link: `${link}?token=${encodeURIComponent(token)}`, linkExpiresAt };
+}
+
+/**
+ * Guards participant API routes that write data against requests from other sites: the request's
+ * `Origin` (or, without one, its `Referer`) must be the app's own origin. Browsers send `Origin`
+ * on every POST, including beacons; pages in the embedded browser have an opaque (`null`) origin
+ * and are rejected too. Sends a 403 response itself when the check fails.
+ * With `allowProxiedPages`, requests from pages the reverse proxy serves (`/api/proxy`) are accepted
+ * as well: their origin is opaque, but their `Referer` is their proxy URL on the app's origin.
+ *
+ * @function requireSameOrigin
+ * @param {import('next').NextApiRequest} req - The incoming API request object.
+ * @param {import('next').NextApiResponse} res - The outgoing API response object.
+ * @param {{ allowProxiedPages?: boolean }} [options] - Whether to accept requests from proxied pages.
+ * @returns {boolean} - `true` if the request comes from the app and the handler may continue.
+ */
+export function requireSameOrigin(req, res, { allowProxiedPages = false } = {}) {
+  let referer = null;
+  try {
+    referer = req.headers.referer ? new URL(req.headers.referer) : null;
+  } catch (e) {
+    referer = null;
+  }
+  const appOrigin = getAppOrigin(req);
+  const fromProxiedPage = allowProxiedPages && referer?.origin === appOrigin && referer.pathname === PROXY_PATH;
+  let source = req.headers.origin || null;
+  if (source === 'null' && fromProxiedPage) {
+    return true;
+  }
+  if (!source && referer) {
+    source = referer.origin;
+  }
+  if (source && source === appOrigin) {
+    return true;
+  }
+  console.warn(`Participant Auth: Rejected ${req.method} ${req.url} from origin ${source || '(none)'}.`);
+  res.status(403).json({ error: "Requests must come from the study page.", reason: 'forbidden_origin' });
+  return false;
+}
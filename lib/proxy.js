@@ -0,0 +1,444 @@
+// lib/proxy.js
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import zlib from 'zlib';
+import {
+  PROXY_PARTICIPANT_PARAM, PROXY_PATH, PROXY_TOKEN_PARAM, buildAgentScript, buildProxyUrl,
+} from './proxyAgent';
+
+// Re-exported for server code; the client imports them from lib/proxyAgent.js.
+export { PROXY_PARTICIPANT_PARAM, PROXY_PATH, PROXY_TOKEN_PARAM, buildProxyUrl };
+
+/**
+ * Query parameter carrying the target of a proxied GET form submission. Browsers drop the
+ * query string of a GET form's `action`, so the target travels as a hidden form field instead.
+ */
+export const PROXY_FORM_PARAM = '__proxy_url';
+
+/**
+ * Supported values of `PROXY_MODE`:
+ * - `off`: results are loaded directly in the iframe (default).
+ * - `blocked`: only results whose headers block framing are loaded through the proxy.
+ * - `all`: every result is loaded through the proxy.
+ */
+export const PROXY_MODES = ['off', 'blocked', 'all'];
+
+// Response headers that are never passed on from the proxied site. Framing and CSP headers would
+// block the embed; cookies would land on this app's origin; the rest are hop-by-hop or no longer
+// accurate once the body has been decoded or rewritten.
+export const STRIPPED_RESPONSE_HEADERS = [
+  'x-frame-options', 'content-security-policy', 'content-security-policy-report-only',
+  'set-cookie', 'set-cookie2', 'strict-transport-security', 'public-key-pins',
+  'content-encoding', 'content-length', 'transfer-encoding', 'connection', 'keep-alive',
+  'alt-svc', 'report-to', 'nel', 'cross-origin-opener-policy', 'cross-origin-embedder-policy',
+  'cross-origin-resource-policy',
+];
+
+// URL schemes that are left untouched when rewriting.
+const PASSTHROUGH_URL = /^(#|javascript:|data:|mailto:|tel:|about:|blob:)/i;
+
+/**
+ * Returns the configured proxy mode (`PROXY_MODE`), defaulting to `off`.
+ *
+ * @function getProxyMode
+ * @returns {'off' | 'blocked' | 'all'}
+ */
+export function getProxyMode() {
+  const mode = (process.env.PROXY_MODE || 'off').toLowerCase();
+  if (!PROXY_MODES.includes(mode)) {
+    console.warn(`Proxy: Unknown PROXY_MODE "${process.env.PROXY_MODE}", proxy disabled.`);
+    return 'off';
+  }
+  return mode;
+}
+
+/**
+ * Decides whether a search result should be opened through the proxy.
+ *
+ * @function shouldProxy
+ * @param {{ link: string, embeddable?: boolean }} item - The search result.
+ * @param {'off' | 'blocked' | 'all'} mode - The proxy mode.
+ * @returns {boolean}
+ */
+export function shouldProxy(item, mode) {
+  if (mode === 'all') return true;
+  if (mode === 'blocked') return item.embeddable === false;
+  return false;
+}
+
+// Address ranges that aren't publicly routable: "this network", private, shared (CGNAT), loopback,
+// link-local, IETF protocol assignments, documentation, benchmarking, multicast and reserved.
+const NON_PUBLIC_IPV4 = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+];
+// IPv6 ranges that aren't publicly routable, plus every range that embeds an IPv4 address: IPv4-compatible
+// and IPv4-mapped addresses, NAT64 (64:ff9b::/96 and 64:ff9b:1::/48), 6to4 and Teredo. Host names resolve
+// to their IPv4 addresses directly, so these forms only serve to slip an IPv4 address past the checks above.
+const NON_PUBLIC_IPV6 = [
+  ['::', 96], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64], ['2001::', 32],
+  ['2001:db8::', 32], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8],
+];
+
+/**
+ * Block lists of the non-public ranges, one per address family: `net.BlockList` matches IPv4 addresses
+ * against IPv6 rules (and the other way round), so the families are kept apart.
+ */
+const NON_PUBLIC = {
+  ipv4: new net.BlockList(),
+  ipv6: new net.BlockList(),
+};
+NON_PUBLIC_IPV4.forEach(([network, prefix]) => NON_PUBLIC.ipv4.addSubnet(network, prefix, 'ipv4'));
+NON_PUBLIC_IPV6.forEach(([network, prefix]) => NON_PUBLIC.ipv6.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Checks whether an IP address is loopback, private, link-local or otherwise not publicly routable.
+ * IPv6 addresses are compared as parsed addresses, so every spelling (`::ffff:127.0.0.1`,
+ * `::ffff:7f00:1`, `0:0:0:0:0:ffff:7f00:1`) is caught.
+ *
+ * @function isPrivateAddress
+ * @param {string} address - An IPv4 or IPv6 address.
+ * @returns {boolean} - Also `true` for anything that isn't an IP address.
+ */
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) {
+    return NON_PUBLIC.ipv4.check(address, 'ipv4');
+  }
+  if (family === 6) {
+    return NON_PUBLIC.ipv6.check(address, 'ipv6');
+  }
+  return true;
+}
+
+/**
+ * Validates a proxy target: it must be an absolute http(s) URL whose host resolves only to
+ * public addresses, so the proxy can't be used to reach the server's own network.
+ * The checked address is returned so the request can be made to it (see `requestPinned`): resolving
+ * the host again could give a different, private address (DNS rebinding).
+ *
+ * @async
+ * @function resolveProxyTarget
+ * @param {any} target - The requested target URL.
+ * @returns {Promise<{ url?: URL, address?: { address: string, family: number }, error?: string, status?: number }>} -
+ *   The parsed URL and the address to connect to, or an error with its HTTP status.
+ */
+export async function resolveProxyTarget(target) {
+  let url;
+  try {
+    url = new URL(String(target || ''));
+  } catch (e) {
+    return { error: 'A valid absolute URL is required.', status: 400 };
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return { error: 'Only http and https URLs can be proxied.', status: 400 };
+  }
+  if (url.username || url.password) {
+    return { error: 'URLs with credentials cannot be proxied.', status: 400 };
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+    return { error: 'This host cannot be proxied.', status: 403 };
+  }
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [{ address: hostname, family: net.isIP(hostname) }]
+      : await dns.promises.lookup(hostname, { all: true });
+  } catch (e) {
+    return { error: `Could not resolve host ${hostname}.`, status: 502 };
+  }
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    return { error: 'This host cannot be proxied.', status: 403 };
+  }
+  return { url, address: addresses[0] };
+}
+
+/**
+ * Decoders for the content encodings the proxy accepts from proxied sites.
+ */
+const CONTENT_DECODERS = {
+  gzip: () => zlib.createGunzip(),
+  'x-gzip': () => zlib.createGunzip(),
+  deflate: () => zlib.createInflate(),
+  br: () => zlib.createBrotliDecompress(),
+};
+
+// The encodings requested from proxied sites (see `CONTENT_DECODERS`).
+export const ACCEPTED_ENCODINGS = 'gzip, deflate, br';
+
+/**
+ * Makes an HTTP(S) request to a validated proxy target, connecting to the address `resolveProxyTarget`
+ * checked rather than resolving the host again. The TLS certificate and `Host` header still use the
+ * URL's host name. The response body is decoded (`Content-Encoding`), like `fetch` does.
+ *
+ * @function requestPinned
+ * @param {URL} url - The target URL.
+ * @param {{ address: string, family: number }} address - The checked address to connect to.
+ * @param {{ method?: string, headers?: object, body?: Buffer, signal?: AbortSignal }} [options] - The request.
+ * @returns {Promise<{ status: number, headers: object, body: import('stream').Readable }>} - The status, the headers
+ *   (lower-cased names, as Node parses them) and the decoded body.
+ */
+export function requestPinned(url, address, { method = 'GET', headers = {}, body, signal } = {}) {
+  const transport = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = transport.request(url, {
+      method,
+      headers: { ...headers, 'Accept-Encoding': ACCEPTED_ENCODINGS },
+      signal,
+      lookup: (hostname, options, callback) => (options?.all
+        ? callback(null, [address])
+        : callback(null, address.address, address.family)),
+    }, (response) => {
+      const decoder = CONTENT_DECODERS[String(response.headers['content-encoding'] || '').trim().toLowerCase()];
+      const decoded = decoder ? response.pipe(decoder()) : response;
+      if (decoder) {
+        // Errors of the raw response (e.g. an abort) must end the decoded stream too.
+        response.on('error', error => decoded.destroy(error));
+      }
+      resolve({ status: response.statusCode, headers: response.headers, body: decoded });
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Reads a response body into memory, up to `limit` bytes. Bodies without a (truthful) Content-Length
+ * are only known to be small enough once they end, so the body is read in chunks and reading stops
+ * as soon as it is too large.
+ *
+ * @async
+ * @function readUpTo
+ * @param {AsyncIterator<Buffer>} iterator - The body's chunks.
+ * @param {number} limit - The most bytes to buffer.
+ * @returns {Promise<{ chunks: Array<Buffer>, complete: boolean }>} - The chunks read, and whether that was the whole body.
+ */
+export async function readUpTo(iterator, limit) {
+  const chunks = [];
+  let size = 0;
+  for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+    chunks.push(next.value);
+    size += next.value.length;
+    if (size > limit) {
+      return { chunks, complete: false };
+    }
+  }
+  return { chunks, complete: true };
+}
+
+/**
+ * Decodes a response body using the charset from its Content-Type, defaulting to UTF-8.
+ *
+ * @function decodeBody
+ * @param {Buffer} buffer - The response body.
+ * @param {string} contentType - The Content-Type header.
+ * @returns {string}
+ */
+export function decodeBody(buffer, contentType) {
+  const charset = contentType.match(/charset=["']?([\w-]+)/i)?.[1] || 'utf-8';
+  try {
+    return new TextDecoder(charset).decode(buffer);
+  } catch (e) {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+}
+
+/**
+ * Resolves a URL found in a proxied document against the document's URL and
+ * points it back through the proxy. Fragments and non-http(s) URLs are returned unchanged.
+ *
+ * @param {string} value - The raw URL (already entity-decoded).
+ * @param {string} baseUrl - The document's URL.
+ * @param {import('./proxyAgent').ProxyAccess | null} access - The participant the document is proxied for.
+ * @returns {string}
+ */
+const proxify = (value, baseUrl, access) => {
+  const trimmed = value.trim();
+  if (!trimmed || PASSTHROUGH_URL.test(trimmed)) return value;
+  try {
+    const absolute = new URL(trimmed, baseUrl);
+    if (absolute.protocol !== 'http:' && absolute.protocol !== 'https:') return value;
+    return buildProxyUrl(absolute.href, access);
+  } catch (e) {
+    return value;
+  }
+};
+
+// Minimal entity handling for attribute values: enough for URLs, which rarely use other entities.
+const decodeAttribute = (value) => value.replace(/&amp;/gi, '&').replace(/&#0*38;/g, '&').replace(/&quot;/gi, '"');
+const encodeAttribute = (value) => value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+/**
+ * Rewrites `url(...)` references and `@import` strings in a stylesheet to go through the proxy.
+ *
+ * @function rewriteCss
+ * @param {string} css - The stylesheet source.
+ * @param {string} baseUrl - The stylesheet's URL (or the document's, for inline styles).
+ * @param {import('./proxyAgent').ProxyAccess | null} [access] - The participant the stylesheet is proxied for.
+ * @returns {string} - The rewritten stylesheet.
+ */
+export function rewriteCss(css, baseUrl, access = null) {
+  return css
+    .replace(/url\(\s*(["']?)([^"')]*)\1\s*\)/gi, (match, quote, value) => `url(${quote}${proxify(value, baseUrl, access)}${quote})`)
+    .replace(/@import\s+(["'])([^"']+)\1/gi, (match, quote, value) => `@import ${quote}${proxify(value, baseUrl, access)}${quote}`);
+}
+
+/**
+ * Rewrites an HTML document so that links, forms and assets load through the proxy:
+ * - `href`, `src`, `action`, `poster`, `srcset`, inline styles and `<style>` blocks are proxied;
+ * - GET forms get a hidden `__proxy_url` field carrying their real target;
+ * - `target="_top"`/`"_parent"` is changed to `_self`, so pages can't navigate the study page away;
+ * - `<base>`, CSP `<meta>` tags and `integrity` attributes (invalidated by the rewrite) are removed, and so are
+ *   referrer policies, since the proxy recognizes requests from proxied pages by their `Referer`.
+ *
+ * Regex-based rewriting covers the markup of typical pages; URLs built by scripts at runtime are not proxied.
+ *
+ * @function rewriteHtml
+ * @param {string} html - The document source.
+ * @param {string} pageUrl - The document's URL.
+ * @param {import('./proxyAgent').ProxyAccess | null} [access] - The participant the document is proxied for;
+ *   rewritten URLs and forms carry it.
+ * @returns {string} - The rewritten document.
+ */
+export function rewriteHtml(html, pageUrl, access = null) {
+  // Relative URLs resolve against the document's <base href>, if present.
+  let baseUrl = pageUrl;
+  const baseMatch = html.match(/<base\s[^>]*href\s*=\s*["']?([^"'\s>]+)/i);
+  if (baseMatch) {
+    try {
+      baseUrl = new URL(decodeAttribute(baseMatch[1]), pageUrl).href;
+    } catch (e) {
+      // Ignore malformed <base> tags.
+    }
+  }
+
+  return html
+    .replace(/<base\s[^>]*>/gi, '')
+    .replace(/<meta\s[^>]*http-equiv\s*=\s*["']?(content-security-policy|x-frame-options)["']?[^>]*>/gi, '')
+    // The proxy recognizes requests from proxied pages by their Referer, so pages can't turn it off.
+    .replace(/<meta\s[^>]*name\s*=\s*["']?referrer["']?[^>]*>/gi, '')
+    // <meta http-equiv="refresh" content="5; url=...">
+    .replace(/(<meta\s[^>]*content\s*=\s*["']\s*\d+\s*;\s*url\s*=\s*)([^"']+)/gi,
+      (match, prefix, value) => `${prefix}${encodeAttribute(proxify(decodeAttribute(value), baseUrl, access))}`)
+    .replace(/<style(\s[^>]*)?>([\s\S]*?)<\/style>/gi,
+      (match, attributes = '', css) => `<style${attributes}>${rewriteCss(css, baseUrl, access)}</style>`)
+    .replace(/<form\b([^>]*)>/gi, (match, attributes) => rewriteFormTag(attributes, baseUrl, access))
+    .replace(/<(?!form\b)([a-z][a-z0-9-]*)(\s[^>]*)>/gi, (match, tag, attributes) => `<${tag}${rewriteAttributes(attributes, baseUrl, access)}>`);
+}
+
+/**
+ * Replaces the values of the named attributes within a tag's attribute source.
+ * Handles double-quoted, single-quoted and unquoted values; output is always double-quoted.
+ *
+ * @param {string} attributes - The tag's attribute source, with leading whitespace.
+ * @param {string} names - Attribute names as a regex alternation, e.g. 'href|src'.
+ * @param {function(string): string} transform - Maps the decoded value to its replacement.
+ * @returns {string}
+ */
+const replaceAttribute = (attributes, names, transform) => attributes.replace(
+  new RegExp(`(\\s(?:${names})\\s*=\\s*)(?:"([^"]*)"|'([^']*)'|([^\\s"'>]+))`, 'gi'),
+  (match, prefix, doubleQuoted, singleQuoted, unquoted) =>
+    `${prefix}"${encodeAttribute(transform(decodeAttribute(doubleQuoted ?? singleQuoted ?? unquoted)))}"`
+);
+
+/**
+ * Rewrites the URL-bearing attributes of one (non-form) tag.
+ *
+ * @param {string} attributes - The tag's attribute source, with leading whitespace.
+ * @param {string} baseUrl - The URL relative references resolve against.
+ * @param {import('./proxyAgent').ProxyAccess | null} access - The participant the document is proxied for.
+ * @returns {string}
+ */
+const rewriteAttributes = (attributes, baseUrl, access) => {
+  let rewritten = attributes.replace(/\s(?:integrity|referrerpolicy)\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+)/gi, '');
+  rewritten = replaceAttribute(rewritten, 'href|src|poster|data-src', value => proxify(value, baseUrl, access));
+  rewritten = replaceAttribute(rewritten, 'srcset|data-srcset', value => value
+    .split(',')
+    .map(candidate => {
+      const [url, ...descriptors] = candidate.trim().split(/\s+/);
+      return [proxify(url, baseUrl, access), ...descriptors].join(' ');
+    })
+    .join(', '));
+  rewritten = replaceAttribute(rewritten, 'style', value => rewriteCss(value, baseUrl, access));
+  return replaceAttribute(rewritten, 'target|formtarget', value => (/^_(top|parent)$/i.test(value) ? '_self' : value));
+};
+
+/**
+ * Rewrites a `<form>` tag. POST forms submit to the proxy URL of their action; GET forms
+ * submit to the proxy path with the real action in a hidden `__proxy_url` field, and the
+ * participant in hidden fields of their own.
+ *
+ * @param {string} attributes - The form tag's attribute source.
+ * @param {string} baseUrl - The URL relative references resolve against.
+ * @param {import('./proxyAgent').ProxyAccess | null} access - The participant the document is proxied for.
+ * @returns {string} - The rewritten tag, followed by the hidden fields for GET forms.
+ */
+const rewriteFormTag = (attributes, baseUrl, access) => {
+  const actionMatch = attributes.match(/\saction\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/i);
+  const rawAction = actionMatch ? decodeAttribute(actionMatch[1] ?? actionMatch[2] ?? actionMatch[3]).trim() : '';
+  let action;
+  try {
+    action = new URL(rawAction || baseUrl, baseUrl);
+  } catch (e) {
+    return `<form${attributes}>`;
+  }
+  if (action.protocol !== 'http:' && action.protocol !== 'https:') {
+    return `<form${attributes}>`;
+  }
+
+  const isPost = /\smethod\s*=\s*["']?post/i.test(attributes);
+  const rest = rewriteAttributes(attributes.replace(/\saction\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+)/i, ''), baseUrl, access);
+  if (isPost) {
+    return `<form action="${encodeAttribute(buildProxyUrl(action.href, access))}"${rest}>`;
+  }
+  // A GET submission replaces the action's query string with the form fields.
+  action.search = '';
+  const hiddenField = (name, value) => (value ? `<input type="hidden" name="${name}" value="${encodeAttribute(value)}">` : '');
+  return `<form action="${PROXY_PATH}"${rest}>${hiddenField(PROXY_FORM_PARAM, action.href)}`
+    + `${hiddenField(PROXY_PARTICIPANT_PARAM, access?.participantId)}${hiddenField(PROXY_TOKEN_PARAM, access?.token)}`;
+};
+
+/**
+ * Inserts an inline script at the start of a document's `<head>` (or of the document,
+ * if it has none), so it runs before the page's own scripts.
+ *
+ * @function injectScript
+ * @param {string} html - The document source.
+ * @param {string} source - The script source.
+ * @returns {string}
+ */
+export function injectScript(html, source) {
+  const tag = `<script>${source}</script>`;
+  const head = /<head\b[^>]*>/i.exec(html);
+  if (!head) {
+    return `${tag}${html}`;
+  }
+  const insertAt = head.index + head[0].length;
+  return `${html.slice(0, insertAt)}${tag}${html.slice(insertAt)}`;
+}
+
+/**
+ * Renders the page the proxy shows in the embedded browser's iframe when it can't load a page.
+ * Its agent reports the failure to the embedded browser, which shows its fallback view instead.
+ *
+ * @function renderErrorPage
+ * @param {string} pageUrl - The URL that failed to load.
+ * @param {string} message - The explanation shown in the page.
+ * @param {string} reason - The reported reason, one of `LOAD_ERROR_REASONS` (see `lib/proxyAgent.js`).
+ * @returns {string} - The HTML document.
+ */
+export function renderErrorPage(pageUrl, message, reason) {
+  const escapeText = (text) => encodeAttribute(text).replace(/</g, '&lt;');
+  return injectScript(
+    `<!DOCTYPE html><html><head><meta charset="utf-8"><title>Page unavailable</title></head>`
+      + `<body style="font-family: sans-serif; padding: 2rem; color: #374151;">`
+      + `<p>${escapeText(message)}</p><p style="color: #6b7280; word-break: break-all;">${escapeText(pageUrl)}</p>`
+      + `</body></html>`,
+    buildAgentScript(pageUrl, { loadError: reason }),
+  );
+}
@@ -0,0 +1,182 @@
+// lib/proxyAgent.js
+// Shared by /api/proxy (which injects the agent into proxied pages) and the embedded browser
+// (which receives its messages and loads proxied URLs), so this module must stay free of server-only imports.
+
+/**
+ * Path of the same-origin reverse proxy route (`pages/api/proxy.js`).
+ */
+export const PROXY_PATH = '/api/proxy';
+
+/**
+ * Query parameters identifying the participant on proxy requests. The proxy only serves registered
+ * participants, and proxied pages can't send headers, so the participant ID and link token travel in
+ * every proxy URL (and as hidden fields of proxied GET forms). Prefixed so they can't clash with the
+ * proxied site's own parameters.
+ */
+export const PROXY_PARTICIPANT_PARAM = '__proxy_participant';
+export const PROXY_TOKEN_PARAM = '__proxy_token';
+
+/**
+ * Who a proxy URL is for: the participant ID and, with participant auth enabled, their link token.
+ *
+ * @typedef {object} ProxyAccess
+ * @property {string} participantId - The participant ID.
+ * @property {string | null} [token] - The token of the participant's link.
+ */
+
+/**
+ * Builds the proxy URL for a target URL.
+ *
+ * @function buildProxyUrl
+ * @param {string} url - The absolute target URL.
+ * @param {ProxyAccess | null} [access] - The participant the URL is for.
+ * @returns {string} - The same-origin proxy URL.
+ */
+export function buildProxyUrl(url, access = null) {
+  let proxyUrl = `${PROXY_PATH}?url=${encodeURIComponent(url)}`;
+  if (access?.participantId) {
+    proxyUrl += `&${PROXY_PARTICIPANT_PARAM}=${encodeURIComponent(access.participantId)}`;
+  }
+  if (access?.token) {
+    proxyUrl += `&${PROXY_TOKEN_PARAM}=${encodeURIComponent(access.token)}`;
+  }
+  return proxyUrl;
+}
+
+/**
+ * Marker on every message the agent posts to the parent window, used to tell them
+ * apart from other `postMessage` traffic.
+ */
+export const AGENT_MESSAGE_SOURCE = 'embed-browser-agent';
+
+/**
+ * Message types posted by the agent:
+ * - `page_view`: a page (or a history-API route change) was loaded; carries `url` and `title`.
+ * - `scroll`: the page was scrolled to a new depth step; carries `url` and `maxDepth` (0-1).
+ * - `selection`: text was selected; carries `url` and the selected `text`.
+ * - `activity`: the participant used the pointer, keyboard or scrolled in the page; at most one per
+ *   `ACTIVITY_INTERVAL_MS`, as a heartbeat for dwell time (see lib/dwellTracker.js).
+ * - `load_error`: the page couldn't be shown; carries `url` and a `reason` from `LOAD_ERROR_REASONS`.
+ */
+export const AGENT_MESSAGE_TYPES = ['page_view', 'scroll', 'selection', 'activity', 'load_error'];
+
+/**
+ * Why a page failed to load in the embedded browser:
+ * - `timeout`: the page took too long to respond or never finished loading.
+ * - `network_error`: the page couldn't be fetched.
+ * - `rejected`: the proxy refused the URL (e.g. a private address).
+ * - `blocked`: the page refuses to be framed (X-Frame-Options or CSP frame-ancestors).
+ * - `no_content`: the page loaded but stayed blank, typically because a frame-busting script hid it.
+ * - `reported`: the participant reported a problem with the page.
+ */
+export const LOAD_ERROR_REASONS = ['timeout', 'network_error', 'rejected', 'blocked', 'no_content', 'reported'];
+
+// Time after the load event before a page with no visible content is reported as blank, in milliseconds.
+const BLANK_PAGE_DELAY_MS = 1500;
+
+// Shortest time between two activity heartbeats, in milliseconds.
+const ACTIVITY_INTERVAL_MS = 2000;
+
+// Longest text selection reported, in characters.
+export const MAX_SELECTION_LENGTH = 500;
+
+/**
+ * Builds the inline script the proxy injects into proxied HTML pages. It reports the page's
+ * original URL (not the proxy URL), title, scroll depth, text selections and activity heartbeats to the parent
+ * window with `postMessage`. Proxied pages have an opaque origin, so messages are posted to `*`;
+ * the parent checks that they come from its own iframe.
+ *
+ * The proxy's own error pages use the agent with `loadError` set; it then only reports that error.
+ * Otherwise, a page that still shows nothing shortly after loading is reported as `no_content`.
+ *
+ * @function buildAgentScript
+ * @param {string} pageUrl - The original URL of the proxied page.
+ * @param {{ loadError?: string }} [options] - A `LOAD_ERROR_REASONS` value to report instead of tracking the page.
+ * @returns {string} - JavaScript source, safe to embed in a `<script>` element.
+ */
+export function buildAgentScript(pageUrl, { loadError = null } = {}) {
+  // Escape "<" so the URL can't close the script element.
+  const config = JSON.stringify({
+    source: AGENT_MESSAGE_SOURCE, pageUrl, loadError, maxSelection: MAX_SELECTION_LENGTH, blankDelay: BLANK_PAGE_DELAY_MS,
+    activityInterval: ACTIVITY_INTERVAL_MS,
+  }).replace(/</g, '\\u003c');
+
+  return `(function (config) {
+  if (window.parent === window) return;
+  var currentUrl = config.pageUrl;
+  var maxDepth = 0;
+  var lastSelection = '';
+  var lastActivity = 0;
+  var post = function (type, data) {
+    data.source = config.source;
+    data.type = type;
+    data.url = currentUrl;
+    try { window.parent.postMessage(data, '*'); } catch (e) {}
+  };
+  if (config.loadError) {
+    post('load_error', { reason: config.loadError });
+    return;
+  }
+  // Frame-busting scripts often hide the page when they can't navigate the top window.
+  var looksBlank = function () {
+    var body = document.body;
+    if (!body) return true;
+    var style = window.getComputedStyle(body);
+    if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') return true;
+    return !(body.innerText || '').trim() && !document.querySelector('img, video, canvas, svg, embed, object, iframe');
+  };
+  window.addEventListener('load', function () {
+    setTimeout(function () {
+      if (looksBlank()) post('load_error', { reason: 'no_content' });
+    }, config.blankDelay);
+  });
+  var pageView = function () {
+    maxDepth = 0;
+    post('page_view', { title: document.title || '' });
+  };
+  // Single-page apps change routes with the history API; resolve those against the original URL.
+  ['pushState', 'replaceState'].forEach(function (name) {
+    var original = history[name];
+    history[name] = function (state, title, url) {
+      var result = original.apply(this, arguments);
+      if (url != null) {
+        try { currentUrl = new URL(url, currentUrl).href; } catch (e) {}
+        if (name === 'pushState') setTimeout(pageView, 0);
+      }
+      return result;
+    };
+  });
+  window.addEventListener('scroll', function () {
+    var root = document.scrollingElement || document.documentElement;
+    var depth = root.scrollHeight > 0 ? Math.min(1, (root.scrollTop + window.innerHeight) / root.scrollHeight) : 1;
+    var step = Math.floor(depth * 4) / 4;
+    if (step > maxDepth) {
+      maxDepth = step;
+      post('scroll', { maxDepth: step });
+    }
+  }, { passive: true });
+  var selectionTimer;
+  document.addEventListener('selectionchange', function () {
+    clearTimeout(selectionTimer);
+    selectionTimer = setTimeout(function () {
+      var text = String(window.getSelection() || '').trim().slice(0, config.maxSelection);
+      if (text && text !== lastSelection) post('selection', { text: text });
+      lastSelection = text;
+    }, 700);
+  });
+  var activity = function () {
+    var now = Date.now();
+    if (now - lastActivity < config.activityInterval) return;
+    lastActivity = now;
+    post('activity', {});
+  };
+  ['pointerdown', 'pointermove', 'keydown', 'wheel', 'scroll', 'touchstart'].forEach(function (type) {
+    window.addEventListener(type, activity, { passive: true, capture: true });
+  });
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', pageView);
+  } else {
+    pageView();
+  }
+})(${config});`;
+}
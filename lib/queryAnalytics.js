@@ -0,0 +1,257 @@
+// lib/queryAnalytics.js
+import { connectToDatabase } from './mongodb';
+import { buildSessionFilter } from './sessions';
+
+// A pause longer than this between two queries always starts a new chain (30 minutes, the usual
+// session cut-off in query log analysis).
+const CHAIN_GAP_SECONDS = 30 * 60;
+
+// Words that don't make two queries share a topic.
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in', 'is', 'it', 'of', 'on',
+  'or', 'that', 'the', 'to', 'vs', 'what', 'when', 'where', 'which', 'who', 'why', 'with',
+]);
+
+/**
+ * How a query relates to the one before it in the session, by their terms (see `classifyReformulation`):
+ * - `new_topic`: no terms in common (or the first query of the session); starts a new chain.
+ * - `specialization`: terms were added and none removed.
+ * - `generalization`: terms were removed and none added.
+ * - `parallel`: some terms replaced, with others kept.
+ * - `repeat`: the same terms again.
+ */
+export const REFORMULATION_TYPES = ['new_topic', 'specialization', 'generalization', 'parallel', 'repeat'];
+
+/**
+ * Metrics of one query (search) of a session.
+ *
+ * @typedef {object} QueryMetrics
+ * @property {number} searchIndex - The search's index in the session's `searches`.
+ * @property {string} query - The query.
+ * @property {Date} timestamp - When it was searched.
+ * @property {string | null} searchId - The search's ID, which its clicks refer to.
+ * @property {number} chainIndex - The reformulation chain it belongs to (0-based, in session order).
+ * @property {number} chainPosition - Its position within the chain (0 for the chain's first query).
+ * @property {string} reformulationType - One of `REFORMULATION_TYPES`.
+ * @property {string | null} previousQuery - The session's previous query.
+ * @property {Array<string>} addedTerms - Terms not in the previous query.
+ * @property {Array<string>} removedTerms - Terms of the previous query that were dropped.
+ * @property {number | null} termOverlap - Jaccard overlap of the two queries' terms (0-1).
+ * @property {number | null} secondsSincePrevious - Time since the previous query.
+ * @property {number} clickCount - Results opened from this query's results.
+ * @property {number | null} timeToFirstClick - Seconds from the search to its first click, null without clicks.
+ * @property {boolean} abandoned - Whether no result was opened.
+ * @property {number} totalDwell - Seconds spent on the opened results (on-screen time where tracked).
+ */
+
+/**
+ * A reformulation chain: consecutive queries of a session on one topic.
+ *
+ * @typedef {object} QueryChain
+ * @property {number} chainIndex - The chain's position in the session (0-based).
+ * @property {number} firstSearchIndex - `searchIndex` of its first query.
+ * @property {number} queryCount - Number of queries.
+ * @property {Array<string>} queries - The queries, in order.
+ * @property {Date} startTime - When its first query was searched.
+ * @property {Date} endTime - When its last query was searched.
+ * @property {number} clickCount - Clicks over all its queries.
+ * @property {number} abandonedCount - Queries without clicks.
+ * @property {number} totalDwell - Seconds spent on results opened from it.
+ * @property {Object<string, number>} reformulations - Number of reformulations of each type within the chain.
+ */
+
+/**
+ * Splits a query into its distinct, lower-cased content terms.
+ *
+ * @function queryTerms
+ * @param {string} query - The query.
+ * @returns {Array<string>}
+ */
+export function queryTerms(query) {
+  const words = String(query || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return [...new Set(words.filter(word => !STOPWORDS.has(word)))];
+}
+
+/**
+ * Classifies a query against the previous one by term overlap.
+ *
+ * @function classifyReformulation
+ * @param {string | null} previousQuery - The previous query, or null for the first query.
+ * @param {string} query - The query.
+ * @returns {{ type: string, addedTerms: Array<string>, removedTerms: Array<string>, termOverlap: number | null }}
+ */
+export function classifyReformulation(previousQuery, query) {
+  const terms = queryTerms(query);
+  if (previousQuery === null || previousQuery === undefined) {
+    return { type: 'new_topic', addedTerms: terms, removedTerms: [], termOverlap: null };
+  }
+  const previousTerms = queryTerms(previousQuery);
+  const addedTerms = terms.filter(term => !previousTerms.includes(term));
+  const removedTerms = previousTerms.filter(term => !terms.includes(term));
+  const shared = terms.length - addedTerms.length;
+  const union = terms.length + removedTerms.length;
+  const termOverlap = union > 0 ? Number((shared / union).toFixed(3)) : 1;
+
+  let type;
+  if (addedTerms.length === 0 && removedTerms.length === 0) type = 'repeat';
+  else if (shared === 0) type = 'new_topic';
+  else if (removedTerms.length === 0) type = 'specialization';
+  else if (addedTerms.length === 0) type = 'generalization';
+  else type = 'parallel';
+  return { type, addedTerms, removedTerms, termOverlap };
+}
+
+/**
+ * Seconds between two dates, rounded to hundredths.
+ *
+ * @param {any} from - The earlier date.
+ * @param {any} to - The later date.
+ * @returns {number | null} - Null if either date is missing or invalid.
+ */
+const secondsBetween = (from, to) => {
+  const ms = new Date(to).getTime() - new Date(from).getTime();
+  return from && to && Number.isFinite(ms) ? Number((ms / 1000).toFixed(2)) : null;
+};
+
+/**
+ * Groups a session's queries into reformulation chains and computes per-query metrics.
+ * Clicks belong to the search whose `searchId` they carry; older clicks without one belong to the last
+ * search before them. A query starts a new chain when it shares no terms with the previous one, or when
+ * more than 30 minutes passed since it.
+ *
+ * @function analyzeSession
+ * @param {{ searches?: Array<object>, clicks?: Array<object> }} session - A `UserBrowsingData` document.
+ * @returns {{ queries: Array<QueryMetrics>, chains: Array<QueryChain> }}
+ */
+export function analyzeSession(session) {
+  const searches = (session.searches || [])
+    .map((search, searchIndex) => ({ search, searchIndex }))
+    .sort((a, b) => new Date(a.search.timestamp) - new Date(b.search.timestamp));
+
+  // Clicks per search (by position in `searches`).
+  const clicksBySearch = new Map(searches.map(({ searchIndex }) => [searchIndex, []]));
+  const indexBySearchId = new Map(searches.filter(({ search }) => search.searchId).map(({ search, searchIndex }) => [search.searchId, searchIndex]));
+  for (const click of session.clicks || []) {
+    let searchIndex = click.searchId ? indexBySearchId.get(click.searchId) : undefined;
+    if (searchIndex === undefined) {
+      const before = searches.filter(({ search }) => new Date(search.timestamp) <= new Date(click.startTime));
+      searchIndex = before[before.length - 1]?.searchIndex;
+    }
+    if (searchIndex !== undefined) clicksBySearch.get(searchIndex).push(click);
+  }
+
+  const queries = [];
+  const chains = [];
+  let previous = null;
+  for (const { search, searchIndex } of searches) {
+    const reformulation = classifyReformulation(previous ? previous.query : null, search.query);
+    const secondsSincePrevious = previous ? secondsBetween(previous.timestamp, search.timestamp) : null;
+    const startsChain = reformulation.type === 'new_topic' || secondsSincePrevious > CHAIN_GAP_SECONDS;
+    if (startsChain) {
+      chains.push({
+        chainIndex: chains.length,
+        firstSearchIndex: searchIndex,
+        queryCount: 0,
+        queries: [],
+        startTime: search.timestamp,
+        endTime: search.timestamp,
+        clickCount: 0,
+        abandonedCount: 0,
+        totalDwell: 0,
+        reformulations: Object.fromEntries(REFORMULATION_TYPES.filter(type => type !== 'new_topic').map(type => [type, 0])),
+      });
+    }
+    const chain = chains[chains.length - 1];
+
+    const clicks = clicksBySearch.get(searchIndex);
+    const firstClickTime = clicks.map(click => new Date(click.startTime).getTime()).filter(Number.isFinite).sort((a, b) => a - b)[0];
+    const totalDwell = Number(clicks.reduce((sum, click) => sum + (click.activeDuration ?? click.duration ?? 0), 0).toFixed(2));
+    const metrics = {
+      searchIndex,
+      query: search.query,
+      timestamp: search.timestamp,
+      searchId: search.searchId || null,
+      chainIndex: chain.chainIndex,
+      chainPosition: chain.queryCount,
+      reformulationType: reformulation.type,
+      previousQuery: previous ? previous.query : null,
+      addedTerms: reformulation.addedTerms,
+      removedTerms: reformulation.removedTerms,
+      termOverlap: reformulation.termOverlap,
+      secondsSincePrevious,
+      clickCount: clicks.length,
+      timeToFirstClick: firstClickTime === undefined ? null : secondsBetween(search.timestamp, new Date(firstClickTime)),
+      abandoned: clicks.length === 0,
+      totalDwell,
+    };
+    queries.push(metrics);
+
+    chain.queryCount += 1;
+    chain.queries.push(search.query);
+    chain.endTime = search.timestamp;
+    chain.clickCount += metrics.clickCount;
+    chain.abandonedCount += metrics.abandoned ? 1 : 0;
+    chain.totalDwell = Number((chain.totalDwell + totalDwell).toFixed(2));
+    if (!startsChain) chain.reformulations[reformulation.type] += 1;
+    previous = search;
+  }
+
+  return { queries, chains };
+}
+
+/**
+ * Mean of a list of numbers, rounded to hundredths.
+ *
+ * @param {Array<number>} values - The numbers.
+ * @returns {number | null} - Null for an empty list.
+ */
+const mean = (values) => (values.length ? Number((values.reduce((sum, value) => sum + value, 0) / values.length).toFixed(2)) : null);
+
+/**
+ * Summarizes the query analytics of a set of sessions, overall and per condition.
+ *
+ * @async
+ * @function summarizeQueryAnalytics
+ * @param {{ studyId?: string, conditionId?: string, from?: string, to?: string }} [filters] - The same filters as the session list.
+ * @returns {Promise<{ overall: object, byCondition: Object<string, object> }>} - For each group: `sessionCount`, `queryCount`,
+ *   `chainCount`, `queriesPerChain`, `reformulations` (count per type), `abandonmentRate`, `clicksPerQuery`,
+ *   `meanTimeToFirstClick` and `meanDwellPerQuery`.
+ */
+export async function summarizeQueryAnalytics(filters = {}) {
+  const { db } = await connectToDatabase();
+  const cursor = db.collection('UserBrowsingData')
+    .find(buildSessionFilter(filters), { projection: { conditionId: 1, searches: 1, clicks: 1 } });
+
+  const groups = {};
+  const addTo = (key, { queries, chains }) => {
+    const group = groups[key] || (groups[key] = { sessionCount: 0, queries: [], chainCount: 0 });
+    group.sessionCount += 1;
+    group.queries.push(...queries);
+    group.chainCount += chains.length;
+  };
+  for await (const session of cursor) {
+    const analysis = analyzeSession(session);
+    addTo('overall', analysis);
+    addTo(`condition:${session.conditionId || 'none'}`, analysis);
+  }
+
+  const summarize = ({ sessionCount, queries, chainCount }) => ({
+    sessionCount,
+    queryCount: queries.length,
+    chainCount,
+    queriesPerChain: chainCount ? Number((queries.length / chainCount).toFixed(2)) : null,
+    reformulations: Object.fromEntries(REFORMULATION_TYPES.map(type => [type, queries.filter(query => query.reformulationType === type).length])),
+    abandonmentRate: queries.length ? Number((queries.filter(query => query.abandoned).length / queries.length).toFixed(3)) : null,
+    clicksPerQuery: mean(queries.map(query => query.clickCount)),
+    meanTimeToFirstClick: mean(queries.map(query => query.timeToFirstClick).filter(value => value !== null)),
+    meanDwellPerQuery: mean(queries.map(query => query.totalDwell)),
+  });
+
+  const empty = { sessionCount: 0, queries: [], chainCount: 0 };
+  return {
+    overall: summarize(groups.overall || empty),
+    byCondition: Object.fromEntries(Object.entries(groups)
+      .filter(([key]) => key.startsWith('condition:'))
+      .map(([key, group]) => [key.slice('condition:'.length), summarize(group)])),
+  };
+}
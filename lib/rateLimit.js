@@ -0,0 +1,101 @@
+// lib/rateLimit.js
+import { connectToDatabase } from './mongodb';
+
+// Name of the MongoDB collection holding request counters.
+const RATE_LIMIT_COLLECTION = 'RateLimits';
+
+/**
+ * Requests allowed per participant session in each window, by route. Generous for real use: the
+ * tracking queue flushes every few seconds, the search bar asks for suggestions as the participant types,
+ * and every asset of a proxied page is a proxy request.
+ */
+export const RATE_LIMITS = {
+  'track-data': { limit: 120, windowSeconds: 60 },
+  search: { limit: 60, windowSeconds: 60 },
+  suggest: { limit: 300, windowSeconds: 60 },
+  'check-in': { limit: 30, windowSeconds: 60 },
+  flow: { limit: 30, windowSeconds: 60 },
+  proxy: { limit: 600, windowSeconds: 60 },
+  'embed-check': { limit: 60, windowSeconds: 60 },
+  readable: { limit: 30, windowSeconds: 60 },
+};
+
+/**
+ * Whether the counter collection's TTL index was created, cached on `global` (like the connection
+ * in lib/mongodb.js) so it survives development hot-reloads.
+ * @type {{ indexEnsured: boolean }}
+ */
+let state = global.rateLimitState;
+
+if (!state) {
+  state = global.rateLimitState = { indexEnsured: false };
+}
+
+/**
+ * Counts a request against a fixed-window limit and reports whether it is allowed. Counters live
+ * in MongoDB, so the limit holds across server instances, and expire with their window.
+ * If MongoDB fails, the request is allowed: rate limiting must not take the study down.
+ *
+ * @async
+ * @function checkRateLimit
+ * @param {string} bucket - The limit to apply, a key of `RATE_LIMITS`.
+ * @param {string} key - What is limited, e.g. the participant ID.
+ * @returns {Promise<{ allowed: boolean, retryAfter: number }>} - `retryAfter` is the seconds until the window resets.
+ */
+export async function checkRateLimit(bucket, key) {
+  const { limit, windowSeconds } = RATE_LIMITS[bucket];
+  const windowMs = windowSeconds * 1000;
+  const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+  const retryAfter = Math.ceil((windowStart + windowMs - Date.now()) / 1000);
+
+  try {
+    const { db } = await connectToDatabase();
+    const collection = db.collection(RATE_LIMIT_COLLECTION);
+    if (!state.indexEnsured) {
+      // Let MongoDB remove counters of past windows on its own.
+      await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+      state.indexEnsured = true;
+    }
+
+    const id = `${bucket}:${key}:${windowStart}`;
+    const increment = () => collection.findOneAndUpdate(
+      { _id: id },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(windowStart + windowMs) } },
+      { upsert: true, returnDocument: 'after' }
+    );
+    let counter;
+    try {
+      counter = await increment();
+    } catch (e) {
+      // Two concurrent upserts of a new window can collide; the retry finds the counter.
+      if (e.code !== 11000) throw e;
+      counter = await increment();
+    }
+    return { allowed: counter.count <= limit, retryAfter };
+  } catch (e) {
+    console.warn(`Rate Limit: Counting ${bucket}:${key} failed, allowing the request:`, e.message);
+    return { allowed: true, retryAfter: 0 };
+  }
+}
+
+/**
+ * Guards an API route with a rate limit. Sends a 429 response (with `Retry-After`) itself when
+ * the limit is exceeded.
+ *
+ * @async
+ * @function requireWithinRateLimit
+ * @param {import('next').NextApiResponse} res - The outgoing API response object.
+ * @param {string} bucket - The limit to apply, a key of `RATE_LIMITS`.
+ * @param {string} key - What is limited, e.g. the participant ID.
+ * @returns {Promise<boolean>} - `true` if the request is within the limit and the handler may continue.
+ */
+export async function requireWithinRateLimit(res, bucket, key) {
+  const { allowed, retryAfter } = await checkRateLimit(bucket, key);
+  if (allowed) {
+    return true;
+  }
+  console.warn(`Rate Limit: ${bucket} limit exceeded for ${key}.`);
+  res.setHeader('Retry-After', String(retryAfter));
+  res.status(429).json({ error: "Too many requests. Please slow down.", reason: 'rate_limited' });
+  return false;
+}
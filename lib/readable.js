@@ -0,0 +1,156 @@
+// lib/readable.js
+import { getCached, setCached } from './cache'; // MongoDB-backed TTL cache
+import { decodeBody, readUpTo, requestPinned, resolveProxyTarget } from './proxy'; // Public-host validation and pinned fetches
+
+// How long extracted readable versions are cached per URL (default: 1 day).
+const READABLE_CACHE_TTL_SECONDS = Number(process.env.READABLE_CACHE_TTL_SECONDS) || 24 * 60 * 60;
+// Time allowed for fetching the page, in milliseconds.
+const READABLE_TIMEOUT_MS = 10000;
+// Largest page that is downloaded for extraction, in bytes (after decompression).
+const MAX_PAGE_BYTES = 3 * 1024 * 1024;
+// Upper bound on extracted blocks, to keep responses small.
+const MAX_BLOCKS = 300;
+// Redirects followed before giving up.
+const MAX_REDIRECTS = 5;
+
+// Elements whose content is never part of the readable text.
+const STRIPPED_ELEMENTS = ['script', 'style', 'noscript', 'template', 'svg', 'nav', 'header', 'footer', 'aside', 'form', 'iframe'];
+
+// Named entities common in article text; numeric entities are decoded generically.
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—',
+  hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', copy: '©',
+};
+
+/**
+ * Converts an HTML fragment to plain text: drops tags, decodes entities and collapses whitespace.
+ *
+ * @param {string} html - The fragment.
+ * @returns {string}
+ */
+const toText = (html) => html
+  .replace(/<br\s*\/?>/gi, ' ')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code < 0x110000 ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  })
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Extracts the readable content of an HTML page: its title and the headings, paragraphs,
+ * list items and quotes of its main content (`<article>`, else `<main>`, else `<body>`),
+ * with navigation, headers, footers, sidebars and scripts removed.
+ *
+ * This is a lightweight, regex-based extraction meant as a fallback view, not a full
+ * readability implementation.
+ *
+ * @function extractReadable
+ * @param {string} html - The page source.
+ * @returns {{ title: string | null, blocks: Array<{ type: 'heading' | 'paragraph' | 'item' | 'quote', text: string }> }}
+ */
+export function extractReadable(html) {
+  const title = toText(html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '') || null;
+
+  let content = html.replace(/<!--[\s\S]*?-->/g, '');
+  for (const element of STRIPPED_ELEMENTS) {
+    content = content.replace(new RegExp(`<${element}\\b[\\s\\S]*?<\\/${element}>`, 'gi'), '');
+  }
+  content = content.match(/<article\b[^>]*>([\s\S]*)<\/article>/i)?.[1]
+    || content.match(/<main\b[^>]*>([\s\S]*)<\/main>/i)?.[1]
+    || content.match(/<body\b[^>]*>([\s\S]*)<\/body>/i)?.[1]
+    || content;
+
+  const blockTypes = { h1: 'heading', h2: 'heading', h3: 'heading', h4: 'heading', p: 'paragraph', li: 'item', blockquote: 'quote' };
+  const blocks = [];
+  const blockPattern = /<(h[1-4]|p|li|blockquote)\b[^>]*>([\s\S]*?)<\/\1>/gi;
+  let match;
+  while ((match = blockPattern.exec(content)) && blocks.length < MAX_BLOCKS) {
+    const text = toText(match[2]);
+    // Very short paragraphs and items are usually leftover UI text ("Share", "Menu").
+    if (text && (blockTypes[match[1].toLowerCase()] === 'heading' || text.length >= 20)) {
+      blocks.push({ type: blockTypes[match[1].toLowerCase()], text });
+    }
+  }
+  return { title, blocks };
+}
+
+/**
+ * Fetches a public web page and returns its readable version, cached per URL. Like the proxy, every hop
+ * of a redirect is validated and requested at the checked address (`resolveProxyTarget`, `requestPinned`),
+ * and the body is read up to `MAX_PAGE_BYTES`, whatever its Content-Length says.
+ *
+ * @async
+ * @function getReadable
+ * @param {string} target - The page URL.
+ * @returns {Promise<{ readable?: { url: string, title: string | null, blocks: Array<object> }, error?: string, status?: number }>}
+ *   The readable version, or an error with its HTTP status.
+ */
+export async function getReadable(target) {
+  const { url, address, error, status } = await resolveProxyTarget(target);
+  if (error) {
+    return { error, status };
+  }
+
+  const cached = await getCached('readable', url.href);
+  if (cached) {
+    return { readable: cached };
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), READABLE_TIMEOUT_MS);
+  try {
+    // Redirects are followed by hand so every hop is checked against private addresses.
+    let pageUrl = url;
+    let pageAddress = address;
+    let response;
+    for (let redirects = 0; ; redirects++) {
+      response = await requestPinned(pageUrl, pageAddress, {
+        headers: { 'User-Agent': 'Mozilla/5.0 (compatible; ResearchSearchBot/1.0)', 'Accept': 'text/html' },
+        signal: controller.signal,
+      });
+      const { location } = response.headers;
+      if (response.status < 300 || response.status >= 400 || !location) break;
+      response.body.resume();
+      if (redirects >= MAX_REDIRECTS) {
+        return { error: 'The page redirected too many times.', status: 502 };
+      }
+      const next = await resolveProxyTarget(new URL(location, pageUrl).href);
+      if (next.error) {
+        return { error: next.error, status: next.status };
+      }
+      pageUrl = next.url;
+      pageAddress = next.address;
+    }
+
+    const contentType = response.headers['content-type'] || '';
+    if (response.status < 200 || response.status >= 300) {
+      response.body.resume();
+      return { error: `The page responded with status ${response.status}.`, status: 502 };
+    }
+    if (!/text\/html|application\/xhtml\+xml/i.test(contentType)) {
+      response.body.destroy();
+      return { error: 'The page is not an HTML document.', status: 422 };
+    }
+    const read = await readUpTo(response.body[Symbol.asyncIterator](), MAX_PAGE_BYTES);
+    if (!read.complete) {
+      response.body.destroy();
+      return { error: 'The page is too large to extract.', status: 422 };
+    }
+
+    const readable = { url: pageUrl.href, ...extractReadable(decodeBody(Buffer.concat(read.chunks), contentType)) };
+    await setCached('readable', url.href, readable, READABLE_CACHE_TTL_SECONDS);
+    return { readable };
+  } catch (e) {
+    if (e.name === 'AbortError') {
+      return { error: 'The page took too long to respond.', status: 504 };
+    }
+    return { error: `Failed to fetch the page: ${e.message}`, status: 502 };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
@@ -0,0 +1,153 @@
+// lib/resultCards.js
+
+// URL of a site's icon; `{host}` is replaced with the result's host name.
+const FAVICON_URL_TEMPLATE = process.env.FAVICON_URL_TEMPLATE || 'https://www.google.com/s2/favicons?domain={host}&sz=32';
+// Path segments shown in a display URL breadcrumb.
+const MAX_BREADCRUMB_SEGMENTS = 3;
+
+// Page metadata fields holding a publication date, in order of preference.
+const DATE_METATAGS = [
+  'article:published_time', 'datepublished', 'og:published_time', 'date', 'dc.date', 'dc.date.issued',
+  'pubdate', 'article:modified_time', 'og:updated_time',
+];
+// Page metadata fields holding a thumbnail image, after the provider's own thumbnails (of image results, then of pages).
+const IMAGE_METATAGS = ['og:image', 'twitter:image'];
+// A date at the start of a snippet, as Google writes it ("Mar 5, 2024 ... ").
+const SNIPPET_DATE_PATTERN = /^([A-Z][a-z]{2} \d{1,2}, \d{4})\s*(?:\.\.\.|—|-)\s*/;
+
+// Entities that appear in provider HTML snippets.
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', '#39': "'", '#x27': "'" };
+
+/**
+ * The presentation details of a result, derived from its provider metadata by `buildResultCard`.
+ * Any field may be null when the provider didn't supply the data.
+ *
+ * @typedef {object} ResultCard
+ * @property {string | null} displayUrl - Breadcrumb form of the URL, e.g. `example.com › news › article`.
+ * @property {string | null} faviconUrl - URL of the site's icon.
+ * @property {string | null} date - Publication date as `YYYY-MM-DD`.
+ * @property {string | null} thumbnailUrl - URL of a thumbnail image (https only).
+ * @property {string} snippet - The plain snippet, without a leading date that `date` already shows.
+ * @property {Array<{ text: string, highlight: boolean }>} snippetParts - The snippet split into runs, with the
+ *   terms the provider highlighted marked. Built from `htmlSnippet`, so no provider HTML reaches the page.
+ */
+
+/**
+ * Converts a date string to `YYYY-MM-DD`.
+ *
+ * @param {any} value - The date as found in the metadata.
+ * @returns {string | null} - The date, or null if it can't be parsed.
+ */
+const toIsoDate = (value) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+  const date = new Date(value.trim());
+  return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+};
+
+/**
+ * Builds the breadcrumb display URL for a link.
+ *
+ * @param {string} link - The result URL.
+ * @returns {string | null}
+ */
+const buildDisplayUrl = (link) => {
+  let url;
+  try {
+    url = new URL(link);
+  } catch (e) {
+    return null;
+  }
+  const segments = url.pathname.split('/').filter(Boolean).map(segment => {
+    try {
+      return decodeURIComponent(segment);
+    } catch (e) {
+      return segment;
+    }
+  });
+  const shown = segments.slice(0, MAX_BREADCRUMB_SEGMENTS);
+  if (segments.length > MAX_BREADCRUMB_SEGMENTS) shown.push('…');
+  return [url.hostname.replace(/^www\./, ''), ...shown].join(' › ');
+};
+
+/**
+ * Splits a provider HTML snippet into plain-text runs, marking the runs inside `<b>` as highlighted.
+ * All other markup is dropped.
+ *
+ * @param {string} html - The HTML snippet.
+ * @returns {Array<{ text: string, highlight: boolean }>}
+ */
+const parseHighlightedSnippet = (html) => {
+  const parts = [];
+  let highlight = false;
+  for (const token of html.replace(/<br\s*\/?>/gi, ' ').split(/(<\/?b>)/i)) {
+    if (/^<b>$/i.test(token)) {
+      highlight = true;
+      continue;
+    }
+    if (/^<\/b>$/i.test(token)) {
+      highlight = false;
+      continue;
+    }
+    const text = token
+      .replace(/<[^>]*>/g, '')
+      .replace(/&(#?\w+);/g, (match, entity) => ENTITIES[entity.toLowerCase()] ?? match)
+      .replace(/\s+/g, ' ');
+    if (!text) continue;
+    const previous = parts[parts.length - 1];
+    if (previous && previous.highlight === highlight) previous.text += text;
+    else parts.push({ text, highlight });
+  }
+  if (parts.length > 0) {
+    parts[0].text = parts[0].text.trimStart();
+    parts[parts.length - 1].text = parts[parts.length - 1].text.trimEnd();
+  }
+  return parts.filter(part => part.text);
+};
+
+/**
+ * Derives the result card details of a result item (in the Google Custom Search item shape) from its
+ * `link`, `htmlSnippet` and `pagemap` metadata. Providers without this metadata get the fields they can.
+ *
+ * @function buildResultCard
+ * @param {object} item - The result item.
+ * @returns {ResultCard}
+ */
+export function buildResultCard(item) {
+  const metatags = item.pagemap?.metatags?.[0] || {};
+  let host = null;
+  try {
+    host = new URL(item.link).hostname;
+  } catch (e) {
+    // Left without a favicon.
+  }
+
+  let date = DATE_METATAGS.map(name => toIsoDate(metatags[name])).find(Boolean)
+    || toIsoDate(item.pagemap?.newsarticle?.[0]?.datepublished)
+    || toIsoDate(item.pagemap?.article?.[0]?.datepublished)
+    || null;
+
+  // Google puts the date of news and blog pages at the start of the snippet; show it once.
+  let snippet = item.snippet || '';
+  let htmlSnippet = item.htmlSnippet || snippet.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+  const leadingDate = SNIPPET_DATE_PATTERN.exec(snippet);
+  if (leadingDate) {
+    // Parsed as UTC, so the server's time zone can't shift it to another day.
+    date = date || toIsoDate(`${leadingDate[1]} UTC`);
+    snippet = snippet.slice(leadingDate[0].length);
+    htmlSnippet = htmlSnippet.replace(/^[A-Z][a-z]{2} \d{1,2}, \d{4}\s*(?:<b>)?\s*(?:\.\.\.|—|-)\s*(?:<\/b>)?\s*/, '');
+  }
+
+  const thumbnailUrl = [item.image?.thumbnail, item.pagemap?.cse_thumbnail?.[0]?.src, ...IMAGE_METATAGS.map(name => metatags[name])]
+    .find(src => typeof src === 'string' && src.startsWith('https://')) || null;
+
+  return {
+    displayUrl: buildDisplayUrl(item.link) || item.displayLink || null,
+    faviconUrl: host ? FAVICON_URL_TEMPLATE.replace('{host}', encodeURIComponent(host)) : null,
+    date,
+    thumbnailUrl,
+    snippet,
+    snippetParts: parseHighlightedSnippet(htmlSnippet),
+  };
+}
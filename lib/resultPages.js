@@ -0,0 +1,119 @@
+// lib/resultPages.js
+import crypto from 'crypto';
+import { getCached, setCached } from './cache'; // MongoDB-backed TTL cache
+
+// Results per page, unless the request asks for another page size.
+export const DEFAULT_PAGE_SIZE = 10;
+// Largest page size a request may ask for.
+const MAX_PAGE_SIZE = 50;
+// How long a search's ranked results stay available for paging (default: 2 hours).
+const CURSOR_TTL_SECONDS = Number(process.env.SEARCH_CURSOR_TTL_SECONDS) || 2 * 60 * 60;
+
+/**
+ * A search's complete ranked result list, frozen when the search ran, so that every page
+ * requested with its cursor comes from the same ranking even if the provider's results,
+ * embeddability verdicts or the condition's rules change in the meantime.
+ *
+ * @typedef {object} ResultSet
+ * @property {string} participantId - The participant the results were ranked for.
+ * @property {string} query - The search query.
+ * @property {Array<object>} items - All ranked result items (with `resultId` and `proxyUrl`).
+ * @property {string | null} snapshotId - The snapshot served, if any.
+ * @property {Array<object>} appliedRules - The manipulation rules applied to the ranking.
+ * @property {import('./searchFilters').SearchFilters} filters - The vertical and filters the search used.
+ */
+
+/**
+ * Which part of a result set to return.
+ *
+ * @typedef {object} Pagination
+ * @property {string} cursor - Identifies the result set; pass it back to request other pages.
+ * @property {number} page - The 1-based page number.
+ * @property {number} offset - The 0-based position of the page's first result in the full ranking.
+ * @property {number} pageSize - Results per page.
+ * @property {number} total - Number of results in the full ranking.
+ * @property {number} pageCount - Number of pages.
+ * @property {boolean} hasMore - Whether results follow this page.
+ */
+
+/**
+ * Reads the requested page from a search request body. `offset` takes precedence over `page`.
+ *
+ * @function parsePageRequest
+ * @param {{ page?: any, offset?: any, pageSize?: any }} body - The request body.
+ * @returns {{ offset?: number, pageSize?: number, error?: string }} - The 0-based offset and page size, or an error message.
+ */
+export function parsePageRequest({ page, offset, pageSize }) {
+  const size = pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(pageSize);
+  if (!Number.isInteger(size) || size < 1 || size > MAX_PAGE_SIZE) {
+    return { error: `pageSize must be an integer from 1 to ${MAX_PAGE_SIZE}.` };
+  }
+  if (offset !== undefined) {
+    const start = Number(offset);
+    if (!Number.isInteger(start) || start < 0) {
+      return { error: 'offset must be a non-negative integer.' };
+    }
+    return { offset: start, pageSize: size };
+  }
+  const pageNumber = page === undefined ? 1 : Number(page);
+  if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+    return { error: 'page must be a positive integer.' };
+  }
+  return { offset: (pageNumber - 1) * size, pageSize: size };
+}
+
+/**
+ * Stores a search's ranked results and returns a new cursor for them.
+ *
+ * @async
+ * @function saveResultSet
+ * @param {ResultSet} resultSet - The ranked results and their context.
+ * @returns {Promise<string>} - The cursor.
+ */
+export async function saveResultSet(resultSet) {
+  const cursor = crypto.randomBytes(12).toString('base64url');
+  await setCached('result-set', cursor, resultSet, CURSOR_TTL_SECONDS);
+  return cursor;
+}
+
+/**
+ * Loads the result set behind a cursor. Cursors are only valid for the participant they were issued to.
+ *
+ * @async
+ * @function loadResultSet
+ * @param {string} cursor - The cursor from an earlier search response.
+ * @param {string} participantId - The participant requesting the page.
+ * @returns {Promise<ResultSet | null>} - The result set, or null if the cursor is unknown, expired or not the participant's.
+ */
+export async function loadResultSet(cursor, participantId) {
+  if (typeof cursor !== 'string' || !cursor) {
+    return null;
+  }
+  const resultSet = await getCached('result-set', cursor);
+  return resultSet && resultSet.participantId === participantId ? resultSet : null;
+}
+
+/**
+ * Cuts one page out of a ranked result list.
+ *
+ * @function slicePage
+ * @param {Array<object>} items - All ranked result items.
+ * @param {string} cursor - The result set's cursor.
+ * @param {number} offset - The 0-based position of the page's first result.
+ * @param {number} pageSize - Results per page.
+ * @returns {{ items: Array<object>, pagination: Pagination }}
+ */
+export function slicePage(items, cursor, offset, pageSize) {
+  return {
+    items: items.slice(offset, offset + pageSize),
+    pagination: {
+      cursor,
+      page: Math.floor(offset / pageSize) + 1,
+      offset,
+      pageSize,
+      total: items.length,
+      pageCount: Math.ceil(items.length / pageSize),
+      hasMore: offset + pageSize < items.length,
+    },
+  };
+}
@@ -0,0 +1,142 @@
+// lib/searchFilters.js
+// Shared by the client (search toolbar) and /api/search (validation), so this module must stay free of
+// server-only imports.
+
+/**
+ * Verticals a search can be made in. Which ones are available depends on the provider
+ * (see `getProviderCapabilities` in lib/searchProviders).
+ */
+export const SEARCH_VERTICALS = {
+  web: 'All',
+  images: 'Images',
+  news: 'News',
+};
+
+/**
+ * Date ranges a search can be restricted to: results published (or updated) within the last day, week, month or year.
+ */
+export const DATE_RANGES = {
+  any: 'Any time',
+  day: 'Past 24 hours',
+  week: 'Past week',
+  month: 'Past month',
+  year: 'Past year',
+};
+
+/**
+ * SafeSearch levels. Providers with only on/off (Google) treat `moderate` and `strict` as on.
+ */
+export const SAFE_SEARCH_LEVELS = {
+  off: 'Off',
+  moderate: 'Moderate',
+  strict: 'Strict',
+};
+
+/**
+ * Languages results can be restricted to, by ISO 639-1 code.
+ */
+export const SEARCH_LANGUAGES = {
+  en: 'English',
+  de: 'German',
+  fr: 'French',
+  es: 'Spanish',
+  it: 'Italian',
+  nl: 'Dutch',
+  pt: 'Portuguese',
+  pl: 'Polish',
+  sv: 'Swedish',
+  tr: 'Turkish',
+  ru: 'Russian',
+  ar: 'Arabic',
+  zh: 'Chinese',
+  ja: 'Japanese',
+  ko: 'Korean',
+};
+
+/**
+ * The filters of a search. `null` leaves a filter to the provider's default.
+ *
+ * @typedef {object} SearchFilters
+ * @property {'web' | 'images' | 'news'} vertical - The vertical searched.
+ * @property {'any' | 'day' | 'week' | 'month' | 'year'} dateRange - How recent results must be.
+ * @property {string | null} site - Host name results are restricted to (including its subdomains).
+ * @property {string | null} language - ISO 639-1 code of the language results are restricted to.
+ * @property {'off' | 'moderate' | 'strict' | null} safeSearch - The SafeSearch level.
+ */
+
+// The filters of a search without any restriction.
+export const DEFAULT_FILTERS = {
+  vertical: 'web',
+  dateRange: 'any',
+  site: null,
+  language: null,
+  safeSearch: null,
+};
+
+// The filter fields, besides `vertical`, a provider may support.
+export const FILTER_NAMES = ['dateRange', 'site', 'language', 'safeSearch'];
+
+/**
+ * Validates and normalizes the filters of a search request. Missing fields get their defaults.
+ *
+ * @function normalizeFilters
+ * @param {any} raw - The `filters` field of the request body, if any.
+ * @returns {{ filters?: SearchFilters, error?: string }} - The filters, or an error message.
+ */
+export function normalizeFilters(raw) {
+  if (raw === undefined || raw === null) {
+    return { filters: { ...DEFAULT_FILTERS } };
+  }
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'filters must be an object.' };
+  }
+  const filters = { ...DEFAULT_FILTERS };
+  if (raw.vertical !== undefined) {
+    if (!(raw.vertical in SEARCH_VERTICALS)) {
+      return { error: `vertical must be one of ${Object.keys(SEARCH_VERTICALS).join(', ')}.` };
+    }
+    filters.vertical = raw.vertical;
+  }
+  if (raw.dateRange !== undefined) {
+    if (!(raw.dateRange in DATE_RANGES)) {
+      return { error: `dateRange must be one of ${Object.keys(DATE_RANGES).join(', ')}.` };
+    }
+    filters.dateRange = raw.dateRange;
+  }
+  if (raw.site) {
+    // A host name, optionally pasted as a URL.
+    const site = String(raw.site).trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/[/?#].*$/, '').replace(/^www\./, '');
+    if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(site)) {
+      return { error: 'site must be a host name such as example.com.' };
+    }
+    filters.site = site;
+  }
+  if (raw.language) {
+    if (!(raw.language in SEARCH_LANGUAGES)) {
+      return { error: `language must be one of ${Object.keys(SEARCH_LANGUAGES).join(', ')}.` };
+    }
+    filters.language = raw.language;
+  }
+  if (raw.safeSearch) {
+    if (!(raw.safeSearch in SAFE_SEARCH_LEVELS)) {
+      return { error: `safeSearch must be one of ${Object.keys(SAFE_SEARCH_LEVELS).join(', ')}.` };
+    }
+    filters.safeSearch = raw.safeSearch;
+  }
+  return { filters };
+}
+
+/**
+ * Returns a compact, stable description of the filters that differ from the defaults, for cache keys
+ * and logs, e.g. `vertical=news&dateRange=week`.
+ *
+ * @function describeFilters
+ * @param {SearchFilters} filters - The filters.
+ * @returns {string} - The description, empty for the default filters.
+ */
+export function describeFilters(filters) {
+  return Object.keys(DEFAULT_FILTERS)
+    .filter(name => filters[name] !== DEFAULT_FILTERS[name])
+    .map(name => `${name}=${filters[name]}`)
+    .join('&');
+}
@@ -0,0 +1,268 @@
+// lib/searchPipeline.js
+import { getCached, setCached, normalizeQuery } from './cache'; // MongoDB-backed TTL cache
+import { isBlacklisted, probeEmbeddability } from './embeddability'; // Framing header probe
+import { applyDomainLists } from './domainLists'; // Per-study allow/block/hide lists
+import { describeFilters } from './searchFilters'; // Verticals and filters
+
+// How long raw provider responses are cached per normalized query (default: 24 hours).
+const SEARCH_CACHE_TTL_SECONDS = Number(process.env.SEARCH_CACHE_TTL_SECONDS) || 24 * 60 * 60;
+// How long per-host embeddability verdicts are cached (default: 7 days).
+const EMBED_CACHE_TTL_SECONDS = Number(process.env.EMBED_CACHE_TTL_SECONDS) || 7 * 24 * 60 * 60;
+// How long verdicts from probes that failed for a possibly passing reason (timeouts, network errors,
+// error statuses) are cached (5 minutes), so one slow response doesn't demote a site for days.
+const TRANSIENT_VERDICT_TTL_SECONDS = 5 * 60;
+const TRANSIENT_REASONS = ['timeout', 'network-error', 'http-error'];
+// How long a participant-triggered re-check's verdict is cached (1 hour): short, since the verdict is
+// shared by every participant and study, but the participant chose the page.
+const RECHECK_CACHE_TTL_SECONDS = 60 * 60;
+
+/**
+ * Fetches up to ~50 raw results for a query from the given provider,
+ * walking through result pages until enough items are gathered or limits are reached.
+ *
+ * @async
+ * @param {import('./searchProviders').SearchProvider} provider - The search backend to query.
+ * @param {string} query - The search query.
+ * @param {import('./searchFilters').SearchFilters | null} filters - The search's filters (null for none).
+ * @param {function(Array<object>): void} [onPage] - Called with each page's items as soon as it arrives.
+ * @returns {Promise<Array<object>>} - The raw result items in provider order.
+ */
+async function fetchProviderResults(provider, query, filters, onPage) {
+  // Initialize variables for fetching results.
+  let potentialItems = []; // Array to store results fetched from the provider.
+  const maxResultsNeeded = 50; // Target number of results to fetch initially (before filtering).
+  let start = 1; // Providers use 1-based indexing for 'start'.
+  let fetchCount = 0; // Counter for the number of API calls made.
+  const MAX_FETCHES = 5; // Limit the number of fetches to avoid excessive API usage/costs.
+
+  // Loop to fetch results from the provider until enough potential items are gathered or limits are reached.
+  while (potentialItems.length < maxResultsNeeded && fetchCount < MAX_FETCHES) {
+    fetchCount++;
+    // Fetch 10 results per request. Quota errors are thrown by the provider.
+    const page = await provider.fetchPage(query, { start, num: 10, filters });
+
+    // Check if the provider returned any items.
+    if (page.items.length === 0) {
+      console.log("No more search results found from provider.");
+      break; // Exit loop if no more results are available.
+    }
+
+    // Add the fetched items to the potential results list.
+    potentialItems.push(...page.items);
+    onPage?.(page.items);
+
+    // Check if the provider indicates a next page exists.
+    if (!page.nextStart) {
+      break; // No next page information, assume end of results.
+    }
+    // Update the 'start' index for the next fetch request.
+    start = page.nextStart;
+  }
+
+  return potentialItems;
+}
+
+/**
+ * Cached wrapper around `fetchProviderResults`. Raw provider responses are cached
+ * per provider, normalized query and filters, so repeated study queries don't consume quota
+ * and every participant sees the same results within the TTL.
+ *
+ * @async
+ * @param {import('./searchProviders').SearchProvider} provider - The search backend to query.
+ * @param {string} query - The search query.
+ * @param {import('./searchFilters').SearchFilters | null} filters - The search's filters (null for none).
+ * @param {function(Array<object>): void} [onPage] - Called with each page's items as soon as it arrives
+ *   (once, with all items, on a cache hit).
+ * @returns {Promise<Array<object>>} - The raw result items in provider order.
+ */
+async function fetchProviderResultsCached(provider, query, filters, onPage) {
+  // Searches without filters keep the plain key, so existing cache entries stay valid.
+  const filterKey = filters ? describeFilters(filters) : '';
+  const cacheKey = filterKey ? `${provider.name}:${filterKey}:${normalizeQuery(query)}` : `${provider.name}:${normalizeQuery(query)}`;
+  const cachedItems = await getCached('search', cacheKey);
+  if (cachedItems) {
+    console.log(`API: Search cache hit for "${cacheKey}".`);
+    onPage?.(cachedItems);
+    return cachedItems;
+  }
+
+  const items = await fetchProviderResults(provider, query, filters, onPage);
+  // Don't cache empty responses; they are usually transient provider errors.
+  if (items.length > 0) {
+    await setCached('search', cacheKey, items, SEARCH_CACHE_TTL_SECONDS);
+  }
+  return items;
+}
+
+/**
+ * Cache key for a page's embeddability verdict. Verdicts are cached per host, since framing
+ * headers are almost always set site-wide, and per framing origin, since they depend on it.
+ *
+ * @param {string} url - The page URL.
+ * @param {string} origin - The framing origin.
+ * @returns {string}
+ */
+const verdictKey = (url, origin) => `${origin} ${new URL(url).hostname.toLowerCase()}`;
+
+/**
+ * Cached wrapper around `probeEmbeddability` (see `lib/embeddability.js`). Verdicts from framing headers
+ * are cached for `EMBED_CACHE_TTL_SECONDS`; transient failures only for `TRANSIENT_VERDICT_TTL_SECONDS`.
+ *
+ * @async
+ * @param {string} url - The URL of the website to check.
+ * @param {string} origin - The framing origin.
+ * @returns {Promise<import('./embeddability').EmbedVerdict>} - The (possibly cached) verdict.
+ */
+async function getEmbedVerdictCached(url, origin) {
+  let key;
+  try {
+    key = verdictKey(url, origin);
+  } catch (e) {
+    return probeEmbeddability(url, { origin }); // Reported as invalid-url, without caching.
+  }
+
+  const cachedVerdict = await getCached('embeddability', key);
+  if (cachedVerdict && typeof cachedVerdict.reason === 'string') {
+    return cachedVerdict;
+  }
+
+  const verdict = await probeEmbeddability(url, { origin });
+  const ttlSeconds = TRANSIENT_REASONS.includes(verdict.reason) ? TRANSIENT_VERDICT_TTL_SECONDS : EMBED_CACHE_TTL_SECONDS;
+  await setCached('embeddability', key, verdict, ttlSeconds);
+  return verdict;
+}
+
+/**
+ * Re-checks a page that failed to load in the embedded browser, probing with GET right away.
+ * Only a definite result, framing headers that block this app, replaces the host's cached verdict (for
+ * `RECHECK_CACHE_TTL_SECONDS`), so later searches rank it accordingly; a participant can't promote a host, or
+ * demote one with a failed or unreachable page.
+ *
+ * @async
+ * @function recheckEmbeddability
+ * @param {string} url - The page URL.
+ * @param {string} origin - The framing origin.
+ * @returns {Promise<import('./embeddability').EmbedVerdict>}
+ */
+export async function recheckEmbeddability(url, origin) {
+  const verdict = await probeEmbeddability(url, { origin, method: 'GET' });
+  if (/^(xfo|csp)-/.test(verdict.reason)) {
+    await setCached('embeddability', verdictKey(url, origin), verdict, RECHECK_CACHE_TTL_SECONDS);
+  }
+  return verdict;
+}
+
+/**
+ * Returns the verdict for a result that can be decided without a request: results on the allow or
+ * block list, without a usable link, or on the built-in blacklist.
+ *
+ * @param {object} item - The result item (after `applyDomainLists`).
+ * @returns {import('./embeddability').EmbedVerdict | null} - The verdict, or null if the result must be probed.
+ */
+const immediateVerdict = (item) => {
+  try {
+    if (item.embedVerdict) return item.embedVerdict; // Decided by the allow or block list.
+    if (!item.link) return { displayable: false, reason: 'invalid-url', method: null, status: null };
+    if (isBlacklisted(item.link)) return { displayable: false, reason: 'blacklist', method: null, status: null };
+    return null;
+  } catch (e) {
+    return { displayable: false, reason: 'invalid-url', method: null, status: null };
+  }
+};
+
+/**
+ * Runs the full live search pipeline for a query: fetches raw results from the provider,
+ * checks embeddability, and returns the whole ranking: likely embeddable results first, followed by
+ * the non-embeddable ones. Callers page through it (see `lib/resultPages.js`).
+ *
+ * With `keepProviderOrder` (used when the proxy can display non-embeddable pages, see `lib/proxy.js`),
+ * the provider's results are returned in their original order instead, still flagged with their verdict.
+ *
+ * Results on the study's `hide` list (see `lib/domainLists.js`) are dropped before ranking, and results on its
+ * `allow` or `block` list get that verdict without being probed.
+ *
+ * Probes start as soon as each provider page arrives. For streaming responses, `onProvisional` is called
+ * once with the first 10 results in provider order, before any probe has finished (their `embedVerdict` is
+ * null unless it was decided without a request), and `onVerdict` with each probe's verdict as it completes.
+ *
+ * @async
+ * @function runSearch
+ * @param {import('./searchProviders').SearchProvider} provider - The search backend to query.
+ * @param {string} query - The search query.
+ * @param {object} options - Search options.
+ * @param {string} options.origin - The origin results will be framed by (see `getAppOrigin` in `lib/embeddability.js`).
+ * @param {boolean} [options.keepProviderOrder] - Keep the provider's order instead of ranking embeddable results first.
+ * @param {import('./domainLists').DomainLists} [options.domainLists] - The participant's domain lists.
+ * @param {import('./searchFilters').SearchFilters} [options.filters] - The vertical and filters to search with.
+ * @param {function(Array<object>): void} [options.onProvisional] - Receives the provisional results.
+ * @param {function(object, import('./embeddability').EmbedVerdict): void} [options.onVerdict] - Receives each probed result and its verdict.
+ * @returns {Promise<Array<object>>} - The ranked result items, each with an `embeddable` boolean flag and
+ *   its `embedVerdict` (`{ displayable, reason, method, status }`).
+ */
+export async function runSearch(provider, query, {
+  origin, keepProviderOrder = false, domainLists = null, filters = null, onProvisional = null, onVerdict = null,
+}) {
+  const potentialItems = [];
+  const verdicts = new Map();
+  const probes = [];
+  let hiddenCount = 0;
+
+  // Checks each page's results as it arrives. Probes are limited to the first 30 results
+  // that need one, to manage performance/load; they are cached per host.
+  const checkPage = (pageItems) => {
+    let items = pageItems;
+    if (domainLists) {
+      const { items: kept, hiddenLinks } = applyDomainLists(items, domainLists);
+      hiddenCount += hiddenLinks.length;
+      items = kept;
+    }
+    for (const item of items) {
+      potentialItems.push(item);
+      const verdict = immediateVerdict(item);
+      if (verdict) {
+        verdicts.set(item, verdict);
+      } else if (probes.length < 30) {
+        probes.push(getEmbedVerdictCached(item.link, origin).then(probed => {
+          verdicts.set(item, probed);
+          onVerdict?.(item, probed);
+        }).catch(error => {
+          // Caught here, since the probe may fail before the pipeline waits for it.
+          console.error(`API: Embeddability check failed for ${item.link}:`, error);
+        }));
+      }
+    }
+    if (onProvisional && potentialItems.length > 0) {
+      onProvisional(potentialItems.slice(0, 10).map(item => ({
+        ...item,
+        embeddable: verdicts.has(item) ? verdicts.get(item).displayable : null,
+        embedVerdict: verdicts.get(item) || null,
+      })));
+      onProvisional = null;
+    }
+  };
+
+  // Fetch raw results from the provider, reusing a cached response for the same normalized query.
+  await fetchProviderResultsCached(provider, query, filters, checkPage);
+
+  console.log(`API: Received ${potentialItems.length + hiddenCount} potential results from ${provider.name}.`);
+  if (hiddenCount > 0) {
+    console.log(`API: Hid ${hiddenCount} result(s) on the study's hide list.`);
+  }
+
+  // Wait for the remaining probes; failed ones leave their results unchecked.
+  await Promise.all(probes);
+
+  const verdictFor = (item) => verdicts.get(item) || { displayable: false, reason: 'not-checked', method: null, status: null };
+  // Each item is flagged with the verdict so clients (and frozen snapshots) keep it.
+  const withVerdict = (item) => ({ ...item, embeddable: verdictFor(item).displayable, embedVerdict: verdictFor(item) });
+
+  if (keepProviderOrder) {
+    return potentialItems.map(withVerdict);
+  }
+
+  // Displayable items first, followed by the non-displayable ones, each in provider order.
+  const finalItems = potentialItems.filter(item => verdictFor(item).displayable);
+  const nonDisplayableItems = potentialItems.filter(item => !verdictFor(item).displayable);
+
+  return [...finalItems, ...nonDisplayableItems].map(withVerdict);
+}
@@ -0,0 +1,173 @@
+// lib/searchProviders/bing.js
+
+/**
+ * Verticals and filters the Bing Search APIs support.
+ * @type {import('./index').ProviderCapabilities}
+ */
+export const BING_CAPABILITIES = {
+  verticals: ['web', 'images', 'news'],
+  filters: ['dateRange', 'site', 'language', 'safeSearch'],
+};
+
+// `freshness` values for the date ranges in lib/searchFilters.js. Bing has no "year" value; see `freshnessParam`.
+const FRESHNESS = { day: 'Day', week: 'Week', month: 'Month' };
+// `safeSearch` values for the SafeSearch levels.
+const SAFE_SEARCH = { off: 'Off', moderate: 'Moderate', strict: 'Strict' };
+
+/**
+ * Returns Bing's `freshness` value for a date range, or null for any time.
+ *
+ * @param {string} dateRange - The date range.
+ * @returns {string | null}
+ */
+const freshnessParam = (dateRange) => {
+  if (FRESHNESS[dateRange]) return FRESHNESS[dateRange];
+  if (dateRange !== 'year') return null;
+  // A custom range from a year ago until today.
+  const today = new Date();
+  const yearAgo = new Date(today);
+  yearAgo.setUTCFullYear(today.getUTCFullYear() - 1);
+  return `${yearAgo.toISOString().slice(0, 10)}..${today.toISOString().slice(0, 10)}`;
+};
+
+/**
+ * Maps the results of each Bing vertical onto the Google item shape. Image results link to the page the
+ * image appears on and keep the image in `image`; news results keep their date and thumbnail in `pagemap`,
+ * where lib/resultCards.js looks for them.
+ */
+const MAPPERS = {
+  web: (data) => ({
+    values: data.webPages?.value || [],
+    total: data.webPages?.totalEstimatedMatches || 0,
+    toItem: (page) => ({
+      title: page.name,
+      link: page.url,
+      snippet: page.snippet,
+      displayLink: page.displayUrl,
+      cacheId: page.id,
+    }),
+  }),
+  images: (data) => ({
+    values: data.value || [],
+    total: data.totalEstimatedMatches || 0,
+    toItem: (image) => ({
+      title: image.name,
+      link: image.hostPageUrl,
+      snippet: '',
+      displayLink: image.hostPageDisplayUrl,
+      cacheId: image.imageId,
+      image: { src: image.contentUrl, thumbnail: image.thumbnailUrl || null, width: image.width ?? null, height: image.height ?? null },
+    }),
+  }),
+  news: (data) => ({
+    values: data.value || [],
+    total: data.totalEstimatedMatches || 0,
+    toItem: (article) => ({
+      title: article.name,
+      link: article.url,
+      snippet: article.description || '',
+      displayLink: article.provider?.[0]?.name || '',
+      pagemap: {
+        metatags: [{
+          'article:published_time': article.datePublished,
+          'og:image': article.image?.thumbnail?.contentUrl,
+        }],
+      },
+    }),
+  }),
+};
+
+/**
+ * Creates a search provider backed by the Bing Web Search API (v7).
+ * Bing results are mapped onto the Google item shape (`title`, `link`, `snippet`, `displayLink`)
+ * so the rest of the app does not need to know which backend answered.
+ * The subscription key is read from `BING_SEARCH_API_KEY`; the endpoint can be overridden
+ * with `BING_SEARCH_ENDPOINT`.
+ *
+ * @function createBingProvider
+ * @returns {import('./index').SearchProvider} - The Bing provider instance.
+ * @throws {Error} - Throws an error if the subscription key is not configured.
+ */
+export function createBingProvider() {
+  const API_KEY = process.env.BING_SEARCH_API_KEY;
+  const ENDPOINT = process.env.BING_SEARCH_ENDPOINT || 'https://api.bing.microsoft.com/v7.0/search';
+
+  if (!API_KEY) {
+    throw new Error('Server configuration error: BING_SEARCH_API_KEY missing.');
+  }
+
+  return {
+    name: 'bing',
+    capabilities: BING_CAPABILITIES,
+
+    /**
+     * Fetches one page of results from Bing.
+     *
+     * Images and news are searched at the sibling endpoints of `BING_SEARCH_ENDPOINT` (`/images/search`, `/news/search`).
+     *
+     * @param {string} query - The search query.
+     * @param {{ start: number, num: number, filters?: import('../searchFilters').SearchFilters }} page - 1-based start index,
+     *   page size and the search's filters.
+     * @returns {Promise<import('./index').SearchPage>}
+     */
+    async fetchPage(query, { start, num, filters }) {
+      const vertical = filters?.vertical || 'web';
+      // Site and language restrictions are query operators in Bing.
+      let q = query;
+      if (filters?.site) q += ` site:${filters.site}`;
+      if (filters?.language) q += ` language:${filters.language}`;
+
+      // Bing uses a 0-based `offset` instead of Google's 1-based `start`.
+      let apiUrl = vertical === 'web'
+        ? `${ENDPOINT}?q=${encodeURIComponent(q)}&count=${num}&offset=${start - 1}&responseFilter=Webpages`
+        : `${ENDPOINT.replace(/\/search$/, `/${vertical}/search`)}?q=${encodeURIComponent(q)}&count=${num}&offset=${start - 1}`;
+      const freshness = freshnessParam(filters?.dateRange);
+      if (freshness) apiUrl += `&freshness=${encodeURIComponent(freshness)}`;
+      if (filters?.safeSearch) apiUrl += `&safeSearch=${SAFE_SEARCH[filters.safeSearch]}`;
+
+      const response = await fetch(apiUrl, {
+        headers: { 'Ocp-Apim-Subscription-Key': API_KEY }
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        console.error("Bing API error response:", data);
+        // Quota and authorization errors are fatal for the whole search.
+        if (response.status === 401 || response.status === 403 || response.status === 429) {
+          throw new Error(`Bing API Error (${response.status}): ${data.error?.message || 'Quota likely exceeded'}`);
+        }
+        return { items: [], nextStart: null };
+      }
+
+      const { values, total, toItem } = MAPPERS[vertical](data);
+      const items = values.map(toItem);
+
+      // Bing reports an estimated total; stop once we've walked past it or a page comes back empty.
+      const nextOffset = start - 1 + values.length;
+      return {
+        items,
+        nextStart: values.length > 0 && nextOffset < total ? nextOffset + 1 : null,
+      };
+    },
+
+    /**
+     * Returns Bing's query suggestions from the Autosuggest API, at the `/suggestions` sibling of
+     * `BING_SEARCH_ENDPOINT`. Autosuggest may need its own subscription key (`BING_AUTOSUGGEST_API_KEY`).
+     *
+     * @param {string} query - The partly typed query.
+     * @returns {Promise<Array<string>>}
+     */
+    async suggest(query) {
+      const apiUrl = `${ENDPOINT.replace(/\/search$/, '/suggestions')}?q=${encodeURIComponent(query)}`;
+      const response = await fetch(apiUrl, {
+        headers: { 'Ocp-Apim-Subscription-Key': process.env.BING_AUTOSUGGEST_API_KEY || API_KEY }
+      });
+      if (!response.ok) {
+        throw new Error(`Bing Autosuggest error (${response.status})`);
+      }
+      const data = await response.json();
+      const group = (data.suggestionGroups || []).find(candidate => candidate.name === 'Web') || data.suggestionGroups?.[0];
+      return (group?.searchSuggestions || []).map(suggestion => suggestion.query).filter(Boolean);
+    },
+  };
+}
@@ -0,0 +1,114 @@
+// lib/searchProviders/fixture.js
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Converts a query into the file name used to look up its fixture,
+ * e.g. `"Climate Change  effects"` -> `climate-change-effects`.
+ *
+ * @param {string} query - The search query.
+ * @returns {string} - The fixture slug.
+ */
+const toFixtureSlug = (query) =>
+  query.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+/**
+ * Reads and parses a fixture file. Fixtures may be either a bare array of items
+ * or an object with an `items` array (the shape Google returns).
+ *
+ * @async
+ * @param {string} filePath - Absolute path to the fixture JSON file.
+ * @returns {Promise<Array<object> | null>} - The fixture items, or `null` if the file does not exist.
+ */
+async function readFixture(filePath) {
+  try {
+    const raw = await fs.readFile(filePath, 'utf8');
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : (parsed.items || []);
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      return null;
+    }
+    throw e;
+  }
+}
+
+/**
+ * Fixtures only hold web results; the site restriction is applied to them locally.
+ * @type {import('./index').ProviderCapabilities}
+ */
+export const FIXTURE_CAPABILITIES = {
+  verticals: ['web'],
+  filters: ['site'],
+};
+
+/**
+ * Creates a search provider that serves canned results from JSON files on disk.
+ * Useful for pilots (no quota usage) and for running without network access.
+ *
+ * Results for a query are read from `<dir>/<slug>.json`; if no such file exists,
+ * `<dir>/default.json` is used instead. The directory defaults to `fixtures/search`
+ * and can be overridden with `SEARCH_FIXTURE_DIR`.
+ *
+ * @function createFixtureProvider
+ * @returns {import('./index').SearchProvider} - The fixture provider instance.
+ */
+export function createFixtureProvider() {
+  const fixtureDir = path.resolve(process.cwd(), process.env.SEARCH_FIXTURE_DIR || 'fixtures/search');
+
+  return {
+    name: 'fixture',
+    capabilities: FIXTURE_CAPABILITIES,
+
+    /**
+     * Returns one page of canned results for the query.
+     *
+     * @param {string} query - The search query.
+     * @param {{ start: number, num: number, filters?: import('../searchFilters').SearchFilters }} page - 1-based start index,
+     *   page size and the search's filters.
+     * @returns {Promise<import('./index').SearchPage>}
+     */
+    async fetchPage(query, { start, num, filters }) {
+      let items = await readFixture(path.join(fixtureDir, `${toFixtureSlug(query)}.json`));
+      if (items === null) {
+        items = (await readFixture(path.join(fixtureDir, 'default.json'))) || [];
+      }
+      if (filters?.site) {
+        items = items.filter(item => {
+          try {
+            const host = new URL(item.link).hostname;
+            return host === filters.site || host.endsWith(`.${filters.site}`);
+          } catch (e) {
+            return false;
+          }
+        });
+      }
+
+      const pageItems = items.slice(start - 1, start - 1 + num);
+      const nextStart = start - 1 + num < items.length ? start + num : null;
+      return { items: pageItems, nextStart };
+    },
+
+    /**
+     * Suggests the queries that have fixtures (file names read back as queries, e.g. `climate-change.json`
+     * as "climate change"), so suggestions lead to canned results too.
+     *
+     * @param {string} query - The partly typed query.
+     * @returns {Promise<Array<string>>}
+     */
+    async suggest(query) {
+      const prefix = toFixtureSlug(query).replace(/-/g, ' ');
+      let files = [];
+      try {
+        files = await fs.readdir(fixtureDir);
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+      }
+      return files
+        .filter(file => file.endsWith('.json') && file !== 'default.json')
+        .map(file => file.slice(0, -'.json'.length).replace(/-/g, ' '))
+        .filter(candidate => candidate !== prefix && candidate.startsWith(prefix))
+        .sort();
+    },
+  };
+}
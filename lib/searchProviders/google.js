@@ -0,0 +1,128 @@
+// lib/searchProviders/google.js
+
+/**
+ * Verticals and filters the Google Custom Search API supports. It has no news vertical.
+ * @type {import('./index').ProviderCapabilities}
+ */
+export const GOOGLE_CAPABILITIES = {
+  verticals: ['web', 'images'],
+  filters: ['dateRange', 'site', 'language', 'safeSearch'],
+};
+
+// `dateRestrict` values for the date ranges in lib/searchFilters.js.
+const DATE_RESTRICTS = { day: 'd1', week: 'w1', month: 'm1', year: 'y1' };
+// Google's `lr` codes where they differ from the plain ISO 639-1 code.
+const LANGUAGE_RESTRICTS = { zh: 'zh-CN' };
+
+/**
+ * Builds the Custom Search query parameters for a search's filters.
+ *
+ * @param {import('../searchFilters').SearchFilters} filters - The search's filters.
+ * @returns {string} - The parameters, each prefixed with `&`.
+ */
+const filterParams = (filters) => {
+  let params = '';
+  if (filters.vertical === 'images') params += '&searchType=image';
+  if (DATE_RESTRICTS[filters.dateRange]) params += `&dateRestrict=${DATE_RESTRICTS[filters.dateRange]}`;
+  if (filters.site) params += `&siteSearch=${encodeURIComponent(filters.site)}&siteSearchFilter=i`;
+  if (filters.language) params += `&lr=lang_${LANGUAGE_RESTRICTS[filters.language] || filters.language}`;
+  if (filters.safeSearch) params += `&safe=${filters.safeSearch === 'off' ? 'off' : 'active'}`;
+  return params;
+};
+
+/**
+ * Maps an image search item onto the web item shape: `link` is the page the image appears on
+ * (which is what opens in the embedded browser), and the image itself is kept in `image`.
+ *
+ * @param {object} item - The image search item.
+ * @returns {object}
+ */
+const toImageItem = (item) => ({
+  ...item,
+  link: item.image?.contextLink || item.link,
+  image: {
+    src: item.link,
+    thumbnail: item.image?.thumbnailLink || null,
+    width: item.image?.width ?? null,
+    height: item.image?.height ?? null,
+  },
+});
+
+/**
+ * Creates a search provider backed by the Google Custom Search JSON API.
+ * Credentials are read from `GOOGLE_CUSTOM_SEARCH_API_KEY` and `GOOGLE_CUSTOM_SEARCH_CX_ID`.
+ *
+ * @function createGoogleProvider
+ * @returns {import('./index').SearchProvider} - The Google provider instance.
+ * @throws {Error} - Throws an error if the API credentials are not configured.
+ */
+export function createGoogleProvider() {
+  // Retrieve Google API credentials from environment variables.
+  const API_KEY = process.env.GOOGLE_CUSTOM_SEARCH_API_KEY;
+  const SEARCH_ENGINE_ID = process.env.GOOGLE_CUSTOM_SEARCH_CX_ID;
+
+  // Validate that API credentials are configured.
+  if (!API_KEY || !SEARCH_ENGINE_ID) {
+    throw new Error('Server configuration error: Google API Key or Search Engine ID missing.');
+  }
+
+  return {
+    name: 'google',
+    capabilities: GOOGLE_CAPABILITIES,
+
+    /**
+     * Fetches one page of results from Google Custom Search.
+     * Web items are returned exactly as Google delivers them; image items are mapped by `toImageItem`.
+     *
+     * @param {string} query - The search query.
+     * @param {{ start: number, num: number, filters?: import('../searchFilters').SearchFilters }} page - 1-based start index,
+     *   page size (max 10) and the search's filters.
+     * @returns {Promise<import('./index').SearchPage>}
+     */
+    async fetchPage(query, { start, num, filters }) {
+      // Construct the Google Custom Search API URL.
+      const apiUrl = `https://www.googleapis.com/customsearch/v1?key=${API_KEY}&cx=${SEARCH_ENGINE_ID}&q=${encodeURIComponent(query)}&start=${start}&num=${num}`
+        + (filters ? filterParams(filters) : '');
+
+      // Make the API request.
+      const response = await fetch(apiUrl);
+      const data = await response.json();
+
+      // Handle API errors (e.g., quota exceeded, invalid request).
+      if (!response.ok) {
+        console.error("Google API error response:", data);
+        // Specifically handle quota errors (403 Forbidden or 429 Too Many Requests).
+        if (response.status === 403 || response.status === 429) {
+          throw new Error(`Google API Error (${response.status}): ${data.error?.message || 'Quota likely exceeded'}`);
+        }
+        // For other errors, report an empty final page so the caller stops fetching.
+        return { items: [], nextStart: null };
+      }
+
+      const items = data.items || [];
+      return {
+        items: filters?.vertical === 'images' ? items.map(toImageItem) : items,
+        // Google indicates a next page through `queries.nextPage`.
+        nextStart: data.queries?.nextPage?.[0]?.startIndex ?? null,
+      };
+    },
+
+    /**
+     * Returns Google's query suggestions. The Custom Search API has none, so they come from the
+     * suggestion endpoint Google's own search boxes use (`GOOGLE_SUGGEST_ENDPOINT` overrides it), which
+     * answers in the OpenSearch suggestions format: `[query, [suggestion, ...]]`.
+     *
+     * @param {string} query - The partly typed query.
+     * @returns {Promise<Array<string>>}
+     */
+    async suggest(query) {
+      const endpoint = process.env.GOOGLE_SUGGEST_ENDPOINT || 'https://suggestqueries.google.com/complete/search';
+      const response = await fetch(`${endpoint}?client=firefox&q=${encodeURIComponent(query)}`);
+      if (!response.ok) {
+        throw new Error(`Google suggestions error (${response.status})`);
+      }
+      const data = await response.json();
+      return Array.isArray(data[1]) ? data[1].filter(suggestion => typeof suggestion === 'string') : [];
+    },
+  };
+}
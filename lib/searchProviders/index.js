@@ -0,0 +1,88 @@
+// lib/searchProviders/index.js
+import { createGoogleProvider, GOOGLE_CAPABILITIES } from './google';
+import { createBingProvider, BING_CAPABILITIES } from './bing';
+import { createSearxngProvider, SEARXNG_CAPABILITIES } from './searxng';
+import { createFixtureProvider, FIXTURE_CAPABILITIES } from './fixture';
+
+/**
+ * A single page of results returned by a provider.
+ * Items follow the Google Custom Search item shape (`title`, `link`, `snippet`, `displayLink`, ...),
+ * which is what the rest of the app consumes.
+ * @typedef {object} SearchPage
+ * @property {Array<object>} items - The result items on this page.
+ * @property {number | null} nextStart - 1-based start index of the next page, or `null` if there is none.
+ */
+
+/**
+ * The verticals and filters (see lib/searchFilters.js) a provider supports. Other filters are ignored.
+ * @typedef {object} ProviderCapabilities
+ * @property {Array<string>} verticals - The supported verticals.
+ * @property {Array<string>} filters - The supported filters besides the vertical.
+ */
+
+/**
+ * The interface every search backend implements.
+ * @typedef {object} SearchProvider
+ * @property {string} name - Identifier of the provider (e.g. 'google').
+ * @property {ProviderCapabilities} capabilities - The verticals and filters it supports.
+ * @property {function(string, { start: number, num: number, filters?: import('../searchFilters').SearchFilters }): Promise<SearchPage>} fetchPage -
+ *   Fetches one page of results, restricted by the search's filters.
+ * @property {function(string): Promise<Array<string>>} [suggest] - Returns the provider's query suggestions for
+ *   a partly typed query (see lib/suggestions.js). Providers without suggestions leave it out.
+ */
+
+/**
+ * Registry of available provider factories, keyed by provider name.
+ * Register new backends here.
+ */
+const PROVIDERS = {
+  google: createGoogleProvider,
+  bing: createBingProvider,
+  searxng: createSearxngProvider,
+  fixture: createFixtureProvider,
+};
+
+// The names a study's `provider` may take (see lib/studies.js).
+export const SEARCH_PROVIDERS = Object.keys(PROVIDERS);
+
+// The capabilities of each provider, available without configuring (or creating) it.
+const CAPABILITIES = {
+  google: GOOGLE_CAPABILITIES,
+  bing: BING_CAPABILITIES,
+  searxng: SEARXNG_CAPABILITIES,
+  fixture: FIXTURE_CAPABILITIES,
+};
+
+/**
+ * Returns the verticals and filters a provider supports, so the search page only offers those.
+ * Like `getSearchProvider`, `name` (a study's `provider`) takes precedence over `SEARCH_PROVIDER`.
+ *
+ * @function getProviderCapabilities
+ * @param {string} [name] - Optional provider name overriding the deployment default.
+ * @returns {ProviderCapabilities} - The capabilities (web search only for unknown providers).
+ */
+export function getProviderCapabilities(name) {
+  const providerName = (name || process.env.SEARCH_PROVIDER || 'google').toLowerCase();
+  return CAPABILITIES[providerName] || { verticals: ['web'], filters: [] };
+}
+
+/**
+ * Returns the search provider to use for a request.
+ * The provider is chosen by `name` if given (e.g. from a study configuration),
+ * otherwise by the `SEARCH_PROVIDER` environment variable, defaulting to Google.
+ *
+ * @function getSearchProvider
+ * @param {string} [name] - Optional provider name overriding the deployment default.
+ * @returns {SearchProvider} - The provider instance.
+ * @throws {Error} - Throws an error if the provider name is unknown or the provider is misconfigured.
+ */
+export function getSearchProvider(name) {
+  const providerName = (name || process.env.SEARCH_PROVIDER || 'google').toLowerCase();
+  const factory = PROVIDERS[providerName];
+
+  if (!factory) {
+    throw new Error(`Unknown search provider "${providerName}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return factory();
+}
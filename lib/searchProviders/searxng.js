@@ -0,0 +1,123 @@
+// lib/searchProviders/searxng.js
+
+/**
+ * Verticals and filters SearXNG supports (for the engines the instance has enabled in each category).
+ * @type {import('./index').ProviderCapabilities}
+ */
+export const SEARXNG_CAPABILITIES = {
+  verticals: ['web', 'images', 'news'],
+  filters: ['dateRange', 'site', 'language', 'safeSearch'],
+};
+
+// SearXNG categories for the verticals in lib/searchFilters.js.
+const CATEGORIES = { web: 'general', images: 'images', news: 'news' };
+// `safesearch` values for the SafeSearch levels.
+const SAFE_SEARCH = { off: 0, moderate: 1, strict: 2 };
+
+/**
+ * Creates a search provider backed by a SearXNG instance's JSON API.
+ * The instance base URL is read from `SEARXNG_URL` (e.g. `http://localhost:8888`);
+ * the instance must have the `json` output format enabled.
+ *
+ * @function createSearxngProvider
+ * @returns {import('./index').SearchProvider} - The SearXNG provider instance.
+ * @throws {Error} - Throws an error if `SEARXNG_URL` is not configured.
+ */
+export function createSearxngProvider() {
+  const BASE_URL = process.env.SEARXNG_URL;
+
+  if (!BASE_URL) {
+    throw new Error('Server configuration error: SEARXNG_URL missing.');
+  }
+
+  return {
+    name: 'searxng',
+    capabilities: SEARXNG_CAPABILITIES,
+
+    /**
+     * Fetches one page of results from SearXNG.
+     * SearXNG pages by page number with an instance-defined page size. Pages are treated as
+     * `num` results long: `start` is translated into the page number that contains it, the
+     * page is cut to the results from `start` to the end of that page, and `nextStart` is the
+     * first result of the following page.
+     *
+     * @param {string} query - The search query.
+     * @param {{ start: number, num: number, filters?: import('../searchFilters').SearchFilters }} page - 1-based start index,
+     *   page size and the search's filters.
+     * @returns {Promise<import('./index').SearchPage>}
+     */
+    async fetchPage(query, { start, num, filters }) {
+      const pageno = Math.floor((start - 1) / num) + 1;
+      // Position of `start` within the page.
+      const offset = (start - 1) % num;
+      // Site restrictions are a query operator, passed on to the engines.
+      const q = filters?.site ? `${query} site:${filters.site}` : query;
+      let apiUrl = `${BASE_URL.replace(/\/$/, '')}/search?q=${encodeURIComponent(q)}&format=json&pageno=${pageno}`;
+      if (filters) {
+        apiUrl += `&categories=${CATEGORIES[filters.vertical]}`;
+        if (filters.dateRange !== 'any') apiUrl += `&time_range=${filters.dateRange}`;
+        if (filters.language) apiUrl += `&language=${filters.language}`;
+        if (filters.safeSearch) apiUrl += `&safesearch=${SAFE_SEARCH[filters.safeSearch]}`;
+      }
+
+      const response = await fetch(apiUrl, {
+        headers: { 'Accept': 'application/json' }
+      });
+
+      if (!response.ok) {
+        console.error(`SearXNG error response: Status ${response.status}`);
+        return { items: [], nextStart: null };
+      }
+
+      const data = await response.json();
+      const results = (data.results || []).slice(offset, num);
+      const items = results.map(result => {
+        let displayLink = '';
+        try {
+          displayLink = new URL(result.url).hostname;
+        } catch (e) {
+          // Leave displayLink empty for unparsable URLs.
+        }
+        const item = {
+          title: result.title,
+          link: result.url,
+          snippet: result.content || '',
+          displayLink,
+        };
+        // Image results link to the page the image appears on; the image itself is kept in `image`.
+        if (filters?.vertical === 'images' && result.img_src) {
+          item.image = { src: result.img_src, thumbnail: result.thumbnail_src || null, width: null, height: null };
+        }
+        // Dates (news) and thumbnails go where lib/resultCards.js looks for them.
+        if (result.publishedDate || result.thumbnail) {
+          item.pagemap = { metatags: [{ 'article:published_time': result.publishedDate, 'og:image': result.thumbnail }] };
+        }
+        return item;
+      });
+
+      return {
+        items,
+        nextStart: items.length > 0 ? pageno * num + 1 : null,
+      };
+    },
+
+    /**
+     * Returns the instance's query suggestions from its `/autocompleter` endpoint, which answers in the
+     * OpenSearch suggestions format (`[query, [suggestion, ...]]`). The instance needs an autocomplete
+     * backend configured; without one it returns none.
+     *
+     * @param {string} query - The partly typed query.
+     * @returns {Promise<Array<string>>}
+     */
+    async suggest(query) {
+      const response = await fetch(`${BASE_URL.replace(/\/$/, '')}/autocompleter?q=${encodeURIComponent(query)}`, {
+        headers: { 'Accept': 'application/json' }
+      });
+      if (!response.ok) {
+        throw new Error(`SearXNG autocompleter error (${response.status})`);
+      }
+      const data = await response.json();
+      return Array.isArray(data[1]) ? data[1].filter(suggestion => typeof suggestion === 'string') : [];
+    },
+  };
+}
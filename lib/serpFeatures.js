@@ -0,0 +1,57 @@
+// lib/serpFeatures.js
+// Shared by the client (which renders result cards) and the study API (which validates conditions),
+// so this module must stay free of server-only imports.
+
+/**
+ * The result card elements a study condition can switch on or off, with their defaults:
+ * - `displayUrl`: the result's URL as a breadcrumb (`example.com › news › article`) above the title.
+ * - `favicon`: the site's icon next to the display URL.
+ * - `highlightedSnippet`: the snippet with the query terms the provider highlighted shown in bold.
+ * - `date`: the page's publication date, when the provider's metadata has one, before the snippet.
+ * - `thumbnail`: the page's thumbnail image, when it has one, beside the text.
+ * - `embedBadge`: whether the result is still being checked, or likely won't open in the embedded browser.
+ */
+export const SERP_FEATURES = {
+  displayUrl: true,
+  favicon: true,
+  highlightedSnippet: true,
+  date: true,
+  thumbnail: false,
+  embedBadge: true,
+};
+
+/**
+ * Fills in defaults for a condition's result card settings.
+ *
+ * @function resolveSerpFeatures
+ * @param {Object<string, boolean> | null | undefined} config - The condition's `serp` settings, if any.
+ * @returns {Object<string, boolean>} - Every feature in `SERP_FEATURES` with its effective setting.
+ */
+export function resolveSerpFeatures(config) {
+  return Object.fromEntries(Object.entries(SERP_FEATURES).map(([name, enabled]) => [
+    name,
+    typeof config?.[name] === 'boolean' ? config[name] : enabled,
+  ]));
+}
+
+/**
+ * Validates a condition's result card settings.
+ *
+ * @function validateSerpFeatures
+ * @param {any} config - The candidate settings.
+ * @returns {string | null} - An error message, or `null` if the settings are valid.
+ */
+export function validateSerpFeatures(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return 'serp must be an object of feature switches.';
+  }
+  for (const [name, enabled] of Object.entries(config)) {
+    if (!(name in SERP_FEATURES)) {
+      return `Unknown serp feature "${name}" (expected one of ${Object.keys(SERP_FEATURES).join(', ')}).`;
+    }
+    if (typeof enabled !== 'boolean') {
+      return `serp.${name} must be true or false.`;
+    }
+  }
+  return null;
+}
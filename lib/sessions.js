@@ -0,0 +1,160 @@
+// lib/sessions.js
+import { connectToDatabase } from './mongodb';
+
+// Name of the MongoDB collection written by /api/track-data/[userID].
+const SESSIONS_COLLECTION = 'UserBrowsingData';
+// Default and maximum page sizes for session listings.
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Returns the tracked sessions collection.
+ *
+ * @async
+ * @returns {Promise<import('mongodb').Collection>}
+ */
+async function getCollection() {
+  const { db } = await connectToDatabase();
+  return db.collection(SESSIONS_COLLECTION);
+}
+
+/**
+ * Builds a MongoDB filter for session queries.
+ *
+ * @function buildSessionFilter
+ * @param {{ studyId?: string, conditionId?: string, from?: string, to?: string }} filters - Filters; `from`/`to` bound the session's `firstSeen` date.
+ * @returns {object} - The MongoDB filter document.
+ */
+export function buildSessionFilter({ studyId, conditionId, from, to } = {}) {
+  const filter = {};
+  if (studyId) filter.studyId = studyId;
+  if (conditionId) filter.conditionId = conditionId;
+
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  if ((fromDate && !isNaN(fromDate.getTime())) || (toDate && !isNaN(toDate.getTime()))) {
+    filter.firstSeen = {};
+    if (fromDate && !isNaN(fromDate.getTime())) filter.firstSeen.$gte = fromDate;
+    if (toDate && !isNaN(toDate.getTime())) filter.firstSeen.$lte = toDate;
+  }
+  return filter;
+}
+
+/**
+ * Lists tracked sessions with summary statistics, newest activity first.
+ *
+ * @async
+ * @function listSessions
+ * @param {{ studyId?: string, conditionId?: string, from?: string, to?: string, page?: number, pageSize?: number }} [options] - Filters and paging (1-based page).
+ * @returns {Promise<{ sessions: Array<object>, total: number, page: number, pageSize: number }>}
+ */
+export async function listSessions({ page = 1, pageSize = DEFAULT_PAGE_SIZE, ...filters } = {}) {
+  const collection = await getCollection();
+  const filter = buildSessionFilter(filters);
+  const size = Math.min(Math.max(Number(pageSize) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const pageNumber = Math.max(Number(page) || 1, 1);
+
+  const [sessions, total] = await Promise.all([
+    collection.aggregate([
+      { $match: filter },
+      { $sort: { lastUpdated: -1 } },
+      { $skip: (pageNumber - 1) * size },
+      { $limit: size },
+      {
+        $project: {
+          _id: 0,
+          sessionId: 1,
+          studyId: 1,
+          conditionId: 1,
+          firstSeen: 1,
+          lastUpdated: 1,
+          searchCount: { $size: { $ifNull: ['$searches', []] } },
+          clickCount: { $size: { $ifNull: ['$clicks', []] } },
+          // On-screen time per click where tracked (tabbed browser), otherwise the click's duration.
+          totalDwell: {
+            $sum: {
+              $map: { input: { $ifNull: ['$clicks', []] }, in: { $ifNull: ['$$this.activeDuration', '$$this.duration'] } },
+            },
+          },
+        },
+      },
+    ]).toArray(),
+    collection.countDocuments(filter),
+  ]);
+
+  return { sessions, total, page: pageNumber, pageSize: size };
+}
+
+/**
+ * Merges a session's `searches` and `clicks` into one chronological timeline.
+ *
+ * @function buildTimeline
+ * @param {{ searches?: Array<object>, clicks?: Array<object> }} session - The stored session document.
+ * @returns {Array<object>} - Timeline entries `{ type: 'search' | 'click', time, ... }`, oldest first.
+ */
+export function buildTimeline(session) {
+  const searches = (session.searches || []).map(search => ({
+    type: 'search',
+    time: search.timestamp,
+    query: search.query,
+    appliedRules: search.appliedRules || [],
+  }));
+  const clicks = (session.clicks || []).map(click => ({
+    type: 'click',
+    time: click.startTime,
+    endTime: click.endTime,
+    duration: click.activeDuration ?? click.duration ?? 0,
+    url: click.url,
+    searchQuery: click.searchQuery || null,
+    rank: click.rank ?? null,
+    title: click.title || null,
+    navigations: (click.navigations || []).map(navigation => ({
+      url: navigation.url, title: navigation.title || null, duration: navigation.duration || 0,
+    })),
+  }));
+
+  return [...searches, ...clicks]
+    .filter(entry => entry.time)
+    .sort((a, b) => new Date(a.time) - new Date(b.time));
+}
+
+/**
+ * Fetches a single session with its timeline.
+ *
+ * @async
+ * @function getSession
+ * @param {string} sessionId - The session (participant) ID.
+ * @returns {Promise<{ session: object, timeline: Array<object> } | null>} - The session, or `null` if it doesn't exist.
+ */
+export async function getSession(sessionId) {
+  const collection = await getCollection();
+  const session = await collection.findOne({ sessionId });
+  if (!session) {
+    return null;
+  }
+  return { session, timeline: buildTimeline(session) };
+}
+
+/**
+ * Counts the queries searched in one condition of a study, by normalized query (lower case, trimmed), with
+ * the number of sessions that searched each. Used to build the condition's suggestion index (see `lib/suggestions.js`).
+ *
+ * @async
+ * @function countStudyQueries
+ * @param {string} studyId - The study ID.
+ * @param {string} conditionId - The condition ID.
+ * @param {number} limit - The maximum number of queries returned, most widely searched first.
+ * @returns {Promise<Array<{ query: string, sessions: number }>>}
+ */
+export async function countStudyQueries(studyId, conditionId, limit) {
+  const collection = await getCollection();
+  return collection.aggregate([
+    { $match: { studyId, conditionId } },
+    { $unwind: '$searches' },
+    { $match: { 'searches.query': { $type: 'string' } } },
+    { $group: { _id: { $toLower: { $trim: { input: '$searches.query' } } }, sessions: { $addToSet: '$sessionId' } } },
+    { $project: { _id: 0, query: '$_id', sessions: { $size: '$sessions' } } },
+    { $sort: { sessions: -1, query: 1 } },
+    { $limit: limit },
+  ]).toArray();
+}
@@ -0,0 +1,126 @@
+// lib/snapshots.js
+import { ObjectId } from 'mongodb';
+import { connectToDatabase } from './mongodb';
+import { normalizeQuery } from './cache';
+
+// Name of the MongoDB collection holding frozen result sets.
+const SNAPSHOT_COLLECTION = 'ResultSnapshots';
+
+/**
+ * A frozen, ordered result set served to every participant in a study condition.
+ * @typedef {object} ResultSnapshot
+ * @property {import('mongodb').ObjectId} _id - The snapshot ID.
+ * @property {string} studyId - The study the snapshot belongs to.
+ * @property {string} conditionId - The condition within the study.
+ * @property {string} query - The query as entered when the snapshot was created.
+ * @property {string} normalizedQuery - The normalized query used for lookups.
+ * @property {Array<object>} items - The ranked result items, each with an `embeddable` flag.
+ * @property {'live' | 'manual'} source - Whether the items were captured from a live search or supplied by hand.
+ * @property {Date} createdAt - When the snapshot was created or last replaced.
+ */
+
+/**
+ * Returns the snapshot collection.
+ *
+ * @async
+ * @returns {Promise<import('mongodb').Collection<ResultSnapshot>>}
+ */
+async function getCollection() {
+  const { db } = await connectToDatabase();
+  return db.collection(SNAPSHOT_COLLECTION);
+}
+
+/**
+ * Looks up the frozen result set for a query in a study condition.
+ *
+ * @async
+ * @function findSnapshot
+ * @param {string} studyId - The study ID.
+ * @param {string} conditionId - The condition ID.
+ * @param {string} query - The raw search query; normalized before lookup.
+ * @returns {Promise<ResultSnapshot | null>} - The snapshot, or `null` if none exists.
+ */
+export async function findSnapshot(studyId, conditionId, query) {
+  const collection = await getCollection();
+  return collection.findOne({ studyId, conditionId, normalizedQuery: normalizeQuery(query) });
+}
+
+/**
+ * Creates or replaces the frozen result set for a query in a study condition.
+ * Item order is stored exactly as given.
+ *
+ * @async
+ * @function saveSnapshot
+ * @param {{ studyId: string, conditionId: string, query: string, items: Array<object>, source: 'live' | 'manual' }} snapshot - The snapshot data.
+ * @returns {Promise<ResultSnapshot>} - The stored snapshot.
+ */
+export async function saveSnapshot({ studyId, conditionId, query, items, source }) {
+  const collection = await getCollection();
+  const normalizedQuery = normalizeQuery(query);
+
+  // Items must carry an explicit embeddability flag; hand-built sets default to non-embeddable.
+  const storedItems = items.map(item => ({ ...item, embeddable: item.embeddable === true }));
+
+  return collection.findOneAndUpdate(
+    { studyId, conditionId, normalizedQuery },
+    {
+      $set: { query, items: storedItems, source, createdAt: new Date() },
+      $setOnInsert: { studyId, conditionId, normalizedQuery },
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+}
+
+/**
+ * Lists snapshots, optionally filtered by study and condition. Items are omitted for brevity.
+ *
+ * @async
+ * @function listSnapshots
+ * @param {{ studyId?: string, conditionId?: string }} [filter] - Optional filters.
+ * @returns {Promise<Array<object>>} - Snapshot summaries, newest first.
+ */
+export async function listSnapshots({ studyId, conditionId } = {}) {
+  const collection = await getCollection();
+  const query = {};
+  if (studyId) query.studyId = studyId;
+  if (conditionId) query.conditionId = conditionId;
+
+  const snapshots = await collection
+    .find(query, { projection: { items: 0 } })
+    .sort({ createdAt: -1 })
+    .toArray();
+  return snapshots;
+}
+
+/**
+ * Fetches a single snapshot by its ID.
+ *
+ * @async
+ * @function getSnapshot
+ * @param {string} snapshotId - The snapshot's ObjectId as a hex string.
+ * @returns {Promise<ResultSnapshot | null>} - The snapshot, or `null` if the ID is invalid or unknown.
+ */
+export async function getSnapshot(snapshotId) {
+  if (!ObjectId.isValid(snapshotId)) {
+    return null;
+  }
+  const collection = await getCollection();
+  return collection.findOne({ _id: new ObjectId(snapshotId) });
+}
+
+/**
+ * Deletes a snapshot by its ID.
+ *
+ * @async
+ * @function deleteSnapshot
+ * @param {string} snapshotId - The snapshot's ObjectId as a hex string.
+ * @returns {Promise<boolean>} - `true` if a snapshot was deleted.
+ */
+export async function deleteSnapshot(snapshotId) {
+  if (!ObjectId.isValid(snapshotId)) {
+    return false;
+  }
+  const collection = await getCollection();
+  const result = await collection.deleteOne({ _id: new ObjectId(snapshotId) });
+  return result.deletedCount > 0;
+}
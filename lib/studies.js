@@ -0,0 +1,394 @@
+// lib/studies.js
+import crypto from 'crypto';
+import { connectToDatabase } from './mongodb';
+import { validateSerpFeatures } from './serpFeatures';
+import { validateSuggestionSettings } from './suggestions';
+import { isParticipantAuthEnabled, verifyParticipantToken } from './participantAuth';
+import { validateFlow } from './taskFlow';
+import { SEARCH_PROVIDERS } from './searchProviders';
+
+// Names of the MongoDB collections holding studies and their participants.
+const STUDIES_COLLECTION = 'Studies';
+const PARTICIPANTS_COLLECTION = 'Participants';
+
+/**
+ * HTTP status and participant-facing message for each failed participant verification.
+ * Shared by the API routes so the page can show a clear explanation.
+ */
+export const PARTICIPANT_ERRORS = {
+  unknown: { httpStatus: 404, message: "This participant link is not valid. Please check the link you were given." },
+  expired: { httpStatus: 410, message: "This participant link has expired." },
+  closed: { httpStatus: 410, message: "This study is no longer collecting data." },
+  invalid_token: { httpStatus: 401, message: "This participant link is incomplete or has been altered. Please use the exact link you were given." },
+};
+
+/**
+ * A study with its experimental conditions.
+ * @typedef {object} Study
+ * @property {string} studyId - Unique, researcher-chosen study identifier.
+ * @property {string} name - Human-readable study name.
+ * @property {'active' | 'closed'} status - Closed studies reject all participants.
+ * @property {'random' | 'balanced'} assignment - How conditions are assigned on first visit.
+ * @property {string} [provider] - The search backend the study's searches, snapshots and suggestions use
+ *   (see `lib/searchProviders`); without it, the deployment's `SEARCH_PROVIDER`. Fixed when the study is created,
+ *   so all its participants search the same backend.
+ * @property {Array<{ conditionId: string, name: string, serp?: Object<string, boolean>, suggestions?: object }>} conditions - The study's conditions.
+ *   `serp` switches result card elements on or off for the condition (see `lib/serpFeatures.js`); unset elements use their defaults.
+ *   `suggestions` overrides the study's query suggestion settings for the condition.
+ * @property {Partial<import('./suggestions').SuggestionSettings>} [suggestions] - Where query suggestions come from
+ *   (see `lib/suggestions.js`); suggestions are off if neither the study nor the condition sets a source.
+ * @property {Array<import('./taskFlow').FlowStep>} [flow] - The steps participants go through: consent, questionnaires,
+ *   search tasks and completion (see `lib/taskFlow.js`). Without it, participants go straight to search.
+ * @property {Date} createdAt - When the study was created.
+ */
+
+/**
+ * A pre-registered participant. Only registered IDs may use `/[userID]`.
+ * @typedef {object} Participant
+ * @property {string} participantId - The ID used in the participant's link (`/[participantId]`).
+ * @property {string} studyId - The study the participant belongs to.
+ * @property {string | null} conditionId - The assigned condition, `null` until first visit.
+ * @property {Date | null} expiresAt - After this time the participant link stops working.
+ * @property {Date} createdAt - When the participant was registered.
+ * @property {Date | null} assignedAt - When the condition was assigned (first visit).
+ */
+
+/**
+ * Returns the studies and participants collections.
+ *
+ * @async
+ * @returns {Promise<{ studies: import('mongodb').Collection<Study>, participants: import('mongodb').Collection<Participant> }>}
+ */
+async function getCollections() {
+  const { db } = await connectToDatabase();
+  return {
+    studies: db.collection(STUDIES_COLLECTION),
+    participants: db.collection(PARTICIPANTS_COLLECTION),
+  };
+}
+
+/**
+ * Validates the body of a study creation request.
+ *
+ * @function validateStudy
+ * @param {any} study - The candidate study definition.
+ * @returns {string | null} - An error message, or `null` if the definition is valid.
+ */
+export function validateStudy(study) {
+  if (!study || !study.studyId || typeof study.studyId !== 'string') {
+    return 'studyId is required.';
+  }
+  if (!Array.isArray(study.conditions) || study.conditions.length === 0) {
+    return 'At least one condition is required.';
+  }
+  const ids = study.conditions.map(condition => condition && condition.conditionId);
+  if (ids.some(id => !id || typeof id !== 'string')) {
+    return 'Every condition needs a conditionId.';
+  }
+  if (new Set(ids).size !== ids.length) {
+    return 'conditionId values must be unique within a study.';
+  }
+  if (study.assignment && !['random', 'balanced'].includes(study.assignment)) {
+    return "assignment must be 'random' or 'balanced'.";
+  }
+  if (study.provider !== undefined && !SEARCH_PROVIDERS.includes(study.provider)) {
+    return `provider must be one of: ${SEARCH_PROVIDERS.join(', ')}.`;
+  }
+  if (study.suggestions !== undefined) {
+    const error = validateSuggestionSettings(study.suggestions);
+    if (error) return error;
+  }
+  if (study.flow !== undefined) {
+    const error = validateFlow(study.flow);
+    if (error) return error;
+  }
+  return validateConditionSettings(study.conditions);
+}
+
+/**
+ * Validates the result card settings (`serp`) and query suggestion settings (`suggestions`) of a list of
+ * conditions. Conditions without them are valid.
+ *
+ * @function validateConditionSettings
+ * @param {Array<{ conditionId: string, serp?: any, suggestions?: any }>} conditions - The conditions.
+ * @returns {string | null} - An error message, or `null` if every condition's settings are valid.
+ */
+export function validateConditionSettings(conditions) {
+  for (const condition of conditions) {
+    const error = (condition?.serp !== undefined && validateSerpFeatures(condition.serp))
+      || (condition?.suggestions !== undefined && validateSuggestionSettings(condition.suggestions));
+    if (error) {
+      return `Condition ${condition.conditionId}: ${error}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Creates a new study.
+ *
+ * @async
+ * @function createStudy
+ * @param {{ studyId: string, name?: string, assignment?: 'random' | 'balanced', provider?: string, suggestions?: object, flow?: Array<object>, conditions: Array<{ conditionId: string, name?: string, serp?: Object<string, boolean>, suggestions?: object }> }} definition - The study definition (validate with `validateStudy` first).
+ * @returns {Promise<Study | null>} - The created study, or `null` if the studyId is already taken.
+ */
+export async function createStudy({ studyId, name, assignment, provider, suggestions, flow, conditions }) {
+  const { studies } = await getCollections();
+  if (await studies.findOne({ studyId })) {
+    return null;
+  }
+
+  const study = {
+    studyId,
+    name: name || studyId,
+    status: 'active',
+    assignment: assignment || 'balanced',
+    conditions: conditions.map(condition => ({
+      conditionId: condition.conditionId,
+      name: condition.name || condition.conditionId,
+      ...(condition.serp ? { serp: condition.serp } : {}),
+      ...(condition.suggestions ? { suggestions: condition.suggestions } : {}),
+    })),
+    ...(provider ? { provider } : {}),
+    ...(suggestions ? { suggestions } : {}),
+    ...(flow ? { flow } : {}),
+    createdAt: new Date(),
+  };
+  await studies.insertOne(study);
+  return study;
+}
+
+/**
+ * Fetches a study by its ID.
+ *
+ * @async
+ * @function getStudy
+ * @param {string} studyId - The study ID.
+ * @returns {Promise<Study | null>}
+ */
+export async function getStudy(studyId) {
+  const { studies } = await getCollections();
+  return studies.findOne({ studyId });
+}
+
+/**
+ * Lists all studies, newest first.
+ *
+ * @async
+ * @function listStudies
+ * @returns {Promise<Array<Study>>}
+ */
+export async function listStudies() {
+  const { studies } = await getCollections();
+  return studies.find({}).sort({ createdAt: -1 }).toArray();
+}
+
+/**
+ * Updates a study's mutable fields (`name`, `status`, `assignment`, `suggestions`, `flow`) and its conditions' result
+ * card and suggestion settings (`conditions: [{ conditionId, serp?, suggestions? }]`). Validate `suggestions`
+ * with `validateSuggestionSettings`, `flow` with `validateFlow` and `conditions` with `validateConditionSettings` first.
+ * Conditions can't be added or removed once participants may have been assigned to them. Participants already in
+ * the flow continue from the step they are on, as long as the new flow still has it.
+ *
+ * @async
+ * @function updateStudy
+ * @param {string} studyId - The study ID.
+ * @param {{ name?: string, status?: 'active' | 'closed', assignment?: 'random' | 'balanced', suggestions?: object, flow?: Array<object>, conditions?: Array<{ conditionId: string, serp?: Object<string, boolean>, suggestions?: object }> }} changes - The fields to change.
+ * @returns {Promise<Study | null>} - The updated study, or `null` if it doesn't exist.
+ */
+export async function updateStudy(studyId, changes) {
+  const { studies } = await getCollections();
+  const update = {};
+  if (changes.name) update.name = changes.name;
+  if (['active', 'closed'].includes(changes.status)) update.status = changes.status;
+  if (['random', 'balanced'].includes(changes.assignment)) update.assignment = changes.assignment;
+  if (changes.suggestions) update.suggestions = changes.suggestions;
+  if (changes.flow) update.flow = changes.flow;
+  if (Array.isArray(changes.conditions)) {
+    const study = await studies.findOne({ studyId });
+    if (!study) {
+      return null;
+    }
+    update.conditions = study.conditions.map(condition => {
+      const change = changes.conditions.find(candidate => candidate?.conditionId === condition.conditionId);
+      return {
+        ...condition,
+        ...(change?.serp ? { serp: change.serp } : {}),
+        ...(change?.suggestions ? { suggestions: change.suggestions } : {}),
+      };
+    });
+  }
+
+  return studies.findOneAndUpdate({ studyId }, { $set: update }, { returnDocument: 'after' });
+}
+
+/**
+ * Counts participants per assigned condition in a study.
+ *
+ * @async
+ * @function countByCondition
+ * @param {string} studyId - The study ID.
+ * @returns {Promise<Object<string, number>>} - Map of conditionId to number of assigned participants.
+ */
+export async function countByCondition(studyId) {
+  const { participants } = await getCollections();
+  const groups = await participants.aggregate([
+    { $match: { studyId, conditionId: { $ne: null } } },
+    { $group: { _id: '$conditionId', count: { $sum: 1 } } },
+  ]).toArray();
+  return Object.fromEntries(groups.map(group => [group._id, group.count]));
+}
+
+/**
+ * Registers participants for a study. Either explicit IDs or a number of
+ * randomly generated IDs can be given. IDs that already exist are skipped.
+ *
+ * @async
+ * @function createParticipants
+ * @param {string} studyId - The study ID.
+ * @param {{ participantIds?: Array<string>, count?: number, expiresAt?: string | Date }} options - Which participants to create.
+ * @returns {Promise<Array<Participant>>} - The newly created participants.
+ */
+export async function createParticipants(studyId, { participantIds, count, expiresAt }) {
+  const { participants } = await getCollections();
+
+  // Generate unguessable IDs when the researcher doesn't supply their own.
+  const ids = participantIds || Array.from({ length: count || 0 }, () => crypto.randomBytes(8).toString('hex'));
+  const existing = await participants
+    .find({ participantId: { $in: ids } }, { projection: { participantId: 1 } })
+    .toArray();
+  const taken = new Set(existing.map(participant => participant.participantId));
+
+  const docs = ids
+    .filter(id => !taken.has(id))
+    .map(participantId => ({
+      participantId,
+      studyId,
+      conditionId: null,
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+      createdAt: new Date(),
+      assignedAt: null,
+    }));
+
+  if (docs.length > 0) {
+    await participants.insertMany(docs);
+  }
+  return docs;
+}
+
+/**
+ * Lists a study's participants.
+ *
+ * @async
+ * @function listParticipants
+ * @param {string} studyId - The study ID.
+ * @returns {Promise<Array<Participant>>}
+ */
+export async function listParticipants(studyId) {
+  const { participants } = await getCollections();
+  return participants.find({ studyId }).sort({ createdAt: 1 }).toArray();
+}
+
+/**
+ * Picks a condition for a new participant.
+ * `random` draws uniformly; `balanced` picks the condition with the fewest
+ * assigned participants, breaking ties randomly.
+ *
+ * @async
+ * @param {Study} study - The participant's study.
+ * @returns {Promise<string>} - The chosen conditionId.
+ */
+async function pickCondition(study) {
+  const conditionIds = study.conditions.map(condition => condition.conditionId);
+  const randomOf = (list) => list[crypto.randomInt(list.length)];
+
+  if (study.assignment === 'random') {
+    return randomOf(conditionIds);
+  }
+
+  const counts = await countByCondition(study.studyId);
+  const min = Math.min(...conditionIds.map(id => counts[id] || 0));
+  return randomOf(conditionIds.filter(id => (counts[id] || 0) === min));
+}
+
+/**
+ * Looks up a participant and checks that their link is still valid.
+ * Does not assign a condition; use `checkInParticipant` for first visits.
+ * With participant auth enabled (see `lib/participantAuth.js`), the link's signed token must be for
+ * this participant and their study; it is checked before the database is consulted, so forged
+ * requests cost nothing and can't probe for participant IDs.
+ *
+ * @async
+ * @function verifyParticipant
+ * @param {any} participantId - The participant ID from the request; anything but a non-empty string is `unknown`.
+ * @param {{ token?: string | null }} [options] - The participant token sent with the request.
+ * @returns {Promise<{ status: 'ok' | 'unknown' | 'expired' | 'closed' | 'invalid_token', participant?: Participant, study?: Study }>}
+ */
+export async function verifyParticipant(participantId, { token = null } = {}) {
+  // IDs come straight from request bodies and query strings: anything but a string (e.g. a `{ "$ne": null }`
+  // query operator) must never reach the database query.
+  if (typeof participantId !== 'string' || !participantId) {
+    return { status: 'unknown' };
+  }
+
+  let claims = null;
+  if (isParticipantAuthEnabled()) {
+    const verification = verifyParticipantToken(token);
+    if (verification.status === 'expired') {
+      return { status: 'expired' };
+    }
+    if (verification.status !== 'ok' || verification.claims.participantId !== participantId) {
+      return { status: 'invalid_token' };
+    }
+    claims = verification.claims;
+  }
+
+  const { participants, studies } = await getCollections();
+  const participant = await participants.findOne({ participantId });
+  if (!participant) {
+    return { status: 'unknown' };
+  }
+  if (claims && claims.studyId !== participant.studyId) {
+    return { status: 'invalid_token' };
+  }
+
+  const study = await studies.findOne({ studyId: participant.studyId });
+  if (!study) {
+    return { status: 'unknown' };
+  }
+  if (study.status === 'closed') {
+    return { status: 'closed', participant, study };
+  }
+  if (participant.expiresAt && participant.expiresAt <= new Date()) {
+    return { status: 'expired', participant, study };
+  }
+  return { status: 'ok', participant, study };
+}
+
+/**
+ * Checks in a participant that `verifyParticipant` accepted: on their first visit, assigns them a condition.
+ * Kept separate from verification so routes can reject and rate-limit requests before anything is written.
+ * Assignment is atomic: concurrent first visits can't assign two different conditions.
+ *
+ * @async
+ * @function checkInParticipant
+ * @param {{ participant: Participant, study: Study }} verified - The participant and study from a successful verification.
+ * @returns {Promise<{ participant: Participant, study: Study }>} - The participant with their condition.
+ */
+export async function checkInParticipant({ participant, study }) {
+  if (participant.conditionId) {
+    return { participant, study };
+  }
+
+  const { participants } = await getCollections();
+  const { participantId } = participant;
+  const conditionId = await pickCondition(study);
+  await participants.updateOne(
+    { participantId, conditionId: null }, // Only assign if nobody else did in the meantime.
+    { $set: { conditionId, assignedAt: new Date() } }
+  );
+
+  const assigned = await participants.findOne({ participantId });
+  console.log(`Studies: Assigned participant ${participantId} to ${assigned.studyId}/${assigned.conditionId}.`);
+  return { participant: assigned, study };
+}
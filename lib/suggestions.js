@@ -0,0 +1,261 @@
+// lib/suggestions.js
+import { getCached, normalizeQuery, setCached } from './cache'; // MongoDB-backed TTL cache
+import { countStudyQueries } from './sessions'; // Past queries of a study condition
+import { getSearchProvider } from './searchProviders'; // Pluggable search backends
+
+/**
+ * Where a condition's query suggestions come from:
+ * - `provider`: the search provider's own suggestions (see `suggest` in lib/searchProviders).
+ * - `curated`: the researcher's `curated` list, in its order.
+ * - `ngram`: an index of the queries earlier participants in the same condition searched, so what one condition's
+ *   participants were shown can't steer another's.
+ * - `none`: no suggestions; the search bar stays a plain input.
+ */
+export const SUGGESTION_SOURCES = ['provider', 'curated', 'ngram', 'none'];
+
+/**
+ * Suggestion settings of a study (`suggestions`), which its conditions can override field by field.
+ *
+ * @typedef {object} SuggestionSettings
+ * @property {'provider' | 'curated' | 'ngram' | 'none'} source - Where suggestions come from.
+ * @property {Array<string>} curated - The curated suggestions, for the `curated` source.
+ */
+
+/**
+ * Parses a non-negative whole number from an environment variable.
+ *
+ * @param {string | undefined} value - The variable's value.
+ * @returns {number | null} - The number, or `null` if the variable is unset, blank or not such a number.
+ */
+const parseCount = (value) => {
+  const count = value?.trim() ? Number(value) : NaN;
+  return Number.isInteger(count) && count >= 0 ? count : null;
+};
+
+// Suggestions returned per request.
+const MAX_SUGGESTIONS = 8;
+// Largest curated list a study or condition may have.
+const MAX_CURATED_SUGGESTIONS = 1000;
+// How long provider suggestions are cached per prefix (1 hour).
+const PROVIDER_CACHE_TTL_SECONDS = 60 * 60;
+// How long a condition's query index is reused before it is rebuilt with newer queries (default: 10 minutes).
+const INDEX_TTL_SECONDS = Number(process.env.SUGGEST_INDEX_TTL_SECONDS) || 10 * 60;
+// Queries only enter the index once this many sessions searched them, so no single participant's
+// queries are shown to others (default: 2). 0 or 1 index every query, e.g. for piloting alone.
+const MIN_SESSIONS = parseCount(process.env.SUGGEST_MIN_SESSIONS) ?? 2;
+// Most distinct queries indexed per condition.
+const MAX_INDEXED_QUERIES = 5000;
+// Words of context the index predicts the next word from (so up to trigrams).
+const MAX_CONTEXT_WORDS = 2;
+
+/**
+ * Validates suggestion settings from a study or condition definition. Both fields are optional.
+ *
+ * @function validateSuggestionSettings
+ * @param {any} settings - The candidate settings.
+ * @returns {string | null} - An error message, or `null` if the settings are valid.
+ */
+export function validateSuggestionSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return 'suggestions must be an object.';
+  }
+  if (settings.source !== undefined && !SUGGESTION_SOURCES.includes(settings.source)) {
+    return `suggestions.source must be one of ${SUGGESTION_SOURCES.join(', ')}.`;
+  }
+  if (settings.curated !== undefined) {
+    if (!Array.isArray(settings.curated) || settings.curated.some(entry => typeof entry !== 'string' || !entry.trim())) {
+      return 'suggestions.curated must be an array of non-empty strings.';
+    }
+    if (settings.curated.length > MAX_CURATED_SUGGESTIONS) {
+      return `suggestions.curated can have at most ${MAX_CURATED_SUGGESTIONS} entries.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolves the suggestion settings of a participant's condition: the condition's settings take
+ * precedence over the study's, and suggestions are off unless either sets a source.
+ *
+ * @function resolveSuggestionSettings
+ * @param {{ suggestions?: Partial<SuggestionSettings> } | null} study - The study.
+ * @param {{ suggestions?: Partial<SuggestionSettings> } | null} condition - The participant's condition.
+ * @returns {SuggestionSettings}
+ */
+export function resolveSuggestionSettings(study, condition) {
+  const settings = { source: 'none', curated: [], ...study?.suggestions, ...condition?.suggestions };
+  return { source: settings.source, curated: settings.curated };
+}
+
+/**
+ * Matches a prefix against a list of suggestions: entries starting with it come first, then entries
+ * with a word starting with it, each in list order.
+ *
+ * @param {Array<string>} entries - The candidate suggestions.
+ * @param {string} prefix - The normalized prefix.
+ * @returns {Array<string>}
+ */
+const matchPrefix = (entries, prefix) => {
+  const starts = [];
+  const contains = [];
+  for (const entry of entries) {
+    const normalized = normalizeQuery(entry);
+    if (normalized === prefix) continue;
+    if (normalized.startsWith(prefix)) starts.push(entry.trim());
+    else if (normalized.includes(` ${prefix}`)) contains.push(entry.trim());
+  }
+  return [...starts, ...contains];
+};
+
+/**
+ * Builds a suggestion index from past queries: the queries themselves, and word n-grams
+ * (up to `MAX_CONTEXT_WORDS` words of context and the word that followed), weighted by how many
+ * sessions searched them. The index is plain arrays, so it can be cached.
+ *
+ * @function buildQueryIndex
+ * @param {Array<{ query: string, sessions: number }>} queryCounts - The queries and their session counts.
+ * @returns {{ queries: Array<[string, number]>, ngrams: Array<[string, string, number]> }} - Queries by weight,
+ *   and `[context, next word, weight]` triples.
+ */
+export function buildQueryIndex(queryCounts) {
+  const queries = new Map();
+  for (const { query, sessions } of queryCounts) {
+    const normalized = normalizeQuery(query);
+    if (normalized) queries.set(normalized, (queries.get(normalized) || 0) + sessions);
+  }
+
+  const ngrams = new Map();
+  for (const [query, weight] of queries) {
+    const words = query.split(' ');
+    words.forEach((word, index) => {
+      for (let size = 0; size <= Math.min(MAX_CONTEXT_WORDS, index); size++) {
+        const key = `${words.slice(index - size, index).join(' ')}\n${word}`;
+        ngrams.set(key, (ngrams.get(key) || 0) + weight);
+      }
+    });
+  }
+
+  return {
+    queries: [...queries].sort((a, b) => b[1] - a[1]),
+    ngrams: [...ngrams].map(([key, weight]) => [...key.split('\n'), weight]).sort((a, b) => b[2] - a[2]),
+  };
+}
+
+/**
+ * Suggests completions of a prefix from a query index: past queries starting with the prefix first,
+ * then the prefix with its last word completed (or, after a space, the next word predicted) from the
+ * longest context the index knows.
+ *
+ * @function suggestFromIndex
+ * @param {{ queries: Array<[string, number]>, ngrams: Array<[string, string, number]> }} index - From `buildQueryIndex`.
+ * @param {string} input - What the participant typed so far.
+ * @returns {Array<string>}
+ */
+export function suggestFromIndex(index, input) {
+  const prefix = normalizeQuery(input);
+  const suggestions = index.queries
+    .filter(([query]) => query !== prefix && query.startsWith(prefix))
+    .map(([query]) => query);
+
+  // After a space the last word is complete, and the next one is predicted. The longest context with
+  // any continuation wins; the first word is completed from word frequencies alone.
+  const words = prefix.split(' ');
+  const partial = /\s$/.test(input) ? '' : words.pop();
+  for (let size = Math.min(MAX_CONTEXT_WORDS, words.length); size >= (words.length ? 1 : 0); size--) {
+    const context = words.slice(words.length - size).join(' ');
+    const continuations = index.ngrams
+      .filter(([ngramContext, next]) => ngramContext === context && next.startsWith(partial))
+      .map(([, next]) => [...words, next].join(' '));
+    if (continuations.length > 0) {
+      suggestions.push(...continuations);
+      break;
+    }
+  }
+
+  return [...new Set(suggestions)].filter(suggestion => suggestion !== prefix);
+}
+
+/**
+ * Returns a condition's query index, rebuilding it from the stored sessions when the cached one has expired.
+ *
+ * @async
+ * @param {string} studyId - The study ID.
+ * @param {string} conditionId - The condition whose participants' queries are indexed.
+ * @returns {Promise<{ queries: Array<[string, number]>, ngrams: Array<[string, string, number]> }>}
+ */
+async function getQueryIndex(studyId, conditionId) {
+  // JSON keeps IDs containing separators from colliding.
+  const cacheKey = JSON.stringify([studyId, conditionId]);
+  const cached = await getCached('suggest-index', cacheKey);
+  if (cached) {
+    return cached;
+  }
+  const queryCounts = await countStudyQueries(studyId, conditionId, MAX_INDEXED_QUERIES);
+  const index = buildQueryIndex(queryCounts.filter(({ sessions }) => sessions >= MIN_SESSIONS));
+  console.log(`Suggestions: Indexed ${index.queries.length} queries of ${studyId}/${conditionId}.`);
+  await setCached('suggest-index', cacheKey, index, INDEX_TTL_SECONDS);
+  return index;
+}
+
+/**
+ * Returns the search provider's suggestions for a prefix, cached per provider and prefix.
+ * Providers without suggestions (no `suggest` method) return none.
+ *
+ * @async
+ * @param {string} input - What the participant typed so far.
+ * @param {string} [providerName] - The study's provider; the deployment default if unset.
+ * @returns {Promise<Array<string>>}
+ */
+async function getProviderSuggestions(input, providerName) {
+  const provider = getSearchProvider(providerName);
+  if (!provider.suggest) {
+    return [];
+  }
+  const cacheKey = `${provider.name}:${normalizeQuery(input)}`;
+  const cached = await getCached('suggest', cacheKey);
+  if (cached) {
+    return cached;
+  }
+  const suggestions = await provider.suggest(input);
+  await setCached('suggest', cacheKey, suggestions, PROVIDER_CACHE_TTL_SECONDS);
+  return suggestions;
+}
+
+/**
+ * Returns up to `MAX_SUGGESTIONS` query suggestions for what a participant typed, from the source their
+ * condition uses. An empty prefix gets no suggestions. A failing provider is logged and yields none,
+ * so typing never breaks.
+ *
+ * @async
+ * @function getSuggestions
+ * @param {string} input - What the participant typed so far.
+ * @param {{ studyId: string, conditionId: string, provider?: string, settings: SuggestionSettings }} context - The
+ *   participant's study and condition, the study's search provider and the suggestion settings.
+ * @returns {Promise<Array<string>>}
+ */
+export async function getSuggestions(input, { studyId, conditionId, provider, settings }) {
+  const prefix = normalizeQuery(input);
+  if (!prefix) {
+    return [];
+  }
+
+  let suggestions = [];
+  switch (settings.source) {
+    case 'provider':
+      try {
+        suggestions = await getProviderSuggestions(input, provider);
+      } catch (e) {
+        console.warn(`Suggestions: Provider suggestions for "${prefix}" failed:`, e.message);
+      }
+      break;
+    case 'curated':
+      suggestions = matchPrefix(settings.curated, prefix);
+      break;
+    case 'ngram':
+      suggestions = suggestFromIndex(await getQueryIndex(studyId, conditionId), input);
+      break;
+    default:
+      break;
+  }
+  return suggestions.slice(0, MAX_SUGGESTIONS);
+}
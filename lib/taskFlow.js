@@ -0,0 +1,298 @@
+// lib/taskFlow.js
+// Shared by the client (flow screens and questionnaires) and the study and flow API routes (validation),
+// so this module must stay free of server-only imports.
+
+/**
+ * Kinds of steps a study's task flow is made of, in the order the study lists them:
+ * - `consent`: an information and consent text the participant agrees to (or declines, which ends the flow).
+ * - `questionnaire`: a form of questions (see `QUESTION_TYPES`), e.g. before and after the task.
+ * - `task`: the search page, with the task's `prompt` shown throughout and an optional time limit.
+ * - `completion`: the final page, showing the participant's completion code.
+ */
+export const STEP_TYPES = ['consent', 'questionnaire', 'task', 'completion'];
+
+/**
+ * Kinds of questionnaire questions and the answers they take:
+ * - `text` and `textarea`: free text (a string).
+ * - `number`: a number, optionally between `min` and `max`.
+ * - `single`: one of the question's `options` (a string).
+ * - `multiple`: any of its `options` (an array of strings).
+ * - `likert`: a point on a scale of `scale.points` (default 5) points, from 1 to `points` (a number),
+ *   with optional `scale.minLabel` and `scale.maxLabel`.
+ */
+export const QUESTION_TYPES = ['text', 'textarea', 'number', 'single', 'multiple', 'likert'];
+
+/**
+ * The flow of studies that don't define one: straight into search, without a prompt or time limit.
+ */
+export const DEFAULT_FLOW = [{ stepId: 'search', type: 'task' }];
+
+/**
+ * One step of a study's task flow (`flow`). Every step has a `stepId` (unique within the flow) and a `type`
+ * (one of `STEP_TYPES`); the other fields depend on the type.
+ *
+ * @typedef {object} FlowStep
+ * @property {string} stepId - Identifies the step in the stored progress and the export.
+ * @property {'consent' | 'questionnaire' | 'task' | 'completion'} type - The kind of step.
+ * @property {string} [title] - Heading shown above the step.
+ * @property {string} [text] - `consent` and `completion`: the text shown (paragraphs separated by blank lines).
+ * @property {string} [agreeLabel] - `consent`: the agree button's label.
+ * @property {string} [declineLabel] - `consent`: the decline button's label.
+ * @property {Array<Question>} [questions] - `questionnaire`: its questions.
+ * @property {string} [prompt] - `task`: the task description, shown before and throughout the search.
+ * @property {number} [timeLimitSeconds] - `task`: when the task ends on its own.
+ * @property {number} [minTimeSeconds] - `task`: how long the participant must search before they can finish.
+ * @property {string} [completionCode] - `completion`: a fixed code for every participant (e.g. a panel's study code);
+ *   without it, each participant gets their own random code. Never sent to the page before the flow is complete.
+ * @property {string} [redirectUrl] - `completion`: where the participant returns to; `{code}` is replaced by their code.
+ */
+
+/**
+ * One questionnaire question.
+ *
+ * @typedef {object} Question
+ * @property {string} questionId - Identifies the answer (unique within the questionnaire).
+ * @property {'text' | 'textarea' | 'number' | 'single' | 'multiple' | 'likert'} type - The kind of question.
+ * @property {string} label - The question shown.
+ * @property {boolean} [required] - Whether it must be answered.
+ * @property {Array<string>} [options] - `single` and `multiple`: the choices.
+ * @property {number} [min] - `number`: the smallest answer.
+ * @property {number} [max] - `number`: the largest answer.
+ * @property {{ points?: number, minLabel?: string, maxLabel?: string }} [scale] - `likert`: the scale.
+ */
+
+// Limits on study flows, to keep study documents and stored answers bounded.
+const MAX_STEPS = 20;
+const MAX_QUESTIONS_PER_STEP = 50;
+const MAX_OPTIONS_PER_QUESTION = 50;
+const MAX_TEXT_LENGTH = 20000;
+// Longest free-text answer, in characters.
+export const MAX_ANSWER_LENGTH = 5000;
+// Longest task time limit (1 day).
+const MAX_TIME_LIMIT_SECONDS = 24 * 60 * 60;
+// Likert scales range from 2 to 11 points.
+const MIN_SCALE_POINTS = 2;
+const MAX_SCALE_POINTS = 11;
+const DEFAULT_SCALE_POINTS = 5;
+// Step and question IDs end up as export values and answer keys, so they are kept simple.
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const isText = (value) => typeof value === 'string' && value.trim().length > 0 && value.length <= MAX_TEXT_LENGTH;
+const isOptionalText = (value) => value === undefined || (typeof value === 'string' && value.length <= MAX_TEXT_LENGTH);
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Returns the number of points of a Likert question's scale.
+ *
+ * @function scalePoints
+ * @param {Question} question - The question.
+ * @returns {number}
+ */
+export function scalePoints(question) {
+  return question.scale?.points ?? DEFAULT_SCALE_POINTS;
+}
+
+/**
+ * Validates one questionnaire question.
+ *
+ * @param {any} question - The candidate question.
+ * @returns {string | null} - An error message, or `null` if the question is valid.
+ */
+const validateQuestion = (question) => {
+  if (!question || typeof question !== 'object' || !ID_PATTERN.test(question.questionId || '')) {
+    return 'every question needs a questionId of letters, digits, "-" or "_".';
+  }
+  const name = `question ${question.questionId}`;
+  if (!QUESTION_TYPES.includes(question.type)) {
+    return `${name}: type must be one of ${QUESTION_TYPES.join(', ')}.`;
+  }
+  if (!isText(question.label)) {
+    return `${name}: label is required.`;
+  }
+  if (question.required !== undefined && typeof question.required !== 'boolean') {
+    return `${name}: required must be true or false.`;
+  }
+  if (question.type === 'single' || question.type === 'multiple') {
+    const { options } = question;
+    if (!Array.isArray(options) || options.length < 2 || options.length > MAX_OPTIONS_PER_QUESTION || !options.every(isText)) {
+      return `${name}: options must be 2 to ${MAX_OPTIONS_PER_QUESTION} non-empty strings.`;
+    }
+    if (new Set(options).size !== options.length) {
+      return `${name}: options must be unique.`;
+    }
+  }
+  if (question.type === 'number') {
+    if ([question.min, question.max].some(bound => bound !== undefined && !Number.isFinite(bound))) {
+      return `${name}: min and max must be numbers.`;
+    }
+    if (question.min !== undefined && question.max !== undefined && question.min > question.max) {
+      return `${name}: min must not be greater than max.`;
+    }
+  }
+  if (question.type === 'likert' && question.scale !== undefined) {
+    const { scale } = question;
+    if (!scale || typeof scale !== 'object') {
+      return `${name}: scale must be an object.`;
+    }
+    if (scale.points !== undefined && (!Number.isInteger(scale.points) || scale.points < MIN_SCALE_POINTS || scale.points > MAX_SCALE_POINTS)) {
+      return `${name}: scale.points must be a whole number from ${MIN_SCALE_POINTS} to ${MAX_SCALE_POINTS}.`;
+    }
+    if (!isOptionalText(scale.minLabel) || !isOptionalText(scale.maxLabel)) {
+      return `${name}: scale labels must be strings.`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Validates one flow step.
+ *
+ * @param {any} step - The candidate step.
+ * @returns {string | null} - An error message, or `null` if the step is valid.
+ */
+const validateStep = (step) => {
+  if (!step || typeof step !== 'object' || !ID_PATTERN.test(step.stepId || '')) {
+    return 'every step needs a stepId of letters, digits, "-" or "_".';
+  }
+  const name = `Step ${step.stepId}`;
+  if (!STEP_TYPES.includes(step.type)) {
+    return `${name}: type must be one of ${STEP_TYPES.join(', ')}.`;
+  }
+  if (!isOptionalText(step.title)) {
+    return `${name}: title must be a string.`;
+  }
+
+  switch (step.type) {
+    case 'consent':
+      if (!isText(step.text)) return `${name}: text is required.`;
+      if (!isOptionalText(step.agreeLabel) || !isOptionalText(step.declineLabel)) return `${name}: button labels must be strings.`;
+      break;
+    case 'questionnaire': {
+      const { questions } = step;
+      if (!Array.isArray(questions) || questions.length === 0 || questions.length > MAX_QUESTIONS_PER_STEP) {
+        return `${name}: questions must be 1 to ${MAX_QUESTIONS_PER_STEP} questions.`;
+      }
+      for (const question of questions) {
+        const error = validateQuestion(question);
+        if (error) return `${name}: ${error}`;
+      }
+      if (new Set(questions.map(question => question.questionId)).size !== questions.length) {
+        return `${name}: questionId values must be unique.`;
+      }
+      break;
+    }
+    case 'task':
+      if (!isOptionalText(step.prompt)) return `${name}: prompt must be a string.`;
+      for (const field of ['timeLimitSeconds', 'minTimeSeconds']) {
+        if (step[field] !== undefined && (!isPositiveInteger(step[field]) || step[field] > MAX_TIME_LIMIT_SECONDS)) {
+          return `${name}: ${field} must be a whole number of seconds up to ${MAX_TIME_LIMIT_SECONDS}.`;
+        }
+      }
+      if (step.timeLimitSeconds !== undefined && step.minTimeSeconds !== undefined && step.minTimeSeconds > step.timeLimitSeconds) {
+        return `${name}: minTimeSeconds must not exceed timeLimitSeconds.`;
+      }
+      break;
+    case 'completion':
+      if (!isOptionalText(step.text)) return `${name}: text must be a string.`;
+      if (step.completionCode !== undefined && !ID_PATTERN.test(step.completionCode)) {
+        return `${name}: completionCode must be letters, digits, "-" or "_".`;
+      }
+      if (step.redirectUrl !== undefined && !/^https?:\/\//i.test(String(step.redirectUrl))) {
+        return `${name}: redirectUrl must be an http(s) URL.`;
+      }
+      break;
+    default:
+      break;
+  }
+  return null;
+};
+
+/**
+ * Validates a study's task flow: a list of steps with unique IDs, with at least one `task` step, and a
+ * `completion` step (if any) only at the end.
+ *
+ * @function validateFlow
+ * @param {any} flow - The candidate flow.
+ * @returns {string | null} - An error message, or `null` if the flow is valid.
+ */
+export function validateFlow(flow) {
+  if (!Array.isArray(flow) || flow.length === 0 || flow.length > MAX_STEPS) {
+    return `flow must be a list of 1 to ${MAX_STEPS} steps.`;
+  }
+  for (const step of flow) {
+    const error = validateStep(step);
+    if (error) return `flow: ${error}`;
+  }
+  if (new Set(flow.map(step => step.stepId)).size !== flow.length) {
+    return 'flow: stepId values must be unique.';
+  }
+  if (!flow.some(step => step.type === 'task')) {
+    return 'flow: at least one task step is required.';
+  }
+  if (flow.slice(0, -1).some(step => step.type === 'completion')) {
+    return 'flow: a completion step can only be the last step.';
+  }
+  return null;
+}
+
+/**
+ * Checks a participant's answers to a questionnaire and normalizes them: text is trimmed, numbers and
+ * scale points are parsed, and unanswered optional questions are left out.
+ *
+ * @function validateAnswers
+ * @param {FlowStep} step - The questionnaire step.
+ * @param {any} answers - The answers, by questionId.
+ * @returns {{ answers: Object<string, string | number | Array<string>>, error: null } | { answers: null, error: string }}
+ */
+export function validateAnswers(step, answers) {
+  const given = answers && typeof answers === 'object' && !Array.isArray(answers) ? answers : {};
+  const normalized = {};
+  for (const question of step.questions || []) {
+    let value = given[question.questionId];
+    const unanswered = value === undefined || value === null || value === ''
+      || (typeof value === 'string' && !value.trim()) || (Array.isArray(value) && value.length === 0);
+    if (unanswered) {
+      if (question.required) return { answers: null, error: `Please answer: ${question.label}` };
+      continue;
+    }
+
+    switch (question.type) {
+      case 'text':
+      case 'textarea':
+        if (typeof value !== 'string' || value.length > MAX_ANSWER_LENGTH) {
+          return { answers: null, error: `The answer to "${question.label}" must be text of at most ${MAX_ANSWER_LENGTH} characters.` };
+        }
+        value = value.trim();
+        break;
+      case 'number':
+        value = Number(value);
+        if (!Number.isFinite(value) || (question.min !== undefined && value < question.min) || (question.max !== undefined && value > question.max)) {
+          const range = question.min !== undefined && question.max !== undefined ? ` between ${question.min} and ${question.max}` : '';
+          return { answers: null, error: `The answer to "${question.label}" must be a number${range}.` };
+        }
+        break;
+      case 'single':
+        if (!question.options.includes(value)) {
+          return { answers: null, error: `Please pick one of the options for "${question.label}".` };
+        }
+        break;
+      case 'multiple':
+        if (!Array.isArray(value) || !value.every(option => question.options.includes(option))) {
+          return { answers: null, error: `Please pick from the options for "${question.label}".` };
+        }
+        // Keep the options' order, without repeats.
+        value = question.options.filter(option => value.includes(option));
+        break;
+      case 'likert':
+        value = Number(value);
+        if (!Number.isInteger(value) || value < 1 || value > scalePoints(question)) {
+          return { answers: null, error: `Please pick a point on the scale for "${question.label}".` };
+        }
+        break;
+      default:
+        break;
+    }
+    normalized[question.questionId] = value;
+  }
+  return { answers: normalized, error: null };
+}
@@ -0,0 +1,285 @@
+// lib/trackingQueue.js
+// Client-only: keeps tracking records (searches, clicks, interaction events) in localStorage
+// until /api/track-data/[userID] acknowledges them, so nothing is lost to flaky networks or reloads.
+
+// Record kinds accepted by the tracking API, matching the request body's array fields.
+export const TRACKING_KINDS = ['searches', 'clicks', 'events'];
+
+// localStorage key prefix; the participant ID is appended.
+const STORAGE_PREFIX = 'trackingQueue:';
+// How often queued records are sent while the page is open, in milliseconds.
+const FLUSH_INTERVAL_MS = 5000;
+// Maximum number of records sent in one request.
+const MAX_BATCH_SIZE = 50;
+// Retry delays grow exponentially from the base delay up to the maximum, in milliseconds.
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60000;
+// Browsers cap beacon payloads at about 64 KB; stay safely below that.
+const MAX_BEACON_BYTES = 60000;
+// Client error statuses that are expected to pass on their own: request timeouts and rate limits.
+const TRANSIENT_CLIENT_STATUSES = [408, 429];
+
+/**
+ * Generates a unique ID, used for tracking records and search events.
+ * @returns {string} - A random ID.
+ */
+export const generateId = () =>
+  (typeof crypto !== 'undefined' && crypto.randomUUID)
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Groups queued items into the request body format of the tracking API.
+ *
+ * @param {Array<{ kind: string, record: object }>} items - Queued items.
+ * @returns {{ searches: Array<object>, clicks: Array<object>, events: Array<object> }}
+ */
+const buildBody = (items) => {
+  const body = Object.fromEntries(TRACKING_KINDS.map(kind => [kind, []]));
+  items.forEach(({ kind, record }) => body[kind].push(record));
+  return body;
+};
+
+/**
+ * Creates a persistent tracking queue for one participant.
+ *
+ * Every enqueued record gets an `eventId` and a `seq` (one sequence shared by all kinds,
+ * continued across page loads). Records stay queued until the server lists their `eventId`
+ * as acknowledged; failed flushes are retried with exponential backoff. Records are never dropped
+ * on a failed request: events the server can't store are rejected one by one (`rejectedEvents`) and
+ * acknowledged. A batch refused as a whole with a 4xx other than 408 or 429 (an expired or altered
+ * participant link, a request from the wrong origin) won't pass by retrying alone, so it is reported
+ * through `onProblem` while the records stay queued. The server stores
+ * each `eventId` only once, so records resent after a lost response or by an unload beacon
+ * are harmless.
+ *
+ * @function createTrackingQueue
+ * @param {string} userID - The participant/session ID.
+ * @param {{ token?: string | null, endpoint?: string, onProblem?: function({ status: number, message: string } | null): void }} [options] -
+ *   The participant token of the link, sent as a query parameter because beacons can't set headers; an override for the
+ *   tracking API URL; and a callback told when the server refuses the participant's records (with the status and the
+ *   server's message), and with `null` once records are accepted again.
+ * @returns {{
+ *   enqueue: function(string, object): object,
+ *   flush: function(): Promise<boolean>,
+ *   flushOnUnload: function(): void,
+ *   start: function(): void,
+ *   stop: function(): void,
+ * }}
+ */
+export function createTrackingQueue(userID, {
+  token = null,
+  endpoint = `/api/track-data/${encodeURIComponent(userID)}${token ? `?token=${encodeURIComponent(token)}` : ''}`,
+  onProblem = null,
+} = {}) {
+  const storageKey = `${STORAGE_PREFIX}${userID}`;
+  // Fallback when localStorage is unavailable (e.g. blocked or full); also mirrors the stored state.
+  let memoryState = { seq: 0, items: [] };
+  let retryTimer = null;
+  let intervalId = null;
+  let attempt = 0;
+  let inFlight = null;
+  // Whether the last send was refused as a whole (see `onProblem`).
+  let refused = false;
+
+  /**
+   * Reports a refused send, or that sends are accepted again after one.
+   * @param {{ status: number, message: string } | null} problem - The refusal, or null.
+   */
+  const reportProblem = (problem) => {
+    if (!problem && !refused) return;
+    refused = Boolean(problem);
+    onProblem?.(problem);
+  };
+
+  /**
+   * Reads the queue state. It is re-read on every operation so several tabs of the same
+   * participant don't overwrite each other's records.
+   * @returns {{ seq: number, items: Array<{ kind: string, record: object }> }}
+   */
+  const load = () => {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(storageKey));
+      if (parsed && Array.isArray(parsed.items)) {
+        memoryState = { seq: Number(parsed.seq) || 0, items: parsed.items };
+      }
+    } catch (error) {
+      // Unavailable or corrupt storage: keep using the in-memory copy.
+    }
+    return memoryState;
+  };
+
+  /**
+   * Writes the queue state.
+   * @param {{ seq: number, items: Array<object> }} state - The new state.
+   */
+  const save = (state) => {
+    memoryState = state;
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(state));
+    } catch (error) {
+      console.warn('Tracking queue: could not persist to localStorage, keeping records in memory.', error);
+    }
+  };
+
+  /**
+   * Drops acknowledged records from the queue.
+   * @param {Set<string>} acknowledged - Acknowledged event IDs.
+   */
+  const remove = (acknowledged) => {
+    const state = load();
+    save({ ...state, items: state.items.filter(item => !acknowledged.has(item.record.eventId)) });
+  };
+
+  /**
+   * Schedules the next flush attempt with exponential backoff and jitter.
+   */
+  const scheduleRetry = () => {
+    if (retryTimer) return;
+    const delay = Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** attempt);
+    attempt += 1;
+    // Jitter spreads retries from many participants after a shared outage.
+    const jittered = delay / 2 + Math.random() * (delay / 2);
+    console.warn(`Tracking queue: flush failed, retrying in ${Math.round(jittered)}ms (attempt ${attempt}).`);
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      flush();
+    }, jittered);
+  };
+
+  /**
+   * Adds a record to the queue, assigning its `eventId` (unless it already has one) and `seq`.
+   * @param {'searches' | 'clicks' | 'events'} kind - The record kind.
+   * @param {object} record - The record.
+   * @returns {object} - The queued record.
+   */
+  const enqueue = (kind, record) => {
+    if (!TRACKING_KINDS.includes(kind)) {
+      throw new Error(`Unknown tracking record kind "${kind}".`);
+    }
+    const state = load();
+    const seq = state.seq + 1;
+    const queued = { ...record, eventId: record.eventId || generateId(), seq };
+    save({ seq, items: [...state.items, { kind, record: queued }] });
+    return queued;
+  };
+
+  /**
+   * Sends queued records in batches until the queue is empty or a request fails.
+   * Does nothing while a backoff retry is pending; that retry will flush instead.
+   * @returns {Promise<boolean>} - True if the queue was fully flushed.
+   */
+  const flush = () => {
+    if (retryTimer) return Promise.resolve(false);
+    if (inFlight) return inFlight;
+
+    inFlight = (async () => {
+      try {
+        for (;;) {
+          const batch = load().items.slice(0, MAX_BATCH_SIZE);
+          if (batch.length === 0) {
+            attempt = 0;
+            return true;
+          }
+
+          const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+            body: JSON.stringify(buildBody(batch)),
+            keepalive: true,
+          });
+          if (!response.ok) {
+            const errorBody = await response.text();
+            if (response.status >= 400 && response.status < 500 && !TRANSIENT_CLIENT_STATUSES.includes(response.status)) {
+              let message = errorBody;
+              try {
+                message = JSON.parse(errorBody).error || errorBody;
+              } catch (e) {
+                // Not JSON: report the body as it is.
+              }
+              reportProblem({ status: response.status, message });
+            }
+            throw new Error(`HTTP error! status: ${response.status}, body: ${errorBody}`);
+          }
+
+          const { acknowledged = [] } = await response.json();
+          const acknowledgedIds = new Set(acknowledged);
+          if (!batch.some(item => acknowledgedIds.has(item.record.eventId))) {
+            throw new Error('Tracking API acknowledged none of the sent records.');
+          }
+          remove(acknowledgedIds);
+          reportProblem(null);
+          attempt = 0;
+        }
+      } catch (error) {
+        console.error('Error sending tracking data:', error);
+        scheduleRetry();
+        return false;
+      } finally {
+        inFlight = null;
+      }
+    })();
+    return inFlight;
+  };
+
+  /**
+   * Best-effort send of queued records while the page is being hidden or unloaded.
+   * Beacons can't be acknowledged, so the records stay queued and are resent (and
+   * deduplicated by the server) on the next flush.
+   */
+  const flushOnUnload = () => {
+    const items = load().items;
+    if (items.length === 0) return;
+
+    // Send the oldest records that fit in one beacon.
+    let batch = items.slice(0, MAX_BATCH_SIZE);
+    let payload = JSON.stringify(buildBody(batch));
+    while (payload.length > MAX_BEACON_BYTES && batch.length > 1) {
+      batch = batch.slice(0, Math.ceil(batch.length / 2));
+      payload = JSON.stringify(buildBody(batch));
+    }
+
+    if (navigator.sendBeacon) {
+      const success = navigator.sendBeacon(endpoint, new Blob([payload], { type: 'application/json' }));
+      console.log(`sendBeacon attempt on unload: ${success ? 'Success' : 'Failure'}`);
+    } else {
+      fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: payload,
+        keepalive: true,
+      }).catch(err => console.error('Error in fallback fetch on unload:', err));
+    }
+  };
+
+  // Coming back online retries immediately instead of waiting out the backoff.
+  const handleOnline = () => {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    attempt = 0;
+    flush();
+  };
+
+  /**
+   * Starts periodic flushing and sends anything left over from earlier page loads.
+   */
+  const start = () => {
+    if (intervalId) return;
+    intervalId = setInterval(flush, FLUSH_INTERVAL_MS);
+    window.addEventListener('online', handleOnline);
+    flush();
+  };
+
+  /**
+   * Stops periodic flushing and pending retries. Queued records are kept.
+   */
+  const stop = () => {
+    clearInterval(intervalId);
+    clearTimeout(retryTimer);
+    intervalId = null;
+    retryTimer = null;
+    window.removeEventListener('online', handleOnline);
+  };
+
+  return { enqueue, flush, flushOnUnload, start, stop };
+}
@@ -6,36 +6,172 @@ import Head from 'next/head'; // For setting page title
 import SearchResults from '../../components/SearchResults';
 import EmbeddedBrowser from '../../components/EmbeddedBrowser'; // Component for the iframe view
 import SearchBar from '../../components/SearchBar'; // Reusable search bar component
+import SearchToolbar from '../../components/SearchToolbar'; // Verticals and search tools
+import FlowStep from '../../components/FlowStep'; // Consent, questionnaire and completion screens
+import TaskPrompt from '../../components/TaskPrompt'; // Task prompt, countdown and finish button
+import { DEFAULT_FILTERS } from '../../lib/searchFilters'; // Search verticals and filters
+import { createEvent } from '../../lib/events'; // Typed interaction events
+import { readNdjson } from '../../lib/ndjson'; // Streamed search responses
+import { createTrackingQueue, generateId } from '../../lib/trackingQueue'; // Persistent, acknowledged tracking queue
+import { createDwellTracker } from '../../lib/dwellTracker'; // Active, idle and hidden time per click
+import {
+    createTab, currentEntry, navigateTab, parseAddress, recordPageView, reloadTab, stepTab,
+} from '../../lib/browserTabs'; // Embedded browser tabs and history
+
+// Scroll depths (fraction of the results page) at which a serp_scroll event is emitted.
+const SCROLL_DEPTH_STEPS = [0.25, 0.5, 0.75, 1];
+// How often window focus is re-checked (ms): focus moving between this page and an embedded page fires no event here.
+const FOCUS_POLL_MS = 2000;
+// Participant activity on this page that keeps the tab on screen active (see lib/dwellTracker.js).
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'scroll', 'touchstart'];
+// Caps on what is recorded from proxied pages per click, to keep click entries bounded.
+const MAX_NAVIGATIONS_PER_CLICK = 200;
+const MAX_SELECTIONS_PER_PAGE = 20;
+
+/**
+ * Headers that authenticate a request to the participant API routes with the token of the
+ * participant's link (see lib/participantAuth.js). Links without a token send none.
+ * @param {string | null} token - The `token` query parameter of the participant link.
+ * @returns {object} - Request headers.
+ */
+const participantHeaders = (token) => (token ? { 'X-Participant-Token': token } : {});
+
+/**
+ * Reads the page-clock timing of the participant's current step from a flow described by the server:
+ * when it started and, for a timed task, when its time is up (ms since the epoch).
+ * Computed from the seconds the server reports, so a skewed participant clock doesn't shift the deadline.
+ * @param {object} flow - The participant's flow (see `describeFlow` in lib/flowProgress.js).
+ * @returns {{ startedAt: number, deadline: number | null }}
+ */
+const readStepTiming = (flow) => {
+    const now = Date.now();
+    return {
+        startedAt: now - flow.elapsedSeconds * 1000,
+        deadline: flow.remainingSeconds !== null ? now + flow.remainingSeconds * 1000 : null,
+    };
+};
+
+/**
+ * Builds the click entry sent to the tracking API from the data recorded when the
+ * result was clicked, closing it (and the last page visited within it) at `endTime`.
+ * `duration` is the tab's whole lifetime; `activeDuration` only counts the time the tab
+ * was on screen (selected, with the browser open and the page visible). The dwell split
+ * (`dwellActive`, `dwellIdle`, `dwellHidden` and their `dwellIntervals`) divides the lifetime further
+ * by window focus and participant activity; `activeDuration` is its active plus idle time.
+ * @param {object} clickData - The open click (from `openClicksRef`): URL, start time, SERP context and navigations.
+ * @param {Date} endTime - When the tab was closed or the participant left the page.
+ * @param {import('../../lib/dwellTracker').DwellSummary | null} dwell - The click's dwell split, from the dwell tracker.
+ * @returns {object} - The click entry.
+ */
+const buildClickEntry = (clickData, endTime, dwell) => {
+    const { startTime, navigations = [], ...context } = clickData;
+    const start = new Date(startTime);
+    return {
+        ...context,
+        startTime: start.toISOString(),
+        endTime: endTime.toISOString(),
+        duration: Number(((endTime - start) / 1000).toFixed(2)),
+        activeDuration: dwell ? Number((dwell.dwellActive + dwell.dwellIdle).toFixed(2)) : 0,
+        ...dwell,
+        // Each page gets the time until the next page (or the end of the click) as its time-on-page.
+        navigations: navigations.map((navigation, index) => {
+            const end = index + 1 < navigations.length ? new Date(navigations[index + 1].startTime) : endTime;
+            return {
+                ...navigation,
+                endTime: end.toISOString(),
+                duration: Number(((end - new Date(navigation.startTime)) / 1000).toFixed(2)),
+            };
+        }),
+    };
+};
 
 /**
  * The main page component for a user-specific search interface.
  * Handles search input, displays results, allows browsing results in an embedded iframe,
  * and tracks user interactions (searches, clicks, duration).
+ * Takes the participant through their study's task flow: consent and questionnaire screens before
+ * and after the search, and a task prompt with its time limit shown throughout each search task.
  */
 function UserSearchPage() {
     const router = useRouter();
     // Get the dynamic userID from the URL path parameter (e.g., /user123 -> userID = 'user123').
     const { userID } = router.query;
+    // The signed token of the participant link (`?token=...`), sent with every participant API request.
+    const participantToken = typeof router.query.token === 'string' ? router.query.token : null;
 
     // --- State Variables ---
     // Stores the search results received from the API. Null initially, array afterwards.
     const [searchResults, setSearchResults] = useState(null);
+    // The page of results shown and the size of the full ranking (see lib/resultPages.js), once a search has finished.
+    const [pagination, setPagination] = useState(null);
+    // Whether the participant asked for another page after the search's ranking expired.
+    const [resultsExpired, setResultsExpired] = useState(false);
+    // The vertical and filters searches are made with (see lib/searchFilters.js), set from the search toolbar.
+    const [searchFilters, setSearchFilters] = useState(DEFAULT_FILTERS);
     // Indicates if a search request is currently in progress.
     const [loading, setLoading] = useState(false);
     // Stores the most recent search query submitted by the user. Used for display and tracking.
     const [currentQuery, setCurrentQuery] = useState('');
     // Controls the visibility of the EmbeddedBrowser component.
     const [isBrowsing, setIsBrowsing] = useState(false);
-    // Stores the URL to be loaded into the iframe when isBrowsing is true.
-    const [iframeUrl, setIframeUrl] = useState('');
-    // Tracks whether the component has successfully initialized (router ready, userID available).
+    // The embedded browser's open tabs (see lib/browserTabs.js), one per clicked result, and the one shown.
+    const [tabs, setTabs] = useState([]);
+    const [activeTabId, setActiveTabId] = useState(null);
+    // Whether this page is visible (not in a background tab or minimized window).
+    const [pageVisible, setPageVisible] = useState(true);
+    // Tracks whether the component has successfully initialized (router ready, participant verified).
     const [isInitialized, setIsInitialized] = useState(false);
+    // The participant's study and condition assignment ({ studyId, conditionId, ... }) once verified.
+    const [assignment, setAssignment] = useState(null);
+    // Participant-facing message if the participant link is unknown, expired or closed.
+    const [participantError, setParticipantError] = useState(null);
+    // Why the server refuses the participant's tracking records, if it does (see lib/trackingQueue.js).
+    const [trackingProblem, setTrackingProblem] = useState(null);
+    // Where the participant is in the study's task flow (see lib/taskFlow.js), as the server describes it,
+    // and the current step's timing on the page clock (see `readStepTiming`).
+    const [flow, setFlow] = useState(null);
+    const [stepTiming, setStepTiming] = useState(null);
+    // Whether a flow step is being submitted, and why the last submission failed.
+    const [flowSubmitting, setFlowSubmitting] = useState(false);
+    const [flowError, setFlowError] = useState(null);
 
     // --- Refs ---
-    // Stores temporary data about the currently clicked result ({ url, startTime }).
-    const currentClickData = useRef(null);
-    // Accumulates tracking data (searches, clicks) locally before sending to the API.
-    const trackingDataRef = useRef({ searches: [], clicks: [] });
+    // Open clicks by tab ID. Each holds { eventId, url, startTime } plus the result's SERP context
+    // (searchQuery, searchId, rank, page, resultId, title, snippet, displayLink, embeddable, embedReason, injected, proxied,
+    // and whether the results were still `provisional`), whether it was opened in the background, the pages visited
+    // within it (`navigations`) and the reason its page first failed to load, if it did (`loadFailure`).
+    // Their active, idle and hidden time is kept by `dwellTrackerRef`.
+    const openClicksRef = useRef({});
+    // Mirror of `tabs` for callbacks that need the current tab state without re-subscribing.
+    const tabsRef = useRef([]);
+    tabsRef.current = tabs;
+    // Splits each open click's time into active, idle and hidden intervals (see lib/dwellTracker.js).
+    const dwellTrackerRef = useRef(null);
+    if (!dwellTrackerRef.current) {
+        dwellTrackerRef.current = createDwellTracker();
+    }
+    // ID of the search event whose results are currently shown.
+    const currentSearchIdRef = useRef(null);
+    // Queue of searches, clicks and events not yet acknowledged by the tracking API (see lib/trackingQueue.js).
+    // Null until the participant is verified.
+    const trackingQueueRef = useRef(null);
+    // The previously submitted query, used to detect query reformulations.
+    const lastQueryRef = useRef(null);
+    // Deepest scroll step reported for the current results page.
+    const serpScrollRef = useRef(0);
+    // Aborts the search request in progress when a new search supersedes it.
+    const searchAbortRef = useRef(null);
+    // Whether the results shown are still provisional (embeddability checks still streaming in).
+    const resultsProvisionalRef = useRef(false);
+    // Mirror of `searchFilters` for searches started from callbacks that don't re-subscribe to it.
+    const searchFiltersRef = useRef(DEFAULT_FILTERS);
+    searchFiltersRef.current = searchFilters;
+    // The stepId of the task step in progress, recorded on searches and clicks (`taskId`); null outside tasks.
+    const taskIdRef = useRef(null);
+
+    // The current flow step, and whether it is a task (the search page is shown only during tasks).
+    const flowStep = flow ? flow.steps[flow.stepIndex] : null;
+    const activeTaskId = flow?.status === 'in_progress' && flowStep?.type === 'task' ? flowStep.stepId : null;
 
     /**
      * Creates a debounced version of a function.
@@ -58,98 +194,123 @@ function UserSearchPage() {
     // --- Tracking Logic ---
 
     /**
-     * Sends accumulated tracking data (searches, clicks) to the backend API.
-     * Uses `fetch` with `keepalive` for better reliability, especially during page unload.
-     * Wrapped in useCallback to memoize the function based on userID.
-     * @param {object} dataToSend - The tracking data object to send (e.g., { searches: [...], clicks: [...] }).
-     * @returns {Promise<boolean>} - True if the data was sent successfully, false otherwise.
+     * Queues a tracking record and sends it right away. If sending fails, the queue
+     * keeps the record and retries with backoff.
+     * @param {'searches' | 'clicks'} kind - The record kind.
+     * @param {object} record - The search or click entry.
      */
-    const sendTrackingData = useCallback(async (dataToSend) => {
-        if (!userID || userID.trim() === "") {
-            console.warn("Cannot send tracking data: userID not available yet.");
-            return false;
+    const sendTrackingRecord = useCallback((kind, record) => {
+        if (!trackingQueueRef.current) {
+            console.warn("Cannot send tracking data: participant not verified yet.");
+            return;
         }
+        trackingQueueRef.current.enqueue(kind, record);
+        trackingQueueRef.current.flush();
+    }, []);
 
-        const endpoint = `/api/track-data/${userID}`;
-        console.log('Attempting to send tracking data to:', endpoint, dataToSend);
-
-        try {
-            const response = await fetch(endpoint, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json'
-                },
-                body: JSON.stringify(dataToSend),
-                keepalive: true,
-            });
-
-            if (!response.ok) {
-                const errorBody = await response.text();
-                throw new Error(`HTTP error! status: ${response.status}, body: ${errorBody}`);
-            }
-            console.log('Tracking data sent successfully.');
-            return true;
-        } catch (error) {
-            console.error('Error sending tracking data:', error);
-            return false;
-        }
-    }, [userID]);
+    /**
+     * Records a typed interaction event (see `lib/events.js`). Events are queued and
+     * sent in batches by the tracking queue's periodic flush or the unload handler.
+     * @param {string} type - The event type, e.g. 'result_impression'.
+     * @param {object} data - The event's fields.
+     */
+    const emitEvent = useCallback((type, data) => {
+        trackingQueueRef.current?.enqueue('events', createEvent(type, data));
+    }, []);
 
     /**
-     * Finalizes tracking for a click event when the user closes the embedded browser
-     * or navigates away. Calculates duration and sends the click data.
+     * Finalizes tracking for a click when its tab is closed. Calculates its durations
+     * and sends the click data.
      * Wrapped in useCallback to memoize based on dependencies.
+     * @param {string} tabId - The tab (click) to finalize.
      */
-    const finalizeClick = useCallback(() => {
-        if (currentClickData.current) {
-            const endTime = new Date();
-            const startTime = new Date(currentClickData.current.startTime);
-            const durationSeconds = Number(((endTime - startTime) / 1000).toFixed(2));
-
-            const clickEntry = {
-                url: currentClickData.current.url,
-                startTime: startTime.toISOString(),
-                endTime: endTime.toISOString(),
-                duration: durationSeconds,
-                searchQuery: currentQuery
-            };
+    const finalizeClick = useCallback((tabId) => {
+        const clickData = openClicksRef.current[tabId];
+        if (!clickData) {
+            return;
+        }
+        delete openClicksRef.current[tabId];
 
-            console.log("Finalizing click:", clickEntry);
-            trackingDataRef.current.clicks.push(clickEntry);
-            sendTrackingData({ clicks: [clickEntry] });
+        const endTime = new Date();
+        const clickEntry = buildClickEntry(clickData, endTime, dwellTrackerRef.current.close(tabId, endTime));
+        console.log("Finalizing click:", clickEntry);
+        sendTrackingRecord('clicks', clickEntry);
+    }, [sendTrackingRecord]);
 
-            currentClickData.current = null;
+    /**
+     * Records a page visited within a click as a child navigation of it.
+     * @param {string} tabId - The tab (click) the page was loaded in.
+     * @param {string} url - The page URL.
+     * @param {string | null} title - The page title, if known.
+     */
+    const recordNavigation = useCallback((tabId, url, title) => {
+        const click = openClicksRef.current[tabId];
+        if (!click || click.navigations.length >= MAX_NAVIGATIONS_PER_CLICK) {
+            return;
         }
-    }, [sendTrackingData, currentQuery]);
+        console.log("In-page navigation:", url);
+        click.navigations.push({
+            url,
+            title,
+            startTime: new Date().toISOString(),
+            maxScrollDepth: 0,
+            selections: [],
+        });
+    }, []);
 
     // --- Search and Navigation ---
 
     /**
      * Handles the submission of a new search query.
-     * Closes the browser, updates state, records the search event, calls the search API,
-     * and updates the search results.
+     * Closes the browser, updates state, calls the search API, updates the search results as they
+     * stream in, and records the search event (including any manipulation rules applied to the
+     * results, the vertical and filters applied, and how long the first and final results took).
+     * A search still in progress is cancelled.
      * Wrapped in useCallback to memoize based on dependencies.
      * @param {string} query - The search query entered by the user.
+     * @param {import('../../lib/searchFilters').SearchFilters} [filters] - The vertical and filters to use (defaults to the toolbar's).
      */
-    const handleSearch = useCallback(async (query) => {
+    const handleSearch = useCallback(async (query, filters = searchFiltersRef.current) => {
+        if (lastQueryRef.current !== null && lastQueryRef.current !== query) {
+            emitEvent('query_reformulation', { previousQuery: lastQueryRef.current, query });
+        }
+        lastQueryRef.current = query;
+        serpScrollRef.current = 0;
+
+        // A search from the embedded browser's own search bar returns to the results page; tabs stay open.
         setIsBrowsing(false);
-        setIframeUrl('');
 
         setLoading(true);
         setSearchResults(null);
+        setPagination(null);
+        setResultsExpired(false);
         setCurrentQuery(query);
 
         console.log(`Performing search for: "${query}"`);
-        const searchEntry = { query, timestamp: new Date().toISOString() };
-        trackingDataRef.current.searches.push(searchEntry);
-        await sendTrackingData({ searches: [searchEntry] });
+        // Every search gets an ID so clicks and impressions on its results can be tied back to it.
+        const searchId = generateId();
+        currentSearchIdRef.current = searchId;
+        const searchEntry = { searchId, query, timestamp: new Date().toISOString(), taskId: taskIdRef.current };
+        // The result card elements the condition showed (see lib/serpFeatures.js).
+        const serp = assignment?.serp || {};
+        searchEntry.serpFeatures = Object.keys(serp).filter(name => serp[name]);
+        // Time from submitting the query until results were shown, and until they were final (ms).
+        const startedAt = performance.now();
+        const elapsed = () => Math.round(performance.now() - startedAt);
+
+        searchAbortRef.current?.abort();
+        const controller = new AbortController();
+        searchAbortRef.current = controller;
+        resultsProvisionalRef.current = false;
 
         try {
+            // Results are streamed: provisional results first, then embeddability verdicts as they
+            // finish, then the final ranking (see pages/api/search.js).
             const response = await fetch('/api/search', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ query, filterEmbeddable: true }),
+                headers: { 'Content-Type': 'application/json', ...participantHeaders(participantToken) },
+                body: JSON.stringify({ query, participantId: userID, filterEmbeddable: true, filters, stream: true }),
+                signal: controller.signal,
             });
 
             if (!response.ok) {
@@ -157,111 +318,698 @@ function UserSearchPage() {
                 throw new Error(`Search API error! status: ${response.status}, details: ${errorData.details || errorData.error}`);
             }
 
-            const data = await response.json();
+            let data = null;
+            await readNdjson(response, (message) => {
+                if (message.type === 'results') {
+                    searchEntry.firstResultsMs = elapsed();
+                    resultsProvisionalRef.current = true;
+                    setSearchResults(message.items);
+                    setLoading(false);
+                } else if (message.type === 'verdict') {
+                    const { resultId, embeddable, embedVerdict, proxyUrl } = message;
+                    setSearchResults(prev => prev && prev.map(item => (
+                        item.resultId === resultId ? { ...item, embeddable, embedVerdict, proxyUrl } : item
+                    )));
+                } else if (message.type === 'final') {
+                    data = message;
+                } else if (message.type === 'error') {
+                    throw new Error(`Search API error: ${message.details || message.error}`);
+                }
+            });
+            if (!data) {
+                throw new Error("Search API error: the response ended without results.");
+            }
+
+            // Record what the participant was actually shown: the frozen snapshot (if any)
+            // and every manipulation rule the condition applied to the results.
+            searchEntry.snapshotId = data.snapshotId || null;
+            searchEntry.appliedRules = data.appliedRules || [];
+            searchEntry.firstResultsMs = searchEntry.firstResultsMs ?? elapsed();
+            searchEntry.finalResultsMs = elapsed();
+            searchEntry.totalResults = data.pagination?.total ?? (data.items || []).length;
+            // The filters the provider applied (unsupported ones are dropped).
+            searchEntry.filters = data.filters || filters;
+            setSearchResults(data.items || []);
+            setPagination(data.pagination || null);
+            if (data.pagination) {
+                emitEvent('serp_page_view', {
+                    page: data.pagination.page,
+                    offset: data.pagination.offset,
+                    resultCount: (data.items || []).length,
+                    total: data.pagination.total,
+                    query,
+                    searchId,
+                });
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                // A newer search replaced this one; its results must not overwrite the new ones.
+                console.log(`Search for "${query}" superseded.`);
+                searchEntry.superseded = true;
+            } else {
+                console.error("Search error:", error);
+                setSearchResults([]);
+            }
+        } finally {
+            if (searchAbortRef.current === controller) {
+                searchAbortRef.current = null;
+                resultsProvisionalRef.current = false;
+                setLoading(false);
+            }
+        }
+
+        // The search event is sent once the response is in, so it carries the applied rules.
+        sendTrackingRecord('searches', searchEntry);
+    }, [sendTrackingRecord, userID, participantToken, emitEvent, assignment]);
+
+    /**
+     * Shows another page of the current search's results. The page is cut from the ranking the
+     * search returned (identified by its cursor), so pages never overlap or skip results.
+     * Records a `serp_page_view` event, since how deep participants page is a key measure.
+     * If the ranking has expired, no page is shown: searching again may return different results, snapshot
+     * or manipulation rules, so the participant is offered a new search (recorded as such) instead, and a
+     * `serp_results_expired` event is recorded.
+     * @param {number} page - The 1-based page number.
+     */
+    const handlePageChange = useCallback(async (page) => {
+        if (!pagination || page < 1 || page > pagination.pageCount || page === pagination.page) {
+            return;
+        }
+        const previousPage = pagination.page;
+        const searchId = currentSearchIdRef.current;
+        console.log(`Showing page ${page} of results for "${currentQuery}"`);
+
+        serpScrollRef.current = 0;
+        window.scrollTo(0, 0);
+        setLoading(true);
+        setSearchResults(null);
+
+        searchAbortRef.current?.abort();
+        const controller = new AbortController();
+        searchAbortRef.current = controller;
+
+        try {
+            const response = await fetch('/api/search', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...participantHeaders(participantToken) },
+                body: JSON.stringify({ participantId: userID, cursor: pagination.cursor, page, pageSize: pagination.pageSize }),
+                signal: controller.signal,
+            });
+            if (response.status === 410) {
+                console.log(`Results for "${currentQuery}" expired before page ${page} was shown.`);
+                setPagination(null);
+                setResultsExpired(true);
+                emitEvent('serp_results_expired', { page, previousPage, query: currentQuery, searchId });
+                return;
+            }
+            const data = await response.json().catch(() => ({ error: "Unknown API error" }));
+            if (!response.ok) {
+                throw new Error(`Search API error! status: ${response.status}, details: ${data.details || data.error}`);
+            }
+
             setSearchResults(data.items || []);
+            setPagination(data.pagination);
+            emitEvent('serp_page_view', {
+                page: data.pagination.page,
+                offset: data.pagination.offset,
+                resultCount: (data.items || []).length,
+                total: data.pagination.total,
+                previousPage,
+                query: currentQuery,
+                searchId,
+            });
         } catch (error) {
-            console.error("Search error:", error);
-            setSearchResults([]);
+            if (error.name === 'AbortError') {
+                console.log(`Page ${page} request superseded.`);
+            } else {
+                console.error("Page error:", error);
+                setSearchResults([]);
+            }
         } finally {
-            setLoading(false);
+            if (searchAbortRef.current === controller) {
+                searchAbortRef.current = null;
+                setLoading(false);
+            }
+        }
+    }, [pagination, userID, participantToken, currentQuery, emitEvent]);
+
+    /**
+     * Fetches query suggestions for what the participant typed into a search bar (see `/api/suggest`).
+     * @param {string} prefix - The typed text.
+     * @param {AbortSignal} signal - Cancels the request when the participant types on.
+     * @returns {Promise<{ suggestions: Array<string>, source: string }>}
+     */
+    const fetchSuggestions = useCallback(async (prefix, signal) => {
+        const response = await fetch(`/api/suggest?participantId=${encodeURIComponent(userID)}&q=${encodeURIComponent(prefix)}`, {
+            signal,
+            headers: participantHeaders(participantToken),
+        });
+        if (!response.ok) {
+            throw new Error(`Suggestions failed (${response.status})`);
+        }
+        return response.json();
+    }, [userID, participantToken]);
+
+    /**
+     * Asks the server to re-check a loaded page's framing headers (see `/api/embed-check`).
+     * @param {string} url - The page URL.
+     * @returns {Promise<{ blocked: boolean, reason: string | null }>}
+     */
+    const checkEmbedding = useCallback(async (url) => {
+        const response = await fetch(`/api/embed-check?participantId=${encodeURIComponent(userID)}&url=${encodeURIComponent(url)}`, {
+            headers: participantHeaders(participantToken),
+        });
+        if (!response.ok) {
+            throw new Error(`Embed check failed (${response.status})`);
+        }
+        return response.json();
+    }, [userID, participantToken]);
+
+    /**
+     * Fetches the readable version of a page that failed to load (see `/api/readable`).
+     * @param {string} url - The page URL.
+     * @returns {Promise<{ url: string, title: string, blocks: Array<object> }>}
+     */
+    const fetchReadable = useCallback(async (url) => {
+        const response = await fetch(`/api/readable?participantId=${encodeURIComponent(userID)}&url=${encodeURIComponent(url)}`, {
+            headers: participantHeaders(participantToken),
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `status ${response.status}`);
+        }
+        return data.readable;
+    }, [userID, participantToken]);
+
+    /**
+     * Applies a change made in the search toolbar (vertical or search tools). The current query, if any,
+     * is searched again with the new filters, as a search engine does; the new search records them.
+     * @param {import('../../lib/searchFilters').SearchFilters} filters - The new filters.
+     */
+    const handleFiltersChange = useCallback((filters) => {
+        setSearchFilters(filters);
+        searchFiltersRef.current = filters;
+        if (currentQuery) {
+            handleSearch(currentQuery, filters);
         }
-    }, [sendTrackingData]);
+    }, [currentQuery, handleSearch]);
 
     /**
      * Handles clicking on a search result link.
-     * Records the start time and URL for click tracking, sets the iframe URL,
-     * and opens the embedded browser view.
-     * Wrapped in useCallback for memoization (though dependencies are empty here).
-     * @param {string} url - The URL of the clicked search result.
-     */
-    const handleResultClick = useCallback((url) => {
-        console.log("Result clicked:", url);
-        currentClickData.current = { url, startTime: new Date().toISOString() };
-        setIframeUrl(url);
+     * Records the start time, URL and the result's SERP context (rank, result metadata,
+     * originating search, embeddability verdict and whether it is proxied) for click tracking,
+     * and opens the result in a new embedded browser tab. Background opens (Ctrl/Cmd or
+     * middle click) keep the results page on screen.
+     * Wrapped in useCallback for memoization.
+     * @param {object} result - The clicked search result item.
+     * @param {number} rank - The result's 1-based position in the search's full ranking (across pages).
+     * @param {{ background?: boolean }} [options] - Whether to open the tab in the background.
+     */
+    const handleResultClick = useCallback((result, rank, { background = false } = {}) => {
+        const url = result.link;
+        console.log("Result clicked:", url, "at rank", rank, background ? "(background tab)" : "");
+        // The tab ID doubles as the click's eventId, so in-page navigations and tab events can be tied to it.
+        const tabId = generateId();
+        openClicksRef.current[tabId] = {
+            eventId: tabId,
+            url,
+            startTime: new Date().toISOString(),
+            searchQuery: currentQuery,
+            searchId: currentSearchIdRef.current,
+            taskId: taskIdRef.current,
+            rank,
+            // The results page the click came from.
+            page: pagination?.page ?? 1,
+            resultId: result.resultId || null,
+            title: result.title || null,
+            snippet: result.snippet || null,
+            displayLink: result.displayLink || null,
+            embeddable: typeof result.embeddable === 'boolean' ? result.embeddable : null,
+            embedReason: result.embedVerdict?.reason || null,
+            // Clicked before the embeddability checks (and final ranking) had come in.
+            provisional: resultsProvisionalRef.current,
+            injected: result.injected === true,
+            proxied: Boolean(result.proxyUrl),
+            background,
+            navigations: [],
+            loadFailure: null,
+        };
+        // Proxied pages report activity through the tracking agent; other pages can't, so they only go idle without focus.
+        dwellTrackerRef.current.open(tabId, { activityTracked: Boolean(result.proxyUrl) });
+        emitEvent('browser_open', { url, rank, clickId: tabId, background });
+
+        // Results routed through the reverse proxy are loaded from their same-origin proxy URL.
+        const tab = createTab({
+            id: tabId,
+            url,
+            src: result.proxyUrl || url,
+            proxied: Boolean(result.proxyUrl),
+            proxyAccess: { participantId: userID, token: participantToken },
+        });
+        // Proxied pages report their own page views; for the others, record the loads the tab starts.
+        if (!tab.proxied) {
+            recordNavigation(tabId, url, null);
+        }
+        setTabs(prev => [...prev, tab]);
+        if (background) {
+            setActiveTabId(prev => prev || tabId);
+        } else {
+            setActiveTabId(tabId);
+            setIsBrowsing(true);
+        }
+    }, [emitEvent, currentQuery, recordNavigation, pagination, userID, participantToken]);
+
+    /**
+     * Receives interaction events from `SearchResults` (impressions, hovers)
+     * and tags them with the query and search event that produced the results.
+     * @param {string} type - The event type.
+     * @param {object} data - The event's fields.
+     */
+    const handleResultEvent = useCallback((type, data) => {
+        emitEvent(type, { ...data, query: currentQuery, searchId: currentSearchIdRef.current });
+    }, [emitEvent, currentQuery]);
+
+    /**
+     * Receives tracking agent messages from proxied pages in the embedded browser. Page views
+     * update the tab's history and are recorded as child navigations of the tab's click; scroll
+     * depth and text selections are added to the current page, and activity heartbeats keep the
+     * tab active for the dwell tracker.
+     * @param {string} tabId - The tab the message came from.
+     * @param {{ type: string, url: string, title?: string, maxDepth?: number, text?: string }} message - The agent message.
+     */
+    const handlePageEvent = useCallback((tabId, message) => {
+        const click = openClicksRef.current[tabId];
+        if (!click) {
+            return;
+        }
+
+        if (message.type === 'activity') {
+            dwellTrackerRef.current.activity(tabId);
+            return;
+        }
+
+        if (message.type === 'page_view') {
+            const title = typeof message.title === 'string' ? message.title : null;
+            setTabs(prev => prev.map(tab => (tab.id === tabId ? recordPageView(tab, message.url, title) : tab)));
+            recordNavigation(tabId, message.url, title);
+            return;
+        }
+
+        const page = click.navigations[click.navigations.length - 1];
+        if (page && page.url === message.url) {
+            if (message.type === 'scroll' && typeof message.maxDepth === 'number') {
+                page.maxScrollDepth = Math.max(page.maxScrollDepth, Math.min(1, message.maxDepth));
+            } else if (message.type === 'selection' && typeof message.text === 'string' && page.selections.length < MAX_SELECTIONS_PER_PAGE) {
+                page.selections.push({ text: message.text, time: new Date().toISOString() });
+            }
+        }
+    }, [recordNavigation]);
+
+    /**
+     * Records a page that failed to load in a tab (or that the participant reported), keeping the
+     * first failure's reason on the tab's click.
+     * @param {string} tabId - The tab.
+     * @param {string} url - The page that failed.
+     * @param {string} reason - Why it failed, one of `LOAD_ERROR_REASONS` (see lib/proxyAgent.js).
+     */
+    const handleLoadFailure = useCallback((tabId, url, reason) => {
+        const click = openClicksRef.current[tabId];
+        if (click && !click.loadFailure) {
+            click.loadFailure = reason;
+        }
+        const tab = tabsRef.current.find(existing => existing.id === tabId);
+        emitEvent('embed_failure', { url, reason, clickId: tabId, proxied: Boolean(tab?.proxied) });
+    }, [emitEvent]);
+
+    /**
+     * Records that a failed page was opened in a new browser tab from the fallback view.
+     * @param {string} tabId - The tab.
+     * @param {string} url - The page.
+     */
+    const handleOpenExternal = useCallback((tabId, url) => {
+        emitEvent('external_open', { url, clickId: tabId });
+    }, [emitEvent]);
+
+    /**
+     * Records that a failed page's readable version was opened from the fallback view.
+     * @param {string} tabId - The tab.
+     * @param {string} url - The page.
+     */
+    const handleReadableView = useCallback((tabId, url) => {
+        emitEvent('readable_view', { url, clickId: tabId });
+    }, [emitEvent]);
+
+    /**
+     * Applies a history action (back, forward, reload or address bar) to a tab, records it,
+     * and, for tabs that can't report their own page views, records the load as a navigation.
+     * @param {string} tabId - The tab.
+     * @param {function(object): object} change - Pure tab update from `lib/browserTabs.js`.
+     * @param {string} action - The action, recorded on the `browser_navigation` event.
+     */
+    const changeTab = useCallback((tabId, change, action) => {
+        const tab = tabsRef.current.find(existing => existing.id === tabId);
+        if (!tab) {
+            return;
+        }
+        const updated = change(tab);
+        if (updated === tab) {
+            return;
+        }
+        setTabs(prev => prev.map(existing => (existing.id === tabId ? change(existing) : existing)));
+
+        const { url } = currentEntry(updated);
+        emitEvent('browser_navigation', { action, url, clickId: tabId });
+        if (!tab.proxied) {
+            recordNavigation(tabId, url, null);
+        }
+    }, [emitEvent, recordNavigation]);
+
+    const handleTabBack = useCallback((tabId) => changeTab(tabId, tab => stepTab(tab, -1), 'back'), [changeTab]);
+    const handleTabForward = useCallback((tabId) => changeTab(tabId, tab => stepTab(tab, 1), 'forward'), [changeTab]);
+    const handleTabReload = useCallback((tabId) => changeTab(tabId, reloadTab, 'reload'), [changeTab]);
+
+    /**
+     * Handles a submitted address bar: URLs open in the tab, anything else is searched for.
+     * @param {string} tabId - The tab.
+     * @param {string} input - The address bar text.
+     */
+    const handleTabNavigate = useCallback((tabId, input) => {
+        const { url, query } = parseAddress(input);
+        if (query) {
+            handleSearch(query);
+        } else if (url) {
+            changeTab(tabId, tab => navigateTab(tab, url), 'address_bar');
+        }
+    }, [changeTab, handleSearch]);
+
+    /**
+     * Switches the embedded browser to another tab.
+     * @param {string} tabId - The tab to show.
+     */
+    const handleSelectTab = useCallback((tabId) => {
+        const tab = tabsRef.current.find(existing => existing.id === tabId);
+        if (!tab || tabId === activeTabId) {
+            return;
+        }
+        emitEvent('tab_switch', { url: currentEntry(tab).url, clickId: tabId, openTabs: tabsRef.current.length });
+        setActiveTabId(tabId);
+    }, [emitEvent, activeTabId]);
+
+    /**
+     * Closes a tab, finalizing its click. Closing the last tab returns to the results page.
+     * @param {string} tabId - The tab to close.
+     */
+    const handleCloseTab = useCallback((tabId) => {
+        const index = tabsRef.current.findIndex(tab => tab.id === tabId);
+        if (index === -1) {
+            return;
+        }
+        emitEvent('browser_close', { url: currentEntry(tabsRef.current[index]).url, reason: 'tab_closed', clickId: tabId });
+        finalizeClick(tabId);
+
+        const remaining = tabsRef.current.filter(tab => tab.id !== tabId);
+        setTabs(prev => prev.filter(tab => tab.id !== tabId));
+        if (activeTabId === tabId) {
+            // Like a regular browser, show the tab that took the closed tab's place.
+            setActiveTabId(remaining[Math.min(index, remaining.length - 1)]?.id || null);
+        }
+        if (remaining.length === 0) {
+            setIsBrowsing(false);
+        }
+    }, [emitEvent, finalizeClick, activeTabId]);
+
+    /**
+     * Handles the embedded browser's 'Results' button: returns to the results page,
+     * keeping the tabs open in the background.
+     */
+    const showResults = useCallback(() => {
+        const tab = tabsRef.current.find(existing => existing.id === activeTabId);
+        if (tab) {
+            emitEvent('back_navigation', { source: 'embedded-browser', url: currentEntry(tab).url });
+        }
+        setIsBrowsing(false);
+    }, [emitEvent, activeTabId]);
+
+    /**
+     * Returns from the results page to the embedded browser's open tabs.
+     */
+    const showBrowser = useCallback(() => {
+        const tab = tabsRef.current.find(existing => existing.id === activeTabId) || tabsRef.current[0];
+        if (!tab) {
+            return;
+        }
+        emitEvent('tab_switch', { url: currentEntry(tab).url, clickId: tab.id, openTabs: tabsRef.current.length });
+        setActiveTabId(tab.id);
         setIsBrowsing(true);
+    }, [emitEvent, activeTabId]);
+
+    // --- Task Flow ---
+
+    /**
+     * Applies the participant's flow as the server describes it (check-in or a completed step).
+     * @param {object} described - The flow (see `describeFlow` in lib/flowProgress.js).
+     */
+    const applyFlow = useCallback((described) => {
+        setFlow(described);
+        setStepTiming(readStepTiming(described));
     }, []);
 
     /**
-     * Handles closing the embedded browser view.
-     * Finalizes the click tracking for the viewed page and hides the browser component.
-     * Wrapped in useCallback to memoize based on dependencies.
+     * Completes the participant's current flow step on the server (see `/api/flow/[participantId]`) and
+     * moves on to the step it returns. A rejected step still applies the server's view of the flow,
+     * so a page that fell out of step (e.g. after a second tab moved on) catches up.
+     * @param {'agreed' | 'declined'} [outcome] - A consent step's outcome.
+     * @param {object} [answers] - A questionnaire step's answers, by questionId.
      */
-    const closeEmbeddedBrowser = useCallback(() => {
-        finalizeClick();
+    const advanceFlow = useCallback(async (outcome, answers) => {
+        if (!flowStep || flowSubmitting) {
+            return;
+        }
+        setFlowSubmitting(true);
+        setFlowError(null);
+        try {
+            const response = await fetch(`/api/flow/${encodeURIComponent(userID)}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...participantHeaders(participantToken) },
+                body: JSON.stringify({ stepId: flowStep.stepId, outcome, answers }),
+            });
+            const data = await response.json().catch(() => ({}));
+            if (data.flow) {
+                applyFlow(data.flow);
+            }
+            if (!response.ok) {
+                console.error("Flow step rejected:", response.status, data);
+                setFlowError(data.error || "Your progress could not be saved. Please try again.");
+            }
+        } catch (error) {
+            console.error("Flow step failed:", error);
+            setFlowError("Could not reach the server. Please check your connection and try again.");
+        } finally {
+            setFlowSubmitting(false);
+        }
+    }, [flowStep, flowSubmitting, userID, participantToken, applyFlow]);
+    // Mirror of `advanceFlow` for the time limit timer, which must not restart (or retry) when it changes.
+    const advanceFlowRef = useRef(advanceFlow);
+    advanceFlowRef.current = advanceFlow;
+
+    /**
+     * Ends the search session of a task that is over: closes its tabs (finalizing their clicks),
+     * cancels a search in progress, clears the results and sends what is queued, so the next task
+     * starts from an empty search page.
+     */
+    const endTaskSearch = useCallback(() => {
+        tabsRef.current.forEach(tab => {
+            if (openClicksRef.current[tab.id]) {
+                emitEvent('browser_close', { url: currentEntry(tab).url, reason: 'task_ended', clickId: tab.id });
+            }
+            finalizeClick(tab.id);
+        });
+        setTabs([]);
+        setActiveTabId(null);
         setIsBrowsing(false);
-        setIframeUrl('');
-    }, [finalizeClick]);
+
+        searchAbortRef.current?.abort();
+        searchAbortRef.current = null;
+        setSearchResults(null);
+        setPagination(null);
+        setCurrentQuery('');
+        setLoading(false);
+        currentSearchIdRef.current = null;
+        lastQueryRef.current = null;
+        trackingQueueRef.current?.flush();
+    }, [emitEvent, finalizeClick]);
 
     // --- Effects ---
 
+    /**
+     * Effect to follow the task in progress: searches and clicks are tagged with it, and the search
+     * session ends when the participant moves past it.
+     */
+    useEffect(() => {
+        const previous = taskIdRef.current;
+        taskIdRef.current = activeTaskId;
+        if (previous && previous !== activeTaskId) {
+            console.log(`Task ${previous} ended.`);
+            endTaskSearch();
+        }
+    }, [activeTaskId, endTaskSearch]);
+
+    /**
+     * Effect to end a timed task when its time is up. The server records it as ended by the time limit.
+     */
+    useEffect(() => {
+        if (!activeTaskId || !stepTiming?.deadline) {
+            return;
+        }
+        const timer = setTimeout(() => {
+            console.log(`Time is up for task ${activeTaskId}.`);
+            advanceFlowRef.current();
+        }, Math.max(0, stepTiming.deadline - Date.now()));
+        return () => clearTimeout(timer);
+    }, [activeTaskId, stepTiming]);
+
     /**
      * Effect to handle sending remaining tracking data when the page is about to unload
      * or becomes hidden (e.g., user switches tabs, closes browser).
-     * Uses `sendBeacon` if available for better reliability on unload.
+     * Unloading closes every open click; hiding only pauses on-screen time. Either way the queue
+     * is sent with a beacon; the records stay queued until acknowledged, so nothing is lost
+     * if the beacon doesn't arrive.
      */
     useEffect(() => {
         const handleBeforeUnload = (event) => {
             console.log("beforeunload triggered");
-            if (currentClickData.current) {
+            if (trackingQueueRef.current) {
                 const endTime = new Date();
-                const startTime = new Date(currentClickData.current.startTime);
-                const durationSeconds = Number(((endTime - startTime) / 1000).toFixed(2));
-                const clickEntry = {
-                    url: currentClickData.current.url,
-                    startTime: startTime.toISOString(),
-                    endTime: endTime.toISOString(),
-                    duration: durationSeconds,
-                    searchQuery: currentQuery
-                };
-                trackingDataRef.current.clicks.push(clickEntry);
-                currentClickData.current = null;
-            }
-
-            if ((trackingDataRef.current.searches.length > 0 || trackingDataRef.current.clicks.length > 0) && userID) {
-                const dataToSend = {
-                    sessionId: userID,
-                    searches: trackingDataRef.current.searches,
-                    clicks: trackingDataRef.current.clicks
-                };
-                const endpoint = `/api/track-data/${userID}`;
-                const blob = new Blob([JSON.stringify(dataToSend)], { type: 'application/json' });
-
-                if (navigator.sendBeacon) {
-                    const success = navigator.sendBeacon(endpoint, blob);
-                    console.log(`sendBeacon attempt on unload: ${success ? 'Success' : 'Failure'}`);
-                    if (success) {
-                        trackingDataRef.current = { searches: [], clicks: [] };
-                    }
-                } else {
-                    fetch(endpoint, {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify(dataToSend),
-                        keepalive: true,
-                    }).catch(err => console.error("Error in fallback fetch on unload:", err));
-                }
+                Object.keys(openClicksRef.current).forEach(tabId => {
+                    const dwell = dwellTrackerRef.current.close(tabId, endTime);
+                    trackingQueueRef.current.enqueue('clicks', buildClickEntry(openClicksRef.current[tabId], endTime, dwell));
+                    delete openClicksRef.current[tabId];
+                });
             }
+            trackingQueueRef.current?.flushOnUnload();
         };
 
         const handleVisibilityChange = () => {
+            emitEvent('visibility_change', { state: document.visibilityState });
+            setPageVisible(document.visibilityState === 'visible');
             if (document.visibilityState === 'hidden') {
                 console.log("Page hidden");
-                handleBeforeUnload(null);
+                trackingQueueRef.current?.flushOnUnload();
             }
         };
 
+        // The browser's own Back button leaves this page; record it before the unload handler runs.
+        const handlePopState = () => {
+            emitEvent('back_navigation', { source: 'history', url: window.location.href });
+        };
+
         window.addEventListener('beforeunload', handleBeforeUnload);
+        // pagehide also fires where beforeunload doesn't (e.g. mobile browsers); the second call finds nothing left to close.
+        window.addEventListener('pagehide', handleBeforeUnload);
         document.addEventListener('visibilitychange', handleVisibilityChange);
+        window.addEventListener('popstate', handlePopState);
 
         return () => {
             window.removeEventListener('beforeunload', handleBeforeUnload);
+            window.removeEventListener('pagehide', handleBeforeUnload);
             document.removeEventListener('visibilitychange', handleVisibilityChange);
+            window.removeEventListener('popstate', handlePopState);
+        };
+    }, [emitEvent]);
+
+    /**
+     * Effect to count on-screen time per tab: only the selected tab, while the embedded
+     * browser is open and this page is visible.
+     */
+    useEffect(() => {
+        dwellTrackerRef.current.setOnScreen(isBrowsing && pageVisible ? activeTabId : null);
+    }, [isBrowsing, pageVisible, activeTabId]);
+
+    /**
+     * Effect to feed the dwell tracker window focus and the participant's activity on this page.
+     * Focus inside an embedded page blurs this window but still counts as focused, so focus is read
+     * from `document.hasFocus()` once the change has settled, and polled for moves between frames.
+     */
+    useEffect(() => {
+        const tracker = dwellTrackerRef.current;
+        const handleActivity = () => tracker.activity();
+        let focusTimer = null;
+        const checkFocus = () => {
+            clearTimeout(focusTimer);
+            focusTimer = setTimeout(() => tracker.setFocused(document.hasFocus()), 0);
+        };
+
+        ACTIVITY_EVENTS.forEach(type => window.addEventListener(type, handleActivity, { passive: true, capture: true }));
+        window.addEventListener('focus', checkFocus);
+        window.addEventListener('blur', checkFocus);
+        const focusPoll = setInterval(checkFocus, FOCUS_POLL_MS);
+        checkFocus();
+
+        return () => {
+            ACTIVITY_EVENTS.forEach(type => window.removeEventListener(type, handleActivity, { capture: true }));
+            window.removeEventListener('focus', checkFocus);
+            window.removeEventListener('blur', checkFocus);
+            clearInterval(focusPoll);
+            clearTimeout(focusTimer);
+            tracker.dispose();
+        };
+    }, []);
+
+    /**
+     * Effect to apply the idle threshold configured for the participant (see the participant API).
+     */
+    useEffect(() => {
+        if (assignment?.idleThresholdSeconds) {
+            dwellTrackerRef.current.setIdleThreshold(assignment.idleThresholdSeconds);
+        }
+    }, [assignment]);
+
+    /**
+     * Effect to run the tracking queue while the session is active. Starting it also
+     * sends records left unacknowledged by earlier page loads.
+     */
+    useEffect(() => {
+        if (!isInitialized) {
+            return;
+        }
+        const queue = createTrackingQueue(userID, { token: participantToken, onProblem: setTrackingProblem });
+        trackingQueueRef.current = queue;
+        queue.start();
+        return () => {
+            queue.stop();
+            trackingQueueRef.current = null;
+        };
+    }, [isInitialized, userID, participantToken]);
+
+    /**
+     * Effect to track how far down the results page the participant scrolls.
+     * Emits a `serp_scroll` event each time a new depth step (25%, 50%, ...) is reached.
+     */
+    useEffect(() => {
+        if (!searchResults || searchResults.length === 0 || isBrowsing) {
+            return;
+        }
+
+        const handleScroll = () => {
+            const scrollable = document.documentElement.scrollHeight;
+            const depth = scrollable > 0 ? Math.min(1, (window.scrollY + window.innerHeight) / scrollable) : 1;
+            const step = SCROLL_DEPTH_STEPS.filter(s => depth >= s).pop() || 0;
+            if (step > serpScrollRef.current) {
+                serpScrollRef.current = step;
+                emitEvent('serp_scroll', { maxDepth: step, query: currentQuery });
+            }
         };
-    }, [userID, currentQuery, finalizeClick]);
+
+        handleScroll(); // Short result pages may already be fully visible.
+        window.addEventListener('scroll', handleScroll, { passive: true });
+        return () => window.removeEventListener('scroll', handleScroll);
+    }, [searchResults, isBrowsing, currentQuery, emitEvent]);
 
     /**
      * Effect to ensure component initialization happens only *after* the Next.js router is ready
-     * and the dynamic `userID` parameter is available.
+     * and the dynamic `userID` parameter is available. Verifies the participant with the server,
+     * which assigns a study condition on the first visit and rejects unknown, expired or forged links
+     * (see the link's `token`).
      */
     useEffect(() => {
         if (!router.isReady) {
@@ -275,11 +1023,38 @@ function UserSearchPage() {
         }
 
         console.log("Router is ready and userID is:", userID);
-        setIsInitialized(true);
+        let cancelled = false;
 
-        trackingDataRef.current = { sessionId: userID, searches: [], clicks: [] };
+        const checkIn = async () => {
+            try {
+                const response = await fetch(`/api/participants/${encodeURIComponent(userID)}`, {
+                    method: 'POST',
+                    headers: participantHeaders(participantToken),
+                });
+                const data = await response.json().catch(() => ({}));
+                if (cancelled) return;
 
-    }, [router.isReady, userID]);
+                if (!response.ok) {
+                    console.error("Participant check-in rejected:", response.status, data);
+                    setParticipantError(data.error || "This participant link could not be verified.");
+                    return;
+                }
+
+                console.log("Participant assigned to:", data.studyId, data.conditionId);
+                setAssignment(data);
+                applyFlow(data.flow);
+                setIsInitialized(true);
+            } catch (error) {
+                console.error("Participant check-in failed:", error);
+                if (!cancelled) {
+                    setParticipantError("Could not reach the server. Please check your connection and reload the page.");
+                }
+            }
+        };
+
+        checkIn();
+        return () => { cancelled = true; };
+    }, [router.isReady, userID, participantToken, applyFlow]);
 
     // --- Render Logic ---
 
@@ -293,11 +1068,51 @@ function UserSearchPage() {
         return <div className="text-center p-10 text-red-600">Error: User ID not found in URL. Please use a valid link.</div>;
     }
 
+    if (participantError) {
+        return (
+            <div className="text-center p-10">
+                <h1 className="text-xl text-red-600 mb-2">Unable to start session</h1>
+                <p className="text-gray-700">{participantError}</p>
+            </div>
+        );
+    }
+
     if (!isInitialized) {
         console.log("Component not fully initialized yet.");
         return <div className="text-center p-10">Initializing...</div>;
     }
 
+    // Consent, questionnaires and the end of the flow take the place of the search page.
+    if (!activeTaskId) {
+        return (
+            <div className="min-h-screen flex flex-col">
+                <Head>
+                    <title>Study - {userID}</title>
+                    <meta name="description" content="Custom search interface for research" />
+                </Head>
+                <FlowStep flow={flow} onAdvance={advanceFlow} submitting={flowSubmitting} error={flowError} />
+            </div>
+        );
+    }
+
+    // The task banner is left out for studies without a flow, which search without a prompt or time limit.
+    const taskBanner = flow.steps.length > 1 || flowStep.prompt || flowStep.timeLimitSeconds ? (
+        <TaskPrompt
+            step={flowStep}
+            startedAt={stepTiming.startedAt}
+            deadline={stepTiming.deadline}
+            onFinish={() => advanceFlow()}
+            submitting={flowSubmitting}
+            error={flowError}
+        />
+    ) : null;
+    const trackingBanner = trackingProblem ? (
+        <p className="bg-red-50 border-b border-red-200 px-4 py-2 text-sm text-red-700" role="alert">
+            Your activity could not be saved: {trackingProblem.message} It is kept on this device and sent again
+            automatically; please tell the researcher if this message stays.
+        </p>
+    ) : null;
+
     return (
         <div className="min-h-screen flex flex-col">
             <Head>
@@ -305,48 +1120,108 @@ function UserSearchPage() {
                 <meta name="description" content="Custom search interface for research" />
             </Head>
 
-            <header className="fixed top-0 left-0 right-0 bg-blue-600 text-white shadow-md py-3 px-4 z-50">
-                <div className="container flex items-center gap-4">
-                    <h1 className="text-xl font-bold flex-shrink-0 hidden sm:block">
-                        Web Search
-                    </h1>
-                    <div className="flex-grow min-w-0">
-                        <SearchBar
-                            onSearch={handleSearch}
-                            containerClass="w-full max-w-2xl mx-auto"
-                            inputClass="bg-white text-gray-900 rounded-l-md text-sm sm:text-base"
-                            buttonClass="bg-green-500 hover:bg-green-600 rounded-r-md text-sm sm:text-base"
-                            value={currentQuery}
-                        />
+            {/* Sticky rather than fixed, so the task banner below the search bar pushes the results down */}
+            <header className="sticky top-0 shadow-md z-50">
+                <div className="bg-blue-600 text-white py-3 px-4">
+                    <div className="container flex items-center gap-4">
+                        <h1 className="text-xl font-bold flex-shrink-0 hidden sm:block">
+                            Web Search
+                        </h1>
+                        <div className="flex-grow min-w-0">
+                            <SearchBar
+                                onSearch={handleSearch}
+                                containerClass="w-full max-w-2xl mx-auto"
+                                inputClass="bg-white text-gray-900 rounded-l-md text-sm sm:text-base"
+                                buttonClass="bg-green-500 hover:bg-green-600 rounded-r-md text-sm sm:text-base"
+                                value={currentQuery}
+                                fetchSuggestions={assignment.suggestionsEnabled ? fetchSuggestions : undefined}
+                                onSuggestionEvent={emitEvent}
+                            />
+                        </div>
                     </div>
                 </div>
+                {taskBanner}
+                {trackingBanner}
             </header>
 
-            <main className="container pt-20 flex-grow">
+            <main className="container pt-6 flex-grow">
+                <SearchToolbar
+                    filters={searchFilters}
+                    capabilities={assignment.searchCapabilities}
+                    onChange={handleFiltersChange}
+                />
                 <div>
                     {loading && <div className="text-center mt-4 text-gray-700">Loading results...</div>}
                     {!loading && searchResults === null && !currentQuery && (
                         <div className="text-center mt-8 text-gray-500">Enter a query to start searching.</div>
                     )}
+                    {!loading && resultsExpired && (
+                        <div className="text-center mt-8 text-gray-700">
+                            <p>These results have expired.</p>
+                            <button
+                                onClick={() => handleSearch(currentQuery)}
+                                className="mt-3 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded"
+                            >
+                                Search again
+                            </button>
+                        </div>
+                    )}
                     {!loading && searchResults !== null && (
-                        <SearchResults results={searchResults} onResultClick={handleResultClick} />
+                        <SearchResults
+                            results={searchResults}
+                            onResultClick={handleResultClick}
+                            onEvent={handleResultEvent}
+                            pagination={pagination}
+                            onPageChange={handlePageChange}
+                            features={assignment.serp}
+                            vertical={searchFilters.vertical}
+                        />
                     )}
                 </div>
             </main>
 
             <footer className="bg-gray-200 text-center py-3 mt-8">
                 <p className="text-gray-600 text-sm">
-                    User Session: {userID} | Powered by Google Custom Search
+                    User Session: {userID} | Study: {assignment.studyName}
                 </p>
             </footer>
 
-            {isBrowsing && iframeUrl && (
-                <EmbeddedBrowser
-                    url={iframeUrl}
-                    onClose={closeEmbeddedBrowser}
-                    onSearch={handleSearch}
-                    value={currentQuery}
-                />
+            {/* Lets the participant return to tabs left open in the background */}
+            {!isBrowsing && tabs.length > 0 && (
+                <button
+                    onClick={showBrowser}
+                    className="fixed bottom-4 right-4 z-40 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded shadow-lg"
+                >
+                    Open tabs ({tabs.length})
+                </button>
+            )}
+
+            {/* Stays mounted while tabs are open, so pages keep their state while the results are shown */}
+            {tabs.length > 0 && (
+                <div className={isBrowsing ? '' : 'hidden'}>
+                    <EmbeddedBrowser
+                        tabs={tabs}
+                        activeTabId={activeTabId}
+                        onClose={showResults}
+                        onSearch={handleSearch}
+                        value={currentQuery}
+                        fetchSuggestions={assignment.suggestionsEnabled ? fetchSuggestions : undefined}
+                        onSuggestionEvent={emitEvent}
+                        onSelectTab={handleSelectTab}
+                        onCloseTab={handleCloseTab}
+                        onBack={handleTabBack}
+                        onForward={handleTabForward}
+                        onReload={handleTabReload}
+                        onNavigate={handleTabNavigate}
+                        onPageEvent={handlePageEvent}
+                        onLoadFailure={handleLoadFailure}
+                        onOpenExternal={handleOpenExternal}
+                        onReadableView={handleReadableView}
+                        checkEmbedding={checkEmbedding}
+                        fetchReadable={fetchReadable}
+                        banner={<>{taskBanner}{trackingBanner}</>}
+                    />
+                </div>
             )}
         </div>
     );
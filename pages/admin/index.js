@@ -0,0 +1,185 @@
+// pages/admin/index.js
+import React, { useState, useEffect, useCallback } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+
+import AdminLogin from '../../components/AdminLogin';
+
+/**
+ * Researcher dashboard: lists tracked sessions, filterable by study, condition
+ * and date, with links to each session's timeline. Requires an admin login.
+ */
+function AdminDashboard() {
+    // --- State Variables ---
+    // Whether the researcher needs to log in (set when an API call returns 401).
+    const [needsLogin, setNeedsLogin] = useState(false);
+    // Studies available for the filter dropdowns.
+    const [studies, setStudies] = useState([]);
+    // Current filter values. `from`/`to` are yyyy-mm-dd strings from date inputs.
+    const [filters, setFilters] = useState({ studyId: '', conditionId: '', from: '', to: '' });
+    // The current page of sessions and paging info from the API.
+    const [result, setResult] = useState({ sessions: [], total: 0, page: 1, pageSize: 50 });
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    /**
+     * Fetches JSON from an admin API route, flagging the login form on 401.
+     * @param {string} url - The API URL.
+     * @returns {Promise<object | null>} - The parsed response, or `null` if unauthorized.
+     */
+    const adminFetch = useCallback(async (url) => {
+        const response = await fetch(url);
+        if (response.status === 401) {
+            setNeedsLogin(true);
+            return null;
+        }
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.details || data.error || `Request failed (status ${response.status})`);
+        }
+        return data;
+    }, []);
+
+    /**
+     * Loads a page of sessions for the current filters.
+     * @param {number} page - The 1-based page to load.
+     */
+    const loadSessions = useCallback(async (page) => {
+        setLoading(true);
+        setError(null);
+        try {
+            const params = new URLSearchParams({ page: String(page) });
+            Object.entries(filters).forEach(([key, value]) => {
+                if (value) params.set(key, key === 'to' ? `${value}T23:59:59.999Z` : value);
+            });
+            const data = await adminFetch(`/api/admin/sessions?${params}`);
+            if (data) setResult(data);
+        } catch (err) {
+            console.error("Error loading sessions:", err);
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [filters, adminFetch]);
+
+    // Load studies for the filter dropdowns (and detect whether a login is needed).
+    useEffect(() => {
+        if (needsLogin) return;
+        adminFetch('/api/studies')
+            .then(data => data && setStudies(data.studies))
+            .catch(err => setError(err.message));
+    }, [needsLogin, adminFetch]);
+
+    // Reload the first page whenever the filters change.
+    useEffect(() => {
+        if (!needsLogin) loadSessions(1);
+    }, [needsLogin, loadSessions]);
+
+    /**
+     * Updates one filter field; changing the study resets the condition.
+     * @param {string} key - The filter to change.
+     * @param {string} value - The new value.
+     */
+    const updateFilter = (key, value) => {
+        setFilters(prev => ({ ...prev, [key]: value, ...(key === 'studyId' ? { conditionId: '' } : {}) }));
+    };
+
+    if (needsLogin) {
+        return <AdminLogin onLogin={() => setNeedsLogin(false)} />;
+    }
+
+    const selectedStudy = studies.find(study => study.studyId === filters.studyId);
+    const totalPages = Math.max(1, Math.ceil(result.total / result.pageSize));
+
+    return (
+        <div className="min-h-screen">
+            <Head>
+                <title>Researcher Dashboard</title>
+            </Head>
+
+            <header className="bg-blue-600 text-white shadow-md py-3 px-4">
+                <h1 className="container text-xl">Researcher Dashboard</h1>
+            </header>
+
+            <main className="container py-6 space-y-4">
+                {/* Filters */}
+                <div className="bg-white p-4 rounded shadow flex flex-wrap gap-4 items-end text-sm">
+                    <label className="flex flex-col">
+                        Study
+                        <select value={filters.studyId} onChange={(e) => updateFilter('studyId', e.target.value)} className="p-2 border border-gray-300 rounded">
+                            <option value="">All studies</option>
+                            {studies.map(study => <option key={study.studyId} value={study.studyId}>{study.name}</option>)}
+                        </select>
+                    </label>
+                    <label className="flex flex-col">
+                        Condition
+                        <select value={filters.conditionId} onChange={(e) => updateFilter('conditionId', e.target.value)} disabled={!selectedStudy} className="p-2 border border-gray-300 rounded">
+                            <option value="">All conditions</option>
+                            {selectedStudy?.conditions.map(condition => (
+                                <option key={condition.conditionId} value={condition.conditionId}>{condition.name}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label className="flex flex-col">
+                        From
+                        <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} className="p-2 border border-gray-300 rounded" />
+                    </label>
+                    <label className="flex flex-col">
+                        To
+                        <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} className="p-2 border border-gray-300 rounded" />
+                    </label>
+                </div>
+
+                {error && <div className="text-red-600">{error}</div>}
+                {loading && <div className="text-gray-700">Loading sessions...</div>}
+
+                {/* Session list */}
+                {!loading && (
+                    <table className="w-full bg-white rounded shadow text-sm">
+                        <thead className="bg-gray-200 text-left">
+                            <tr>
+                                <th className="p-2">Session</th>
+                                <th className="p-2">Study / Condition</th>
+                                <th className="p-2">First seen</th>
+                                <th className="p-2">Last update</th>
+                                <th className="p-2 text-right">Searches</th>
+                                <th className="p-2 text-right">Clicks</th>
+                                <th className="p-2 text-right">Dwell (s)</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {result.sessions.length === 0 && (
+                                <tr><td colSpan={7} className="p-4 text-center text-gray-600">No sessions match these filters.</td></tr>
+                            )}
+                            {result.sessions.map(session => (
+                                <tr key={session.sessionId} className="border-t border-gray-200">
+                                    <td className="p-2">
+                                        <Link href={`/admin/sessions/${encodeURIComponent(session.sessionId)}`}>{session.sessionId}</Link>
+                                    </td>
+                                    <td className="p-2">{session.studyId || '–'} / {session.conditionId || '–'}</td>
+                                    <td className="p-2">{session.firstSeen ? new Date(session.firstSeen).toLocaleString() : '–'}</td>
+                                    <td className="p-2">{session.lastUpdated ? new Date(session.lastUpdated).toLocaleString() : '–'}</td>
+                                    <td className="p-2 text-right">{session.searchCount}</td>
+                                    <td className="p-2 text-right">{session.clickCount}</td>
+                                    <td className="p-2 text-right">{Number(session.totalDwell || 0).toFixed(1)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+
+                {/* Pagination */}
+                <div className="flex items-center justify-between text-sm">
+                    <span className="text-gray-600">{result.total} session(s)</span>
+                    <div className="flex items-center gap-2">
+                        <button onClick={() => loadSessions(result.page - 1)} disabled={result.page <= 1 || loading} className="px-3 py-1 bg-gray-200 rounded disabled:opacity-50">Previous</button>
+                        <span>Page {result.page} of {totalPages}</span>
+                        <button onClick={() => loadSessions(result.page + 1)} disabled={result.page >= totalPages || loading} className="px-3 py-1 bg-gray-200 rounded disabled:opacity-50">Next</button>
+                    </div>
+                </div>
+            </main>
+        </div>
+    );
+}
+
+export default AdminDashboard;
@@ -0,0 +1,95 @@
+// pages/admin/sessions/[sessionId].js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import Link from 'next/link';
+
+import AdminLogin from '../../../components/AdminLogin';
+import SessionTimeline from '../../../components/SessionTimeline';
+
+/**
+ * Researcher view of a single participant session, drawn as a timeline of
+ * searches and clicks with dwell-time bars. Requires an admin login.
+ */
+function AdminSessionPage() {
+    const router = useRouter();
+    const { sessionId } = router.query;
+
+    // --- State Variables ---
+    const [needsLogin, setNeedsLogin] = useState(false);
+    // The `{ session, timeline }` payload from the API.
+    const [data, setData] = useState(null);
+    const [error, setError] = useState(null);
+
+    /**
+     * Loads the session and its timeline.
+     */
+    const loadSession = useCallback(async () => {
+        setError(null);
+        try {
+            const response = await fetch(`/api/admin/sessions/${encodeURIComponent(sessionId)}`);
+            if (response.status === 401) {
+                setNeedsLogin(true);
+                return;
+            }
+            const body = await response.json();
+            if (!response.ok) {
+                throw new Error(body.details || body.error || `Request failed (status ${response.status})`);
+            }
+            setData(body);
+        } catch (err) {
+            console.error("Error loading session:", err);
+            setError(err.message);
+        }
+    }, [sessionId]);
+
+    useEffect(() => {
+        if (router.isReady && sessionId && !needsLogin) {
+            loadSession();
+        }
+    }, [router.isReady, sessionId, needsLogin, loadSession]);
+
+    if (needsLogin) {
+        return <AdminLogin onLogin={() => setNeedsLogin(false)} />;
+    }
+
+    const session = data?.session;
+    const clicks = session?.clicks || [];
+    const totalDwell = clicks.reduce((sum, click) => sum + (click.duration || 0), 0);
+
+    return (
+        <div className="min-h-screen">
+            <Head>
+                <title>Session {sessionId || ''} - Researcher Dashboard</title>
+            </Head>
+
+            <header className="bg-blue-600 text-white shadow-md py-3 px-4">
+                <div className="container flex items-center gap-4">
+                    <Link href="/admin" className="text-white">← Sessions</Link>
+                    <h1 className="text-xl truncate">Session {sessionId}</h1>
+                </div>
+            </header>
+
+            <main className="container py-6 space-y-6">
+                {error && <div className="text-red-600">{error}</div>}
+                {!data && !error && <div className="text-gray-700">Loading session...</div>}
+
+                {session && (
+                    <>
+                        {/* Session summary */}
+                        <div className="bg-white p-4 rounded shadow grid grid-cols-2 sm:grid-cols-4 gap-4 text-sm">
+                            <div><div className="text-gray-500">Study / Condition</div>{session.studyId || '–'} / {session.conditionId || '–'}</div>
+                            <div><div className="text-gray-500">First seen</div>{session.firstSeen ? new Date(session.firstSeen).toLocaleString() : '–'}</div>
+                            <div><div className="text-gray-500">Searches / Clicks</div>{(session.searches || []).length} / {clicks.length}</div>
+                            <div><div className="text-gray-500">Total dwell</div>{totalDwell.toFixed(1)}s</div>
+                        </div>
+
+                        <SessionTimeline timeline={data.timeline} />
+                    </>
+                )}
+            </main>
+        </div>
+    );
+}
+
+export default AdminSessionPage;
@@ -0,0 +1,36 @@
+// pages/api/admin/analytics.js
+import { requireAdmin } from '../../../lib/adminAuth';
+import { summarizeQueryAnalytics } from '../../../lib/queryAnalytics';
+
+/**
+ * The API route handler for `/api/admin/analytics`. Researcher-only.
+ * GET summarizes the query logs of the matching sessions, overall and per condition: queries,
+ * reformulation chains and the reformulation types between queries, abandonment, clicks per query,
+ * time to first click and dwell (see `lib/queryAnalytics.js`). Supports the `studyId`, `conditionId`,
+ * `from` and `to` filters of the session list. Per-query and per-chain rows are in the `queries` and
+ * `chains` export tables.
+ *
+ * @async
+ * @function handler
+ * @param {import('next').NextApiRequest} req - The incoming API request object.
+ * @param {import('next').NextApiResponse} res - The outgoing API response object.
+ */
+export default async function handler(req, res) {
+  if (!requireAdmin(req, res)) {
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+
+  try {
+    const { studyId, conditionId, from, to } = req.query;
+    const summary = await summarizeQueryAnalytics({ studyId, conditionId, from, to });
+    res.status(200).json(summary);
+  } catch (error) {
+    console.error("API Admin Error: Error computing query analytics:", error);
+    res.status(500).json({ error: "Failed to compute query analytics", details: error.message });
+  }
+}
@@ -0,0 +1,71 @@
+// pages/api/admin/export.js
+import { requireAdmin } from '../../../lib/adminAuth';
+import { EXPORT_FORMATS, EXPORT_TABLES, exportTable } from '../../../lib/export';
+
+/**
+ * The API route handler for `/api/admin/export`. Researcher-only.
+ * GET downloads one flattened table of tracking data.
+ *
+ * Query parameters:
+ * - `table`: `sessions`, `searches`, `clicks`, `events`, `navigations`, or the derived query analytics
+ *   tables `queries` and `chains` (see `lib/queryAnalytics.js`), or the task flow tables `steps` and
+ *   `responses` (see `lib/flowProgress.js`) (required).
+ * - `format`: `csv` (default) or `jsonl`.
+ * - `studyId`, `conditionId`, `from`, `to`: the same filters as the session list.
+ * - `since`: ISO timestamp; only sessions updated after it are exported.
+ *
+ * The `X-Export-Started-At` response header holds the time the export began;
+ * pass it as `since` on the next run for an incremental export.
+ * If the export fails after rows have been sent, the connection is aborted mid-response,
+ * so a truncated table is never received as a complete download.
+ *
+ * @async
+ * @function handler
+ * @param {import('next').NextApiRequest} req - The incoming API request object.
+ * @param {import('next').NextApiResponse} res - The outgoing API response object.
+ */
+export default async function handler(req, res) {
+  if (!requireAdmin(req, res)) {
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+
+  const { table, format = 'csv', studyId, conditionId, from, to, since } = req.query;
+
+  // --- Input Validation ---
+  if (!EXPORT_TABLES[table]) {
+    return res.status(400).json({ error: `table must be one of ${Object.keys(EXPORT_TABLES).join(', ')}.` });
+  }
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}.` });
+  }
+
+  // Recorded before querying, so sessions updated during the export are picked up next time.
+  const startedAt = new Date().toISOString();
+
+  try {
+    res.status(200);
+    res.setHeader('Content-Type', EXPORT_FORMATS[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${table}.${format}"`);
+    res.setHeader('X-Export-Started-At', startedAt);
+
+    const rowCount = await exportTable(
+      { table, format, studyId, conditionId, from, to, since },
+      (chunk) => res.write(chunk)
+    );
+    console.log(`API Export: Exported ${rowCount} ${table} row(s) as ${format}.`);
+    res.end();
+  } catch (error) {
+    console.error("API Export Error:", error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: "Failed to export data", details: error.message });
+    }
+    // Once streaming has started the status can't change. Aborting the connection (instead of ending the
+    // response) leaves the chunked body unterminated, so clients see the download fail rather than a short table.
+    res.destroy(error);
+  }
+}
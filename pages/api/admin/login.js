@@ -0,0 +1,30 @@
+// pages/api/admin/login.js
+import { isValidAdminToken, setAdminCookie } from '../../../lib/adminAuth';
+
+/**
+ * The API route handler for `/api/admin/login`.
+ * POST `{ token }` logs a researcher in to the dashboard by setting an HttpOnly cookie;
+ * DELETE logs them out.
+ *
+ * @async
+ * @function handler
+ * @param {import('next').NextApiRequest} req - The incoming API request object.
+ * @param {import('next').NextApiResponse} res - The outgoing API response object.
+ */
+export default async function handler(req, res) {
+  if (req.method === 'POST') {
+    const { token } = req.body || {};
+    if (!isValidAdminToken(token)) {
+      console.warn('API Admin: Failed dashboard login attempt.');
+      return res.status(401).json({ error: "Invalid admin token." });
+    }
+    setAdminCookie(res, token);
+    res.status(200).json({ message: "Logged in." });
+  } else if (req.method === 'DELETE') {
+    setAdminCookie(res, null);
+    res.status(200).json({ message: "Logged out." });
+  } else {
+    res.setHeader('Allow', ['POST', 'DELETE']);
+    res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+}
@@ -0,0 +1,37 @@
+// pages/api/admin/sessions/[sessionId].js
+import { requireAdmin } from '../../../../lib/adminAuth';
+import { getSession } from '../../../../lib/sessions';
+import { analyzeSession } from '../../../../lib/queryAnalytics';
+
+/**
+ * The API route handler for `/api/admin/sessions/[sessionId]`. Researcher-only.
+ * GET returns the stored session document plus a chronological timeline that
+ * interleaves its searches and clicks, and its query analytics (`{ queries, chains }`, see `lib/queryAnalytics.js`).
+ *
+ * @async
+ * @function handler
+ * @param {import('next').NextApiRequest} req - The incoming API request object.
+ * @param {import('next').NextApiResponse} res - The outgoing API response object.
+ */
+export default async function handler(req, res) {
+  if (!requireAdmin(req, res)) {
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+
+  try {
+    const { sessionId } = req.query;
+    const result = await getSession(sessionId);
+    if (!result) {
+      return res.status(404).json({ error: "Session not found." });
+    }
+    res.status(200).json({ ...result, analytics: analyzeSession(result.session) });
+  } catch (error) {
+    console.error("API Admin Error: Error loading session:", error);
+    res.status(500).json({ error: "Failed to load session", details: error.message });
+  }
+}
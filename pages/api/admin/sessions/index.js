@@ -0,0 +1,34 @@
+// pages/api/admin/sessions/index.js
+import { requireAdmin } from '../../../../lib/adminAuth';
+import { listSessions } from '../../../../lib/sessions';
+
+/**
+ * The API route handler for `/api/admin/sessions`. Researcher-only.
+ * GET lists tracked sessions with search/click counts and total dwell time.
+ * Supports `studyId`, `conditionId`, `from`, `to` (dates, on `firstSeen`),
+ * `page` and `pageSize` query parameters.
+ *
+ * @async
+ * @function handler
+ * @param {import('next').NextApiRequest} req - The incoming API request object.
+ * @param {import('next').NextApiResponse} res - The outgoing API response object.
+ */
+export default async function handler(req, res) {
+  if (!requireAdmin(req, res)) {
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+
+  try {
+    const { studyId, conditionId, from, to, page, pageSize } = req.query;
+    const result = await listSessions({ studyId, conditionId, from, to, page, pageSize });
+    res.status(200).json(result);
+  } catch (error) {
+    console.error("API Admin Error: Error listing sessions:", error);
+    res.status(500).json({ error: "Failed to list sessions", details: error.message });
+  }
+}
@@ -0,0 +1,49 @@
+// pages/api/domain-lists.js
+import { requireAdmin } from '../../lib/adminAuth';
+import { getStoredDomainLists, setDomainLists, validateDomainLists } from '../../lib/domainLists';
+
+/**
+ * The API route handler for `/api/domain-lists`. Researcher-only.
+ * GET `?studyId=...&conditionId=...` returns the `allow`, `block` and `hide` lists stored for the
+ * condition (or, without `conditionId`, the study-wide lists);
+ * PUT with `{ studyId, conditionId?, allow, block, hide }` replaces them.
+ * Participants get the study-wide lists merged with their condition's (see `lib/domainLists.js`).
+ *
+ * @async
+ * @function handler
+ * @param {import('next').NextApiRequest} req - The incoming API request object.
+ * @param {import('next').NextApiResponse} res - The outgoing API response object.
+ */
+export default async function handler(req, res) {
+  if (!requireAdmin(req, res)) {
+    return;
+  }
+
+  if (req.method !== 'GET' && req.method !== 'PUT') {
+    res.setHeader('Allow', ['GET', 'PUT']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+
+  const { studyId, conditionId = null } = req.method === 'GET' ? req.query : (req.body || {});
+  if (!studyId) {
+    return res.status(400).json({ error: "studyId is required." });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const lists = await getStoredDomainLists(studyId, conditionId || null);
+      return res.status(200).json({ studyId, conditionId: conditionId || null, ...lists });
+    }
+
+    const validationError = validateDomainLists(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    const lists = await setDomainLists(studyId, conditionId || null, req.body);
+    console.log(`API Domain Lists: Updated lists for ${studyId}/${conditionId || '*'} (${lists.allow.length} allowed, ${lists.block.length} blocked, ${lists.hide.length} hidden).`);
+    res.status(200).json({ studyId, conditionId: conditionId || null, ...lists });
+  } catch (error) {
+    console.error("API Domain Lists Error:", error);
+    res.status(500).json({ error: "Failed to process domain lists", details: error.message });
+  }
+}
@@ -0,0 +1,59 @@
+// pages/api/embed-check.js
+import { resolveProxyTarget } from '../../lib/proxy'; // Public-host validation for server-side fetches
+import { getAppOrigin } from '../../lib/embeddability'; // Origin pages are framed by
+import { recheckEmbeddability } from '../../lib/searchPipeline'; // Framing header probe
+import { PARTICIPANT_ERRORS, verifyParticipant } from '../../lib/studies'; // Participant registry and study conditions
+import { readParticipantToken, requireSameOrigin } from '../../lib/participantAuth'; // Signed participant links
+import { requireWithinRateLimit } from '../../lib/rateLimit'; // Per-session request limits
+
+/**
+ * API route handler for `/api/embed-check`. The embedded browser can't see why a cross-origin
+ * iframe stayed blank, so after a page loads it asks the server to re-check the page's framing
+ * headers with a GET request. GET `?participantId=...&url=...` returns `{ blocked, reason }`: whether the
+ * page's framing headers refuse this app, and if so the `xfo-`/`csp-` reason (see `lib/embeddability.js`).
+ * Anything else (a page that couldn't be reached, an error status, a non-public redirect target) is reported
+ * as not blocked, so the route doesn't reveal which hosts the server can reach. Refusals are logged.
+ * Only registered participants may ask, from the study page and within their rate limit, since every
+ * check makes the server fetch the page.
+ *
+ * @async
+ * @function handler
+ * @param {import('next').NextApiRequest} req - The incoming API request object.
+ * @param {import('next').NextApiResponse} res - The outgoing API response object.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+
+  if (!requireSameOrigin(req, res)) {
+    return;
+  }
+
+  try {
+    const { participantId } = req.query;
+    const verification = await verifyParticipant(participantId, { token: readParticipantToken(req) });
+    if (verification.status !== 'ok') {
+      const { httpStatus, message } = PARTICIPANT_ERRORS[verification.status];
+      return res.status(httpStatus).json({ error: message, reason: verification.status });
+    }
+    if (!(await requireWithinRateLimit(res, 'embed-check', participantId))) {
+      return;
+    }
+
+    const { url, error, status } = await resolveProxyTarget(req.query.url);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const { reason } = await recheckEmbeddability(url.href, getAppOrigin(req));
+    // Only framing headers are conclusive: the server failing to reach the page doesn't mean the browser couldn't.
+    const blocked = /^(xfo|csp)-/.test(reason);
+    console.log(`API Embed Check: ${url.href} ${blocked ? "can't be framed" : 'not blocked'} (${reason}).`);
+    res.status(200).json({ blocked, reason: blocked ? reason : null });
+  } catch (error) {
+    console.error("API Embed Check Error:", error);
+    res.status(500).json({ error: "Failed to check the page", details: error.message });
+  }
+}
@@ -0,0 +1,63 @@
+// pages/api/flow/[participantId].js
+import { PARTICIPANT_ERRORS, verifyParticipant } from '../../../lib/studies'; // Participant registry and study conditions
+import { advanceFlow, describeFlow, FLOW_ERRORS, getStudyFlow } from '../../../lib/flowProgress'; // Task flow progress
+import { readParticipantToken, requireSameOrigin } from '../../../lib/participantAuth'; // Signed participant links
+import { requireWithinRateLimit } from '../../../lib/rateLimit'; // Per-session request limits
+
+/**
+ * The API route handler for `/api/flow/[participantId]`. The study page calls it when the participant
+ * finishes a step of the study's task flow (see `lib/taskFlow.js`): agreeing to (or declining) consent,
+ * submitting a questionnaire, or ending a task.
+ * POST `{ stepId, outcome?, answers? }` completes the current step and returns `{ flow }`, the participant's
+ * progress as the check-in returns it (see `describeFlow`). Invalid answers and consent without an explicit
+ * `outcome` get a 400, and a step that isn't the current one, a task ended before its minimum time or a
+ * finished flow a 409, each with a `reason` and the current `flow`.
+ *
+ * @async
+ * @function handler
+ * @param {import('next').NextApiRequest} req - The incoming API request object.
+ * @param {import('next').NextApiResponse} res - The outgoing API response object.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+  if (!requireSameOrigin(req, res)) {
+    return;
+  }
+
+  const { participantId } = req.query;
+  const { stepId, outcome, answers } = req.body || {};
+  if (typeof stepId !== 'string' || !stepId) {
+    return res.status(400).json({ error: "stepId is required." });
+  }
+  if (outcome !== undefined && !['agreed', 'declined'].includes(outcome)) {
+    return res.status(400).json({ error: "outcome must be 'agreed' or 'declined'." });
+  }
+
+  try {
+    const { status, study } = await verifyParticipant(participantId, { token: readParticipantToken(req) });
+    if (status !== 'ok') {
+      const { httpStatus, message } = PARTICIPANT_ERRORS[status];
+      return res.status(httpStatus).json({ error: message, reason: status });
+    }
+    if (!(await requireWithinRateLimit(res, 'flow', participantId))) {
+      return;
+    }
+
+    const result = await advanceFlow(study, participantId, { stepId, outcome, answers });
+    if (result.reason) {
+      // Send the current progress along, so a page that fell out of step can catch up.
+      return res.status(FLOW_ERRORS[result.reason].httpStatus).json({
+        error: result.message,
+        reason: result.reason,
+        flow: result.progress ? describeFlow(getStudyFlow(study), result.progress) : null,
+      });
+    }
+    res.status(200).json({ flow: describeFlow(getStudyFlow(study), result.progress) });
+  } catch (error) {
+    console.error("API Flow Error:", error);
+    res.status(500).json({ error: "Failed to save your progress", details: error.message });
+  }
+}
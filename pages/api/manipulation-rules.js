@@ -0,0 +1,48 @@
+// pages/api/manipulation-rules.js
+import { requireAdmin } from '../../lib/adminAuth';
+import { getConditionRules, setConditionRules, validateRules } from '../../lib/manipulation';
+
+/**
+ * The API route handler for `/api/manipulation-rules`. Researcher-only.
+ * GET `?studyId=...&conditionId=...` returns the condition's rules;
+ * PUT with `{ studyId, conditionId, rules }` replaces them.
+ *
+ * @async
+ * @function handler
+ * @param {import('next').NextApiRequest} req - The incoming API request object.
+ * @param {import('next').NextApiResponse} res - The outgoing API response object.
+ */
+export default async function handler(req, res) {
+  if (!requireAdmin(req, res)) {
+    return;
+  }
+
+  if (req.method !== 'GET' && req.method !== 'PUT') {
+    res.setHeader('Allow', ['GET', 'PUT']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+
+  const { studyId, conditionId } = req.method === 'GET' ? req.query : (req.body || {});
+  if (!studyId || !conditionId) {
+    return res.status(400).json({ error: "studyId and conditionId are required." });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const rules = await getConditionRules(studyId, conditionId);
+      return res.status(200).json({ studyId, conditionId, rules });
+    }
+
+    const { rules } = req.body;
+    const validationError = validateRules(rules);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    await setConditionRules(studyId, conditionId, rules);
+    console.log(`API Rules: Updated ${rules.length} rule(s) for ${studyId}/${conditionId}.`);
+    res.status(200).json({ studyId, conditionId, rules });
+  } catch (error) {
+    console.error("API Rules Error:", error);
+    res.status(500).json({ error: "Failed to process manipulation rules", details: error.message });
+  }
+}
@@ -0,0 +1,73 @@
+// pages/api/participants/[participantId].js
+import { checkInParticipant, PARTICIPANT_ERRORS, verifyParticipant } from '../../../lib/studies';
+import { resolveSerpFeatures } from '../../../lib/serpFeatures';
+import { getProviderCapabilities } from '../../../lib/searchProviders';
+import { resolveSuggestionSettings } from '../../../lib/suggestions';
+import { readParticipantToken, requireSameOrigin } from '../../../lib/participantAuth';
+import { requireWithinRateLimit } from '../../../lib/rateLimit';
+import { describeFlow, getStudyFlow, startFlow } from '../../../lib/flowProgress';
+
+// Seconds without activity after which an embedded page's dwell time counts as idle (default: 30).
+const IDLE_THRESHOLD_SECONDS = Number(process.env.DWELL_IDLE_THRESHOLD_SECONDS) || 30;
+
+/**
+ * The API route handler for `/api/participants/[participantId]`.
+ * Called by `pages/[userID]/index.js` when a participant opens their link.
+ * Verifies the participant, assigns a condition on the first visit, and returns
+ * the assignment, with the condition's result card settings (`serp`), the verticals and filters the
+ * search provider supports (`searchCapabilities`), which the search toolbar offers, and whether the search
+ * bar shows query suggestions (`suggestionsEnabled`), the idle threshold of dwell time tracking
+ * (`idleThresholdSeconds`), and where the participant is in the study's task flow (`flow`, see
+ * `describeFlow`); the first check-in starts the flow. Unknown, expired or closed-study participants, and links with a missing or
+ * forged token, get an error with a participant-facing message. Only the study page itself may check in.
+ *
+ * @async
+ * @function handler
+ * @param {import('next').NextApiRequest} req - The incoming API request object.
+ * @param {import('next').NextApiResponse} res - The outgoing API response object.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+
+  if (!requireSameOrigin(req, res)) {
+    return;
+  }
+
+  const { participantId } = req.query;
+
+  try {
+    // Verify and rate-limit before the check-in writes anything (condition assignment, flow start).
+    const verification = await verifyParticipant(participantId, { token: readParticipantToken(req) });
+    if (verification.status !== 'ok') {
+      console.warn(`API Participants: Rejected participant ${participantId} (${verification.status}).`);
+      const { httpStatus, message } = PARTICIPANT_ERRORS[verification.status];
+      return res.status(httpStatus).json({ error: message, reason: verification.status });
+    }
+    if (!(await requireWithinRateLimit(res, 'check-in', participantId))) {
+      return;
+    }
+
+    const { participant, study } = await checkInParticipant(verification);
+
+    const condition = study.conditions.find(c => c.conditionId === participant.conditionId);
+    const progress = await startFlow(participant, study);
+    res.status(200).json({
+      participantId,
+      studyId: study.studyId,
+      studyName: study.name,
+      conditionId: participant.conditionId,
+      conditionName: condition?.name || participant.conditionId,
+      serp: resolveSerpFeatures(condition?.serp),
+      searchCapabilities: getProviderCapabilities(study.provider),
+      suggestionsEnabled: resolveSuggestionSettings(study, condition).source !== 'none',
+      idleThresholdSeconds: IDLE_THRESHOLD_SECONDS,
+      flow: describeFlow(getStudyFlow(study), progress),
+    });
+  } catch (error) {
+    console.error("API Participants Error:", error);
+    res.status(500).json({ error: "Failed to verify participant", details: error.message });
+  }
+}
@@ -0,0 +1,261 @@
+// pages/api/proxy.js
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import {
+  PROXY_FORM_PARAM, PROXY_PARTICIPANT_PARAM, PROXY_TOKEN_PARAM, STRIPPED_RESPONSE_HEADERS, buildProxyUrl, decodeBody, getProxyMode,
+  injectScript, readUpTo, renderErrorPage, requestPinned, resolveProxyTarget, rewriteCss, rewriteHtml,
+} from '../../lib/proxy'; // Target validation and link rewriting
+import { buildAgentScript } from '../../lib/proxyAgent'; // In-page navigation tracking
+import { PARTICIPANT_ERRORS, verifyParticipant } from '../../lib/studies'; // Participant registry
+import { requireSameOrigin } from '../../lib/participantAuth'; // Signed participant links
+import { requireWithinRateLimit } from '../../lib/rateLimit'; // Per-session request limits
+
+// Form bodies are forwarded as-is, so Next.js must not parse them; proxied assets may exceed the default response size limit.
+export const config = { api: { bodyParser: false, responseLimit: false } };
+
+// Time allowed for the proxied site to respond, in milliseconds.
+const PROXY_TIMEOUT_MS = 10000;
+// Largest HTML or CSS document that is buffered for rewriting; other content is streamed.
+const MAX_REWRITE_BYTES = 5 * 1024 * 1024;
+// Largest form body forwarded to the proxied site.
+const MAX_FORM_BYTES = 1024 * 1024;
+
+// Every proxied response runs in a sandbox without `allow-same-origin`, whatever its type (SVG and XML
+// documents run scripts too, and untyped responses may be sniffed as HTML): it gets an opaque origin,
+// so its scripts can't read this app's storage or call its APIs with the participant's cookies.
+const SANDBOX_POLICY = 'sandbox allow-scripts allow-forms allow-popups allow-popups-to-escape-sandbox';
+
+/**
+ * Reads the raw request body, up to `MAX_FORM_BYTES`.
+ *
+ * @param {import('next').NextApiRequest} req - The incoming request.
+ * @returns {Promise<Buffer>}
+ */
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_FORM_BYTES) {
+      throw new Error('Form body too large.');
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Yields the chunks already read from a body, then the rest of it.
+ *
+ * @param {Array<Buffer>} chunks - The chunks already read.
+ * @param {AsyncIterator<Buffer>} iterator - The rest of the body.
+ * @returns {AsyncGenerator<Buffer>}
+ */
+async function* resumeBody(chunks, iterator) {
+  yield* chunks;
+  for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+    yield next.value;
+  }
+}
+
+/**
+ * Works out the target URL of a proxy request: `?url=` for links, assets and POST forms,
+ * or `?__proxy_url=` plus the submitted fields for GET forms.
+ *
+ * @param {object} query - The request's query parameters.
+ * @returns {string | undefined} - The target URL.
+ */
+function getTargetUrl(query) {
+  // The participant fields belong to the proxy, not to the proxied site.
+  const { [PROXY_FORM_PARAM]: formTarget, [PROXY_PARTICIPANT_PARAM]: participantId, [PROXY_TOKEN_PARAM]: token, ...fields } = query;
+  if (!formTarget) {
+    return query.url;
+  }
+  try {
+    const target = new URL(formTarget);
+    for (const [name, value] of Object.entries(fields)) {
+      (Array.isArray(value) ? value : [value]).forEach(v => target.searchParams.append(name, v));
+    }
+    return target.href;
+  } catch (e) {
+    return formTarget; // Reported as invalid by resolveProxyTarget.
+  }
+}
+
+/**
+ * Whether a request is a page load in a frame (rather than an asset or script fetch),
+ * so errors should be answered with a page the embedded browser can detect.
+ *
+ * @param {import('next').NextApiRequest} req - The incoming request.
+ * @returns {boolean}
+ */
+function isDocumentRequest(req) {
+  const destination = req.headers['sec-fetch-dest'];
+  if (destination) {
+    return destination === 'iframe' || destination === 'frame' || destination === 'document';
+  }
+  return /text\/html/i.test(req.headers.accept || '');
+}
+
+/**
+ * Answers a request the proxy couldn't serve: page loads get an error page that reports
+ * the failure to the embedded browser (see `renderErrorPage`), other requests get JSON.
+ *
+ * @param {import('next').NextApiRequest} req - The incoming request.
+ * @param {import('next').NextApiResponse} res - The outgoing response.
+ * @param {{ status: number, url: string, error: string, reason: string, details?: string }} failure - What went wrong.
+ */
+function sendFailure(req, res, { status, url, error, reason, details }) {
+  if (!isDocumentRequest(req)) {
+    return res.status(status).json(details ? { error, details } : { error });
+  }
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Content-Security-Policy', SANDBOX_POLICY);
+  res.status(status).send(renderErrorPage(url, error, reason));
+}
+
+/**
+ * API route handler for the same-origin reverse proxy (`PROXY_MODE`, see `lib/proxy.js`).
+ * Fetches the target page server-side, strips the headers that block framing, and rewrites
+ * links, forms and asset URLs in HTML and CSS so that navigation stays inside the proxy.
+ * HTML pages also get the tracking agent from `lib/proxyAgent.js`, and failed page loads are
+ * answered with an error page whose agent reports the failure (`load_error`).
+ * Redirects are answered with a redirect to the proxied location.
+ *
+ * The route doesn't exist while `PROXY_MODE` is `off`. Otherwise it only serves registered participants
+ * (`__proxy_participant` and, with participant auth, `__proxy_token`, which every proxy URL carries), from
+ * the study page or pages proxied for it, within the `proxy` rate limit. Every response is sandboxed.
+ *
+ * Query: `url` (the target URL), or `__proxy_url` plus form fields for GET form submissions.
+ * POST bodies are forwarded to the target unchanged. The participant's cookies are never forwarded.
+ *
+ * @param {import('next').NextApiRequest} req - The incoming API request object.
+ * @param {import('next').NextApiResponse} res - The outgoing API response object.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+
+  if (getProxyMode() === 'off') {
+    return res.status(404).json({ error: "Not found" });
+  }
+  if (!requireSameOrigin(req, res, { allowProxiedPages: true })) {
+    return;
+  }
+
+  const requestedUrl = getTargetUrl(req.query);
+  // Proxied pages can't send headers: the participant travels in the proxy URL (see `buildProxyUrl`).
+  const participantId = req.query[PROXY_PARTICIPANT_PARAM];
+  const token = typeof req.query[PROXY_TOKEN_PARAM] === 'string' ? req.query[PROXY_TOKEN_PARAM] : null;
+  try {
+    const { status } = await verifyParticipant(participantId, { token });
+    if (status !== 'ok') {
+      console.warn(`API Proxy: Rejected request for participant ${participantId} (${status}).`);
+      return sendFailure(req, res, {
+        status: PARTICIPANT_ERRORS[status].httpStatus, url: String(requestedUrl || ''), error: PARTICIPANT_ERRORS[status].message, reason: 'rejected',
+      });
+    }
+  } catch (error) {
+    console.error("API Proxy Error: Participant check failed:", error);
+    return res.status(500).json({ error: "Failed to verify participant", details: error.message });
+  }
+  if (!(await requireWithinRateLimit(res, 'proxy', participantId))) {
+    return;
+  }
+  const access = { participantId, token };
+
+  const { url: target, address, error, status } = await resolveProxyTarget(requestedUrl);
+  if (error) {
+    console.warn(`API Proxy: Rejected target (${status}): ${error}`);
+    return sendFailure(req, res, { status, url: String(requestedUrl || ''), error, reason: status === 502 ? 'network_error' : 'rejected' });
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), PROXY_TIMEOUT_MS);
+
+  try {
+    const headers = {
+      'User-Agent': 'Mozilla/5.0 (compatible; ResearchSearchBot/1.0)',
+      'Accept': req.headers.accept || '*/*',
+      'Accept-Language': req.headers['accept-language'] || 'en',
+    };
+    let body;
+    if (req.method === 'POST') {
+      body = await readBody(req);
+      if (req.headers['content-type']) headers['Content-Type'] = req.headers['content-type'];
+    }
+
+    // Connects to the address resolveProxyTarget checked, so a rebinding DNS answer can't redirect the request.
+    // Redirects aren't followed: they are sent back through the proxy so the iframe's URL stays accurate.
+    const upstream = await requestPinned(target, address, { method: req.method, headers, body, signal: controller.signal });
+
+    // --- Redirects ---
+    const { location } = upstream.headers;
+    if (upstream.status >= 300 && upstream.status < 400 && location) {
+      upstream.body.resume();
+      const redirectTo = new URL(location, target).href;
+      // 307/308 preserve the method and body; everything else becomes a GET.
+      return res.redirect(upstream.status === 307 || upstream.status === 308 ? upstream.status : 302, buildProxyUrl(redirectTo, access));
+    }
+
+    // --- Headers ---
+    res.status(upstream.status);
+    Object.entries(upstream.headers).forEach(([name, value]) => {
+      if (!STRIPPED_RESPONSE_HEADERS.includes(name.toLowerCase())) {
+        res.setHeader(name, value);
+      }
+    });
+    // Proxied pages send their proxy URL as Referer only to the proxy itself (see requireSameOrigin), never to other sites.
+    res.setHeader('Referrer-Policy', 'same-origin');
+    res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+    res.setHeader('Content-Security-Policy', SANDBOX_POLICY);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+
+    // --- Body ---
+    const contentType = upstream.headers['content-type'] || '';
+    const isHtml = /text\/html|application\/xhtml\+xml/i.test(contentType);
+    const isCss = /text\/css/i.test(contentType);
+    // The declared length is only a hint (it counts encoded bytes, and may be missing): the read below is capped.
+    const declaredLength = Number(upstream.headers['content-length']) || 0;
+    const iterator = upstream.body[Symbol.asyncIterator]();
+
+    let chunks = [];
+    if ((isHtml || isCss) && declaredLength <= MAX_REWRITE_BYTES) {
+      const read = await readUpTo(iterator, MAX_REWRITE_BYTES);
+      if (read.complete) {
+        const text = decodeBody(Buffer.concat(read.chunks), contentType);
+        if (isHtml) {
+          res.setHeader('Content-Type', 'text/html; charset=utf-8');
+          // The injected agent reports navigations, scroll depth and selections to the embedded browser.
+          return res.send(injectScript(rewriteHtml(text, target.href, access), buildAgentScript(target.href)));
+        }
+        res.setHeader('Content-Type', 'text/css; charset=utf-8');
+        return res.send(rewriteCss(text, target.href, access));
+      }
+      // Too large to rewrite: what was read is sent on unchanged, followed by the rest.
+      console.log(`API Proxy: ${target.href} exceeds ${MAX_REWRITE_BYTES} bytes; passing it through unrewritten.`);
+      chunks = read.chunks;
+    }
+
+    // Large assets may take longer than the response timeout to transfer.
+    clearTimeout(timeoutId);
+    await pipeline(Readable.from(resumeBody(chunks, iterator)), res);
+  } catch (error) {
+    if (res.headersSent) {
+      console.error(`API Proxy Error: Failed while sending ${target.href}:`, error);
+      return res.destroy();
+    }
+    if (error.name === 'AbortError') {
+      console.log(`API Proxy: Timed out fetching ${target.href}`);
+      return sendFailure(req, res, { status: 504, url: target.href, error: 'The page took too long to respond.', reason: 'timeout' });
+    }
+    console.error(`API Proxy Error: Failed to fetch ${target.href}:`, error);
+    sendFailure(req, res, {
+      status: 502, url: target.href, error: 'Failed to load the page through the proxy', reason: 'network_error', details: error.message,
+    });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
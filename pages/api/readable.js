@@ -0,0 +1,49 @@
+// pages/api/readable.js
+import { getReadable } from '../../lib/readable'; // Server-side article extraction
+import { PARTICIPANT_ERRORS, verifyParticipant } from '../../lib/studies'; // Participant registry and study conditions
+import { readParticipantToken, requireSameOrigin } from '../../lib/participantAuth'; // Signed participant links
+import { requireWithinRateLimit } from '../../lib/rateLimit'; // Per-session request limits
+
+/**
+ * API route handler for `/api/readable`, the readable version shown by the embedded browser
+ * when a page fails to load in its iframe. GET `?participantId=...&url=...` returns
+ * `{ readable: { url, title, blocks } }` (see `lib/readable.js`). Like `/api/embed-check`, it is limited
+ * to registered participants on the study page, within their rate limit.
+ *
+ * @async
+ * @function handler
+ * @param {import('next').NextApiRequest} req - The incoming API request object.
+ * @param {import('next').NextApiResponse} res - The outgoing API response object.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+
+  if (!requireSameOrigin(req, res)) {
+    return;
+  }
+
+  try {
+    const { participantId } = req.query;
+    const verification = await verifyParticipant(participantId, { token: readParticipantToken(req) });
+    if (verification.status !== 'ok') {
+      const { httpStatus, message } = PARTICIPANT_ERRORS[verification.status];
+      return res.status(httpStatus).json({ error: message, reason: verification.status });
+    }
+    if (!(await requireWithinRateLimit(res, 'readable', participantId))) {
+      return;
+    }
+
+    const { readable, error, status } = await getReadable(req.query.url);
+    if (error) {
+      console.log(`API Readable: Could not extract ${req.query.url} (${status}): ${error}`);
+      return res.status(status).json({ error });
+    }
+    res.status(200).json({ readable });
+  } catch (error) {
+    console.error("API Readable Error:", error);
+    res.status(500).json({ error: "Failed to extract the readable version", details: error.message });
+  }
+}
@@ -1,128 +1,106 @@
 // pages/api/search.js
+import crypto from 'crypto';
+import { getProviderCapabilities, getSearchProvider } from '../../lib/searchProviders'; // Pluggable search backends
+import { runSearch } from '../../lib/searchPipeline'; // Retrieval + embeddability checks
+import { findSnapshot } from '../../lib/snapshots'; // Frozen per-condition result sets
+import { applyRules, getConditionRules } from '../../lib/manipulation'; // Per-condition result manipulation
+import { verifyParticipant, PARTICIPANT_ERRORS } from '../../lib/studies'; // Participant assignment
+import { readParticipantToken, requireSameOrigin } from '../../lib/participantAuth'; // Signed participant links
+import { requireWithinRateLimit } from '../../lib/rateLimit'; // Per-session request limits
+import { checkTaskActive } from '../../lib/flowProgress'; // Task flow progress
+import { buildProxyUrl, getProxyMode, shouldProxy } from '../../lib/proxy'; // Same-origin reverse proxy
+import { getAppOrigin } from '../../lib/embeddability'; // Origin results are framed by
+import { applyDomainLists, getDomainLists } from '../../lib/domainLists'; // Per-study allow/block/hide lists
+import { loadResultSet, parsePageRequest, saveResultSet, slicePage } from '../../lib/resultPages'; // Paging through ranked results
+import { buildResultCard } from '../../lib/resultCards'; // Display URL, favicon, date, thumbnail and highlighted snippet
+import { DEFAULT_FILTERS, describeFilters, normalizeFilters, SEARCH_VERTICALS } from '../../lib/searchFilters'; // Verticals and filters
 
 /**
- * Performs a basic, preliminary check to see if a URL might be embeddable
- * by checking its domain against a known list of sites that typically block embedding.
- * This is NOT a definitive check and is primarily used for a quick initial filter.
- * A more reliable check is done using the `isDisplayable` function via HEAD requests.
+ * Gives a result a stable ID derived from its URL, so clicks and impressions can be matched
+ * across participants and searches, its result card details (see `lib/resultCards.js`), and,
+ * if the proxy mode routes it through `/api/proxy`, the URL the embedded browser should load.
  *
- * @param {string} url - The URL string to check.
- * @returns {boolean} - Returns `true` if the URL's domain is NOT in the known non-embeddable list, `false` otherwise or if the URL is invalid.
+ * @param {object} item - The result item.
+ * @param {string} proxyMode - The proxy mode (see `lib/proxy.js`).
+ * @param {import('../../lib/proxyAgent').ProxyAccess} proxyAccess - The participant proxy URLs are built for.
+ * @returns {object}
  */
-const isEmbeddable = (url) => {
-  // List of domains (or parts of domains) known to frequently block iframe embedding.
-  const nonEmbeddableDomains = [
-    'facebook.com', 'twitter.com', 'instagram.com',
-    'linkedin.com', 'youtube.com', 'netflix.com',
-    'amazon.com', 'ebay.com', 'reddit.com'
-    // Add more specific domains known to block iframing
-  ];
-  try {
-    // Parse the URL to extract the hostname.
-    const urlObj = new URL(url);
-    const domain = urlObj.hostname.toLowerCase(); // Use lowercase for case-insensitive comparison.
-    // Check if the domain includes any of the blacklisted site strings.
-    if (nonEmbeddableDomains.some(site => domain.includes(site))) {
-      // If found in the blacklist, assume it's not embeddable.
-      return false;
+const decorateResult = (item, proxyMode, proxyAccess) => ({
+  ...item,
+  resultId: item.resultId || crypto.createHash('sha1').update(item.link).digest('hex').slice(0, 16),
+  card: buildResultCard(item),
+  proxyUrl: shouldProxy(item, proxyMode) ? buildProxyUrl(item.link, proxyAccess) : null,
+});
+
+/**
+ * Restricts a search's filters to those the study's provider supports. Unsupported filters are
+ * reset to their defaults, so the filters returned (and recorded) are the ones actually applied.
+ *
+ * @param {import('../../lib/searchFilters').SearchFilters} filters - The requested filters.
+ * @param {string} [providerName] - The study's provider (see `getProviderCapabilities`).
+ * @returns {{ filters?: import('../../lib/searchFilters').SearchFilters, error?: string }} - The applied filters,
+ *   or an error if the provider doesn't offer the requested vertical.
+ */
+const applyCapabilities = (filters, providerName) => {
+  const capabilities = getProviderCapabilities(providerName);
+  if (!capabilities.verticals.includes(filters.vertical)) {
+    return { error: `${SEARCH_VERTICALS[filters.vertical]} search is not available.` };
+  }
+  const applied = { ...filters };
+  for (const name of Object.keys(DEFAULT_FILTERS)) {
+    if (name !== 'vertical' && !capabilities.filters.includes(name)) {
+      applied[name] = DEFAULT_FILTERS[name];
     }
-    // Consider allowing subdomains of generally embeddable sites (e.g., blog.company.com)
-    // If not in the blacklist, it *might* be embeddable. Further checks needed.
-    // Basic check - real check needs HEAD request
-    return true;
-  } catch (e) {
-    // Handle cases where the URL is invalid and cannot be parsed.
-    console.error("Error parsing URL for embeddable check:", url, e);
-    return false; // Assume not embeddable if URL is invalid.
   }
+  return { filters: applied };
 };
 
 /**
- * Checks if a website is likely displayable within an iframe by sending a HEAD request
- * and inspecting the 'X-Frame-Options' and 'Content-Security-Policy' headers.
- * This is more reliable than the basic domain check but still not foolproof,
- * as server configurations can vary or change.
+ * Writes one message of a streamed (NDJSON) search response.
  *
- * @param {string} url - The URL of the website to check.
- * @returns {Promise<boolean>} - A promise that resolves to `true` if the site seems embeddable based on headers, `false` otherwise (due to headers, network errors, or timeouts).
+ * @param {import('next').NextApiResponse} res - The outgoing response.
+ * @param {object} message - The message.
  */
-async function isDisplayable(url) {
-  try {
-    // Use AbortController to implement a timeout for the fetch request.
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 3500); // Set timeout (e.g., 3.5 seconds).
-
-    // Send a HEAD request. This is lighter than GET as it only fetches headers.
-    const headResponse = await fetch(url, {
-        method: 'HEAD', // Use HEAD method to get only headers.
-        signal: controller.signal, // Link the AbortController signal.
-        redirect: 'follow', // Automatically follow redirects to get headers from the final destination.
-        headers: {
-            // Set a custom User-Agent, as some servers block default fetch/Node.js UAs.
-            'User-Agent': 'ResearchSearchBot/1.0'
-        }
-    });
-    // Clear the timeout timer if the fetch completes successfully before the timeout.
-    clearTimeout(timeoutId);
-
-    // Check the HTTP status code.
-    if (!headResponse.ok) {
-        // Allow common redirects (3xx statuses are handled by 'follow').
-        // Block client errors (4xx) and server errors (5xx).
-        if (headResponse.status >= 400) {
-             console.log(`isDisplayable check failed for ${url}: Status ${headResponse.status}`);
-             return false; // Not displayable if status indicates an error.
-        }
-        // Note: If status is < 400 but not ok (e.g., 3xx without redirect: 'manual'),
-        // it might proceed, but header checks below are still crucial.
-    }
-
-    // Check the 'X-Frame-Options' header.
-    const xFrameOpts = headResponse.headers.get('x-frame-options');
-    if (xFrameOpts) {
-      const value = xFrameOpts.toUpperCase(); // Case-insensitive check.
-      // 'DENY' or 'SAMEORIGIN' explicitly prevent embedding in cross-origin contexts.
-      if (value === 'DENY' || value === 'SAMEORIGIN') {
-        console.log(`isDisplayable check failed for ${url}: X-Frame-Options: ${value}`);
-        return false;
-      }
-      // Note: 'ALLOW-FROM uri' is obsolete and generally ignored by modern browsers.
-    }
-
-    // Check the 'Content-Security-Policy' (CSP) header for 'frame-ancestors'.
-    const csp = headResponse.headers.get('content-security-policy');
-    // The 'frame-ancestors' directive is the modern standard for controlling embedding.
-    // This regex checks for 'frame-ancestors' followed by 'none' or 'self', which block cross-origin embedding.
-    // It handles variations in whitespace.
-    if (csp && /frame-ancestors\s+('none'|'self')/i.test(csp)) {
-       console.log(`isDisplayable check failed for ${url}: CSP frame-ancestors block`);
-       return false;
-    }
-    // Add more complex CSP checks here if needed (e.g., parsing multiple directives).
-
-    // If no blocking headers are found, assume the site *might* be displayable.
-    // console.log(`isDisplayable check OK for ${url}`);
-    return true;
-  } catch (e) {
-    // Handle network errors, timeouts, or other exceptions during the fetch.
-    // Assume the site is not displayable if an error occurs.
-    if (e.name === 'AbortError') {
-        // Specifically log timeouts caused by the AbortController.
-        console.log(`isDisplayable check timed out for ${url}`);
-    } else {
-        // Log other types of errors (e.g., DNS resolution failure, network connection issues).
-        console.error(`isDisplayable check error for ${url}:`, e.name, e.message);
-    }
-    return false; // Assume not displayable on any error.
-  }
-}
+const writeMessage = (res, message) => {
+  res.write(`${JSON.stringify(message)}\n`);
+};
 
 /**
- * API route handler for performing searches using the Google Custom Search API.
- * It fetches results, optionally filters them for embeddability, and returns
- * a combined list of likely embeddable and non-embeddable results.
+ * API route handler for performing searches through the configured search provider
+ * (see `lib/searchProviders`). It fetches results, optionally filters them for embeddability, and returns
+ * a combined list of likely embeddable and non-embeddable results, each with its embeddability verdict
+ * (see `lib/embeddability.js`).
+ * The participant's assigned study condition is looked up server-side. If that condition has a frozen snapshot for the query,
+ * the snapshot is served instead and no live search is made. Either way, the condition's
+ * manipulation rules (see `lib/manipulation.js`) are applied before responding.
+ * The study's domain lists (see `lib/domainLists.js`) hide results and override embeddability verdicts,
+ * for snapshots and live searches alike.
+ * When the reverse proxy is enabled (`PROXY_MODE`), results to be opened through it get a `proxyUrl`.
+ *
+ * `filters` (see `lib/searchFilters.js`) choose the vertical (`web`, `images`, `news`) and restrict results by
+ * date range, site, language and SafeSearch level. Filters the provider doesn't support are ignored; the
+ * response's `filters` are those applied. Snapshots are only served for searches without filters.
+ * `filterEmbeddable: false` keeps the provider's order instead of ranking likely embeddable results first.
+ *
+ * The full ranking is stored (see `lib/resultPages.js`) and one page of it is returned, with a `pagination`
+ * object whose `cursor` identifies the ranking. Pass `page` (1-based) or `offset`, and optionally `pageSize`,
+ * to choose the page; with a `cursor`, the page is cut from that stored ranking without searching again, so
+ * pages never overlap or skip results. Expired or unknown cursors get a 410 with `reason: 'cursor_expired'`.
+ *
+ * With `stream: true` in the body, the response is newline-delimited JSON (`application/x-ndjson`) instead:
+ * - `{ type: 'results', items }`: provisional results in provider order, sent as soon as the first provider
+ *   page arrives; results still being checked have `embeddable: null`.
+ * - `{ type: 'verdict', resultId, embeddable, embedVerdict, proxyUrl }`: one result's verdict, as each check finishes.
+ * - `{ type: 'final', items, snapshotId, appliedRules, pagination, filters }`: the requested page, as in the non-streaming response.
+ * - `{ type: 'error', error, details }`: the search failed after the response had started.
+ * Snapshot searches have nothing to wait for and only send `final`; so do requests for pages after the first.
+ * Requests with a `cursor` always get a plain JSON response.
  *
- * @param {import('next').NextApiRequest} req - The incoming API request object. Expects a POST request with a 'query' in the body.
+ * Only the study page may search (see `requireSameOrigin`), with the participant's token when participant
+ * auth is enabled, and each participant is rate limited. In studies with a task flow, participants can only
+ * search during a task step, until its time limit (403, `reason: 'task_inactive'`).
+ *
+ * @param {import('next').NextApiRequest} req - The incoming API request object. Expects a POST request with a 'query' and the 'participantId' in the body.
  * @param {import('next').NextApiResponse} res - The outgoing API response object.
  */
 export default async function handler(req, res) {
@@ -131,116 +109,153 @@ export default async function handler(req, res) {
     res.setHeader('Allow', ['POST']);
     return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
   }
+  if (!requireSameOrigin(req, res)) {
+    return;
+  }
 
   try {
-    // Extract the search query from the request body.
-    const { query } = req.body;
+    // Extract the search query and the participant making it from the request body.
+    const { query, participantId, cursor, stream = false, filterEmbeddable = true } = req.body;
 
-    // Validate that the query parameter exists.
-    if (!query) {
+    // Validate that the query parameter exists (pages of an earlier search only need its cursor).
+    if (!query && !cursor) {
       return res.status(400).json({ error: "Search query is required" });
     }
+    const { offset, pageSize, error: pageError } = parsePageRequest(req.body);
+    if (pageError) {
+      return res.status(400).json({ error: pageError });
+    }
+    const { filters: requestedFilters, error: filterError } = normalizeFilters(req.body.filters);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
 
-    // Retrieve Google API credentials from environment variables.
-    const API_KEY = process.env.GOOGLE_CUSTOM_SEARCH_API_KEY;
-    const SEARCH_ENGINE_ID = process.env.GOOGLE_CUSTOM_SEARCH_CX_ID;
-
-    // Validate that API credentials are configured.
-    if (!API_KEY || !SEARCH_ENGINE_ID) {
-      console.error("Missing Google API Key or Search Engine ID in server environment variables.");
-      return res.status(500).json({ error: "Server configuration error: API credentials missing." });
+    // Only registered participants may search; their assignment decides the study condition.
+    const { status, participant, study } = await verifyParticipant(participantId, { token: readParticipantToken(req) });
+    if (status !== 'ok') {
+      const { httpStatus, message } = PARTICIPANT_ERRORS[status];
+      return res.status(httpStatus).json({ error: message, reason: status });
+    }
+    if (!(await requireWithinRateLimit(res, 'search', participantId))) {
+      return;
     }
+    if (!(await checkTaskActive(study, participantId)).active) {
+      return res.status(403).json({ error: "The search task is over.", reason: 'task_inactive' });
+    }
+    const { studyId, conditionId } = participant;
 
-    console.log(`API: Searching for: "${query}"`);
-
-    // Initialize variables for fetching results.
-    let allItems = []; // Potentially used if all results were needed before filtering. Currently unused.
-    let potentialItems = []; // Array to store results fetched from Google API.
-    const maxResultsNeeded = 50; // Target number of results to fetch initially (before filtering).
-    let start = 1; // Google API uses 1-based indexing for 'start'.
-    let fetchCount = 0; // Counter for the number of API calls made.
-    const MAX_FETCHES = 5; // Limit the number of fetches to avoid excessive API usage/costs.
-
-    // Loop to fetch results from Google API until enough potential items are gathered or limits are reached.
-    while (potentialItems.length < maxResultsNeeded && fetchCount < MAX_FETCHES) {
-       fetchCount++;
-       // Construct the Google Custom Search API URL.
-       const apiUrl = `https://www.googleapis.com/customsearch/v1?key=${API_KEY}&cx=${SEARCH_ENGINE_ID}&q=${encodeURIComponent(query)}&start=${start}&num=10`; // Fetch 10 results per request.
-      // console.log(`Sending request to Google API (fetch #${fetchCount}): ${apiUrl.replace(API_KEY, 'REDACTED')}`);
-
-      // Make the API request.
-      const response = await fetch(apiUrl);
-      const data = await response.json();
-
-      // Handle API errors (e.g., quota exceeded, invalid request).
-      if (!response.ok) {
-        console.error("Google API error response:", data);
-        // Specifically handle quota errors (403 Forbidden or 429 Too Many Requests).
-        if (response.status === 403 || response.status === 429) {
-             throw new Error(`Google API Error (${response.status}): ${data.error?.message || 'Quota likely exceeded'}`);
-        }
-        // For other errors, stop fetching. Consider more nuanced error handling if needed.
-        break; // Stop fetching on error.
+    // --- Further Pages ---
+    // Serve pages of an earlier search from its stored ranking.
+    if (cursor) {
+      const resultSet = await loadResultSet(cursor, participantId);
+      if (!resultSet) {
+        return res.status(410).json({ error: "These results have expired. Please search again.", reason: 'cursor_expired' });
       }
+      const { items, pagination } = slicePage(resultSet.items, cursor, offset, pageSize);
+      console.log(`API: Returning results ${offset + 1}-${offset + items.length} of ${pagination.total} for "${resultSet.query}".`);
+      return res.status(200).json({
+        items, snapshotId: resultSet.snapshotId, appliedRules: resultSet.appliedRules, pagination, filters: resultSet.filters,
+      });
+    }
+
+    const { filters, error: capabilityError } = applyCapabilities(requestedFilters, study?.provider);
+    if (capabilityError) {
+      return res.status(400).json({ error: capabilityError, reason: 'unsupported_vertical' });
+    }
 
-      // Check if the API returned any items.
-      if (!data.items || data.items.length === 0) {
-        console.log("No more search results found from Google API.");
-        break; // Exit loop if no more results are available.
+    const proxyMode = getProxyMode();
+    // Proxy URLs carry the participant's ID and token, since /api/proxy only serves registered participants.
+    const proxyAccess = { participantId, token: readParticipantToken(req) };
+    const domainLists = studyId ? await getDomainLists(studyId, conditionId) : null;
+    const rules = studyId && conditionId ? await getConditionRules(studyId, conditionId) : [];
+
+    let combinedResults;
+    let snapshotId = null;
+
+    // Serve the frozen result set if this condition has one for the query (and no filters narrow it).
+    if (studyId && conditionId && !describeFilters(filters)) {
+      const snapshot = await findSnapshot(studyId, conditionId, query);
+      if (snapshot) {
+        console.log(`API: Serving snapshot ${snapshot._id} for "${query}" (${studyId}/${conditionId}).`);
+        combinedResults = domainLists ? applyDomainLists(snapshot.items, domainLists).items : snapshot.items;
+        snapshotId = snapshot._id;
       }
+    }
 
-      // Add the fetched items to the potential results list.
-      potentialItems.push(...data.items);
+    if (stream) {
+      res.writeHead(200, {
+        'Content-Type': 'application/x-ndjson; charset=utf-8',
+        // `no-transform` keeps Next.js from compressing (and so buffering) the stream.
+        'Cache-Control': 'no-cache, no-transform',
+        'X-Accel-Buffering': 'no',
+      });
+    }
 
-      // Check if Google API indicates a next page exists.
-      if (!data.queries?.nextPage?.[0]) {
-          break; // No next page information, assume end of results.
+    if (!combinedResults) {
+      // Resolve the study's search backend (Google, Bing, SearXNG or local fixtures), or the deployment default.
+      let provider;
+      try {
+        provider = getSearchProvider(study?.provider);
+      } catch (e) {
+        console.error("Search provider configuration error:", e.message);
+        if (stream) {
+          writeMessage(res, { type: 'error', error: e.message });
+          return res.end();
+        }
+        return res.status(500).json({ error: e.message });
       }
-      // Update the 'start' index for the next fetch request based on Google's response.
-      start = data.queries.nextPage[0].startIndex;
+
+      const filterDescription = describeFilters(filters);
+      console.log(`API: Searching for: "${query}" using provider "${provider.name}"${filterDescription ? ` (${filterDescription})` : ''}`);
+      combinedResults = await runSearch(provider, query, {
+        origin: getAppOrigin(req),
+        // Pages the proxy can display don't need to be demoted below embeddable ones.
+        keepProviderOrder: proxyMode !== 'off' || filterEmbeddable === false,
+        domainLists,
+        filters,
+        // Provisional results get the manipulation rules too, so suppressed results are never shown.
+        onProvisional: stream && offset === 0
+          ? (items) => writeMessage(res, {
+            type: 'results',
+            items: applyRules(items, rules).items.slice(0, pageSize).map(item => decorateResult(item, proxyMode, proxyAccess)),
+          })
+          : null,
+        onVerdict: stream
+          ? (item, verdict) => {
+            const decorated = decorateResult({ ...item, embeddable: verdict.displayable, embedVerdict: verdict }, proxyMode, proxyAccess);
+            writeMessage(res, {
+              type: 'verdict', resultId: decorated.resultId, embeddable: decorated.embeddable, embedVerdict: verdict, proxyUrl: decorated.proxyUrl,
+            });
+          }
+          : null,
+      });
     }
 
-    console.log(`API: Received ${potentialItems.length} potential results from Google.`);
-
-    // --- Embeddability Filtering ---
-    // Step 1: Preliminary filter using the basic `isEmbeddable` check (domain blacklist).
-    // This quickly removes known non-embeddable sites before making HEAD requests.
-    const initiallyFilteredItems = potentialItems.filter(item => item.link && isEmbeddable(item.link));
-
-    // Step 2: Perform more reliable displayable check using HEAD requests via `isDisplayable`.
-    // Use Promise.allSettled to handle potential errors/timeouts for individual checks gracefully.
-    const displayableChecks = await Promise.allSettled(
-        // Limit the number of HEAD requests (e.g., to the first 30) to manage performance/load.
-        initiallyFilteredItems.slice(0, 30).map(item =>
-             // Call isDisplayable and map the result to an object containing the original item and the check result (ok: true/false).
-             isDisplayable(item.link).then(ok => ({ item, ok }))
-        )
-    );
-
-    // Step 3: Collect items that passed the `isDisplayable` check.
-    const finalItems = displayableChecks
-      // Filter out promises that were rejected or whose check returned false.
-      .filter(result => result.status === 'fulfilled' && result.value.ok)
-      // Map back to the original item objects.
-      .map(result => result.value.item);
-
-    // Step 4: Get some non-displayable items to fill up the results if needed (up to 10 total).
-    // Filter the original potential items to find those *not* included in the final (displayable) list.
-    let nonDisplayableItems = potentialItems
-        .filter(item => !finalItems.includes(item))
-        // Take enough non-displayable items to reach a total of 10 results, if possible.
-        .slice(0, Math.max(0, 10 - finalItems.length));
-
-    // Step 5: Combine the displayable items and the supplemental non-displayable items.
-    const combinedResults = [...finalItems, ...nonDisplayableItems];
-
-    console.log(`API: Returning ${combinedResults.length} search results.`);
-    // Send the combined results back to the client.
-    res.status(200).json({ items: combinedResults });
+    // --- Experimental Manipulation ---
+    // Apply the condition's reorder/inject/suppress/rewrite rules after retrieval.
+    // The applied rules are returned so the client can record them with the search event.
+    const { items: rankedItems, appliedRules } = applyRules(combinedResults, rules);
+    combinedResults = rankedItems.map(item => decorateResult(item, proxyMode, proxyAccess));
+
+    // Store the full ranking so further pages are cut from it, and return the requested page.
+    const newCursor = await saveResultSet({ participantId, query, items: combinedResults, snapshotId, appliedRules, filters });
+    const { items, pagination } = slicePage(combinedResults, newCursor, offset, pageSize);
+
+    console.log(`API: Returning ${items.length} of ${combinedResults.length} search results.`);
+    if (stream) {
+      writeMessage(res, { type: 'final', items, snapshotId, appliedRules, pagination, filters });
+      return res.end();
+    }
+    // Send the requested page back to the client.
+    res.status(200).json({ items, snapshotId, appliedRules, pagination, filters });
 
   } catch (error) {
     // Catch any unexpected errors during the process.
     console.error("API Search Error:", error);
+    if (res.headersSent) {
+      writeMessage(res, { type: 'error', error: "Failed to execute search", details: error.message });
+      return res.end();
+    }
     res.status(500).json({ error: "Failed to execute search", details: error.message });
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,43 @@
+// pages/api/snapshots/[snapshotId].js
+import { requireAdmin } from '../../../lib/adminAuth';
+import { deleteSnapshot, getSnapshot } from '../../../lib/snapshots';
+
+/**
+ * The API route handler for `/api/snapshots/[snapshotId]`.
+ * GET returns the full snapshot including its items; DELETE removes it,
+ * after which the condition falls back to live results for that query. Researcher-only.
+ *
+ * @async
+ * @function handler
+ * @param {import('next').NextApiRequest} req - The incoming API request object.
+ * @param {import('next').NextApiResponse} res - The outgoing API response object.
+ */
+export default async function handler(req, res) {
+  if (!requireAdmin(req, res)) {
+    return;
+  }
+
+  const { snapshotId } = req.query;
+
+  try {
+    if (req.method === 'GET') {
+      const snapshot = await getSnapshot(snapshotId);
+      if (!snapshot) {
+        return res.status(404).json({ error: "Snapshot not found." });
+      }
+      res.status(200).json({ snapshot });
+    } else if (req.method === 'DELETE') {
+      const deleted = await deleteSnapshot(snapshotId);
+      if (!deleted) {
+        return res.status(404).json({ error: "Snapshot not found." });
+      }
+      res.status(200).json({ message: "Snapshot deleted." });
+    } else {
+      res.setHeader('Allow', ['GET', 'DELETE']);
+      res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+    }
+  } catch (error) {
+    console.error("API Snapshots Error:", error);
+    res.status(500).json({ error: "Snapshot operation failed", details: error.message });
+  }
+}
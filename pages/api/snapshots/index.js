@@ -0,0 +1,88 @@
+// pages/api/snapshots/index.js
+import { requireAdmin } from '../../../lib/adminAuth';
+import { getSearchProvider } from '../../../lib/searchProviders';
+import { runSearch } from '../../../lib/searchPipeline';
+import { listSnapshots, saveSnapshot } from '../../../lib/snapshots';
+import { getProxyMode } from '../../../lib/proxy';
+import { getStudy } from '../../../lib/studies';
+import { getAppOrigin } from '../../../lib/embeddability';
+
+/**
+ * Creates (or replaces) a frozen result set for a query in a study condition.
+ * If `items` is given in the body, the hand-built result set is stored as-is;
+ * otherwise the live search pipeline is run once and its output is frozen.
+ *
+ * @async
+ * @function handleCreateSnapshot
+ * @param {import('next').NextApiRequest} req - Expects `{ studyId, conditionId, query, items? }` in the body.
+ * @param {import('next').NextApiResponse} res - The outgoing API response object.
+ */
+async function handleCreateSnapshot(req, res) {
+  const { studyId, conditionId, query, items } = req.body || {};
+
+  // --- Input Validation ---
+  if (!studyId || !conditionId || !query) {
+    return res.status(400).json({ error: "studyId, conditionId and query are required." });
+  }
+  if (items !== undefined && (!Array.isArray(items) || items.some(item => !item || !item.link))) {
+    return res.status(400).json({ error: "items must be an array of result objects with a link." });
+  }
+
+  try {
+    let snapshotItems = items;
+    let source = 'manual';
+    if (!snapshotItems) {
+      // Freeze whatever the live pipeline returns right now, ranked as /api/search would rank it.
+      // The whole ranking is kept, so participants can page through the snapshot too.
+      // It comes from the study's provider, like the participants' own searches.
+      const study = await getStudy(studyId);
+      if (!study) {
+        return res.status(404).json({ error: `Study ${studyId} not found.` });
+      }
+      snapshotItems = await runSearch(getSearchProvider(study.provider), query, {
+        origin: getAppOrigin(req),
+        keepProviderOrder: getProxyMode() !== 'off',
+      });
+      source = 'live';
+    }
+
+    const snapshot = await saveSnapshot({ studyId, conditionId, query, items: snapshotItems, source });
+    console.log(`API Snapshots: Saved ${source} snapshot for "${query}" (${studyId}/${conditionId}).`);
+    res.status(201).json({ snapshot });
+  } catch (error) {
+    console.error("API Snapshots Error: Error creating snapshot:", error);
+    res.status(500).json({ error: "Failed to create snapshot", details: error.message });
+  }
+}
+
+/**
+ * The API route handler for `/api/snapshots`.
+ * GET lists snapshots (filterable by `studyId` and `conditionId` query parameters);
+ * POST creates or replaces one. Researcher-only.
+ *
+ * @async
+ * @function handler
+ * @param {import('next').NextApiRequest} req - The incoming API request object.
+ * @param {import('next').NextApiResponse} res - The outgoing API response object.
+ */
+export default async function handler(req, res) {
+  if (!requireAdmin(req, res)) {
+    return;
+  }
+
+  if (req.method === 'GET') {
+    try {
+      const { studyId, conditionId } = req.query;
+      const snapshots = await listSnapshots({ studyId, conditionId });
+      res.status(200).json({ snapshots });
+    } catch (error) {
+      console.error("API Snapshots Error: Error listing snapshots:", error);
+      res.status(500).json({ error: "Failed to list snapshots", details: error.message });
+    }
+  } else if (req.method === 'POST') {
+    await handleCreateSnapshot(req, res);
+  } else {
+    res.setHeader('Allow', ['GET', 'POST']);
+    res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+}
@@ -0,0 +1,69 @@
+// pages/api/studies/[studyId]/index.js
+import { requireAdmin } from '../../../../lib/adminAuth';
+import { countByCondition, getStudy, updateStudy, validateConditionSettings } from '../../../../lib/studies';
+import { validateSuggestionSettings } from '../../../../lib/suggestions';
+import { validateFlow } from '../../../../lib/taskFlow';
+
+/**
+ * The API route handler for `/api/studies/[studyId]`. Researcher-only.
+ * GET returns the study with the number of assigned participants per condition;
+ * PATCH changes `name`, `status` ('active' | 'closed'), `assignment`, the query suggestion settings
+ * (`suggestions`, see `lib/suggestions.js`), the task flow (`flow`, see `lib/taskFlow.js`), or the result card and suggestion settings of existing
+ * conditions (`conditions: [{ conditionId, serp?, suggestions? }]`, see `lib/serpFeatures.js`).
+ *
+ * @async
+ * @function handler
+ * @param {import('next').NextApiRequest} req - The incoming API request object.
+ * @param {import('next').NextApiResponse} res - The outgoing API response object.
+ */
+export default async function handler(req, res) {
+  if (!requireAdmin(req, res)) {
+    return;
+  }
+
+  const { studyId } = req.query;
+
+  try {
+    if (req.method === 'GET') {
+      const study = await getStudy(studyId);
+      if (!study) {
+        return res.status(404).json({ error: "Study not found." });
+      }
+      const participantCounts = await countByCondition(studyId);
+      res.status(200).json({ study, participantCounts });
+    } else if (req.method === 'PATCH') {
+      const { conditions, suggestions, flow } = req.body || {};
+      if (conditions !== undefined) {
+        const validationError = Array.isArray(conditions)
+          ? validateConditionSettings(conditions)
+          : 'conditions must be an array of { conditionId, serp?, suggestions? }.';
+        if (validationError) {
+          return res.status(400).json({ error: validationError });
+        }
+      }
+      if (suggestions !== undefined) {
+        const validationError = validateSuggestionSettings(suggestions);
+        if (validationError) {
+          return res.status(400).json({ error: validationError });
+        }
+      }
+      if (flow !== undefined) {
+        const validationError = validateFlow(flow);
+        if (validationError) {
+          return res.status(400).json({ error: validationError });
+        }
+      }
+      const study = await updateStudy(studyId, req.body || {});
+      if (!study) {
+        return res.status(404).json({ error: "Study not found." });
+      }
+      res.status(200).json({ study });
+    } else {
+      res.setHeader('Allow', ['GET', 'PATCH']);
+      res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+    }
+  } catch (error) {
+    console.error("API Studies Error:", error);
+    res.status(500).json({ error: "Study operation failed", details: error.message });
+  }
+}
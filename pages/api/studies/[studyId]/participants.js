@@ -0,0 +1,67 @@
+// pages/api/studies/[studyId]/participants.js
+import { requireAdmin } from '../../../../lib/adminAuth';
+import { createParticipants, getStudy, listParticipants } from '../../../../lib/studies';
+import { buildParticipantLink } from '../../../../lib/participantAuth';
+import { getAppOrigin } from '../../../../lib/embeddability';
+
+// Upper bound on participants created by a single request.
+const MAX_PARTICIPANTS_PER_REQUEST = 1000;
+
+/**
+ * The API route handler for `/api/studies/[studyId]/participants`. Researcher-only.
+ * GET lists the study's participants and their assignments.
+ * POST registers participants, either `{ participantIds: [...] }` or `{ count: n }`
+ * (random IDs), optionally with an `expiresAt` date for their links.
+ * Both return each participant with their `link` to the study page and when it expires (`linkExpiresAt`).
+ * With `PARTICIPANT_TOKEN_SECRET` set, links carry a signed token, and only they give access.
+ *
+ * @async
+ * @function handler
+ * @param {import('next').NextApiRequest} req - The incoming API request object.
+ * @param {import('next').NextApiResponse} res - The outgoing API response object.
+ */
+export default async function handler(req, res) {
+  if (!requireAdmin(req, res)) {
+    return;
+  }
+
+  const { studyId } = req.query;
+  const origin = getAppOrigin(req);
+  const withLink = (participant) => ({ ...participant, ...buildParticipantLink(participant, origin) });
+
+  try {
+    const study = await getStudy(studyId);
+    if (!study) {
+      return res.status(404).json({ error: "Study not found." });
+    }
+
+    if (req.method === 'GET') {
+      const participants = await listParticipants(studyId);
+      res.status(200).json({ participants: participants.map(withLink) });
+    } else if (req.method === 'POST') {
+      const { participantIds, count, expiresAt } = req.body || {};
+
+      // --- Input Validation ---
+      if (participantIds !== undefined && (!Array.isArray(participantIds) || participantIds.some(id => typeof id !== 'string' || !id.trim()))) {
+        return res.status(400).json({ error: "participantIds must be an array of non-empty strings." });
+      }
+      const total = participantIds ? participantIds.length : Number(count);
+      if (!total || total < 1 || total > MAX_PARTICIPANTS_PER_REQUEST) {
+        return res.status(400).json({ error: `Provide participantIds or a count between 1 and ${MAX_PARTICIPANTS_PER_REQUEST}.` });
+      }
+      if (expiresAt && isNaN(new Date(expiresAt).getTime())) {
+        return res.status(400).json({ error: "expiresAt must be a valid date." });
+      }
+
+      const created = await createParticipants(studyId, { participantIds, count: total, expiresAt });
+      console.log(`API Studies: Registered ${created.length} participant(s) for ${studyId}.`);
+      res.status(201).json({ participants: created.map(withLink) });
+    } else {
+      res.setHeader('Allow', ['GET', 'POST']);
+      res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+    }
+  } catch (error) {
+    console.error("API Studies Error:", error);
+    res.status(500).json({ error: "Participant operation failed", details: error.message });
+  }
+}
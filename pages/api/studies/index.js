@@ -0,0 +1,47 @@
+// pages/api/studies/index.js
+import { requireAdmin } from '../../../lib/adminAuth';
+import { createStudy, listStudies, validateStudy } from '../../../lib/studies';
+
+/**
+ * The API route handler for `/api/studies`. Researcher-only.
+ * GET lists all studies; POST creates one from
+ * `{ studyId, name?, assignment?: 'random' | 'balanced', provider?, suggestions?, flow?, conditions: [{ conditionId, name?, serp?, suggestions? }] }`.
+ * `provider` picks the study's search backend (see `lib/searchProviders`), overriding `SEARCH_PROVIDER`;
+ * `serp` switches result card elements on or off for a condition (see `lib/serpFeatures.js`);
+ * `suggestions` chooses where query suggestions come from, for the study or one condition (see `lib/suggestions.js`);
+ * `flow` lists the consent, questionnaire, task and completion steps participants go through (see `lib/taskFlow.js`).
+ *
+ * @async
+ * @function handler
+ * @param {import('next').NextApiRequest} req - The incoming API request object.
+ * @param {import('next').NextApiResponse} res - The outgoing API response object.
+ */
+export default async function handler(req, res) {
+  if (!requireAdmin(req, res)) {
+    return;
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const studies = await listStudies();
+      res.status(200).json({ studies });
+    } else if (req.method === 'POST') {
+      const validationError = validateStudy(req.body);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      const study = await createStudy(req.body);
+      if (!study) {
+        return res.status(409).json({ error: `Study ${req.body.studyId} already exists.` });
+      }
+      console.log(`API Studies: Created study ${study.studyId} with ${study.conditions.length} condition(s).`);
+      res.status(201).json({ study });
+    } else {
+      res.setHeader('Allow', ['GET', 'POST']);
+      res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+    }
+  } catch (error) {
+    console.error("API Studies Error:", error);
+    res.status(500).json({ error: "Study operation failed", details: error.message });
+  }
+}
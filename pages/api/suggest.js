@@ -0,0 +1,53 @@
+// pages/api/suggest.js
+import { PARTICIPANT_ERRORS, verifyParticipant } from '../../lib/studies'; // Participant registry and study conditions
+import { getSuggestions, resolveSuggestionSettings } from '../../lib/suggestions'; // Query suggestion sources
+import { readParticipantToken } from '../../lib/participantAuth'; // Signed participant links
+import { requireWithinRateLimit } from '../../lib/rateLimit'; // Per-session request limits
+
+// Longest prefix suggestions are looked up for.
+const MAX_PREFIX_LENGTH = 200;
+
+/**
+ * API route handler for `/api/suggest`. The search bar calls it as the participant types.
+ * GET `?participantId=...&q=...` returns `{ query, source, suggestions }`: up to 8 suggested queries
+ * from the source the participant's condition uses (see `lib/suggestions.js`). With the `none`
+ * source, or for an empty prefix, `suggestions` is empty.
+ *
+ * @async
+ * @function handler
+ * @param {import('next').NextApiRequest} req - The incoming API request object.
+ * @param {import('next').NextApiResponse} res - The outgoing API response object.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+
+  const { participantId, q = '' } = req.query;
+  if (typeof q !== 'string' || q.length > MAX_PREFIX_LENGTH) {
+    return res.status(400).json({ error: `q must be a string of at most ${MAX_PREFIX_LENGTH} characters.` });
+  }
+
+  try {
+    // Only registered participants get suggestions; their condition decides where they come from.
+    const { status, participant, study } = await verifyParticipant(participantId, { token: readParticipantToken(req) });
+    if (status !== 'ok') {
+      const { httpStatus, message } = PARTICIPANT_ERRORS[status];
+      return res.status(httpStatus).json({ error: message, reason: status });
+    }
+    if (!(await requireWithinRateLimit(res, 'suggest', participantId))) {
+      return;
+    }
+
+    const condition = study.conditions.find(c => c.conditionId === participant.conditionId);
+    const settings = resolveSuggestionSettings(study, condition);
+    const suggestions = await getSuggestions(q, {
+      studyId: study.studyId, conditionId: participant.conditionId, provider: study.provider, settings,
+    });
+    res.status(200).json({ query: q, source: settings.source, suggestions });
+  } catch (error) {
+    console.error("API Suggest Error:", error);
+    res.status(500).json({ error: "Failed to fetch suggestions", details: error.message });
+  }
+}
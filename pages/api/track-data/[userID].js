@@ -1,10 +1,102 @@
 // pages/api/track-data/[userID].js
 import { connectToDatabase } from '../../../lib/mongodb'; // Utility for connecting to the database
+import { verifyParticipant, PARTICIPANT_ERRORS } from '../../../lib/studies'; // Participant verification
+import { validateEvent } from '../../../lib/events'; // Interaction event schema
+import { readParticipantToken, requireSameOrigin } from '../../../lib/participantAuth'; // Signed participant links
+import { requireWithinRateLimit } from '../../../lib/rateLimit'; // Per-session request limits
+import crypto from 'crypto'; // Content hashes for records without an eventId
+
+// Session document arrays that hold tracking records, matching the request body's fields.
+const TRACKED_FIELDS = ['searches', 'clicks', 'events'];
+// Maximum length of a client-assigned event ID.
+const MAX_EVENT_ID_LENGTH = 64;
+// Maximum number of in-page navigations stored per click, and text selections per page.
+const MAX_NAVIGATIONS_PER_CLICK = 200;
+const MAX_SELECTIONS_PER_PAGE = 20;
+// Dwell states of a click's time and the most intervals stored per click (see lib/dwellTracker.js).
+const DWELL_STATES = ['active', 'idle', 'hidden'];
+const MAX_DWELL_INTERVALS_PER_CLICK = 500;
+
+/**
+ * Returns a record's client-assigned `eventId`. Records from clients that predate event IDs get
+ * one derived from their content, which dedupes them the way whole-object equality used to.
+ *
+ * @param {object} record - The raw record from the request body.
+ * @returns {string} - The event ID.
+ */
+const resolveEventId = (record) => {
+  if (typeof record?.eventId === 'string' && record.eventId && record.eventId.length <= MAX_EVENT_ID_LENGTH) {
+    return record.eventId;
+  }
+  return `legacy-${crypto.createHash('sha1').update(JSON.stringify(record)).digest('hex')}`;
+};
+
+/**
+ * Sanitizes the pages visited within a click (reported by the proxy's tracking agent),
+ * converting timestamps to Dates and dropping unknown fields.
+ *
+ * @param {any} navigations - The click's raw `navigations` array.
+ * @returns {Array<object>} - The sanitized navigations, in visit order.
+ */
+const sanitizeNavigations = (navigations) => (Array.isArray(navigations) ? navigations : [])
+  .slice(0, MAX_NAVIGATIONS_PER_CLICK)
+  .filter(navigation => navigation && typeof navigation.url === 'string')
+  .map(navigation => ({
+    url: navigation.url,
+    title: typeof navigation.title === 'string' ? navigation.title : null,
+    startTime: navigation.startTime ? new Date(navigation.startTime) : null,
+    endTime: navigation.endTime ? new Date(navigation.endTime) : null,
+    duration: Number(navigation.duration) || 0,
+    maxScrollDepth: Number(navigation.maxScrollDepth) || 0,
+    selections: (Array.isArray(navigation.selections) ? navigation.selections : [])
+      .slice(0, MAX_SELECTIONS_PER_PAGE)
+      .filter(selection => selection && typeof selection.text === 'string')
+      .map(selection => ({ text: selection.text, time: selection.time ? new Date(selection.time) : null })),
+  }));
+
+/**
+ * Sanitizes a click's dwell intervals (its active, idle and hidden stretches), converting timestamps
+ * to Dates and dropping intervals with an unknown state or invalid times.
+ *
+ * @param {any} intervals - The click's raw `dwellIntervals` array.
+ * @returns {Array<{ state: string, startTime: Date, endTime: Date }>} - The sanitized intervals, in order.
+ */
+const sanitizeDwellIntervals = (intervals) => (Array.isArray(intervals) ? intervals : [])
+  .slice(0, MAX_DWELL_INTERVALS_PER_CLICK)
+  .filter(interval => interval && DWELL_STATES.includes(interval.state))
+  .map(interval => ({ state: interval.state, startTime: new Date(interval.startTime), endTime: new Date(interval.endTime) }))
+  .filter(interval => !isNaN(interval.startTime.getTime()) && !isNaN(interval.endTime.getTime()));
 
 /**
- * Handles the processing and saving of tracking data (searches, clicks) for a specific user session.
- * It validates the input, sanitizes data formats (dates, durations), and upserts the data
- * into the MongoDB collection 'UserBrowsingData'.
+ * Builds the aggregation expression that appends `records` to a session array,
+ * skipping those whose `eventId` is already stored.
+ *
+ * @param {string} field - The session array field, e.g. 'clicks'.
+ * @param {Array<object>} records - The incoming records, each with an `eventId`.
+ * @returns {object} - The aggregation expression.
+ */
+const appendNewRecords = (field, records) => ({
+  $concatArrays: [
+    { $ifNull: [`$${field}`, []] },
+    {
+      $filter: {
+        // $literal keeps user content such as "$"-prefixed queries from being read as field paths.
+        input: { $literal: records },
+        cond: { $not: [{ $in: ['$$this.eventId', { $ifNull: [`$${field}.eventId`, []] }] }] },
+      },
+    },
+  ],
+});
+
+/**
+ * Handles the processing and saving of tracking data (searches, clicks, interaction events) for a specific user session.
+ * It validates the input, verifies that the user is a registered participant (with the signed token of their
+ * link, if participant auth is enabled) and that the session stays within its rate limit, sanitizes data
+ * formats (dates, durations), and upserts the data into the MongoDB collection 'UserBrowsingData',
+ * tagged with the participant's study and condition.
+ *
+ * The protocol is idempotent: every record carries a client-assigned `eventId`, each eventId is
+ * stored at most once, and the response lists the `acknowledged` eventIds the client may stop resending.
  *
  * @async
  * @function handleTrackData
@@ -47,6 +139,19 @@ async function handleTrackData(userID, req, res) {
   trackingData.sessionId = userID; // Standardize on the URL parameter.
 
   try {
+    // --- Participant Verification ---
+    // Only registered participants with a valid link may write tracking data.
+    const { status, participant } = await verifyParticipant(userID, { token: readParticipantToken(req) });
+    if (status !== 'ok') {
+      console.warn(`API Track: Rejected tracking data for userID ${userID} (${status}).`);
+      const { httpStatus, message } = PARTICIPANT_ERRORS[status];
+      return res.status(httpStatus).json({ error: message, reason: status });
+    }
+    // A flooding client is turned away; the tracking queue keeps its records and retries with backoff.
+    if (!(await requireWithinRateLimit(res, 'track-data', userID))) {
+      return;
+    }
+
     // --- Database Interaction ---
     // Connect to the MongoDB database.
     const { db } = await connectToDatabase();
@@ -56,9 +161,6 @@ async function handleTrackData(userID, req, res) {
     // --- Data Preparation & Sanitization ---
     // Create a copy of the data to modify.
     const dataToSave = { ...trackingData };
-    // Add/update timestamps for recording when the data was saved/updated.
-    dataToSave.savedAt = new Date(); // Use ISODate for better querying.
-    dataToSave.lastUpdated = new Date();
 
     // Sanitize/Calculate click durations and convert timestamps to ISODate.
     if (!dataToSave.clicks) {
@@ -79,9 +181,20 @@ async function handleTrackData(userID, req, res) {
         // Return the click object with standardized fields.
         return {
             ...click,
+            eventId: resolveEventId(click),
             startTime: click.startTime ? new Date(click.startTime) : null, // Store as ISODate or null.
             endTime: click.endTime ? new Date(click.endTime) : null,     // Store as ISODate or null.
             duration: duration, // Store the calculated or original duration (as float).
+            navigations: sanitizeNavigations(click.navigations), // Pages visited within the click, in order.
+            // Active, idle and hidden time (seconds), from clients that track them.
+            ...(click.dwellIntervals !== undefined ? {
+                dwellActive: Number(click.dwellActive) || 0,
+                dwellIdle: Number(click.dwellIdle) || 0,
+                dwellHidden: Number(click.dwellHidden) || 0,
+                dwellIntervals: sanitizeDwellIntervals(click.dwellIntervals),
+                activityTracked: click.activityTracked === true,
+                idleThreshold: Number(click.idleThreshold) || null,
+            } : {}),
         };
     });
 
@@ -89,6 +202,7 @@ async function handleTrackData(userID, req, res) {
     if (dataToSave.searches) {
         dataToSave.searches = dataToSave.searches.map(search => ({
             ...search,
+            eventId: resolveEventId(search),
             // Convert timestamp string to ISODate, default to now if missing.
             timestamp: search.timestamp ? new Date(search.timestamp) : new Date()
         }));
@@ -96,29 +210,46 @@ async function handleTrackData(userID, req, res) {
         dataToSave.searches = []; // Ensure searches array exists.
     }
 
+    // Validate typed interaction events against their schema. Valid events are stored,
+    // invalid ones are reported back (by index) without failing the rest of the batch.
+    const rejectedEvents = [];
+    dataToSave.events = (Array.isArray(dataToSave.events) ? dataToSave.events : [])
+        .map((rawEvent, index) => {
+            const { event, error } = validateEvent(rawEvent);
+            if (error) {
+                rejectedEvents.push({ index, eventId: rawEvent?.eventId ?? null, error });
+                return null;
+            }
+            return { ...event, eventId: resolveEventId(rawEvent) };
+        })
+        .filter(Boolean);
+    if (rejectedEvents.length > 0) {
+        console.warn(`API Track Warning: Rejected ${rejectedEvents.length} invalid event(s) for userID ${userID}:`, rejectedEvents);
+    }
+
+    // Drop repeats of the same eventId within this request; repeats of already stored
+    // records are filtered out by the update itself.
+    for (const field of TRACKED_FIELDS) {
+        const seen = new Set();
+        dataToSave[field] = dataToSave[field].filter(record => !seen.has(record.eventId) && seen.add(record.eventId));
+    }
 
     // --- MongoDB Upsert Operation ---
-    // Use `updateOne` with `upsert: true` to either create a new document for the user
-    // or update the existing one.
+    // A single pipeline update appends only records whose eventId isn't stored yet. Updates to one
+    // document are atomic, so retried requests and duplicate beacons can never insert a record twice.
+    const now = new Date();
     const result = await collection.updateOne(
       { sessionId: userID }, // Query criteria: Find the document matching the user's session ID.
-      {
-        // --- Update Operators ---
-        $set: { // Update specific fields unconditionally.
-            lastUpdated: dataToSave.lastUpdated // Always update the lastUpdated timestamp.
+      [{
+        $set: {
+          sessionId: userID,
+          firstSeen: { $ifNull: ['$firstSeen', now] },    // Record when the user's data was first created.
+          lastUpdated: now,                              // Always update the lastUpdated timestamp.
+          studyId: { $literal: participant.studyId },    // Tag the session with the participant's study
+          conditionId: { $literal: participant.conditionId }, // and assigned condition for analysis.
+          ...Object.fromEntries(TRACKED_FIELDS.map(field => [field, appendNewRecords(field, dataToSave[field])])),
         },
-        $addToSet: { // Add elements to arrays only if they don't already exist in the array.
-                     // Note: $addToSet performs a simple equality check on the entire object.
-                     // If you need more complex merging (e.g., updating clicks based on URL/startTime),
-                     // you might need a more complex update strategy or multiple operations.
-            searches: { $each: dataToSave.searches }, // Add new search entries.
-            clicks: { $each: dataToSave.clicks }      // Add new click entries.
-        },
-        $setOnInsert: { // Fields to set *only* when a new document is created (i.e., during an upsert).
-            sessionId: userID,      // Set the session ID.
-            firstSeen: new Date() // Record the time the user's data was first created.
-        }
-      },
+      }],
       { upsert: true } // Option to create the document if it doesn't exist.
     );
 
@@ -126,15 +257,19 @@ async function handleTrackData(userID, req, res) {
     // Log the outcome of the database operation.
     if (result.upsertedCount > 0) {
         console.log(`API Track: New session created for userID: ${userID}`);
-    } else if (result.modifiedCount > 0) {
-         console.log(`API Track: Session updated for userID: ${userID}`);
     } else {
-         // This can happen if $addToSet finds duplicates or if no new data was provided.
-         console.log(`API Track: Session data for userID ${userID} received but no changes made (likely duplicate data).`);
+        console.log(`API Track: Session updated for userID: ${userID}`);
     }
 
+    // Acknowledge every record the client may now drop from its queue: stored ones, ones that were
+    // already stored, and invalid events that would be rejected again on every retry.
+    const acknowledged = [
+        ...TRACKED_FIELDS.flatMap(field => dataToSave[field].map(record => record.eventId)),
+        ...rejectedEvents.map(rejected => rejected.eventId).filter(eventId => typeof eventId === 'string'),
+    ];
+
     // Send a success response to the client.
-    res.status(200).json({ message: "Tracking data processed successfully." });
+    res.status(200).json({ message: "Tracking data processed successfully.", acknowledged, rejectedEvents });
 
   } catch (error) {
     // Handle errors during database connection or operation.
@@ -146,7 +281,7 @@ async function handleTrackData(userID, req, res) {
 /**
  * The main API route handler for `/api/track-data/[userID]`.
  * It extracts the `userID` from the dynamic route parameter and calls `handleTrackData`
- * for POST requests. Rejects other HTTP methods.
+ * for POST requests from the study page itself. Rejects other HTTP methods and other origins.
  *
  * @async
  * @function handler
@@ -159,6 +294,10 @@ export default async function handler(req, res) {
 
   // Only allow POST requests to this endpoint.
   if (req.method === 'POST') {
+    // Only the study page may write tracking data.
+    if (!requireSameOrigin(req, res)) {
+      return;
+    }
     // Delegate the actual data handling to the specialized function.
     await handleTrackData(userID, req, res);
   } else {
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+// scripts/export-tracking.js
+//
+// Downloads flattened tracking tables from a running deployment's `/api/admin/export`
+// route into a local directory, for R/pandas pipelines.
+//
+// Usage:
+//   ADMIN_API_TOKEN=... node scripts/export-tracking.js [options]
+//
+// Options:
+//   --url <base>          Base URL of the deployment (default: $EXPORT_BASE_URL or http://localhost:3000)
+//   --out <dir>           Output directory (default: ./exports)
+//   --format <csv|jsonl>  Output format (default: csv)
+//   --tables <a,b,...>    Tables to export (default: sessions,searches,clicks,events,navigations,queries,chains,steps,responses)
+//   --study <studyId>     Only sessions from this study
+//   --condition <id>      Only sessions from this condition
+//   --from <date>         Only sessions first seen on or after this date
+//   --to <date>           Only sessions first seen on or before this date
+//   --incremental         Only sessions updated since the last incremental run
+//                         (remembered in <out>/.export-state.json)
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const ALL_TABLES = ['sessions', 'searches', 'clicks', 'events', 'navigations', 'queries', 'chains', 'steps', 'responses'];
+
+/**
+ * Parses `--key value` and `--flag` command-line arguments.
+ * @param {Array<string>} argv - The raw arguments (without node and script path).
+ * @returns {Object<string, string | boolean>} - Parsed options.
+ */
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+    const key = arg.slice(2);
+    if (key === 'incremental') {
+      options.incremental = true;
+    } else {
+      options[key] = argv[++i];
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const token = process.env.ADMIN_API_TOKEN;
+  if (!token) {
+    throw new Error('Set ADMIN_API_TOKEN to the deployment\'s admin token.');
+  }
+
+  const baseUrl = (options.url || process.env.EXPORT_BASE_URL || 'http://localhost:3000').replace(/\/$/, '');
+  const outDir = path.resolve(options.out || 'exports');
+  const format = options.format || 'csv';
+  const tables = options.tables ? options.tables.split(',') : ALL_TABLES;
+  const statePath = path.join(outDir, '.export-state.json');
+
+  fs.mkdirSync(outDir, { recursive: true });
+
+  // The state file remembers when the last incremental run started, per filter combination
+  // (including the date range, so a run over other dates doesn't skip sessions this one never exported).
+  const state = fs.existsSync(statePath) ? JSON.parse(fs.readFileSync(statePath, 'utf8')) : {};
+  const stateKey = JSON.stringify([options.study || null, options.condition || null, options.from || null, options.to || null]);
+  const since = options.incremental ? state[stateKey] : undefined;
+  if (options.incremental) {
+    console.log(since ? `Incremental export of sessions updated since ${since}.` : 'No previous run found; exporting everything.');
+  }
+
+  // Incremental runs get timestamped file names so earlier batches aren't overwritten.
+  const suffix = options.incremental ? `-${new Date().toISOString().replace(/[:.]/g, '-')}` : '';
+  let startedAt = null;
+
+  for (const table of tables) {
+    const params = new URLSearchParams({ table, format });
+    if (options.study) params.set('studyId', options.study);
+    if (options.condition) params.set('conditionId', options.condition);
+    if (options.from) params.set('from', options.from);
+    if (options.to) params.set('to', options.to);
+    if (since) params.set('since', since);
+
+    const response = await fetch(`${baseUrl}/api/admin/export?${params}`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    if (!response.ok) {
+      throw new Error(`Export of ${table} failed (status ${response.status}): ${await response.text()}`);
+    }
+
+    // Keep the earliest start time so no session updated during the run is skipped next time.
+    startedAt = startedAt || response.headers.get('x-export-started-at');
+    // Tables can be large, so they are streamed to a temporary file, which only replaces the
+    // table's file once the whole export has arrived.
+    const filePath = path.join(outDir, `${table}${suffix}.${format}`);
+    const partialPath = `${filePath}.partial`;
+    try {
+      // Rejects if the server aborts the export partway through.
+      await pipeline(Readable.fromWeb(response.body), fs.createWriteStream(partialPath));
+    } catch (error) {
+      fs.rmSync(partialPath, { force: true });
+      throw new Error(`Export of ${table} was cut short: ${error.cause?.message || error.message}`);
+    }
+    fs.renameSync(partialPath, filePath);
+    console.log(`Wrote ${filePath}`);
+  }
+
+  // Only a run that exported every table moves the incremental start forward; after a failure
+  // (which exits above) the next run starts from the same point again.
+  if (options.incremental && startedAt) {
+    state[stateKey] = startedAt;
+    fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,66 @@
+// tests/domainLists.test.mjs
+// Domain list patterns and how the lists hide results and override embeddability verdicts.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyDomainLists, classifyUrl, getRegistrableDomain, matchesDomainPattern } from '../lib/domainLists.js';
+
+test('getRegistrableDomain knows common multi-label public suffixes', () => {
+  assert.equal(getRegistrableDomain('www.bbc.co.uk'), 'bbc.co.uk');
+  assert.equal(getRegistrableDomain('news.example.com'), 'example.com');
+  assert.equal(getRegistrableDomain('Example.COM.'), 'example.com');
+  assert.equal(getRegistrableDomain('10.0.0.1'), '10.0.0.1');
+});
+
+test('registrable domain patterns match the domain and its subdomains', () => {
+  assert.equal(matchesDomainPattern('example.com', 'example.com'), true);
+  assert.equal(matchesDomainPattern('www.example.com', 'example.com'), true);
+  assert.equal(matchesDomainPattern('news.bbc.co.uk', 'bbc.co.uk'), true);
+  assert.equal(matchesDomainPattern('notexample.com', 'example.com'), false);
+  assert.equal(matchesDomainPattern('example.com.evil.org', 'example.com'), false);
+});
+
+test('longer host names and = patterns match that exact host only', () => {
+  assert.equal(matchesDomainPattern('news.example.com', 'news.example.com'), true);
+  assert.equal(matchesDomainPattern('eu.news.example.com', 'news.example.com'), false);
+  assert.equal(matchesDomainPattern('example.com', '=example.com'), true);
+  assert.equal(matchesDomainPattern('www.example.com', '=example.com'), false);
+});
+
+test('*. patterns match subdomains but not the domain itself', () => {
+  assert.equal(matchesDomainPattern('a.b.example.com', '*.example.com'), true);
+  assert.equal(matchesDomainPattern('example.com', '*.example.com'), false);
+});
+
+test('patterns are case-insensitive and ignore trailing dots', () => {
+  assert.equal(matchesDomainPattern('WWW.Example.com.', ' EXAMPLE.com. '), true);
+});
+
+test('malformed patterns match nothing', () => {
+  for (const pattern of ['https://example.com', 'example.com/path', 'example.com:8080', '*.*.example.com', 'localhost', '', null]) {
+    assert.equal(matchesDomainPattern('example.com', pattern), false, String(pattern));
+  }
+});
+
+test('hide takes precedence over block, and block over allow', () => {
+  const lists = { allow: ['example.com'], block: ['www.example.com'], hide: ['=ads.example.com'] };
+  assert.equal(classifyUrl('https://ads.example.com/x', lists), 'hide');
+  assert.equal(classifyUrl('https://www.example.com/x', lists), 'block');
+  assert.equal(classifyUrl('https://docs.example.com/x', lists), 'allow');
+  assert.equal(classifyUrl('https://other.org/', lists), null);
+  assert.equal(classifyUrl('not a url', lists), null);
+});
+
+test('applyDomainLists removes hidden results and sets list verdicts, without modifying the input', () => {
+  const items = [
+    { link: 'https://hidden.org/' }, { link: 'https://allowed.org/' }, { link: 'https://blocked.org/' }, { link: 'https://other.org/', embeddable: true },
+  ];
+  const { items: kept, hiddenLinks } = applyDomainLists(items, { allow: ['allowed.org'], block: ['blocked.org'], hide: ['hidden.org'] });
+  assert.deepEqual(hiddenLinks, ['https://hidden.org/']);
+  assert.deepEqual(kept.map(item => [item.link, item.embeddable, item.embedVerdict?.reason]), [
+    ['https://allowed.org/', true, 'allowlist'],
+    ['https://blocked.org/', false, 'blocklist'],
+    ['https://other.org/', true, undefined],
+  ]);
+  assert.equal(items.length, 4);
+  assert.equal(items[1].embedVerdict, undefined);
+});
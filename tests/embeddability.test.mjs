@@ -0,0 +1,195 @@
+// tests/embeddability.test.mjs
+// Runs probeEmbeddability against local HTTP servers that answer with the framing headers under test.
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { probeEmbeddability } from '../lib/embeddability.js';
+import { resolveProxyTarget } from '../lib/proxy.js';
+
+// The origin the probed pages are framed by.
+const ORIGIN = 'https://study.example.org';
+
+// Host name the tests' servers stand in for: it is pinned to 127.0.0.1, which the real guard rejects.
+const PUBLIC_HOST = 'public.test';
+
+/**
+ * Validates probe targets like `resolveProxyTarget`, except that `PUBLIC_HOST` counts as a public host on 127.0.0.1.
+ * @param {string} target - The requested URL.
+ * @returns {Promise<object>}
+ */
+const resolveTarget = async (target) => {
+  const url = new URL(target);
+  return url.hostname === PUBLIC_HOST ? { url, address: { address: '127.0.0.1', family: 4 } } : resolveProxyTarget(target);
+};
+
+/**
+ * Probes a URL with the tests' target validation.
+ * @param {string} url - The page URL.
+ * @param {object} options - The probe options.
+ * @returns {Promise<object>}
+ */
+const probe = (url, options) => probeEmbeddability(url, { resolveTarget, ...options });
+
+// Servers started by the tests, closed once they are done.
+const servers = [];
+
+after(() => {
+  for (const server of servers) {
+    server.closeAllConnections();
+    server.close();
+  }
+});
+
+/**
+ * Starts a server on a free local port.
+ *
+ * @param {http.RequestListener} handler - Handles each request.
+ * @returns {Promise<string>} - The server's base URL.
+ */
+async function serve(handler) {
+  const server = http.createServer(handler);
+  servers.push(server);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return `http://${PUBLIC_HOST}:${server.address().port}/`;
+}
+
+/**
+ * Starts a server answering every request with 200 and the given headers.
+ *
+ * @param {Record<string, string | string[]>} headers - The response headers.
+ * @param {string} [body] - The response body.
+ * @returns {Promise<string>} - The server's base URL.
+ */
+const serveHeaders = (headers, body = '') => serve((req, res) => {
+  res.writeHead(200, { 'Content-Type': 'text/html', ...headers });
+  res.end(body);
+});
+
+test('pages without framing headers are allowed', async () => {
+  const url = await serveHeaders({});
+  assert.deepEqual(await probe(url, { origin: ORIGIN }), { displayable: true, reason: 'allowed', method: 'HEAD', status: 200 });
+});
+
+test('X-Frame-Options: DENY blocks framing', async () => {
+  const url = await serveHeaders({ 'X-Frame-Options': 'DENY' });
+  const verdict = await probe(url, { origin: ORIGIN });
+  assert.equal(verdict.displayable, false);
+  assert.equal(verdict.reason, 'xfo-deny');
+});
+
+test('X-Frame-Options: SAMEORIGIN blocks framing from another origin only', async () => {
+  const url = await serveHeaders({ 'X-Frame-Options': 'SAMEORIGIN' });
+  assert.equal((await probe(url, { origin: ORIGIN })).reason, 'xfo-sameorigin');
+  assert.equal((await probe(url, { origin: new URL(url).origin })).reason, 'allowed');
+});
+
+test('conflicting X-Frame-Options headers block framing', async () => {
+  const url = await serveHeaders({ 'X-Frame-Options': ['SAMEORIGIN', 'ALLOWALL'] });
+  assert.equal((await probe(url, { origin: ORIGIN })).reason, 'xfo-conflict');
+});
+
+test('frame-ancestors takes precedence over X-Frame-Options', async () => {
+  const url = await serveHeaders({ 'Content-Security-Policy': `frame-ancestors ${ORIGIN}`, 'X-Frame-Options': 'DENY' });
+  assert.equal((await probe(url, { origin: ORIGIN })).reason, 'allowed');
+});
+
+test('each of several CSP headers is enforced', async () => {
+  const url = await serveHeaders({ 'Content-Security-Policy': ['frame-ancestors *', 'frame-ancestors https://other.example.org'] });
+  const verdict = await probe(url, { origin: ORIGIN });
+  assert.equal(verdict.displayable, false);
+  assert.equal(verdict.reason, 'csp-host-mismatch');
+});
+
+test("frame-ancestors 'none' and 'self' block framing from another origin", async () => {
+  const none = await serveHeaders({ 'Content-Security-Policy': "frame-ancestors 'none'" });
+  assert.equal((await probe(none, { origin: ORIGIN })).reason, 'csp-none');
+  const self = await serveHeaders({ 'Content-Security-Policy': "default-src 'self'; frame-ancestors 'self'" });
+  assert.equal((await probe(self, { origin: ORIGIN })).reason, 'csp-self');
+});
+
+test('frame-ancestors host sources match by scheme, host wildcard and port', async () => {
+  const cases = [
+    ['https://*.example.org', 'allowed'],
+    ['study.example.org', 'allowed'],
+    ['http://study.example.org', 'allowed'],
+    ['https://study.example.org:443', 'allowed'],
+    ['https://*.study.example.org', 'csp-host-mismatch'],
+    ['https://study.example.org:8443', 'csp-host-mismatch'],
+    ['https://example.org', 'csp-host-mismatch'],
+    ['https:', 'allowed'],
+  ];
+  for (const [source, reason] of cases) {
+    const url = await serveHeaders({ 'Content-Security-Policy': `frame-ancestors ${source}` });
+    assert.equal((await probe(url, { origin: ORIGIN })).reason, reason, source);
+  }
+});
+
+test('frame-ancestors in a <meta> policy is ignored', async () => {
+  const url = await serveHeaders({}, `<html><head><meta http-equiv="Content-Security-Policy" content="frame-ancestors 'none'"></head></html>`);
+  assert.equal((await probe(url, { origin: ORIGIN, method: 'GET' })).reason, 'allowed');
+});
+
+test('pages that reject HEAD are probed again with GET', async () => {
+  const url = await serve((req, res) => {
+    if (req.method === 'HEAD') {
+      res.writeHead(405);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'X-Frame-Options': 'DENY' });
+    res.end('ok');
+  });
+  assert.deepEqual(await probe(url, { origin: ORIGIN }), { displayable: false, reason: 'xfo-deny', method: 'GET', status: 200 });
+});
+
+test('error statuses to both HEAD and GET are reported', async () => {
+  const url = await serve((req, res) => {
+    res.writeHead(503);
+    res.end();
+  });
+  assert.deepEqual(await probe(url, { origin: ORIGIN }), { displayable: false, reason: 'http-error', method: 'GET', status: 503 });
+});
+
+test('pages that do not answer time out', async () => {
+  // Never responds; the connection is closed when the tests are done.
+  const url = await serve(() => {});
+  assert.deepEqual(await probe(url, { origin: ORIGIN }), { displayable: false, reason: 'timeout', method: 'HEAD', status: null });
+});
+
+test('redirects are followed to the final page', async () => {
+  const target = await serveHeaders({ 'X-Frame-Options': 'DENY' });
+  const url = await serve((req, res) => {
+    res.writeHead(302, { Location: `${target}landing`, 'X-Frame-Options': 'SAMEORIGIN' });
+    res.end();
+  });
+  assert.equal((await probe(url, { origin: ORIGIN })).reason, 'xfo-deny');
+});
+
+test('pages on non-public hosts are not probed', async () => {
+  let requests = 0;
+  const url = await serve((req, res) => {
+    requests += 1;
+    res.end();
+  });
+  const privateUrl = url.replace(PUBLIC_HOST, '127.0.0.1');
+  assert.deepEqual(await probeEmbeddability(privateUrl, { origin: ORIGIN }), { displayable: false, reason: 'forbidden-target', method: null, status: null });
+  assert.equal(requests, 0);
+});
+
+test('redirects to non-public hosts are not followed', async () => {
+  let internalRequests = 0;
+  const internal = await serve((req, res) => {
+    internalRequests += 1;
+    res.end();
+  });
+  const url = await serve((req, res) => {
+    res.writeHead(301, { Location: `${internal.replace(PUBLIC_HOST, '127.0.0.1')}admin` });
+    res.end();
+  });
+  assert.equal((await probe(url, { origin: ORIGIN })).reason, 'forbidden-target');
+  assert.equal(internalRequests, 0);
+});
+
+test('unparseable URLs are rejected without a request', async () => {
+  assert.equal((await probe('not a url', { origin: ORIGIN })).reason, 'invalid-url');
+});
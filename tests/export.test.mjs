@@ -0,0 +1,82 @@
+// tests/export.test.mjs
+// Flattening of stored sessions into export tables, and their CSV and JSON Lines serialization.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EXPORT_TABLES, flattenSession, formatRows } from '../lib/export.js';
+
+const SESSION = {
+  sessionId: 'p1',
+  studyId: 'pilot',
+  conditionId: 'control',
+  firstSeen: new Date('2026-01-01T12:00:00Z'),
+  lastUpdated: new Date('2026-01-01T12:10:00Z'),
+  searches: [
+    { searchId: 's1', eventId: 'e1', seq: 0, query: 'mars rover', timestamp: '2026-01-01T12:00:00.000Z', filters: { vertical: 'web' } },
+    { searchId: 's2', eventId: 'e2', seq: 2, query: 'mars rover photos', timestamp: '2026-01-01T12:01:00.000Z', appliedRules: [{ ruleIndex: 0 }] },
+  ],
+  clicks: [{
+    eventId: 'e3', seq: 3, searchId: 's2', url: 'https://a.example.org/', startTime: '2026-01-01T12:01:10.000Z',
+    endTime: '2026-01-01T12:02:10.000Z', duration: 60, activeDuration: 45,
+    navigations: [
+      { url: 'https://a.example.org/', startTime: '2026-01-01T12:01:10.000Z', selections: [{ text: 'quote' }] },
+      { url: 'https://a.example.org/next', startTime: '2026-01-01T12:01:40.000Z', selections: [] },
+    ],
+  }],
+  events: [{ eventId: 'e4', seq: 1, type: 'serp_scroll', clientTimestamp: '2026-01-01T12:00:30.000Z', data: { maxDepth: 0.5, query: 'mars rover' } }],
+  flow: {
+    status: 'completed',
+    completionCode: 'ABCD2345',
+    steps: [{
+      stepId: 'pre', type: 'questionnaire', startedAt: '2026-01-01T11:59:00.000Z', completedAt: '2026-01-01T11:59:30.000Z',
+      outcome: 'submitted', answers: { age: 30, topics: ['a', 'c'] },
+    }],
+  },
+};
+
+test('flattenSession produces a row per record in every table, tagged with the session', () => {
+  const tables = flattenSession(SESSION);
+  assert.deepEqual(Object.keys(tables).sort(), Object.keys(EXPORT_TABLES).sort());
+  assert.deepEqual(Object.fromEntries(Object.entries(tables).map(([name, rows]) => [name, rows.length])), {
+    sessions: 1, searches: 2, clicks: 1, events: 4, navigations: 2, queries: 2, chains: 1, steps: 1, responses: 2,
+  });
+  for (const rows of Object.values(tables)) {
+    for (const row of rows) {
+      assert.deepEqual([row.sessionId, row.studyId, row.conditionId], ['p1', 'pilot', 'control']);
+    }
+  }
+});
+
+test('nested values are serialized so every cell is a scalar', () => {
+  const { searches, navigations, responses, sessions } = flattenSession(SESSION);
+  assert.equal(searches[0].vertical, 'web');
+  assert.equal(searches[0].appliedRules, null);
+  assert.equal(searches[1].appliedRules, '[{"ruleIndex":0}]');
+  assert.deepEqual(navigations.map(row => [row.clickEventId, row.navigationIndex, row.selectionCount, row.selections]), [
+    ['e3', 0, 1, '["quote"]'], ['e3', 1, 0, null],
+  ]);
+  assert.deepEqual(responses.map(row => [row.questionId, row.answer]), [['age', 30], ['topics', '["a","c"]']]);
+  assert.equal(sessions[0].totalDwell, 45);
+  assert.equal(sessions[0].completionCode, 'ABCD2345');
+});
+
+test('the events table merges searches, clicks and interaction events in time order', () => {
+  const { events } = flattenSession(SESSION);
+  assert.deepEqual(events.map(row => [row.eventIndex, row.eventType, row.eventId]), [
+    [0, 'search', 'e1'], [1, 'serp_scroll', 'e4'], [2, 'search', 'e2'], [3, 'click', 'e3'],
+  ]);
+  assert.equal(events[1].data, '{"maxDepth":0.5,"query":"mars rover"}');
+});
+
+test('sessions without any records flatten to one session row', () => {
+  const tables = flattenSession({ sessionId: 'p2' });
+  assert.equal(tables.sessions.length, 1);
+  assert.equal(tables.sessions[0].studyId, null);
+  assert.equal(Object.values(tables).reduce((sum, rows) => sum + rows.length, 0), 1);
+});
+
+test('formatRows quotes CSV cells as needed and writes dates as ISO strings', () => {
+  const rows = [{ a: 'plain', b: 'with, comma', c: 'say "hi"\nbye', d: new Date('2026-01-01T00:00:00Z') }, { a: null }];
+  assert.equal(formatRows(rows, ['a', 'b', 'c', 'd'], 'csv', true),
+    'a,b,c,d\nplain,"with, comma","say ""hi""\nbye",2026-01-01T00:00:00.000Z\n,,,\n');
+  assert.equal(formatRows([{ a: 1, b: undefined }], ['a', 'b'], 'jsonl'), '{"a":1,"b":null}\n');
+});
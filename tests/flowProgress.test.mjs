@@ -0,0 +1,100 @@
+// tests/flowProgress.test.mjs
+// Step validation and progression of study task flows (`completeStep`, which `advanceFlow` stores).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { completeStep } from '../lib/flowProgress.js';
+
+const FLOW = [
+  { stepId: 'consent', type: 'consent' },
+  {
+    stepId: 'pre', type: 'questionnaire', questions: [
+      { questionId: 'age', type: 'number', label: 'Age', required: true, min: 18, max: 99 },
+      { questionId: 'topics', type: 'multiple', label: 'Topics', options: ['a', 'b', 'c'] },
+    ],
+  },
+  { stepId: 'task', type: 'task', minTimeSeconds: 60, timeLimitSeconds: 600 },
+  { stepId: 'done', type: 'completion', completionCode: 'PANEL42' },
+];
+
+const START = new Date('2026-01-01T12:00:00Z');
+
+/**
+ * Builds progress whose current step is `stepId`, started at `START`, after the steps before it.
+ * @param {string} stepId - The current step.
+ * @returns {object}
+ */
+const progressAt = (stepId) => {
+  const index = FLOW.findIndex(step => step.stepId === stepId);
+  return {
+    status: 'in_progress',
+    completionCode: null,
+    steps: FLOW.slice(0, index + 1).map((step, i) => ({
+      stepId: step.stepId, type: step.type, startedAt: START, completedAt: i < index ? START : null, outcome: null,
+    })),
+  };
+};
+
+const secondsLater = (seconds) => new Date(START.getTime() + seconds * 1000);
+
+test('only the current step can be completed', () => {
+  const result = completeStep(FLOW, progressAt('pre'), { stepId: 'consent', outcome: 'agreed' }, START);
+  assert.equal(result.reason, 'step_mismatch');
+  assert.equal(result.progress, undefined);
+});
+
+test('consent needs an explicit outcome, and declining ends the flow', () => {
+  assert.equal(completeStep(FLOW, progressAt('consent'), { stepId: 'consent' }, START).reason, 'missing_outcome');
+
+  const declined = completeStep(FLOW, progressAt('consent'), { stepId: 'consent', outcome: 'declined' }, START).progress;
+  assert.equal(declined.status, 'declined');
+  assert.deepEqual(declined.steps.map(step => [step.stepId, step.outcome]), [['consent', 'declined']]);
+
+  const agreed = completeStep(FLOW, progressAt('consent'), { stepId: 'consent', outcome: 'agreed' }, START).progress;
+  assert.equal(agreed.status, 'in_progress');
+  assert.deepEqual(agreed.steps.map(step => step.stepId), ['consent', 'pre']);
+});
+
+test('questionnaire answers are validated and stored normalized', () => {
+  const missing = completeStep(FLOW, progressAt('pre'), { stepId: 'pre', answers: { topics: ['a'] } }, START);
+  assert.equal(missing.reason, 'invalid_answers');
+  assert.equal(missing.message, 'Please answer: Age');
+  assert.equal(completeStep(FLOW, progressAt('pre'), { stepId: 'pre', answers: { age: 12 } }, START).reason, 'invalid_answers');
+  assert.equal(completeStep(FLOW, progressAt('pre'), { stepId: 'pre', answers: { age: 30, topics: ['z'] } }, START).reason, 'invalid_answers');
+
+  const { progress } = completeStep(FLOW, progressAt('pre'), { stepId: 'pre', answers: { age: '30', topics: ['c', 'a', 'c'], extra: 'x' } }, START);
+  assert.deepEqual(progress.steps[1].answers, { age: 30, topics: ['a', 'c'] });
+  assert.equal(progress.steps[1].outcome, 'submitted');
+  assert.equal(progress.steps[2].stepId, 'task');
+});
+
+test('tasks can only be finished after their minimum time, and end as time_limit once it is up', () => {
+  assert.equal(completeStep(FLOW, progressAt('task'), { stepId: 'task' }, secondsLater(30)).reason, 'too_early');
+
+  const finished = completeStep(FLOW, progressAt('task'), { stepId: 'task' }, secondsLater(120)).progress;
+  assert.equal(finished.steps[2].outcome, 'finished');
+  const timedOut = completeStep(FLOW, progressAt('task'), { stepId: 'task' }, secondsLater(600)).progress;
+  assert.equal(timedOut.steps[2].outcome, 'time_limit');
+});
+
+test('reaching the completion step completes the flow with its code', () => {
+  const { progress } = completeStep(FLOW, progressAt('task'), { stepId: 'task' }, secondsLater(120));
+  assert.equal(progress.status, 'completed');
+  assert.equal(progress.completionCode, 'PANEL42');
+  assert.deepEqual(progress.steps[3], {
+    stepId: 'done', type: 'completion', startedAt: secondsLater(120), completedAt: secondsLater(120), outcome: null,
+  });
+  assert.equal(completeStep(FLOW, progress, { stepId: 'done' }, secondsLater(121)).reason, 'flow_finished');
+});
+
+test('flows without a completion step get a random completion code at their end', () => {
+  const flow = [{ stepId: 'search', type: 'task' }];
+  const progress = { status: 'in_progress', completionCode: null, steps: [{ stepId: 'search', type: 'task', startedAt: START, completedAt: null, outcome: null }] };
+  const result = completeStep(flow, progress, { stepId: 'search' }, secondsLater(5)).progress;
+  assert.equal(result.status, 'completed');
+  assert.match(result.completionCode, /^[A-HJ-NP-Z2-9]{8}$/);
+});
+
+test('finished flows and missing progress accept no more steps', () => {
+  assert.equal(completeStep(FLOW, null, { stepId: 'consent' }, START).reason, 'flow_finished');
+  assert.equal(completeStep(FLOW, { ...progressAt('consent'), status: 'declined' }, { stepId: 'consent', outcome: 'agreed' }, START).reason, 'flow_finished');
+});
@@ -0,0 +1,64 @@
+// tests/manipulation.test.mjs
+// Validation and application of per-condition result manipulation rules.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyRules, validateRules } from '../lib/manipulation.js';
+
+const ITEMS = ['a', 'b', 'c', 'd'].map(name => ({ link: `https://${name}.example.org/`, title: name, snippet: `About ${name}`, htmlSnippet: `<b>${name}</b>` }));
+const titles = (items) => items.map(item => item.title).join('');
+
+test('reorder swaps two ranks or moves one, clamped to the end of the list', () => {
+  assert.equal(titles(applyRules(ITEMS, [{ type: 'reorder', swap: [1, 3] }]).items), 'cbad');
+  assert.equal(titles(applyRules(ITEMS, [{ type: 'reorder', from: 4, to: 1 }]).items), 'dabc');
+  assert.equal(titles(applyRules(ITEMS, [{ type: 'reorder', from: 1, to: 20 }]).items), 'bcda');
+});
+
+test('inject plants a result, marked as injected and not embeddable unless it says so', () => {
+  const { items, appliedRules } = applyRules(ITEMS, [{ id: 'plant', type: 'inject', position: 2, item: { link: 'https://x.example.org/', title: 'x' } }]);
+  assert.equal(titles(items), 'axbcd');
+  assert.equal(items[1].injected, true);
+  assert.equal(items[1].embeddable, false);
+  assert.deepEqual(appliedRules, [{ ruleIndex: 0, id: 'plant', type: 'inject', links: ['https://x.example.org/'] }]);
+});
+
+test('suppress removes results on a domain and its subdomains, or one exact URL', () => {
+  const items = [...ITEMS, { link: 'https://www.reddit.com/r/x', title: 'r' }, { link: 'https://notreddit.com/', title: 'n' }];
+  assert.equal(titles(applyRules(items, [{ type: 'suppress', domain: 'reddit.com' }]).items), 'abcdn');
+  assert.equal(titles(applyRules(items, [{ type: 'suppress', url: 'https://b.example.org/' }]).items), 'acdrn');
+});
+
+test('rewrite-snippet replaces the snippet of matching results and drops the highlighted one', () => {
+  const { items } = applyRules(ITEMS, [{ type: 'rewrite-snippet', match: { position: 2 }, snippet: 'Rewritten' }]);
+  assert.equal(items[1].snippet, 'Rewritten');
+  assert.equal(items[1].snippetRewritten, true);
+  assert.equal('htmlSnippet' in items[1], false);
+  assert.equal(items[0].snippet, 'About a');
+});
+
+test('rules run in order on the list as the previous rules left it', () => {
+  const { items, appliedRules } = applyRules(ITEMS, [
+    { type: 'suppress', url: 'https://a.example.org/' },
+    { type: 'reorder', swap: [1, 2] },
+  ]);
+  assert.equal(titles(items), 'cbd');
+  assert.deepEqual(appliedRules.map(rule => rule.links), [['https://a.example.org/'], ['https://b.example.org/', 'https://c.example.org/']]);
+});
+
+test('rules that match nothing are skipped and not recorded, and the input is left unchanged', () => {
+  const { items, appliedRules } = applyRules(ITEMS, [
+    { type: 'reorder', swap: [2, 9] },
+    { type: 'suppress', domain: 'nowhere.org' },
+    { type: 'rewrite-snippet', match: { url: 'https://nowhere.org/' }, snippet: 'x' },
+  ]);
+  assert.equal(titles(items), 'abcd');
+  assert.deepEqual(appliedRules, []);
+  assert.equal(ITEMS[1].snippet, 'About b');
+});
+
+test('validateRules reports the first incomplete rule', () => {
+  assert.equal(validateRules([{ type: 'reorder', swap: [1, 2] }, { type: 'suppress', domain: 'x.org' }]), null);
+  assert.equal(validateRules('nope'), 'rules must be an array.');
+  assert.match(validateRules([{ type: 'shuffle' }]), /^Rule 0: type must be one of/);
+  assert.match(validateRules([{ type: 'reorder', swap: [1, 2] }, { type: 'inject', position: 1, item: {} }]), /^Rule 1: inject needs/);
+  assert.match(validateRules([{ type: 'rewrite-snippet', match: { position: 1 } }]), /^Rule 0: rewrite-snippet needs/);
+});
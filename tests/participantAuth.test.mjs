@@ -0,0 +1,65 @@
+// tests/participantAuth.test.mjs
+// Signing and verification of participant tokens.
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { isParticipantAuthEnabled, readParticipantToken, signParticipantToken, verifyParticipantToken } from '../lib/participantAuth.js';
+
+const SECRET = 'a-test-secret-that-is-long-enough-for-hmac';
+const CLAIMS = { studyId: 'pilot', participantId: 'p1' };
+const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000);
+
+beforeEach(() => {
+  process.env.PARTICIPANT_TOKEN_SECRET = SECRET;
+});
+
+test('tokens verify with their claims until they expire', () => {
+  const token = signParticipantToken({ ...CLAIMS, expiresAt: inOneHour() });
+  const result = verifyParticipantToken(token);
+  assert.equal(result.status, 'ok');
+  assert.equal(result.claims.studyId, 'pilot');
+  assert.equal(result.claims.participantId, 'p1');
+
+  const expired = signParticipantToken({ ...CLAIMS, expiresAt: new Date(Date.now() - 1000) });
+  assert.deepEqual(verifyParticipantToken(expired), { status: 'expired' });
+});
+
+test('altered or foreign tokens are invalid', () => {
+  const token = signParticipantToken({ ...CLAIMS, expiresAt: inOneHour() });
+  const [payload, signature] = token.split('.');
+
+  // Another participant's claims under the original signature.
+  const forged = Buffer.from(JSON.stringify({ ...CLAIMS, participantId: 'p2', exp: Math.floor(inOneHour() / 1000) })).toString('base64url');
+  assert.deepEqual(verifyParticipantToken(`${forged}.${signature}`), { status: 'invalid' });
+  // A truncated signature, and one made with another secret.
+  assert.deepEqual(verifyParticipantToken(`${payload}.${signature.slice(0, -2)}`), { status: 'invalid' });
+  const otherSignature = crypto.createHmac('sha256', 'another-secret-of-sufficient-length!').update(payload).digest('base64url');
+  assert.deepEqual(verifyParticipantToken(`${payload}.${otherSignature}`), { status: 'invalid' });
+
+  for (const malformed of [`${token}.extra`, payload, '', null, 42]) {
+    assert.deepEqual(verifyParticipantToken(malformed), { status: 'invalid' }, String(malformed));
+  }
+});
+
+test('correctly signed payloads without valid claims are invalid', () => {
+  const signed = (claims) => {
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    return `${payload}.${crypto.createHmac('sha256', SECRET).update(payload).digest('base64url')}`;
+  };
+  assert.deepEqual(verifyParticipantToken(signed({ studyId: 'pilot', exp: Math.floor(inOneHour() / 1000) })), { status: 'invalid' });
+  assert.deepEqual(verifyParticipantToken(signed({ ...CLAIMS, exp: 'never' })), { status: 'invalid' });
+});
+
+test('without a secret, tokens are neither signed nor accepted', () => {
+  const token = signParticipantToken({ ...CLAIMS, expiresAt: inOneHour() });
+  delete process.env.PARTICIPANT_TOKEN_SECRET;
+  assert.equal(isParticipantAuthEnabled(), false);
+  assert.equal(signParticipantToken({ ...CLAIMS, expiresAt: inOneHour() }), null);
+  assert.deepEqual(verifyParticipantToken(token), { status: 'invalid' });
+});
+
+test('the token is read from the header, or else the token query parameter', () => {
+  assert.equal(readParticipantToken({ headers: { 'x-participant-token': 'h' }, query: { token: 'q' } }), 'h');
+  assert.equal(readParticipantToken({ headers: {}, query: { token: 'q' } }), 'q');
+  assert.equal(readParticipantToken({ headers: {}, query: { token: ['a', 'b'] } }), null);
+});
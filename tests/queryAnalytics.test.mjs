@@ -0,0 +1,54 @@
+// tests/queryAnalytics.test.mjs
+// Reformulation classification and the grouping of a session's queries into chains.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeSession, classifyReformulation, queryTerms } from '../lib/queryAnalytics.js';
+
+test('queryTerms lower-cases, drops stopwords and repeats', () => {
+  assert.deepEqual(queryTerms('What is the Climate of Mars, mars?'), ['climate', 'mars']);
+  assert.deepEqual(queryTerms('Café 2024'), ['café', '2024']);
+  assert.deepEqual(queryTerms(null), []);
+});
+
+test('classifyReformulation tells the kinds of reformulation apart', () => {
+  const cases = [
+    [null, 'climate change', 'new_topic'],
+    ['climate change', 'climate change effects', 'specialization'],
+    ['climate change effects', 'climate change', 'generalization'],
+    ['climate change effects', 'climate change causes', 'parallel'],
+    ['climate change', 'Change  climate', 'repeat'],
+    ['climate change', 'the climate and change', 'repeat'],
+    ['climate change', 'football scores', 'new_topic'],
+  ];
+  for (const [previousQuery, query, type] of cases) {
+    assert.equal(classifyReformulation(previousQuery, query).type, type, `${previousQuery} -> ${query}`);
+  }
+});
+
+test('classifyReformulation reports the changed terms and their overlap', () => {
+  assert.deepEqual(classifyReformulation('climate change effects', 'climate change causes'), {
+    type: 'parallel', addedTerms: ['causes'], removedTerms: ['effects'], termOverlap: 0.5,
+  });
+  assert.deepEqual(classifyReformulation(null, 'mars'), { type: 'new_topic', addedTerms: ['mars'], removedTerms: [], termOverlap: null });
+  // Queries of stopwords only have no terms at all, and count as repeats of each other.
+  assert.equal(classifyReformulation('what is', 'how to').termOverlap, 1);
+});
+
+test('analyzeSession starts a new chain on a new topic or after a long pause', () => {
+  const at = (minutes) => new Date(Date.UTC(2026, 0, 1, 12, minutes)).toISOString();
+  const { queries, chains } = analyzeSession({
+    searches: [
+      { query: 'mars rover', timestamp: at(0), searchId: 's1' },
+      { query: 'mars rover photos', timestamp: at(1), searchId: 's2' },
+      { query: 'pasta recipe', timestamp: at(2), searchId: 's3' },
+      { query: 'pasta recipe', timestamp: at(45), searchId: 's4' },
+    ],
+    clicks: [{ searchId: 's2', startTime: at(1), duration: 30 }],
+  });
+  assert.deepEqual(queries.map(query => [query.chainIndex, query.chainPosition, query.reformulationType]), [
+    [0, 0, 'new_topic'], [0, 1, 'specialization'], [1, 0, 'new_topic'], [2, 0, 'repeat'],
+  ]);
+  assert.deepEqual(queries.map(query => query.clickCount), [0, 1, 0, 0]);
+  assert.equal(chains.length, 3);
+  assert.deepEqual(chains[0].queries, ['mars rover', 'mars rover photos']);
+});
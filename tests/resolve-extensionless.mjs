@@ -0,0 +1,20 @@
+// tests/resolve-extensionless.mjs
+// Module resolve hook for the tests: the app's modules import each other without file extensions,
+// as Next.js's bundler allows, so relative imports that don't resolve as written are retried with `.js`.
+
+/**
+ * @param {string} specifier - The imported module.
+ * @param {object} context - The resolve context.
+ * @param {function(string, object): Promise<object>} nextResolve - The next resolve hook.
+ * @returns {Promise<object>}
+ */
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    if (error.code === 'ERR_MODULE_NOT_FOUND' && /^\.{1,2}\//.test(specifier) && !specifier.endsWith('.js')) {
+      return nextResolve(`${specifier}.js`, context);
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,5 @@
+// tests/setup.mjs
+// Loaded before every test file (`node --import ./tests/setup.mjs --test`).
+import { register } from 'node:module';
+
+register('./resolve-extensionless.mjs', import.meta.url);